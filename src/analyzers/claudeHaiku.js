@@ -7,7 +7,8 @@
  */
 
 import { ApiError, fetchWithTimeout, handleHttpError } from '../utils/errorHandler.js';
-import { API_ENDPOINTS, API_TIMEOUT } from '../utils/constants.js';
+import { API_ENDPOINTS, API_TIMEOUT, AI_PROVIDER_MODELS } from '../utils/constants.js';
+import { validateAiResponse } from '../utils/aiResponseValidator.js';
 import { extractBase64FromDataUri, extractMimeTypeFromDataUri } from '../utils/imageEncoder.js';
 
 /**
@@ -16,12 +17,13 @@ import { extractBase64FromDataUri, extractMimeTypeFromDataUri } from '../utils/i
 export class ClaudeHaikuAnalyzer {
     /**
      * @param {string} apiKey - Anthropic API 키
+     * @param {string} [model] - 모델 ID (기본: AI_PROVIDER_MODELS.claudeHaiku.default)
      */
-    constructor(apiKey) {
+    constructor(apiKey, model) {
         this.apiKey  = apiKey;
         this.name    = 'Claude Haiku';
         this.enabled = !!apiKey;
-        this.model   = 'claude-3-haiku-20240307';
+        this.model   = model || AI_PROVIDER_MODELS.claudeHaiku.default;
     }
 
     /**
@@ -139,28 +141,15 @@ Be strict and conservative. When uncertain, score higher rather than lower.`;
         }
 
         const text = data.content[0].text.trim();
-        let categories;
 
-        try {
-            /** JSON 파싱 시도 */
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                categories = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('JSON 형식이 아닙니다.');
-            }
-        } catch (parseError) {
-            console.error('[Kas-Free] Claude response parse error:', parseError, text);
-            throw new ApiError('응답 파싱 실패', 'PARSE_ERROR', this.name);
+        /** JSON 추출 + 스키마 검증 (코드 블록/설명 문장 제거, 점수 0~1 보정) */
+        const validation = validateAiResponse(text);
+        if (!validation.valid) {
+            console.error('[Kas-Free] Claude response validation error:', validation.errors, text);
+            throw new ApiError(`응답 파싱 실패: ${validation.errors.join(', ')}`, 'PARSE_ERROR', this.name);
         }
 
-        /** 값 범위 검증 및 정규화 */
-        const normalizedCategories = {};
-        for (const [key, value] of Object.entries(categories)) {
-            if (key !== 'description') {
-                normalizedCategories[key] = Math.max(0, Math.min(1, parseFloat(value) || 0));
-            }
-        }
+        const normalizedCategories = validation.value.scores;
 
         /** 위험 점수 계산 */
         const riskScore = this.calculateRiskScore(normalizedCategories);
@@ -170,7 +159,7 @@ Be strict and conservative. When uncertain, score higher rather than lower.`;
             detailedScores: normalizedCategories,
             categories:     normalizedCategories,
             riskScore,
-            description:    categories.description || '',
+            description:    validation.value.description,
             raw:            text,
             timestamp:      Date.now()
         };
@@ -2,9 +2,12 @@
  * Gemini Flash 분석기
  * @author 최진호
  * @date 2026-02-01
- * @remarks Google Gemini 1.5 Flash API 사용
+ * @remarks Google Gemini Flash API 사용 (모델은 설정에서 선택)
  */
 
+import { AI_PROVIDER_MODELS } from '../utils/constants.js';
+import { validateAiResponse } from '../utils/aiResponseValidator.js';
+
 /**
  * AI 분석 프롬프트 (API 문서 기준)
  */
@@ -75,11 +78,15 @@ Rules:
 - Be conservative: when uncertain, score higher rather than lower`;
 
 export class GeminiFlashAnalyzer {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - Google AI Studio API 키
+     * @param {string} [model] - 모델 ID (기본: AI_PROVIDER_MODELS.geminiFlash.default)
+     */
+    constructor(apiKey, model) {
         this.name = 'Gemini Flash';
         this.apiKey = apiKey;
         this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-        this.model = 'gemini-1.5-flash';
+        this.model = model || AI_PROVIDER_MODELS.geminiFlash.default;
     }
 
     /**
@@ -144,10 +151,13 @@ export class GeminiFlashAnalyzer {
                 throw new Error('Invalid Gemini response structure');
             }
 
-            // JSON 파싱
-            const analysis = JSON.parse(textResponse);
+            // JSON 추출 + 스키마 검증 (누락/범위 밖 값 보정)
+            const validation = validateAiResponse(textResponse);
+            if (!validation.valid) {
+                throw new Error(`Gemini 응답 형식 오류: ${validation.errors.join(', ')}`);
+            }
 
-            return this.transformResult(analysis);
+            return this.transformResult(validation.value);
         } catch (error) {
             console.error('[Kas-Free] Gemini Flash 분석 실패:', error);
             throw error;
@@ -156,7 +166,7 @@ export class GeminiFlashAnalyzer {
 
     /**
      * Gemini 결과를 표준 형식으로 변환
-     * @param {object} analysis - Gemini 분석 결과
+     * @param {object} analysis - 검증된 분석 결과 (validateAiResponse().value)
      * @returns {object}
      */
     transformResult(analysis) {
@@ -171,7 +181,7 @@ export class GeminiFlashAnalyzer {
             description:        analysis.description,
             reasoning:          analysis.reasoning,
             suggestedSeverity:  analysis.suggested_severity,
-            suggestedAction:    analysis.suggested_action,
+            suggestedAction:    analysis.suggestedAction,
             isHarmful:          analysis.is_harmful
         };
     }
@@ -7,7 +7,8 @@
  */
 
 import { ApiError, fetchWithTimeout, handleHttpError } from '../utils/errorHandler.js';
-import { API_ENDPOINTS, API_TIMEOUT } from '../utils/constants.js';
+import { API_ENDPOINTS, API_TIMEOUT, AI_PROVIDER_MODELS } from '../utils/constants.js';
+import { validateAiResponse } from '../utils/aiResponseValidator.js';
 
 /**
  * GPT-4o-mini 분석기 클래스
@@ -15,12 +16,13 @@ import { API_ENDPOINTS, API_TIMEOUT } from '../utils/constants.js';
 export class Gpt4oMiniAnalyzer {
     /**
      * @param {string} apiKey - OpenAI API 키
+     * @param {string} [model] - 모델 ID (기본: AI_PROVIDER_MODELS.gpt4oMini.default)
      */
-    constructor(apiKey) {
+    constructor(apiKey, model) {
         this.apiKey  = apiKey;
         this.name    = 'GPT-4o-mini';
         this.enabled = !!apiKey;
-        this.model   = 'gpt-4o-mini';
+        this.model   = model || AI_PROVIDER_MODELS.gpt4oMini.default;
     }
 
     /**
@@ -136,28 +138,15 @@ Be strict and conservative. When uncertain, score higher rather than lower.`;
         }
 
         const text = data.choices[0].message.content.trim();
-        let categories;
 
-        try {
-            /** JSON 파싱 시도 */
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                categories = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('JSON 형식이 아닙니다.');
-            }
-        } catch (parseError) {
-            console.error('[Kas-Free] GPT-4o response parse error:', parseError, text);
-            throw new ApiError('응답 파싱 실패', 'PARSE_ERROR', this.name);
+        /** JSON 추출 + 스키마 검증 (코드 블록/설명 문장 제거, 점수 0~1 보정) */
+        const validation = validateAiResponse(text);
+        if (!validation.valid) {
+            console.error('[Kas-Free] GPT-4o response validation error:', validation.errors, text);
+            throw new ApiError(`응답 파싱 실패: ${validation.errors.join(', ')}`, 'PARSE_ERROR', this.name);
         }
 
-        /** 값 범위 검증 및 정규화 */
-        const normalizedCategories = {};
-        for (const [key, value] of Object.entries(categories)) {
-            if (key !== 'description') {
-                normalizedCategories[key] = Math.max(0, Math.min(1, parseFloat(value) || 0));
-            }
-        }
+        const normalizedCategories = validation.value.scores;
 
         /** 위험 점수 계산 */
         const riskScore = this.calculateRiskScore(normalizedCategories);
@@ -167,7 +156,7 @@ Be strict and conservative. When uncertain, score higher rather than lower.`;
             detailedScores: normalizedCategories,
             categories:     normalizedCategories,
             riskScore,
-            description:    categories.description || '',
+            description:    validation.value.description,
             raw:            text,
             timestamp:      Date.now()
         };
@@ -2,18 +2,24 @@
  * 해시 기반 이미지 검사기
  * @author 최진호
  * @date 2026-01-31
- * @remarks https://nsfw.nerdvana.kr/api/check/hash 사용
+ * @remarks 검증 서버의 /api/check/hash 사용 (주소는 settings.server.baseUrl)
  */
 
+import { DEFAULT_SERVER_URL } from '../utils/constants.js';
+
 export class HashChecker {
-    constructor(serverUrl = 'https://nsfw.nerdvana.kr') {
+    constructor(serverUrl = DEFAULT_SERVER_URL) {
         this.name = 'Hash Checker';
         this.serverUrl = serverUrl;
     }
 
     /**
      * 해시로 이미지를 검사한다
-     * @param {object} hashes - { phash, dhash, ahash }
+     *
+     * 회전/반전 변환 해시(variants)도 한 번의 요청으로 함께 전송하여
+     * 뒤집거나 돌려서 올린 이미지도 매칭되도록 한다
+     *
+     * @param {object} hashes - { phash, dhash, ahash, variants } (phash는 DCT 기반 pHash)
      * @param {number} threshold - 유사도 임계값 (기본: 10)
      * @param {string} reporterId - 신고자 ID (필수)
      * @returns {Promise<object>}
@@ -24,10 +30,15 @@ export class HashChecker {
                 throw new Error('reporterId는 필수 파라미터입니다');
             }
 
+            if (!hashes?.phash) {
+                throw new Error('phash는 필수 파라미터입니다');
+            }
+
             const requestBody = {
                 phash:      hashes.phash,
                 dhash:      hashes.dhash,
                 ahash:      hashes.ahash,
+                variants:   hashes.variants || [],
                 threshold:  threshold,
                 reporterId: reporterId
             };
@@ -64,7 +75,7 @@ export class HashChecker {
      * @returns {object}
      */
     transformResult(data) {
-        const { matched, matchType, distance, image } = data;
+        const { matched, matchType, distance, image, transform } = data;
 
         const baseCategories = {
             gore:           0,
@@ -104,7 +115,8 @@ export class HashChecker {
             categories:     categories,
             source:         'hash-db',
             matched:        true,
-            matchType:      matchType,
+            matchType:      transform || 'original',  // 매칭된 변환 (original, mirror, rotate90 등)
+            hashType:       matchType,                // 매칭된 해시 종류 (phash, dhash, ahash)
             distance:       distance,
             imageId:        image?.id,
             severity:       severity
@@ -39,21 +39,21 @@ export class AnalyzerManager {
         if (apis.geminiFlash?.enabled && apis.geminiFlash?.apiKey) {
             analyzers.push({
                 priority: apis.geminiFlash.priority,
-                analyzer: new GeminiFlashAnalyzer(apis.geminiFlash.apiKey)
+                analyzer: new GeminiFlashAnalyzer(apis.geminiFlash.apiKey, apis.geminiFlash.model)
             });
         }
 
         if (apis.claudeHaiku?.enabled && apis.claudeHaiku?.apiKey) {
             analyzers.push({
                 priority: apis.claudeHaiku.priority,
-                analyzer: new ClaudeHaikuAnalyzer(apis.claudeHaiku.apiKey)
+                analyzer: new ClaudeHaikuAnalyzer(apis.claudeHaiku.apiKey, apis.claudeHaiku.model)
             });
         }
 
         if (apis.gpt4oMini?.enabled && apis.gpt4oMini?.apiKey) {
             analyzers.push({
                 priority: apis.gpt4oMini.priority,
-                analyzer: new Gpt4oMiniAnalyzer(apis.gpt4oMini.apiKey)
+                analyzer: new Gpt4oMiniAnalyzer(apis.gpt4oMini.apiKey, apis.gpt4oMini.model)
             });
         }
 
@@ -2,11 +2,13 @@
  * NSFW.js 서버 분석기
  * @author 최진호
  * @date 2026-01-31
- * @remarks https://nsfw.nerdvana.kr API 사용
+ * @remarks 검증 서버 API 사용 (주소는 settings.server.baseUrl)
  */
 
+import { DEFAULT_SERVER_URL } from '../utils/constants.js';
+
 export class NsfwjsServerAnalyzer {
-    constructor(serverUrl = 'https://nsfw.nerdvana.kr') {
+    constructor(serverUrl = DEFAULT_SERVER_URL) {
         this.name = 'NSFW.js Server';
         this.serverUrl = serverUrl;
     }
@@ -405,4 +407,55 @@ export class NsfwjsServerAnalyzer {
             return false;
         }
     }
+
+    /**
+     * 서버 상태와 버전을 조회한다 (GET /health)
+     * - 직접 운영하는 서버가 이 확장 프로그램과 호환되는지 확인하는 용도
+     * @returns {Promise<object>} { reachable, latencyMs, status, version, dbConnected, nsfwModel, error }
+     */
+    async probe() {
+        const startTime = performance.now();
+        const result = {
+            reachable:   false,
+            latencyMs:   null,
+            status:      null,
+            version:     null,
+            dbConnected: false,
+            nsfwModel:   false,
+            error:       null
+        };
+
+        try {
+            const response = await fetch(`${this.serverUrl}/health`, {
+                method: 'GET',
+                signal: AbortSignal.timeout(5000)
+            });
+
+            result.latencyMs = Math.round(performance.now() - startTime);
+
+            if (!response.ok) {
+                result.error = `서버 응답 오류: ${response.status}`;
+                return result;
+            }
+
+            const data = await response.json().catch(() => null);
+
+            if (!data) {
+                result.error = '/health 응답이 JSON이 아닙니다.';
+                return result;
+            }
+
+            result.reachable   = true;
+            result.status      = data.status || null;
+            result.version     = data.version || null;
+            result.dbConnected = data.dbConnected === true;
+            result.nsfwModel   = data.nsfwModel === true;
+            return result;
+        } catch (error) {
+            result.error = error.name === 'TimeoutError'
+                ? '응답 시간 초과 (5초)'
+                : `서버에 연결할 수 없습니다: ${error.message}`;
+            return result;
+        }
+    }
 }
@@ -2,12 +2,17 @@
  * AI 검증 핸들러
  * @author 최진호
  * @date 2026-02-12
- * @version 1.1.0
- * @remarks AI API를 사용한 이미지 검증 처리
+ * @version 1.3.0
+ * @remarks AI API를 사용한 이미지 검증 처리 (단일 API 또는 여러 API 앙상블)
  */
 
 import { ApiClient, ApiError } from './ApiClient.js';
 import { imageUrlToBase64 } from '../utils/imageEncoder.js';
+import { AI_ENSEMBLE_RULES, AI_ENSEMBLE_HARMFUL_SCORE, AI_PROVIDER_MODELS } from '../utils/constants.js';
+import { validateAiResponse, buildCorrectionMessage, AiResponseValidationError } from '../utils/aiResponseValidator.js';
+
+/** suggestedAction 심각도 순서 (앙상블 결합 시 가장 강한 조치 선택) */
+const ACTION_ORDER = ['pass', 'warn', 'block'];
 
 /**
  * AI 검증 핸들러 클래스
@@ -16,10 +21,12 @@ export class AIVerificationHandler {
     /**
      * @param {object} settings - 설정 객체
      * @param {object} nsfwServer - NSFW 서버 인스턴스
+     * @param {function} [recordError] - 에러 통계 기록 함수 (error, errorType, context)
      */
-    constructor(settings, nsfwServer) {
+    constructor(settings, nsfwServer, recordError = null) {
         this.settings = settings;
         this.nsfwServer = nsfwServer;
+        this.recordError = recordError;
         this.apiClient = new ApiClient({
             timeout: 30000,      // 30초
             maxRetries: 3,       // 최대 3회 재시도
@@ -86,6 +93,18 @@ export class AIVerificationHandler {
                 };
             }
 
+            // 앙상블 모드: 활성화된 API가 2개 이상이면 모두에게 동시에 요청
+            const enabledApis = this.getEnabledAIApis();
+
+            if (this.settings.aiEnsemble?.enabled && enabledApis.length > 1) {
+                return await this.handleEnsembleVerification(
+                    imageUrl,
+                    enabledApis,
+                    postUrl,
+                    getOrCreateReporterId
+                );
+            }
+
             console.log('[AIVerification] AI 검증 시작:', { imageUrl, api: enabledApi.name });
 
             // AI 분석
@@ -135,6 +154,158 @@ export class AIVerificationHandler {
         }
     }
 
+    /**
+     * 여러 AI API로 동시에 검증하고 결과를 결합한다
+     *
+     * 왜 앙상블인가요?
+     * - API 하나만 쓰면 그 모델의 약점(오탐/미탐)이 그대로 판정과 자동 신고로 이어짐
+     * - 여러 모델의 점수를 규칙(max/mean/majority)으로 결합
+     * - 자동 신고는 quorum개 이상의 API가 유해하다고 동의할 때만
+     *
+     * @param {string} imageUrl - 이미지 URL
+     * @param {object[]} apis - 활성화된 API 설정 목록
+     * @param {string} postUrl - 게시글 URL
+     * @param {function} getOrCreateReporterId - reporterId 생성 함수
+     * @returns {Promise<object>}
+     */
+    async handleEnsembleVerification(imageUrl, apis, postUrl, getOrCreateReporterId) {
+        const { combine = AI_ENSEMBLE_RULES.MAX, quorum = 2 } = this.settings.aiEnsemble;
+
+        console.log('[AIVerification] 앙상블 검증 시작:', { imageUrl, apis: apis.map(api => api.name), combine, quorum });
+
+        const outcomes  = await Promise.allSettled(apis.map(api => this.analyzeWithAI(imageUrl, api)));
+        const verdicts  = outcomes.map((outcome, index) => this.buildVerdict(apis[index], outcome));
+        const succeeded = verdicts.filter(verdict => !verdict.error);
+
+        // 모두 실패 → 첫 번째 에러로 기존 에러 처리 (사용자 친화적 메시지)
+        if (succeeded.length === 0) {
+            throw outcomes[0].reason;
+        }
+
+        const analysis     = this.combineVerdicts(succeeded, combine);
+        const harmfulCount = succeeded.filter(verdict => verdict.is_harmful).length;
+        const ensemble     = {
+            combine,
+            quorum,
+            harmfulCount,
+            succeeded: succeeded.length,
+            total:     apis.length
+        };
+
+        console.log('[AIVerification] 앙상블 결합 결과:', { analysis, ensemble });
+
+        if (!analysis.is_harmful) {
+            return { ...this.handleSafeImage(analysis), aiVerdicts: verdicts, ensemble };
+        }
+
+        // 결합 결과는 유해지만 동의한 API가 부족 → 판정만 하고 자동 신고는 보류
+        if (harmfulCount < quorum) {
+            console.log(`[AIVerification] 합의 부족으로 자동 신고 보류 (${harmfulCount}/${quorum})`);
+
+            return {
+                status: 'danger',
+                riskScore: analysis.final_score || 0.9,
+                categories: analysis.scores,
+                source: 'client-ai',
+                aiAnalysis: analysis,
+                aiVerdicts: verdicts,
+                ensemble,
+                reported: false,
+                reportSkipped: `유해 판정 API ${harmfulCount}개 (신고 기준 ${quorum}개)`
+            };
+        }
+
+        // 신고 시 provider는 가장 높은 점수를 준 유해 판정 API
+        const strongest = succeeded
+            .filter(verdict => verdict.is_harmful)
+            .sort((a, b) => b.final_score - a.final_score)[0];
+        const apiConfig = apis.find(api => api.name === strongest.name);
+
+        const result = await this.handleHarmfulImage(imageUrl, analysis, postUrl, apiConfig, getOrCreateReporterId);
+        return { ...result, aiVerdicts: verdicts, ensemble };
+    }
+
+    /**
+     * API 하나의 결과를 툴팁 표시용 판정으로 정리한다
+     * @param {object} apiConfig - API 설정
+     * @param {PromiseSettledResult} outcome - analyzeWithAI 결과
+     * @returns {object} { name, label, model, is_harmful, final_score, scores, ... } 또는 { name, label, model, error }
+     */
+    buildVerdict(apiConfig, outcome) {
+        const verdict = {
+            name:  apiConfig.name,
+            label: apiConfig.label,
+            model: apiConfig.model
+        };
+
+        if (outcome.status === 'rejected') {
+            console.warn(`[AIVerification] ${apiConfig.label} 분석 실패:`, outcome.reason);
+            return { ...verdict, error: outcome.reason?.message || '분석 실패' };
+        }
+
+        const analysis = outcome.value || {};
+
+        return {
+            ...verdict,
+            is_harmful:         analysis.is_harmful === true,
+            final_score:        analysis.final_score || 0,
+            scores:             analysis.scores || {},
+            suggested_severity: analysis.suggested_severity || null,
+            suggestedAction:    analysis.suggestedAction || null,
+            description:        analysis.description || analysis.reasoning || ''
+        };
+    }
+
+    /**
+     * 여러 API 판정을 하나의 분석 결과로 결합한다
+     *
+     * 결합 규칙:
+     * - max: 카테고리별 최고 점수, 하나라도 유해하면 유해 (가장 엄격)
+     * - mean: 카테고리별 평균 점수, 평균 점수가 기준 이상이면 유해
+     * - majority: 카테고리별 평균 점수, 과반수가 유해라고 하면 유해
+     *
+     * @param {object[]} verdicts - 성공한 판정 목록
+     * @param {string} rule - AI_ENSEMBLE_RULES 값
+     * @returns {object} analyzeWithAI와 같은 형식의 분석 결과
+     */
+    combineVerdicts(verdicts, rule) {
+        const aggregate = rule === AI_ENSEMBLE_RULES.MAX
+            ? values => Math.max(...values)
+            : values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const categories = new Set(verdicts.flatMap(verdict => Object.keys(verdict.scores)));
+        const scores     = {};
+
+        for (const category of categories) {
+            scores[category] = aggregate(verdicts.map(verdict => verdict.scores[category] || 0));
+        }
+
+        const finalScore   = aggregate(verdicts.map(verdict => verdict.final_score));
+        const harmfulCount = verdicts.filter(verdict => verdict.is_harmful).length;
+
+        let isHarmful;
+        if (rule === AI_ENSEMBLE_RULES.MAJORITY) {
+            isHarmful = harmfulCount * 2 > verdicts.length;
+        } else if (rule === AI_ENSEMBLE_RULES.MEAN) {
+            isHarmful = finalScore >= AI_ENSEMBLE_HARMFUL_SCORE;
+        } else {
+            isHarmful = harmfulCount > 0;
+        }
+
+        const severities = verdicts.map(verdict => verdict.suggested_severity).filter(Boolean);
+        const actions    = verdicts.map(verdict => verdict.suggestedAction).filter(action => ACTION_ORDER.includes(action));
+
+        return {
+            scores,
+            is_harmful:         isHarmful,
+            final_score:        finalScore,
+            suggested_severity: severities.length > 0 ? Math.max(...severities) : undefined,
+            suggestedAction:    actions.sort((a, b) => ACTION_ORDER.indexOf(b) - ACTION_ORDER.indexOf(a))[0],
+            description:        verdicts.map(verdict => `[${verdict.label}] ${verdict.description}`).join('\n'),
+            reasoning:          `앙상블 (${rule}): ${harmfulCount}/${verdicts.length}개 API가 유해 판정`
+        };
+    }
+
     /**
      * AI로 이미지 분석
      * @param {string} imageUrl - 이미지 URL
@@ -146,7 +317,8 @@ export class AIVerificationHandler {
         let imageData;
 
         // 디시인사이드 이미지는 Base64 변환 필요
-        if (isDcImage) {
+        // OpenAI 호환 서버는 인터넷에 접근하지 못할 수 있어 설정에 따라 항상 Base64로 전송
+        if (isDcImage || apiConfig.imageFormat === 'data_url') {
             console.log('[AIVerification] 디시인사이드 이미지 감지, Base64 변환');
             const base64 = await imageUrlToBase64(imageUrl);
             imageData = `data:image/jpeg;base64,${base64}`;
@@ -154,17 +326,32 @@ export class AIVerificationHandler {
             imageData = imageUrl;
         }
 
-        // API 호출
+        // API 호출 + 응답 검증 (형식이 틀리면 수정 요청을 붙여 한 번 더 요청)
         try {
-            if (apiConfig.name === 'gpt4oMini') {
-                return await this.apiClient.callGpt4oMini(apiConfig.apiKey, imageData);
-            } else if (apiConfig.name === 'claudeHaiku') {
-                return await this.apiClient.callClaudeHaiku(apiConfig.apiKey, imageData, isDcImage);
-            } else if (apiConfig.name === 'geminiFlash') {
-                return await this.apiClient.callGeminiFlash(apiConfig.apiKey, imageData, isDcImage);
+            let raw        = await this.callProvider(apiConfig, imageData, isDcImage, null);
+            let validation = validateAiResponse(raw);
+
+            if (!validation.valid) {
+                this.reportInvalidResponse(apiConfig, validation, raw, false);
+
+                raw        = await this.callProvider(apiConfig, imageData, isDcImage, buildCorrectionMessage(validation.errors));
+                validation = validateAiResponse(raw);
+
+                if (!validation.valid) {
+                    this.reportInvalidResponse(apiConfig, validation, raw, true);
+                    throw new AiResponseValidationError(
+                        validation.errors,
+                        typeof raw === 'string' ? raw : JSON.stringify(raw),
+                        `${apiConfig.name}:${apiConfig.model}`
+                    );
+                }
+            }
+
+            if (validation.repairs.length > 0) {
+                console.log(`[AIVerification] ${apiConfig.name} 응답 보정:`, validation.repairs);
             }
 
-            throw new Error(`지원하지 않는 API: ${apiConfig.name}`);
+            return validation.value;
         } catch (error) {
             // ApiError는 그대로 전파
             if (error instanceof ApiError) {
@@ -176,6 +363,51 @@ export class AIVerificationHandler {
         }
     }
 
+    /**
+     * 제공자별 API 호출 (원본 응답 반환)
+     * @param {object} apiConfig - API 설정
+     * @param {string} imageData - 이미지 데이터 (URL 또는 Data URI)
+     * @param {boolean} isDcImage - 디시인사이드 이미지 여부
+     * @param {string|null} correction - 재요청 시 수정 요청 메시지
+     * @returns {Promise<string|object>}
+     */
+    async callProvider(apiConfig, imageData, isDcImage, correction) {
+        if (apiConfig.name === 'gpt4oMini') {
+            return this.apiClient.callGpt4oMini(apiConfig.apiKey, imageData, apiConfig.model, correction);
+        } else if (apiConfig.name === 'claudeHaiku') {
+            return this.apiClient.callClaudeHaiku(apiConfig.apiKey, imageData, isDcImage, apiConfig.model, correction);
+        } else if (apiConfig.name === 'geminiFlash') {
+            return this.apiClient.callGeminiFlash(apiConfig.apiKey, imageData, isDcImage, apiConfig.model, correction);
+        } else if (apiConfig.name === 'openaiCompatible') {
+            return this.apiClient.callOpenAICompatible(apiConfig, imageData, correction);
+        }
+
+        throw new Error(`지원하지 않는 API: ${apiConfig.name}`);
+    }
+
+    /**
+     * 스키마 검증 실패를 로그와 에러 통계에 기록
+     * @param {object} apiConfig - API 설정
+     * @param {object} validation - validateAiResponse() 결과
+     * @param {string|object} raw - 원본 응답
+     * @param {boolean} isRetry - 수정 요청 후 재시도 결과인지
+     */
+    reportInvalidResponse(apiConfig, validation, raw, isRetry) {
+        const rawText  = typeof raw === 'string' ? raw : JSON.stringify(raw);
+        const provider = `${apiConfig.name}:${apiConfig.model}${isRetry ? ' (재요청)' : ''}`;
+
+        console.warn(`[AIVerification] ${apiConfig.name} 응답 검증 실패${isRetry ? ' (재요청 후)' : ', 수정 요청 후 재시도'}:`, {
+            errors: validation.errors,
+            raw:    rawText?.substring(0, 200)
+        });
+
+        this.recordError?.(
+            new AiResponseValidationError(validation.errors, rawText, provider),
+            'AiResponseValidationError',
+            {}
+        );
+    }
+
     /**
      * 유해 이미지 처리
      * @param {string} imageUrl - 이미지 URL
@@ -249,40 +481,66 @@ export class AIVerificationHandler {
     }
 
     /**
-     * 활성화된 AI API 찾기
+     * 활성화된 AI API 찾기 (단일 검증용, 첫 번째 API)
      * @returns {object|null}
      */
     getEnabledAIApi() {
+        return this.getEnabledAIApis()[0] || null;
+    }
+
+    /**
+     * 활성화된 모든 AI API 목록 (앙상블 검증용)
+     * @returns {object[]}
+     */
+    getEnabledAIApis() {
         const { apis } = this.settings;
+        const enabledApis = [];
 
         if (apis.gpt4oMini?.enabled && apis.gpt4oMini?.apiKey) {
-            return {
+            enabledApis.push({
                 name: 'gpt4oMini',
+                label: 'GPT-4o-mini',
                 apiKey: apis.gpt4oMini.apiKey,
                 providerName: 'openai',
-                model: 'gpt-4o-mini'
-            };
+                model: resolveProviderModel('gpt4oMini', apis.gpt4oMini)
+            });
         }
 
         if (apis.claudeHaiku?.enabled && apis.claudeHaiku?.apiKey) {
-            return {
+            enabledApis.push({
                 name: 'claudeHaiku',
+                label: 'Claude Haiku',
                 apiKey: apis.claudeHaiku.apiKey,
                 providerName: 'claude',
-                model: 'claude-3-5-haiku-20241022'
-            };
+                model: resolveProviderModel('claudeHaiku', apis.claudeHaiku)
+            });
         }
 
         if (apis.geminiFlash?.enabled && apis.geminiFlash?.apiKey) {
-            return {
+            enabledApis.push({
                 name: 'geminiFlash',
+                label: 'Gemini Flash',
                 apiKey: apis.geminiFlash.apiKey,
                 providerName: 'google',
-                model: 'gemini-1.5-flash'
-            };
+                model: resolveProviderModel('geminiFlash', apis.geminiFlash)
+            });
+        }
+
+        // OpenAI 호환 서버는 API 키 대신 주소와 모델 이름이 필수
+        if (isOpenAICompatibleConfigured(apis.openaiCompatible)) {
+            const { baseUrl, model, apiKey, imageFormat } = apis.openaiCompatible;
+            enabledApis.push({
+                name: 'openaiCompatible',
+                label: `OpenAI 호환 (${model})`,
+                apiKey: apiKey || '',
+                providerName: 'openai-compatible',
+                model,
+                baseUrl,
+                imageFormat: imageFormat || 'data_url'
+            });
         }
 
-        return null;
+        return enabledApis;
     }
 
     /**
@@ -304,3 +562,22 @@ export class AIVerificationHandler {
         return topCategory;
     }
 }
+
+/**
+ * OpenAI 호환 서버 설정이 사용 가능한 상태인지 확인
+ * @param {object} config - apis.openaiCompatible
+ * @returns {boolean}
+ */
+export function isOpenAICompatibleConfigured(config) {
+    return Boolean(config?.enabled && config?.baseUrl?.trim() && config?.model?.trim());
+}
+
+/**
+ * 제공자 설정의 모델 ID (비어 있으면 기본 모델)
+ * @param {string} name - 제공자 이름 (예: 'geminiFlash')
+ * @param {object} config - settings.apis[name]
+ * @returns {string}
+ */
+export function resolveProviderModel(name, config) {
+    return config?.model?.trim() || AI_PROVIDER_MODELS[name]?.default || '';
+}
@@ -21,7 +21,8 @@
  * @remarks AI API 호출 with 적응형 타임아웃 및 재시도 로직
  */
 
-import { AI_ANALYSIS_PROMPT } from '../utils/constants.js';
+import { AI_ANALYSIS_PROMPT, AI_PROVIDER_MODELS } from '../utils/constants.js';
+import { AI_RESPONSE_JSON_SCHEMA } from '../utils/aiResponseValidator.js';
 import { AdaptiveTimeoutManager } from './AdaptiveTimeoutManager.js';
 
 /**
@@ -478,28 +479,35 @@ export class ApiClient {
 
     /**
      * GPT-4o-mini API 호출
+     * - Structured Outputs(json_schema strict)로 스키마에 맞는 JSON만 받음
+     * - 응답 검증은 호출하는 쪽(validateAiResponse)에서 수행
      * @param {string} apiKey - API 키
      * @param {string} imageData - 이미지 데이터 (URL or Base64)
-     * @returns {Promise<object>}
+     * @param {string} [model] - 모델 ID (예: 'gpt-4.1-mini')
+     * @param {string|null} [correction] - 재요청 시 덧붙일 수정 요청 메시지
+     * @returns {Promise<string>} 모델 응답 텍스트 (JSON)
      */
-    async callGpt4oMini(apiKey, imageData) {
+    async callGpt4oMini(apiKey, imageData, model = AI_PROVIDER_MODELS.gpt4oMini.default, correction = null) {
         const requestBody = {
-            model: 'gpt-4o-mini',
+            model: model,
             messages: [
                 { role: 'system', content: AI_ANALYSIS_PROMPT },
                 {
                     role: 'user',
-                    content: [
+                    content: withCorrection([
                         { type: 'text', text: 'Analyze this image:' },
                         {
                             type: 'image_url',
                             image_url: { url: imageData }
                         }
-                    ]
+                    ], correction, text => ({ type: 'text', text }))
                 }
             ],
             max_tokens: 500,
-            response_format: { type: 'json_object' }
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'image_analysis', strict: true, schema: AI_RESPONSE_JSON_SCHEMA }
+            }
         };
 
         const response = await this.fetchWithRetry('https://api.openai.com/v1/chat/completions', {
@@ -522,7 +530,7 @@ export class ApiClient {
         }
 
         const result = await response.json();
-        return JSON.parse(result.choices[0].message.content);
+        return result.choices?.[0]?.message?.content ?? '';
     }
 
     /**
@@ -530,9 +538,11 @@ export class ApiClient {
      * @param {string} apiKey - API 키
      * @param {string} imageData - 이미지 데이터 (URL or Base64)
      * @param {boolean} isDcImage - 디시인사이드 이미지 여부
-     * @returns {Promise<object>}
+     * @param {string} [model] - 모델 ID (예: 'claude-haiku-4-5')
+     * @param {string|null} [correction] - 재요청 시 덧붙일 수정 요청 메시지
+     * @returns {Promise<object|string>} 도구 호출 입력(객체), 없으면 응답 텍스트
      */
-    async callClaudeHaiku(apiKey, imageData, isDcImage) {
+    async callClaudeHaiku(apiKey, imageData, isDcImage, model = AI_PROVIDER_MODELS.claudeHaiku.default, correction = null) {
         let imageContent;
 
         if (isDcImage) {
@@ -564,15 +574,22 @@ export class ApiClient {
                 'anthropic-version': '2023-06-01'
             },
             body: JSON.stringify({
-                model: 'claude-3-5-haiku-20241022',
+                model: model,
                 max_tokens: 1024,
+                // Claude는 JSON 모드가 없어 도구 호출을 강제해 스키마에 맞는 입력을 받음
+                tools: [{
+                    name: CLAUDE_ANALYSIS_TOOL,
+                    description: 'Report the image analysis result.',
+                    input_schema: AI_RESPONSE_JSON_SCHEMA
+                }],
+                tool_choice: { type: 'tool', name: CLAUDE_ANALYSIS_TOOL },
                 messages: [
                     {
                         role: 'user',
-                        content: [
+                        content: withCorrection([
                             imageContent,
                             { type: 'text', text: AI_ANALYSIS_PROMPT + '\n\nAnalyze this image:' }
-                        ]
+                        ], correction, text => ({ type: 'text', text }))
                     }
                 ]
             })
@@ -588,7 +605,8 @@ export class ApiClient {
         }
 
         const result = await response.json();
-        return JSON.parse(result.content[0].text);
+        const toolUse = result.content?.find(block => block.type === 'tool_use');
+        return toolUse ? toolUse.input : (result.content?.find(block => block.type === 'text')?.text ?? '');
     }
 
     /**
@@ -596,9 +614,11 @@ export class ApiClient {
      * @param {string} apiKey - API 키
      * @param {string} imageData - 이미지 데이터 (URL or Base64)
      * @param {boolean} isDcImage - 디시인사이드 이미지 여부
-     * @returns {Promise<object>}
+     * @param {string} [model] - 모델 ID (예: 'gemini-2.5-flash')
+     * @param {string|null} [correction] - 재요청 시 덧붙일 수정 요청 메시지
+     * @returns {Promise<string>} 모델 응답 텍스트 (JSON)
      */
-    async callGeminiFlash(apiKey, imageData, isDcImage) {
+    async callGeminiFlash(apiKey, imageData, isDcImage, model = AI_PROVIDER_MODELS.geminiFlash.default, correction = null) {
         let imagePart;
 
         if (isDcImage) {
@@ -620,7 +640,7 @@ export class ApiClient {
         }
 
         const response = await this.fetchWithRetry(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`,
+            `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${apiKey}`,
             {
                 method: 'POST',
                 headers: {
@@ -629,14 +649,15 @@ export class ApiClient {
                 body: JSON.stringify({
                     contents: [
                         {
-                            parts: [
+                            parts: withCorrection([
                                 { text: AI_ANALYSIS_PROMPT + '\n\nAnalyze this image:' },
                                 imagePart
-                            ]
+                            ], correction, text => ({ text }))
                         }
                     ],
                     generationConfig: {
-                        responseMimeType: 'application/json'
+                        responseMimeType: 'application/json',
+                        responseSchema: toGeminiSchema(AI_RESPONSE_JSON_SCHEMA)
                     }
                 })
             }
@@ -652,6 +673,154 @@ export class ApiClient {
         }
 
         const result = await response.json();
-        return JSON.parse(result.candidates[0].content.parts[0].text);
+        return result.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+    }
+
+    /**
+     * OpenAI 호환 서버 API 호출 (vLLM, Ollama, LM Studio 등)
+     *
+     * 일반 OpenAI API와 다른 점:
+     * - 주소와 모델 이름을 사용자가 지정 (예: http://192.168.0.10:8000/v1, qwen2-vl)
+     * - API 키는 선택 (로컬 서버는 보통 인증 없음)
+     * - 서버마다 response_format 지원이 달라 구조화 출력은 요청하지 않음
+     *   (```json 코드 블록이나 설명 문장은 validateAiResponse에서 걸러냄)
+     *
+     * @param {object} config - { baseUrl, model, apiKey }
+     * @param {string} imageData - 이미지 데이터 (Data URI 또는 이미지 URL)
+     * @param {string|null} [correction] - 재요청 시 덧붙일 수정 요청 메시지
+     * @returns {Promise<string>} 모델 응답 텍스트
+     */
+    async callOpenAICompatible(config, imageData, correction = null) {
+        const requestBody = {
+            model: config.model,
+            messages: [
+                { role: 'system', content: AI_ANALYSIS_PROMPT },
+                {
+                    role: 'user',
+                    content: withCorrection([
+                        { type: 'text', text: 'Analyze this image:' },
+                        {
+                            type: 'image_url',
+                            image_url: { url: imageData }
+                        }
+                    ], correction, text => ({ type: 'text', text }))
+                }
+            ],
+            max_tokens: 500
+        };
+
+        const response = await this.fetchWithRetry(`${normalizeBaseUrl(config.baseUrl)}/chat/completions`, {
+            method: 'POST',
+            headers: buildOpenAICompatibleHeaders(config.apiKey),
+            body: JSON.stringify(requestBody)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const errorMessage = errorData.error?.message || errorData.message || '알 수 없는 오류';
+            throw new ApiError(
+                `OpenAI 호환 서버 오류: ${errorMessage}`,
+                response.status,
+                this.isRetryableStatus(response.status)
+            );
+        }
+
+        const result = await response.json();
+        return result.choices?.[0]?.message?.content ?? '';
+    }
+
+    /**
+     * OpenAI 호환 서버 연결을 확인한다 (GET /models)
+     * - 서버가 모델 목록을 돌려주면 설정한 모델이 목록에 있는지도 확인
+     * @param {object} config - { baseUrl, apiKey, model }
+     * @returns {Promise<boolean>}
+     */
+    async testOpenAICompatible(config) {
+        try {
+            const response = await fetch(`${normalizeBaseUrl(config.baseUrl)}/models`, {
+                method: 'GET',
+                headers: buildOpenAICompatibleHeaders(config.apiKey),
+                signal: AbortSignal.timeout(5000)
+            });
+
+            if (!response.ok) {
+                return false;
+            }
+
+            const result = await response.json().catch(() => null);
+            const modelIds = Array.isArray(result?.data) ? result.data.map(item => item.id) : [];
+
+            if (config.model && modelIds.length > 0 && !modelIds.includes(config.model.trim())) {
+                console.warn('[ApiClient] OpenAI 호환 서버에 모델이 없음:', config.model);
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.warn('[ApiClient] OpenAI 호환 서버 연결 실패:', error.message);
+            return false;
+        }
     }
 }
+
+/**
+ * 기본 URL 끝의 슬래시를 제거한다
+ * @param {string} baseUrl - 예: 'http://localhost:11434/v1/'
+ * @returns {string} 예: 'http://localhost:11434/v1'
+ */
+function normalizeBaseUrl(baseUrl) {
+    return String(baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * OpenAI 호환 서버 요청 헤더 (API 키가 있을 때만 Authorization 추가)
+ * @param {string} apiKey - API 키 (선택)
+ * @returns {object}
+ */
+function buildOpenAICompatibleHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return headers;
+}
+
+/** Claude 분석 결과를 받을 도구 이름 */
+const CLAUDE_ANALYSIS_TOOL = 'report_image_analysis';
+
+/**
+ * 재요청이면 수정 요청 메시지를 메시지 파트 끝에 덧붙인다
+ * @param {object[]} parts - 원래 메시지 파트
+ * @param {string|null} correction - 수정 요청 메시지
+ * @param {function} toPart - 텍스트 → 제공자별 파트 형식
+ * @returns {object[]}
+ */
+function withCorrection(parts, correction, toPart) {
+    return correction ? [...parts, toPart(correction)] : parts;
+}
+
+/**
+ * JSON 스키마를 Gemini responseSchema 형식으로 변환한다
+ * - type은 대문자 (OBJECT, NUMBER 등)
+ * - additionalProperties는 지원하지 않아 제외
+ * @param {object} schema - JSON 스키마
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+
+    if (schema.enum) {
+        converted.enum = schema.enum;
+    }
+
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+        converted.required = schema.required;
+    }
+
+    return converted;
+}
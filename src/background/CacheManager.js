@@ -9,8 +9,10 @@
 import {
     getCachedResult,
     setCachedResult,
+    removeCachedResults,
     getHashCache,
     setHashCache,
+    clearHashCache,
     clearExpiredHashCache
 } from '../utils/storage.js';
 import { getPerformanceMonitor } from '../utils/PerformanceMonitor.js';
@@ -82,6 +84,22 @@ export class CacheManager {
         }
     }
 
+    /**
+     * 지정한 신호등 상태의 분석 결과 캐시 삭제 (차단/허용 목록 변경 시 이전 판정 무효화)
+     * @param {string[]} statuses - 삭제할 상태 (예: ['caution', 'danger'])
+     * @returns {Promise<number>} 삭제된 항목 수
+     */
+    async clearAnalysisResults(statuses) {
+        try {
+            const count = await removeCachedResults(result => statuses.includes(result?.status));
+            console.log(`[CacheManager] 분석 결과 ${count}개 삭제 (${statuses.join(', ')})`);
+            return count;
+        } catch (error) {
+            console.error('[CacheManager] 분석 결과 캐시 삭제 실패:', error);
+            return 0;
+        }
+    }
+
     /**
      * 해시 캐시 조회
      * @param {string} imageUrl - 이미지 URL
@@ -105,6 +123,22 @@ export class CacheManager {
         return null;
     }
 
+    /**
+     * 해시 캐시에 저장된 이미지 해시 조회 (다시 해싱하지 않고 목록 비교에 재사용)
+     * - 회전/반전 변환 해시는 캐시하지 않으므로 원본 방향 해시만 있음
+     * @param {string} imageUrl - 이미지 URL
+     * @returns {Promise<object|null>} { phash, dhash, ahash }
+     */
+    async getCachedHashes(imageUrl) {
+        try {
+            const cached = await getHashCache(imageUrl);
+            return cached?.hashes || null;
+        } catch (error) {
+            console.error('[CacheManager] 해시 캐시 조회 실패:', error);
+            return null;
+        }
+    }
+
     /**
      * 해시 캐시 저장
      * @param {string} imageUrl - 이미지 URL
@@ -121,6 +155,19 @@ export class CacheManager {
         }
     }
 
+    /**
+     * 해시 캐시 전체 초기화 (차단 목록 갱신 시 이전 판정 무효화)
+     * @returns {Promise<void>}
+     */
+    async clearHashCache() {
+        try {
+            await clearHashCache();
+            console.log('[CacheManager] 해시 캐시 초기화 완료');
+        } catch (error) {
+            console.error('[CacheManager] 해시 캐시 초기화 실패:', error);
+        }
+    }
+
     /**
      * 만료된 캐시 정리
      * @returns {Promise<number>} 정리된 항목 수
@@ -480,7 +480,7 @@ export class ImageReportHandler {
      * @returns {Promise<object>}
      */
     async sendToServer(requestBody) {
-        const response = await fetch('https://nsfw.nerdvana.kr/api/report', {
+        const response = await fetch(`${this.nsfwServer.serverUrl}/api/report`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
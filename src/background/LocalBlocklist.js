@@ -0,0 +1,291 @@
+/**
+ * ========================================
+ * 로컬 해시 차단 목록 (오프라인 1차 검증)
+ * ========================================
+ *
+ * 문제점:
+ * - 목록 페이지에서 게시글마다 /api/check/hash 요청 발생
+ * - 서버가 죽으면 1차 검증이 전부 "안전"으로 폴백됨
+ *
+ * 해결책:
+ * - 알려진 유해 이미지 해시를 IndexedDB에 저장
+ * - 메모리에 BK-트리로 색인하여 해밍 거리 반경 검색
+ * - 서버에 묻기 전에 로컬에서 먼저 확인
+ *
+ * 데이터 갱신:
+ * - 시드 파일: 전체 목록 (기존 목록을 통째로 교체)
+ * - 델타 파일: 추가/삭제분만 (baseVersion이 현재 버전과 같아야 적용)
+ *
+ * 파일 형식:
+ * 시드  { version: 3, entries: [{ id, phash, dhash, ahash, category, severity }] }
+ * 델타  { baseVersion: 3, version: 4, added: [{ ... }], removed: [id, ...] }
+ *
+ * 실생활 비유:
+ * "경비실에 붙여둔 수배 전단:
+ *  - 본부(서버)에 전화하기 전에 전단부터 확인
+ *  - 전화가 불통이어도 전단으로 걸러낼 수 있음
+ *  - 새 전단(델타)이 오면 추가/회수"
+ *
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks 서비스 워커 전용 (IndexedDB: KasFreeBlocklistDB)
+ */
+
+import { HashIndex } from '../utils/bkTree.js';
+
+const DB_NAME    = 'KasFreeBlocklistDB';
+const DB_VERSION = 1;
+
+/** 스토어 이름 */
+const STORES = {
+    HASHES: 'hashes',
+    META:   'meta'
+};
+
+/** 항목에 필요한 해시 종류 (하나 이상) */
+const INDEXED_HASH_TYPES = ['phash', 'dhash'];
+
+/** hex 16자 해시 형식 */
+const HASH_PATTERN = /^[0-9a-f]{16}$/i;
+
+/**
+ * 로컬 해시 차단 목록 클래스
+ */
+export class LocalBlocklist {
+    constructor() {
+        this.db      = null;
+        this.version = 0;
+
+        /** 해시 종류별 BK-트리 색인 (값: 차단 목록 항목) */
+        this.index = new HashIndex(INDEXED_HASH_TYPES);
+
+        /** 마지막 갱신 시각 */
+        this.updatedAt = null;
+    }
+
+    /**
+     * DB를 열고 저장된 항목으로 색인을 만든다
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.db) {
+            return;
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => {
+                console.error('[LocalBlocklist] 데이터베이스 열기 실패:', request.error);
+                reject(request.error);
+            };
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(STORES.HASHES)) {
+                    db.createObjectStore(STORES.HASHES, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(STORES.META)) {
+                    db.createObjectStore(STORES.META, { keyPath: 'key' });
+                }
+            };
+        });
+
+        await this.rebuildIndex();
+        console.log(`[LocalBlocklist] 초기화 완료 (v${this.version}, ${this.size}개)`);
+    }
+
+    /**
+     * 차단 목록에 일치하는 해시가 있는지 확인한다
+     *
+     * 원본 + 회전/반전 변환 해시(variants) 전부를 검색하고
+     * 가장 가까운 항목을 반환한다
+     *
+     * @param {object} hashes - { phash, dhash, ahash, variants }
+     * @param {number} threshold - 최대 해밍 거리
+     * @returns {{entry: object, distance: number, hashType: string, transform: string}|null}
+     */
+    check(hashes, threshold) {
+        return this.index.findClosest(hashes, threshold);
+    }
+
+    /**
+     * 항목 수
+     * @returns {number}
+     */
+    get size() {
+        return this.index.size;
+    }
+
+    /**
+     * 시드 파일로 차단 목록 전체를 교체한다
+     * @param {object} seed - { version, entries }
+     * @returns {Promise<{imported: number, skipped: number, version: number}>}
+     */
+    async importSeed(seed) {
+        await this.init();
+
+        if (!seed || !Array.isArray(seed.entries)) {
+            throw new Error('시드 파일 형식이 올바르지 않습니다.');
+        }
+
+        const { valid, skipped } = this.validateEntries(seed.entries);
+        const version            = Number(seed.version) || 1;
+
+        await this.runTransaction('readwrite', (stores) => {
+            stores.hashes.clear();
+            valid.forEach(entry => stores.hashes.put(entry));
+            stores.meta.put({ key: 'version', value: version });
+            stores.meta.put({ key: 'updatedAt', value: Date.now() });
+        });
+
+        await this.rebuildIndex();
+        console.log(`[LocalBlocklist] 시드 적용 완료 (v${version}, ${valid.length}개, 건너뜀 ${skipped}개)`);
+
+        return { imported: valid.length, skipped, version };
+    }
+
+    /**
+     * 델타 파일로 차단 목록을 갱신한다
+     * @param {object} delta - { baseVersion, version, added, removed }
+     * @returns {Promise<{added: number, removed: number, skipped: number, version: number}>}
+     */
+    async applyDelta(delta) {
+        await this.init();
+
+        if (!delta || !delta.version) {
+            throw new Error('델타 파일 형식이 올바르지 않습니다.');
+        }
+
+        /** 델타는 직전 버전 위에만 적용 가능 */
+        if (Number(delta.baseVersion) !== this.version) {
+            throw new Error(`버전이 맞지 않습니다. (현재 v${this.version}, 델타 기준 v${delta.baseVersion})`);
+        }
+
+        const { valid, skipped } = this.validateEntries(delta.added || []);
+        const removed            = Array.isArray(delta.removed) ? delta.removed : [];
+        const version            = Number(delta.version);
+
+        await this.runTransaction('readwrite', (stores) => {
+            removed.forEach(id => stores.hashes.delete(id));
+            valid.forEach(entry => stores.hashes.put(entry));
+            stores.meta.put({ key: 'version', value: version });
+            stores.meta.put({ key: 'updatedAt', value: Date.now() });
+        });
+
+        await this.rebuildIndex();
+        console.log(`[LocalBlocklist] 델타 적용 완료 (v${version}, +${valid.length} -${removed.length})`);
+
+        return { added: valid.length, removed: removed.length, skipped, version };
+    }
+
+    /**
+     * 차단 목록을 비운다
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.init();
+
+        await this.runTransaction('readwrite', (stores) => {
+            stores.hashes.clear();
+            stores.meta.clear();
+        });
+
+        await this.rebuildIndex();
+    }
+
+    /**
+     * 차단 목록 상태를 반환한다
+     * @returns {{version: number, count: number, updatedAt: number|null}}
+     */
+    getStats() {
+        return {
+            version:   this.version,
+            count:     this.size,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * 항목을 검증한다
+     * @param {Array} entries - 원본 항목 배열
+     * @returns {{valid: object[], skipped: number}}
+     */
+    validateEntries(entries) {
+        const valid = [];
+
+        for (const entry of entries) {
+            const hasHash = INDEXED_HASH_TYPES.some(type => HASH_PATTERN.test(entry?.[type] || ''));
+
+            if (!entry || entry.id === undefined || !hasHash) {
+                continue;
+            }
+
+            valid.push({
+                id:       entry.id,
+                phash:    HASH_PATTERN.test(entry.phash || '') ? entry.phash.toLowerCase() : null,
+                dhash:    HASH_PATTERN.test(entry.dhash || '') ? entry.dhash.toLowerCase() : null,
+                ahash:    HASH_PATTERN.test(entry.ahash || '') ? entry.ahash.toLowerCase() : null,
+                category: Math.min(10, Math.max(1, Number(entry.category) || 4)),
+                severity: Math.min(5, Math.max(1, Number(entry.severity) || 5))
+            });
+        }
+
+        return { valid, skipped: entries.length - valid.length };
+    }
+
+    /**
+     * DB의 전체 항목으로 BK-트리를 다시 만든다
+     * (BK-트리는 삭제가 어려우므로 갱신 시 통째로 재구성)
+     * @returns {Promise<void>}
+     */
+    async rebuildIndex() {
+        let entries = [];
+        let meta    = [];
+
+        await this.runTransaction('readonly', (stores) => {
+            stores.hashes.getAll().onsuccess = (event) => {
+                entries = event.target.result || [];
+            };
+            stores.meta.getAll().onsuccess = (event) => {
+                meta = event.target.result || [];
+            };
+        });
+
+        this.index.rebuild(entries);
+
+        const metaMap  = Object.fromEntries(meta.map(item => [item.key, item.value]));
+        this.version   = metaMap.version || 0;
+        this.updatedAt = metaMap.updatedAt || null;
+    }
+
+    /**
+     * 트랜잭션을 실행하고 완료를 기다린다
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {function} callback - (stores) => void
+     * @returns {Promise<void>}
+     */
+    runTransaction(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.HASHES, STORES.META], mode);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror    = () => {
+                console.error('[LocalBlocklist] 트랜잭션 실패:', transaction.error);
+                reject(transaction.error);
+            };
+
+            callback({
+                hashes: transaction.objectStore(STORES.HASHES),
+                meta:   transaction.objectStore(STORES.META)
+            });
+        });
+    }
+}
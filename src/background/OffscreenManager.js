@@ -0,0 +1,121 @@
+/**
+ * ========================================
+ * Offscreen Document 관리자
+ * ========================================
+ *
+ * 문제점:
+ * - 서비스 워커에는 DOM이 없음 (Image, <video>, ImageDecoder 사용 불가)
+ * - 움짤/동영상 프레임 디코딩, NSFW.js(TensorFlow.js) 분석은 문서(Window) 환경이 필요
+ *
+ * 해결책:
+ * - 보이지 않는 Offscreen Document를 필요할 때만 생성
+ * - 이미 있으면 재사용, 동시에 여러 번 요청돼도 한 번만 생성
+ * - 로컬 모델을 끄면 닫아서 모델 메모리 해제
+ * - 메시지에 target: 'offscreen'을 붙여 다른 확장 페이지와 구분
+ *
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks 서비스 워커 전용 (chrome.offscreen API)
+ */
+
+const OFFSCREEN_PATH = 'src/offscreen/offscreen.html';
+
+/**
+ * Offscreen Document 관리자 클래스
+ */
+export class OffscreenManager {
+    constructor() {
+        /** 생성 중인 Promise (중복 생성 방지) */
+        this.creating = null;
+    }
+
+    /**
+     * Offscreen Document가 없으면 생성한다
+     * @returns {Promise<void>}
+     */
+    async ensureDocument() {
+        if (await this.hasDocument()) {
+            return;
+        }
+
+        if (!this.creating) {
+            this.creating = chrome.offscreen.createDocument({
+                url:           OFFSCREEN_PATH,
+                reasons:       ['BLOBS'],
+                justification: '움직이는 이미지/동영상 프레임 디코딩 및 이미지 분석'
+            }).finally(() => {
+                this.creating = null;
+            });
+        }
+
+        await this.creating;
+        console.log('[OffscreenManager] Offscreen Document 생성 완료');
+    }
+
+    /**
+     * Offscreen Document를 닫는다 (로컬 모델 메모리 해제)
+     * @returns {Promise<void>}
+     */
+    async closeDocument() {
+        if (this.creating) {
+            await this.creating;
+        }
+
+        if (!(await this.hasDocument())) {
+            return;
+        }
+
+        await chrome.offscreen.closeDocument();
+        console.log('[OffscreenManager] Offscreen Document 닫힘');
+    }
+
+    /**
+     * Offscreen Document 존재 여부
+     * @returns {Promise<boolean>}
+     */
+    async hasDocument() {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL(OFFSCREEN_PATH)]
+        });
+
+        return contexts.length > 0;
+    }
+
+    /**
+     * Offscreen Document에 메시지를 보내고 응답을 기다린다
+     * @param {object} message - { type, ... }
+     * @param {number} timeout - 제한 시간 (ms)
+     * @returns {Promise<object>}
+     */
+    async sendMessage(message, timeout) {
+        await this.ensureDocument();
+
+        let timerId = null;
+        const timeoutPromise = new Promise((_, reject) => {
+            timerId = setTimeout(() => {
+                reject(new Error(`Offscreen 응답 시간 초과 (${timeout}ms)`));
+            }, timeout);
+        });
+
+        try {
+            const response = await Promise.race([
+                chrome.runtime.sendMessage({ ...message, target: 'offscreen' }),
+                timeoutPromise
+            ]);
+
+            if (!response) {
+                throw new Error('Offscreen 응답이 없습니다.');
+            }
+
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            return response;
+        } finally {
+            clearTimeout(timerId);
+        }
+    }
+}
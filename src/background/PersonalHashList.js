@@ -0,0 +1,238 @@
+/**
+ * ========================================
+ * 개인 해시 목록 (나만의 차단/허용 목록)
+ * ========================================
+ *
+ * 문제점:
+ * - 서버 신고/화이트리스트 요청은 관리자가 승인해야 DB에 반영됨
+ * - 승인 전까지 불쾌한 이미지는 계속 보이고, 오탐 이미지는 계속 가려짐
+ *
+ * 해결책:
+ * - 우클릭 → "나에게 항상 차단/허용"으로 이미지 해시를 로컬에 저장
+ * - 차단 목록: 서버에 묻기 전에 먼저 확인 (서버 DB와 같은 해밍 거리 기준)
+ * - 허용 목록: 모든 검사보다 먼저 확인 → 일치하면 무조건 안전
+ * - 해시로 비교하므로 재업로드/리사이즈된 이미지에도 적용됨
+ *
+ * 저장 항목:
+ * { id, imageUrl, pageUrl, phash, dhash, ahash, category, severity, thumbnail, addedAt }
+ *
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks 서비스 워커 전용 (IndexedDB: KasFreePersonalDB)
+ */
+
+import { HashIndex } from '../utils/bkTree.js';
+
+const DB_NAME    = 'KasFreePersonalDB';
+const DB_VERSION = 2;
+
+/** 개인 목록 종류 (= 스토어 이름) */
+export const PERSONAL_LISTS = {
+    BLOCKLIST: 'blocklist',
+    ALLOWLIST: 'allowlist'
+};
+
+/** hex 16자 해시 형식 */
+const HASH_PATTERN = /^[0-9a-f]{16}$/i;
+
+/**
+ * 개인 해시 목록 클래스
+ */
+export class PersonalHashList {
+    /**
+     * @param {string} storeName - PERSONAL_LISTS 값
+     */
+    constructor(storeName) {
+        this.storeName = storeName;
+        this.db        = null;
+
+        /** 메모리 사본 (목록 화면 표시용) */
+        this.entries = [];
+
+        /** 해시 종류별 BK-트리 색인 */
+        this.index = new HashIndex();
+    }
+
+    /**
+     * DB를 열고 저장된 항목으로 색인을 만든다
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.db) {
+            return;
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => {
+                console.error('[PersonalHashList] 데이터베이스 열기 실패:', request.error);
+                reject(request.error);
+            };
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                /** 모든 개인 목록 스토어를 한 번에 생성 */
+                for (const storeName of Object.values(PERSONAL_LISTS)) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+                    }
+                }
+            };
+        });
+
+        await this.reload();
+        console.log(`[PersonalHashList] ${this.storeName} 초기화 완료 (${this.size}개)`);
+    }
+
+    /**
+     * 목록에 일치하는 해시가 있는지 확인한다
+     * @param {object} hashes - { phash, dhash, ahash, variants }
+     * @param {number} threshold - 최대 해밍 거리
+     * @returns {{entry: object, distance: number, hashType: string, transform: string}|null}
+     */
+    check(hashes, threshold) {
+        return this.index.findClosest(hashes, threshold);
+    }
+
+    /**
+     * pHash와 dHash가 모두 일치하는 항목이 있는지 확인한다 (허용 목록용)
+     * - 허용은 모든 검사를 건너뛰므로 해시 하나만 비슷한 다른 이미지를 통과시키지 않도록 엄격하게 비교
+     * @param {object} hashes - { phash, dhash, ahash, variants }
+     * @param {number} threshold - 해시마다 허용하는 최대 해밍 거리
+     * @returns {{entry: object, distance: number, hashType: string, transform: string}|null}
+     */
+    checkStrict(hashes, threshold) {
+        return this.index.findAgreeing(hashes, threshold);
+    }
+
+    /**
+     * 항목 수
+     * @returns {number}
+     */
+    get size() {
+        return this.index.size;
+    }
+
+    /**
+     * 항목을 추가한다 (같은 해시가 이미 있으면 기존 항목 반환)
+     * @param {object} item - { imageUrl, pageUrl, hashes, thumbnail, category?, severity?, addedAt? }
+     * @returns {Promise<{entry: object, duplicate: boolean}>}
+     */
+    async add(item) {
+        await this.init();
+
+        const existing = this.index.findClosest(item.hashes, 0);
+        if (existing) {
+            return { entry: existing.entry, duplicate: true };
+        }
+
+        const record = {
+            imageUrl:  item.imageUrl,
+            pageUrl:   item.pageUrl || null,
+            phash:     item.hashes.phash,
+            dhash:     item.hashes.dhash,
+            ahash:     item.hashes.ahash,
+            category:  item.category || 4,   // 기본: 혐오 (disturbing)
+            severity:  item.severity || 5,
+            thumbnail: item.thumbnail || null,
+            addedAt:   item.addedAt || Date.now()
+        };
+
+        record.id = await this.request('readwrite', store => store.add(record));
+
+        await this.reload();
+        return { entry: record, duplicate: false };
+    }
+
+    /**
+     * 내보낸 항목을 가져온다 (설정 가져오기용, 같은 해시는 건너뜀)
+     * @param {object[]} entries - list() 형식의 항목 배열
+     * @returns {Promise<{imported: number, skipped: number}>}
+     */
+    async importEntries(entries) {
+        await this.init();
+
+        if (!Array.isArray(entries)) {
+            throw new Error('목록 형식이 올바르지 않습니다.');
+        }
+
+        let imported = 0;
+
+        for (const entry of entries) {
+            if (!HASH_PATTERN.test(entry?.phash || '')) {
+                continue;
+            }
+
+            const hashes = {
+                phash: entry.phash.toLowerCase(),
+                dhash: HASH_PATTERN.test(entry.dhash || '') ? entry.dhash.toLowerCase() : null,
+                ahash: HASH_PATTERN.test(entry.ahash || '') ? entry.ahash.toLowerCase() : null
+            };
+
+            const { duplicate } = await this.add({ ...entry, hashes });
+            if (!duplicate) {
+                imported++;
+            }
+        }
+
+        return { imported, skipped: entries.length - imported };
+    }
+
+    /**
+     * 항목을 삭제한다
+     * @param {number} id - 항목 ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.init();
+        await this.request('readwrite', store => store.delete(id));
+        await this.reload();
+    }
+
+    /**
+     * 전체 항목을 반환한다 (최근 추가 순)
+     * @returns {object[]}
+     */
+    list() {
+        return [...this.entries].sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    /**
+     * DB에서 항목을 다시 읽어 색인을 만든다
+     * @returns {Promise<void>}
+     */
+    async reload() {
+        this.entries = await this.request('readonly', store => store.getAll()) || [];
+        this.index.rebuild(this.entries);
+    }
+
+    /**
+     * 단일 요청을 실행하고 결과를 반환한다
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {function} callback - (store) => IDBRequest
+     * @returns {Promise<any>}
+     */
+    request(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], mode);
+            const store       = transaction.objectStore(this.storeName);
+            const request     = callback(store);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                console.error(`[PersonalHashList] ${this.storeName} 요청 실패:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+}
@@ -35,25 +35,40 @@
 
 import { HashChecker } from '../analyzers/hashChecker.js';        // 이미지 해시로 DB 검사
 import { NsfwjsServerAnalyzer } from '../analyzers/nsfwjsServer.js'; // NSFW 이미지 분석 API
+import { GeminiFlashAnalyzer } from '../analyzers/geminiFlash.js';   // 연결 테스트용
+import { ClaudeHaikuAnalyzer } from '../analyzers/claudeHaiku.js';   // 연결 테스트용
+import { Gpt4oMiniAnalyzer } from '../analyzers/gpt4oMini.js';       // 연결 테스트용
 import {
     getSettings,      // 설정 불러오기
     saveSettings,     // 설정 저장하기
     updateSettings,   // 설정 일부만 수정하기
     getStats,         // 통계 불러오기
-    updateStats       // 통계 업데이트
+    updateStats,      // 통계 업데이트
+    getStorage,       // 저장소에서 값 읽기
+    setStorage        // 저장소에 값 쓰기
 } from '../utils/storage.js';
-import { MESSAGE_TYPES, DEFAULT_SETTINGS } from '../utils/constants.js'; // 상수 정의
-import { imageUrlToBase64 } from '../utils/imageEncoder.js';      // 이미지 URL → Base64 변환
+import { MESSAGE_TYPES, DEFAULT_SETTINGS, POST_IMAGE_LIMITS, HASH_MATCH_THRESHOLD, ANIMATED_FRAME_LIMITS, VIDEO_FRAME_LIMITS, LOCAL_MODEL_TIMEOUT, NSFWJS_MODEL_VARIANTS, STORAGE_KEYS, DEFAULT_SERVER_URL, SCHEDULE_ALARM_NAME } from '../utils/constants.js'; // 상수 정의
+import { imageUrlToBase64, createThumbnailDataUrl } from '../utils/imageEncoder.js'; // 이미지 URL → Base64 변환, 썸네일 생성
 import { logError } from '../utils/errorHandler.js';              // 에러 로깅
 import { generateAllHashes } from '../utils/imageHash.js';        // 이미지 해시 생성
 
 // 최적화 모듈 (성능 향상용)
 import { AdvancedCacheManager } from './AdvancedCacheManager.js';   // LFU 캐싱 (자주 쓰는 데이터 빠르게 가져옴)
-import { AIVerificationHandler } from './AIVerificationHandler.js'; // AI 검증 처리
+import { AIVerificationHandler, isOpenAICompatibleConfigured, resolveProviderModel } from './AIVerificationHandler.js'; // AI 검증 처리
 import { ImageReportHandler } from './ImageReportHandler.js';       // 이미지 신고 처리
 import { ErrorRecoveryManager } from './ErrorRecoveryManager.js';   // 에러 자동 복구
 import { getPerformanceMonitor } from '../utils/PerformanceMonitor.js'; // 성능 측정
 import { getResourceManager } from '../utils/ResourceManager.js';       // 메모리 관리
+import { LocalBlocklist } from './LocalBlocklist.js';                   // 오프라인 해시 차단 목록
+import { OffscreenManager } from './OffscreenManager.js';               // Offscreen Document 관리
+import { detectAnimatedImage } from '../utils/animatedImage.js';        // 움짤 판별
+import { PersonalHashList, PERSONAL_LISTS } from './PersonalHashList.js'; // 나만의 차단 목록
+import '../utils/verdict.js';                                           // 신호등 판정 엔진 (Content Script와 공용)
+import { listProfiles, pickProfileValues, getGalleryIdFromUrl, normalizeGalleryOverride, resolveEffectiveSettings } from '../utils/settingsProfiles.js'; // 판정 프로필 / 갤러리별 설정
+import { findActiveSchedule, getNextScheduleChange } from '../utils/schedules.js'; // 시간대별 일정
+
+// verdict.js는 Content Script에서도 쓰는 일반 스크립트라서 전역(self.KasVerdict)으로 등록됨
+const { applyVerdict, statusFromScore } = self.KasVerdict;
 
 // ========================================
 // 전역 변수 (Global Variables)
@@ -81,6 +96,42 @@ let currentSettings = null;
  */
 let hashChecker = null;
 
+/**
+ * 로컬 해시 차단 목록
+ * - 알려진 유해 이미지 해시를 IndexedDB에 저장 (BK-트리 색인)
+ * - 서버에 묻기 전에 먼저 확인 → 서버가 죽어도 1차 검증 가능
+ */
+let localBlocklist = null;
+
+/**
+ * 나만의 차단 목록
+ * - 우클릭 → "나에게 항상 차단"으로 추가한 이미지 해시
+ * - 서버 승인 없이 내 화면에서만 즉시 차단
+ */
+let personalBlocklist = null;
+
+/**
+ * 나만의 허용 목록
+ * - 우클릭 → "나에게 항상 허용"으로 추가한 이미지 해시
+ * - 모든 검사보다 먼저 확인 → 일치하면 서버 판정과 관계없이 안전
+ */
+let personalAllowlist = null;
+
+/**
+ * Offscreen Document 관리자
+ * - 서비스 워커에 없는 DOM 기능(움짤 디코딩 등)을 대신 처리하는 숨은 문서
+ * - 필요할 때만 생성
+ */
+let offscreenManager = null;
+
+/**
+ * 로컬 모델 TensorFlow.js 백엔드 정보
+ * - Offscreen Document가 벤치마크로 고른 가장 빠른 백엔드를 저장
+ * - 다음 실행부터는 벤치마크 없이 바로 사용
+ * - 예: { backend: 'webgl', source: 'benchmark', fastest: 'webgl', timings: {...} }
+ */
+let tfBackendInfo = null;
+
 /**
  * NSFW 서버 API
  * - 위험한 이미지를 판별하는 AI 서버와 통신
@@ -179,17 +230,59 @@ async function initialize() {
     // ========================================
     // 이미지의 "지문"을 만들어서 DB에 있는지 확인
     // 실제로 이미지를 전송하지 않아도 되므로 빠름 (1차 검증)
-    hashChecker = new HashChecker();
-    console.log('[Kas-Free] Hash Checker 초기화 완료');
+    // 서버 주소는 설정값 사용 (직접 운영하는 서버 지원)
+    hashChecker = new HashChecker(resolveServerUrl(currentSettings));
+    console.log('[Kas-Free] Hash Checker 초기화 완료:', hashChecker.serverUrl);
+
+    // ========================================
+    // 3-1단계: 로컬 해시 차단 목록 초기화
+    // ========================================
+    // IndexedDB에 저장된 차단 목록을 BK-트리로 색인
+    // 실패해도 서버 검사로 동작하므로 초기화를 멈추지 않음
+    localBlocklist = new LocalBlocklist();
+    try {
+        await localBlocklist.init();
+    } catch (error) {
+        console.error('[Kas-Free] 로컬 차단 목록 초기화 실패:', error);
+    }
+
+    // ========================================
+    // 3-2단계: 나만의 차단 목록 초기화
+    // ========================================
+    // 사용자가 직접 추가한 이미지 해시 (서버 DB보다 먼저 확인)
+    personalBlocklist = new PersonalHashList(PERSONAL_LISTS.BLOCKLIST);
+    try {
+        await personalBlocklist.init();
+    } catch (error) {
+        console.error('[Kas-Free] 나만의 차단 목록 초기화 실패:', error);
+    }
+
+    // ========================================
+    // 3-3단계: 나만의 허용 목록 초기화
+    // ========================================
+    // 사용자가 직접 확인한 이미지 해시 (모든 검사보다 먼저 확인)
+    personalAllowlist = new PersonalHashList(PERSONAL_LISTS.ALLOWLIST);
+    try {
+        await personalAllowlist.init();
+    } catch (error) {
+        console.error('[Kas-Free] 나만의 허용 목록 초기화 실패:', error);
+    }
 
     // ========================================
     // 4단계: NSFW 서버 API 초기화
     // ========================================
     // 위험한 이미지를 판별하는 AI 서버와 통신하는 객체
-    // baseUrl 등 설정을 포함
-    nsfwServer = new NsfwjsServerAnalyzer();
+    // serverUrl 등 설정을 포함 (신고/화이트리스트 요청도 이 주소 사용)
+    nsfwServer = new NsfwjsServerAnalyzer(resolveServerUrl(currentSettings));
     console.log('[Kas-Free] NSFW Server API 초기화 완료');
 
+    // ========================================
+    // 4-1단계: Offscreen Document 관리자 초기화
+    // ========================================
+    // 문서는 실제로 필요할 때(움짤 프레임 추출 등) 생성
+    offscreenManager = new OffscreenManager();
+    tfBackendInfo    = await getStorage(STORAGE_KEYS.TF_BACKEND, null);
+
     // ========================================
     // 5단계: 고급 캐시 관리자 초기화 (LFU + TTL)
     // ========================================
@@ -213,7 +306,12 @@ async function initialize() {
     // - GPT-4o-mini (OpenAI)
     // - Claude Haiku (Anthropic)
     // - Gemini Flash (Google)
-    aiVerificationHandler = new AIVerificationHandler(currentSettings, nsfwServer);
+    // AI 응답 형식 오류는 에러 통계(GET_ERROR_STATS)에 기록 (errorRecoveryManager는 7단계에서 생성)
+    aiVerificationHandler = new AIVerificationHandler(
+        currentSettings,
+        nsfwServer,
+        (error, errorType, context) => errorRecoveryManager?.recordError(error, errorType, context)
+    );
     console.log('[Kas-Free] AI Verification Handler 초기화 완료');
 
     // ========================================
@@ -274,6 +372,13 @@ async function initialize() {
         }
     });
 
+    // ========================================
+    // 12단계: 시간대별 일정 알람 예약
+    // ========================================
+    // 다음 일정 경계 시각(시작/종료)에 chrome.alarms가 Service Worker를 깨움
+    // → handleScheduleAlarm()이 열린 탭에 SETTINGS_UPDATED 전송
+    await updateScheduleAlarm();
+
     console.log('[Kas-Free] Service Worker 초기화 완료');
 }
 
@@ -345,18 +450,24 @@ async function handleMessage(message, sender, sendResponse) {
                     fetchPostImage,          // 게시글에서 이미지 추출 함수
                     getOrCreateReporterId    // 신고자 ID 생성 함수
                 );
-                sendResponse(aiResult);
+                // AI 판정도 같은 판정 엔진으로 최종 신호등 결정 (갤러리별 설정 반영)
+                sendResponse(applyVerdict(aiResult, getSettingsForUrl(message.postUrl)));
                 break;
 
             // 설정 조회 요청
+            // effective: true면 시간대별 일정/갤러리별 설정을 적용한 유효 설정 반환 (Content Script)
+            // 팝업/옵션 페이지는 편집해야 하므로 저장된 설정 그대로 반환
             case MESSAGE_TYPES.GET_SETTINGS:
                 const settings = await getSettings();
-                sendResponse(settings);
+                sendResponse(message.effective ? resolveEffectiveSettings(settings, message.galleryId || null) : settings);
                 break;
 
             // 설정 업데이트 요청
+            // replaceManaged: 설정 가져오기만 사용 (파일의 갤러리별 설정/숨긴 작성자로 교체)
             case MESSAGE_TYPES.UPDATE_SETTINGS:
-                await handleUpdateSettings(message.settings);
+                await handleUpdateSettings(message.replaceManaged
+                    ? message.settings
+                    : keepManagedSettings(message.settings));
                 sendResponse({ success: true });
                 break;
 
@@ -369,7 +480,19 @@ async function handleMessage(message, sender, sendResponse) {
             // 성능 메트릭 조회 (대시보드용)
             case 'GET_PERFORMANCE_METRICS':
                 const metrics = await performanceMonitor.getSummary();
-                sendResponse(metrics);
+                sendResponse({ ...metrics, tfBackend: tfBackendInfo });
+                break;
+
+            // Offscreen Document가 TensorFlow.js 백엔드를 선택함
+            case 'TF_BACKEND_SELECTED':
+                await handleTfBackendSelected(message.selection);
+                sendResponse({ success: true });
+                break;
+
+            // 백엔드 다시 측정 (저장된 결과 삭제 후 다음 모델 로드 때 벤치마크)
+            case 'RESET_TF_BACKEND':
+                await handleResetTfBackend();
+                sendResponse({ success: true });
                 break;
 
             // 타임아웃 통계 조회
@@ -416,12 +539,102 @@ async function handleMessage(message, sender, sendResponse) {
                 sendResponse({ success: true });
                 break;
 
+            // 로컬 해시 차단 목록 가져오기 (시드 또는 델타 파일)
+            case 'IMPORT_LOCAL_BLOCKLIST':
+                const importResult = await handleImportLocalBlocklist(message);
+                sendResponse(importResult);
+                break;
+
+            // 로컬 해시 차단 목록 상태 조회
+            case 'GET_LOCAL_BLOCKLIST_STATS':
+                sendResponse(localBlocklist?.getStats() || { version: 0, count: 0, updatedAt: null });
+                break;
+
+            // 로컬 해시 차단 목록 비우기
+            case 'CLEAR_LOCAL_BLOCKLIST':
+                await localBlocklist.clear();
+                await cacheManager.clearHashCache();
+                await invalidatePostVerdicts(LOWERED_VERDICT_STATUSES);
+                sendResponse({ success: true });
+                break;
+
+            // 나만의 차단 목록 조회
+            case 'GET_PERSONAL_BLOCKLIST':
+                sendResponse({ entries: personalBlocklist?.list() || [] });
+                break;
+
+            // 나만의 차단 목록 항목 삭제
+            case 'REMOVE_PERSONAL_BLOCKLIST_ENTRY':
+                await personalBlocklist.remove(message.id);
+                await cacheManager.clearHashCache();
+                await invalidatePostVerdicts(LOWERED_VERDICT_STATUSES);
+                sendResponse({ success: true });
+                break;
+
+            // 나만의 허용 목록 조회
+            case 'GET_PERSONAL_ALLOWLIST':
+                sendResponse({ entries: personalAllowlist?.list() || [] });
+                break;
+
+            // 나만의 허용 목록 항목 삭제
+            case 'REMOVE_PERSONAL_ALLOWLIST_ENTRY':
+                await personalAllowlist.remove(message.id);
+                await cacheManager.clearHashCache();
+                sendResponse({ success: true });
+                break;
+
+            // 나만의 허용 목록 가져오기 (설정 가져오기)
+            case 'IMPORT_PERSONAL_ALLOWLIST':
+                const allowlistImportResult = await handleImportPersonalAllowlist(message.entries);
+                sendResponse(allowlistImportResult);
+                break;
+
             // API 연결 상태 확인
             case 'CHECK_API_STATUS':
                 const status = await handleCheckApiStatus();
                 sendResponse(status);
                 break;
 
+            // 검증 서버 연결 테스트 (옵션 페이지, 저장 전 주소로 검사)
+            case MESSAGE_TYPES.TEST_SERVER_CONNECTION:
+                const serverProbe = await handleTestServerConnection(message.baseUrl);
+                sendResponse(serverProbe);
+                break;
+
+            // 판정 프로필 목록 조회 (팝업/옵션 페이지)
+            case MESSAGE_TYPES.GET_PROFILES:
+                sendResponse(handleGetProfiles());
+                break;
+
+            // 판정 프로필 전환 (팝업에서 한 번에 적용)
+            case MESSAGE_TYPES.APPLY_PROFILE:
+                const profileResult = await handleApplyProfile(message.profileId);
+                sendResponse(profileResult);
+                break;
+
+            // 갤러리별 설정 저장/삭제 (팝업의 "이 갤러리에 적용")
+            case MESSAGE_TYPES.SET_GALLERY_OVERRIDE:
+                const overrideResult = await handleSetGalleryOverride(message.galleryId, message.override);
+                sendResponse(overrideResult);
+                break;
+
+            // 작성자 숨기기/해제 (목록 우클릭 메뉴, 옵션 페이지의 해제 버튼)
+            case MESSAGE_TYPES.SET_AUTHOR_MUTE:
+                const muteResult = await handleSetAuthorMute(message.authorKey, message.author);
+                sendResponse(muteResult);
+                break;
+
+            // 지금 적용 중인 시간대별 일정 (팝업 표시용)
+            case MESSAGE_TYPES.GET_SCHEDULE_STATUS:
+                sendResponse(handleGetScheduleStatus());
+                break;
+
+            // AI 제공자 연결 테스트 (옵션 페이지, 저장 전 설정으로 검사)
+            case MESSAGE_TYPES.TEST_API_CONNECTION:
+                const testResult = await handleTestApiConnection(message.provider, message.config);
+                sendResponse(testResult);
+                break;
+
             // 알 수 없는 메시지 타입
             default:
                 sendResponse({ error: '알 수 없는 메시지 타입' });
@@ -472,6 +685,9 @@ async function handleAnalyzeImage(message) {
     // 구조 분해 할당: message.postNo, message.postUrl을 각각 변수로 추출
     const { postNo, postUrl } = message;
 
+    // 이 게시글의 갤러리에 적용할 설정 (갤러리별 설정이 없으면 전역 설정)
+    const verdictSettings = getSettingsForUrl(postUrl);
+
     // 성능 측정 시작
     // timerId를 저장해뒀다가 나중에 endTimer(timerId)로 종료
     const timerId = performanceMonitor.startTimer('analysis');
@@ -504,7 +720,8 @@ async function handleAnalyzeImage(message) {
         const elapsed = performanceMonitor.endTimer(timerId);
         await performanceMonitor.recordAnalysisTime(elapsed);
 
-        return cachedResult;  // 이전에 분석한 결과 그대로 반환
+        // 캐시 이후 설정(민감도/판정 방식)이 바뀌었을 수 있으므로 판정만 다시 적용
+        return applyVerdict(cachedResult, verdictSettings);
     }
 
     // ========================================
@@ -512,12 +729,16 @@ async function handleAnalyzeImage(message) {
     // ========================================
     try {
         // ========================================
-        // 2-1. 게시글 HTML에서 이미지 URL 추출
+        // 2-1. 게시글 HTML에서 분석 대상 이미지 전체 추출
         // ========================================
-        // 예: <meta property="og:image" content="https://...jpg">
-        const imageUrl = await fetchPostImage(postUrl);
-
-        if (!imageUrl) {
+        // 왜 전부 추출하나요?
+        // - og:image(대표 이미지)만 보면 첫 장은 멀쩡하고
+        //   5번째 이미지가 혐짤인 게시글이 초록불로 통과됨
+        // - 본문의 모든 이미지(디시콘/광고 제외)를 검사해야 안전
+        // (icon_movie 게시글은 썸네일 대신 본문 동영상 프레임도 검사)
+        const { imageUrls, videoUrls, posterUrl } = await fetchPostMedia(postUrl);
+
+        if (imageUrls.length === 0 && videoUrls.length === 0) {
             // 이미지를 찾지 못함 (텍스트만 있는 게시글)
             const elapsed = performanceMonitor.endTimer(timerId);
             await performanceMonitor.recordAnalysisTime(elapsed);
@@ -532,21 +753,16 @@ async function handleAnalyzeImage(message) {
         }
 
         // ========================================
-        // 2-2. 이미지 분석 (1차 + 2차)
-        // ========================================
-        // analyzeImage() 함수가 실제 분석 로직 수행
-        const result = await analyzeImage(imageUrl, postUrl);
-
-        // ========================================
-        // 2-3. 결과에 imageUrl 추가
+        // 2-2. 이미지 전체 분석 (1차 + 2차) → 최악의 결과 선택
         // ========================================
-        // 왜 추가하나요?
-        // - 나중에 AI 재검증할 때 이미지 URL이 필요
-        // - result 객체에 포함시켜서 함께 캐시에 저장
-        result.imageUrl = imageUrl;
+        // analyzePostImages() 함수가 이미지마다 analyzeImage()를 실행하고
+        // 가장 위험한 이미지의 결과에 이미지별 내역(images)을 붙여서 반환
+        // (result.imageUrl에는 가장 위험한 이미지 URL이 들어감
+        //  → 나중에 AI 재검증할 때 그 이미지를 검사)
+        const result = await analyzePostImages(imageUrls, postUrl, videoUrls, posterUrl);
 
         // ========================================
-        // 2-4. 결과를 캐시에 저장
+        // 2-3. 결과를 캐시에 저장
         // ========================================
         // 다음에 같은 게시글을 보면 캐시에서 바로 가져옴
         await cacheManager.setAnalysisResult(postUrl, result);
@@ -555,7 +771,8 @@ async function handleAnalyzeImage(message) {
         const elapsed = performanceMonitor.endTimer(timerId);
         await performanceMonitor.recordAnalysisTime(elapsed);
 
-        return result;
+        // buildFinalResult()는 전역 설정으로 판정하므로 갤러리별 설정으로 다시 판정
+        return applyVerdict(result, verdictSettings);
 
     } catch (error) {
         // ========================================
@@ -576,7 +793,7 @@ async function handleAnalyzeImage(message) {
             if (recovery.success && recovery.data) {
                 const elapsed = performanceMonitor.endTimer(timerId);
                 await performanceMonitor.recordAnalysisTime(elapsed);
-                return recovery.data;  // 복구된 데이터 반환
+                return applyVerdict(recovery.data, verdictSettings);  // 복구된 데이터에 현재 설정으로 판정
             }
         }
 
@@ -594,6 +811,269 @@ async function handleAnalyzeImage(message) {
     }
 }
 
+/**
+ * ========================================
+ * 게시글 다중 이미지 분석 함수
+ * ========================================
+ *
+ * 게시글의 모든 이미지를 analyzeImage()로 검사하고
+ * "가장 위험한 이미지" 기준으로 최종 판정
+ *
+ * 왜 최악의 결과 기준인가요?
+ * - 이미지 10장 중 1장만 혐짤이어도 게시글은 위험함
+ * - 평균을 내면 멀쩡한 9장에 묻혀서 초록불이 됨
+ *
+ * 동시 분석 수 제한 (POST_IMAGE_LIMITS.CONCURRENCY):
+ * - 이미지 20장을 한꺼번에 요청하면 서버/네트워크 부담
+ * - 3장씩 나눠서 분석
+ *
+ * 반환 객체 구조 (buildFinalResult 결과 + 아래 필드):
+ * {
+ *   imageUrl: '...',         // 판정 기준 이미지 URL (동영상이 기준이면 null)
+ *   videoUrl: null,          // 판정 기준 동영상 URL (이미지가 기준이면 null)
+ *   mediaType: 'image',      // 판정 기준 미디어 종류 ('image' | 'video')
+ *   imageIndex: 4,           // 판정 기준 순번 (0부터, 이미지 → 동영상 순)
+ *   imageCount: 7,           // 분석한 이미지/동영상 수
+ *   images: [                // 미디어별 내역 (이미지 → 동영상 순)
+ *     { index: 0, imageUrl: '...', mediaType: 'image', status: 'safe', riskScore: 0, source: 'hash-db' },
+ *     ...
+ *   ]
+ * }
+ *
+ * @param {string[]} imageUrls - 이미지 URL 배열 (본문 순서)
+ * @param {string} postUrl - 게시글 URL
+ * @param {string[]} [videoUrls=[]] - 동영상 URL 배열 (이미지 뒤에 분석)
+ * @param {string|null} [posterUrl=null] - 동영상 썸네일(og:image), 동영상 분석이 모두 실패하면 대신 분석
+ * @returns {Promise<object>} 최종 분석 결과
+ */
+async function analyzePostImages(imageUrls, postUrl, videoUrls = [], posterUrl = null) {
+    // 너무 많은 미디어는 앞쪽부터 최대 개수까지만 분석
+    const targets = [
+        ...imageUrls.map(url => ({ url, mediaType: 'image' })),
+        ...videoUrls.map(url => ({ url, mediaType: 'video' }))
+    ].slice(0, POST_IMAGE_LIMITS.MAX_IMAGES);
+    const results = new Array(targets.length);
+
+    const analyzeTarget = async (target, index) => {
+        try {
+            results[index] = target.mediaType === 'video'
+                ? await analyzeVideo(target.url)
+                : await analyzeImage(target.url, postUrl);
+        } catch (error) {
+            // 이미지 1장 실패가 게시글 전체 분석을 멈추지 않도록
+            logError(`이미지 분석 (${index + 1}번째)`, error, currentSettings.debugMode);
+            results[index] = {
+                status: 'error',
+                riskScore: 0,
+                categories: {},
+                error: error.message || '이미지 분석에 실패했습니다.',
+                timestamp: Date.now()
+            };
+        }
+    };
+
+    // ========================================
+    // CONCURRENCY개씩 나눠서 분석
+    // ========================================
+    for (let i = 0; i < targets.length; i += POST_IMAGE_LIMITS.CONCURRENCY) {
+        const batch = targets.slice(i, i + POST_IMAGE_LIMITS.CONCURRENCY);
+        await Promise.all(batch.map((target, offset) => analyzeTarget(target, i + offset)));
+    }
+
+    // ========================================
+    // 동영상 분석이 모두 실패하면 썸네일로 폴백
+    // ========================================
+    // 용량 초과/시간 초과/디코딩 실패로 동영상을 못 보면
+    // 동영상만 있는 게시글이 오류로 끝나므로 최소한 썸네일(og:image)은 검사
+    const videoResults = results.filter((result, index) => targets[index].mediaType === 'video');
+    const videosFailed = videoResults.length > 0 && videoResults.every(result => result.status === 'error');
+
+    if (videosFailed && posterUrl && !targets.some(target => target.url === posterUrl)) {
+        console.log('[Kas-Free] 동영상 분석 실패, 썸네일로 대신 분석:', posterUrl);
+        targets.push({ url: posterUrl, mediaType: 'image' });
+        await analyzeTarget(targets[targets.length - 1], targets.length - 1);
+    }
+
+    // ========================================
+    // 가장 위험한 이미지 선택
+    // ========================================
+    const worstIndex = findWorstResultIndex(results);
+    const worst      = results[worstIndex];
+
+    console.log(`[Kas-Free] 게시글 이미지 ${targets.length}장 분석 완료, 판정 기준: ${worstIndex + 1}번째`);
+
+    // 동영상이 기준이면 imageUrl은 비워둠 (AI 재검증은 대표 이미지로 폴백)
+    const worstTarget = targets[worstIndex];
+
+    return {
+        ...worst,
+        imageUrl: worstTarget.mediaType === 'image' ? worstTarget.url : null,
+        videoUrl: worstTarget.mediaType === 'video' ? worstTarget.url : null,
+        mediaType: worstTarget.mediaType,
+        imageIndex: worstIndex,
+        imageCount: targets.length,
+        images: results.map((result, index) => ({
+            index,
+            imageUrl: targets[index].url,
+            mediaType: targets[index].mediaType,
+            status: result.status,
+            riskScore: result.riskScore || 0,
+            source: result.source || 'unknown'
+        }))
+    };
+}
+
+/**
+ * 분석 결과 배열에서 가장 위험한 결과의 인덱스를 찾는다
+ *
+ * 우선순위: danger > caution > safe > error
+ * 같은 상태끼리는 riskScore가 높은 쪽, 그래도 같으면 앞쪽 이미지
+ *
+ * @param {object[]} results - analyzeImage() 결과 배열
+ * @returns {number} 인덱스
+ */
+function findWorstResultIndex(results) {
+    const rank = { error: 0, safe: 1, caution: 2, danger: 3 };
+    let worstIndex = 0;
+
+    for (let i = 1; i < results.length; i++) {
+        const current = results[i];
+        const worst   = results[worstIndex];
+
+        const currentRank = rank[current.status] ?? 0;
+        const worstRank   = rank[worst.status] ?? 0;
+
+        if (currentRank > worstRank ||
+            (currentRank === worstRank && (current.riskScore || 0) > (worst.riskScore || 0))) {
+            worstIndex = i;
+        }
+    }
+
+    return worstIndex;
+}
+
+/**
+ * 움직이는 이미지(GIF/WebP/APNG)를 여러 프레임으로 나눠 분석한다
+ *
+ * 처리 과정:
+ * 1. 파일 앞부분만 읽어 애니메이션 여부 확인 (정지 이미지면 null)
+ * 2. Offscreen Document에서 균등 간격 + 장면 전환 프레임 추출
+ * 3. 프레임마다 해시/2차 검증 (순차 처리로 부하 제한)
+ * 4. 가장 위험한 프레임의 결과 + 프레임 번호 반환
+ *
+ * @param {string} imageUrl - 이미지 URL
+ * @returns {Promise<object|null>} 최종 분석 결과 (움짤이 아니거나 추출 실패 시 null → 정지 이미지로 분석)
+ */
+async function analyzeAnimatedImage(imageUrl) {
+    let frameData;
+
+    try {
+        const detection = await detectAnimatedImage(imageUrl);
+        if (!detection.animated) {
+            return null;
+        }
+
+        const sampleCount = Math.min(
+            ANIMATED_FRAME_LIMITS.MAX_SAMPLES,
+            Math.max(ANIMATED_FRAME_LIMITS.MIN_SAMPLES, currentSettings.animatedFrames.sampleCount || 1)
+        );
+
+        frameData = await offscreenManager.sendMessage({
+            type:             'EXTRACT_ANIMATED_FRAMES',
+            imageUrl:         imageUrl,
+            mimeType:         detection.mimeType,
+            sampleCount:      sampleCount,
+            maxSceneChanges:  ANIMATED_FRAME_LIMITS.MAX_SCENE_CHANGES,
+            sceneChangeDiff:  ANIMATED_FRAME_LIMITS.SCENE_CHANGE_DIFF,
+            maxScannedFrames: ANIMATED_FRAME_LIMITS.MAX_SCANNED_FRAMES,
+            frameMaxSize:     ANIMATED_FRAME_LIMITS.FRAME_MAX_SIZE
+        }, ANIMATED_FRAME_LIMITS.TIMEOUT);
+    } catch (error) {
+        // 프레임 추출 실패 → 기존처럼 첫 프레임(정지 이미지)으로 분석
+        logError('움짤 프레임 추출', error, currentSettings.debugMode);
+        return null;
+    }
+
+    const frames = frameData.frames || [];
+    if (frames.length === 0) {
+        return null;
+    }
+
+    const { result, frame } = await analyzeFrames(frames, '움짤');
+
+    console.log(`[Kas-Free] 움짤 프레임 ${frames.length}개 분석 완료 (전체 ${frameData.frameCount}프레임), 판정 기준: ${frame.index}번 프레임`);
+
+    return {
+        ...result,
+        frameIndex:    frame.index,
+        frameReason:   frame.reason,
+        frameCount:    frameData.frameCount,
+        sampledFrames: frames.length
+    };
+}
+
+/**
+ * 동영상(mp4/webm)에서 여러 시점의 프레임을 뽑아 분석한다
+ *
+ * 처리 과정:
+ * 1. Offscreen Document의 <video>로 동영상을 불러와 균등 간격 시점으로 이동
+ * 2. 시점마다 프레임을 캡처 (JPEG Data URI)
+ * 3. 프레임마다 해시/2차 검증 → 가장 위험한 프레임으로 판정
+ *
+ * @param {string} videoUrl - 동영상 URL
+ * @returns {Promise<object>} 최종 분석 결과 (+ frameTime, videoDuration, sampledFrames)
+ */
+async function analyzeVideo(videoUrl) {
+    const frameData = await offscreenManager.sendMessage({
+        type:         'EXTRACT_VIDEO_FRAMES',
+        videoUrl:     videoUrl,
+        sampleCount:  VIDEO_FRAME_LIMITS.SAMPLES,
+        maxBytes:     VIDEO_FRAME_LIMITS.MAX_BYTES,
+        frameMaxSize: VIDEO_FRAME_LIMITS.FRAME_MAX_SIZE,
+        seekTimeout:  VIDEO_FRAME_LIMITS.SEEK_TIMEOUT
+    }, VIDEO_FRAME_LIMITS.TIMEOUT);
+
+    const frames = frameData.frames || [];
+    if (frames.length === 0) {
+        throw new Error('동영상에서 프레임을 추출하지 못했습니다.');
+    }
+
+    const { result, frame } = await analyzeFrames(frames, '동영상');
+
+    console.log(`[Kas-Free] 동영상 프레임 ${frames.length}개 분석 완료, 판정 기준: ${frame.time.toFixed(1)}초 지점`);
+
+    return {
+        ...result,
+        frameIndex:    frame.index,
+        frameTime:     frame.time,
+        videoDuration: frameData.duration,
+        sampledFrames: frames.length
+    };
+}
+
+/**
+ * 추출한 프레임을 하나씩 분석하고 가장 위험한 프레임을 고른다
+ * (프레임 Data URI는 해시 캐시에 저장하지 않음, 순차 처리로 부하 제한)
+ * @param {Array<{index: number, dataUrl: string}>} frames - 추출 프레임
+ * @param {string} label - 로그용 이름 ('움짤', '동영상')
+ * @returns {Promise<{result: object, frame: object}>}
+ */
+async function analyzeFrames(frames, label) {
+    const results = [];
+
+    for (const frame of frames) {
+        try {
+            results.push(await analyzeStillImage(frame.dataUrl, null, { useHashCache: false }));
+        } catch (error) {
+            logError(`${label} 프레임 분석 (${frame.index}번)`, error, currentSettings.debugMode);
+            results.push({ status: 'error', riskScore: 0, categories: {}, timestamp: Date.now() });
+        }
+    }
+
+    const worstIndex = findWorstResultIndex(results);
+    return { result: results[worstIndex], frame: frames[worstIndex] };
+}
+
 /**
  * ========================================
  * 이미지 분석 함수 (2단계 검증)
@@ -606,6 +1086,10 @@ async function handleAnalyzeImage(message) {
  * ├─ DB에 같은 해시가 있는지 확인
  * └─ 결과: { matched: true/false, riskScore: 0~100 }
  *
+ * 1-1단계: 로컬 AI 모델 (NSFW.js, 설정에서 켠 경우에만)
+ * ├─ 1단계에서 SAFE(해시 미매칭) 판정 시에만
+ * └─ Offscreen Document에서 분석 (이미지 외부 전송 X)
+ *
  * 2단계: 이미지 전송 (느림, 데이터 대량) - 조건부
  * ├─ 1단계에서 CAUTION(주황) 또는 DANGER(빨강) 판정 시에만
  * ├─ 실제 이미지를 Base64로 인코딩하여 서버 전송
@@ -625,6 +1109,54 @@ async function analyzeImage(imageUrl, pageUrl = null) {
     // 1차, 2차 검증 결과를 저장할 변수
     let primaryResult = null;    // 해시 검사 결과
     let secondaryResult = null;  // 이미지 전송 검사 결과 (필요시에만)
+    let hashes = null;           // 허용 목록 확인에 쓴 해시 (1차 검증에서 재사용)
+
+    // ========================================
+    // 0차: 나만의 허용 목록 확인
+    // ========================================
+    // 사용자가 직접 "항상 허용"한 이미지는 캐시/서버 판정보다 우선
+    // 목록이 비어 있으면 해싱 비용을 들이지 않음, 해시 캐시에 있으면 캐시된 해시로 비교
+    // 허용은 모든 검사를 건너뛰므로 pHash와 dHash가 모두 일치해야 함 (checkStrict)
+    if (personalAllowlist?.size > 0) {
+        try {
+            const allowHashes = await cacheManager.getCachedHashes(imageUrl)
+                || (hashes = await generateHashesAsync(imageUrl));
+
+            const allowMatch = personalAllowlist.checkStrict(allowHashes, HASH_MATCH_THRESHOLD);
+            if (allowMatch) {
+                console.log('[Kas-Free] 나만의 허용 목록 매칭:', imageUrl);
+                return buildFinalResult(buildAllowlistResult(allowMatch), null, 'safe');
+            }
+        } catch (error) {
+            logError('허용 목록 검사', error, currentSettings.debugMode);
+        }
+    }
+
+    // ========================================
+    // 0-1차: 움직이는 이미지 (GIF/WebP/APNG)
+    // ========================================
+    // 첫 프레임만 보면 중간에 나오는 위험한 장면을 놓침
+    // → 여러 프레임을 각각 검사하고 가장 위험한 프레임으로 판정
+    if (currentSettings.animatedFrames?.enabled) {
+        const animatedResult = await analyzeAnimatedImage(imageUrl);
+        if (animatedResult) {
+            return animatedResult;
+        }
+    }
+
+    return analyzeStillImage(imageUrl, hashes);
+}
+
+/**
+ * 정지 이미지(또는 움짤에서 뽑은 프레임 하나)를 1차/2차 검증한다
+ * @param {string} imageUrl - 이미지 URL 또는 프레임 Data URI
+ * @param {object|null} [hashes=null] - 이미 생성한 해시
+ * @param {object} [options] - { useHashCache } (프레임 Data URI는 캐시하지 않음)
+ * @returns {Promise<object>} 최종 분석 결과 { status, riskScore, categories, primary, secondary }
+ */
+async function analyzeStillImage(imageUrl, hashes = null, { useHashCache = true } = {}) {
+    let primaryResult = null;    // 해시 검사 결과
+    let secondaryResult = null;  // 이미지 전송 검사 결과 (필요시에만)
 
     // ========================================
     // 1차 검증: 해시만 전송 (POST /api/check/hash)
@@ -633,7 +1165,7 @@ async function analyzeImage(imageUrl, pageUrl = null) {
     // - 해시 검사가 실패해도 프로그램이 멈추지 않도록
     // - 실패해도 2차 검증으로 넘어감 (보험)
     try {
-        primaryResult = await analyzeImageWithHash(imageUrl);
+        primaryResult = await analyzeImageWithHash(imageUrl, hashes, { useHashCache });
         console.log('[Kas-Free] 1차 검증 결과 (Hash):', primaryResult);
     } catch (error) {
         // 에러 로깅 (디버그 모드일 때만 상세 로그)
@@ -645,12 +1177,11 @@ async function analyzeImage(imageUrl, pageUrl = null) {
     // ========================================
     if (primaryResult) {
         // ========================================
-        // riskScore → 신호등 색상 변환
+        // riskScore → 신호등 색상 변환 (2차 검증 여부 결정용)
         // ========================================
-        // determineStatus() 함수 사용
-        // - riskScore 0~29: 'safe' (초록)
-        // - riskScore 30~49: 'caution' (주황)
-        // - riskScore 50~100: 'danger' (빨강)
+        // determineStatus() 함수 사용 (원본 점수 + 사용자 임계값)
+        // - 기본값: 0.3 미만 'safe', 0.6 미만 'caution', 그 이상 'danger'
+        // - 최종 신호등은 buildFinalResult()에서 판정 엔진이 결정
         const status = determineStatus(primaryResult.riskScore);
 
         // 디버깅용 로그
@@ -662,8 +1193,14 @@ async function analyzeImage(imageUrl, pageUrl = null) {
         // ========================================
         // 케이스 1: 안전 (초록 신호등)
         // ========================================
-        // 1차 검증만으로 충분 → 바로 종료
+        // 해시 DB에 없음 → 로컬 모델이 켜져 있으면 한 번 더 검사
+        // 로컬 모델이 꺼져 있거나 실패하면 1차 검증만으로 종료
         if (status === 'safe') {
+            const localResult = await analyzeWithLocalModel(imageUrl);
+            if (localResult) {
+                return buildFinalResult(primaryResult, localResult, determineStatus(localResult.riskScore));
+            }
+
             console.log('[Kas-Free] 안전 → 검증 완료');
             return buildFinalResult(primaryResult, null, status);
         }
@@ -759,21 +1296,137 @@ async function analyzeImage(imageUrl, pageUrl = null) {
         matched: false
     };
 
+    // 해시 검사가 실패해도 로컬 모델은 서버 없이 판정 가능
+    const localResult = await analyzeWithLocalModel(imageUrl);
+    if (localResult) {
+        return buildFinalResult(safeFallbackResult, localResult, determineStatus(localResult.riskScore));
+    }
+
     return buildFinalResult(safeFallbackResult, null, 'safe');
 }
 
+/**
+ * 로컬 AI 모델(NSFW.js)로 이미지를 분석한다
+ *
+ * 왜 Offscreen Document에서 하나요?
+ * - TensorFlow.js는 캔버스/WebGL이 필요한데 서비스 워커에는 DOM이 없음
+ * - 이미지는 Offscreen Document가 직접 받아서 분석 (외부 전송 X)
+ *
+ * @param {string} imageUrl - 이미지 URL 또는 프레임 Data URI
+ * @returns {Promise<object|null>} 분석 결과 (꺼져 있거나 실패하면 null)
+ */
+async function analyzeWithLocalModel(imageUrl) {
+    if (!currentSettings.localModel?.enabled) {
+        return null;
+    }
+
+    try {
+        const result = await offscreenManager.sendMessage({
+            type:        'ANALYZE_IMAGE_NSFWJS',
+            imageUrl,
+            model:       getLocalModelConfig(),
+            sensitivity: currentSettings.sensitivity
+        }, LOCAL_MODEL_TIMEOUT);
+
+        console.log('[Kas-Free] 로컬 모델 검증 결과 (NSFW.js):', result);
+        return result;
+    } catch (error) {
+        logError('로컬 모델 검사', error, currentSettings.debugMode);
+        return null;
+    }
+}
+
+/**
+ * 설정에서 선택한 번들 모델 정보를 만든다
+ *
+ * 왜 서비스 워커에서 URL을 만드나요?
+ * - 모델 목록(NSFWJS_MODEL_VARIANTS)은 ES 모듈 상수라서 Offscreen 스크립트에서 import 불가
+ * - chrome.runtime.getURL로 확장 프로그램 내부 경로를 절대 URL로 변환
+ *
+ * @returns {{variant: string, url: string, size: number}}
+ */
+function getLocalModelConfig() {
+    const variant = NSFWJS_MODEL_VARIANTS[currentSettings.localModel?.variant]
+        ? currentSettings.localModel.variant
+        : DEFAULT_SETTINGS.localModel.variant;
+    const config  = NSFWJS_MODEL_VARIANTS[variant];
+
+    return {
+        variant,
+        url:     chrome.runtime.getURL(`${config.path}model.json`),
+        size:    config.size,
+        backend: {
+            forced:    currentSettings.localModel?.backend || 'auto',
+            preferred: tfBackendInfo?.fastest || null
+        }
+    };
+}
+
+/**
+ * Offscreen Document가 선택한 백엔드를 저장한다
+ *
+ * 저장 항목:
+ * - backend/source: 현재 사용 중인 백엔드와 선택 방식 (forced/stored/benchmark)
+ * - fastest/timings: 마지막 벤치마크 결과 (강제 지정 중에도 유지)
+ *
+ * @param {object} selection - { backend, source, timings, error }
+ */
+async function handleTfBackendSelected(selection) {
+    if (!selection?.backend) {
+        return;
+    }
+
+    tfBackendInfo = {
+        ...tfBackendInfo,
+        backend:   selection.backend,
+        source:    selection.source,
+        error:     selection.error || null,
+        updatedAt: Date.now()
+    };
+
+    if (selection.source === 'benchmark') {
+        tfBackendInfo.fastest       = selection.backend;
+        tfBackendInfo.timings       = selection.timings;
+        tfBackendInfo.benchmarkedAt = Date.now();
+    }
+
+    await setStorage(STORAGE_KEYS.TF_BACKEND, tfBackendInfo);
+    console.log('[Kas-Free] TensorFlow.js 백엔드:', tfBackendInfo);
+}
+
+/**
+ * 저장된 백엔드 측정 결과를 지우고 Offscreen Document를 닫는다
+ * - 다음 로컬 모델 분석 때 다시 벤치마크
+ */
+async function handleResetTfBackend() {
+    tfBackendInfo = null;
+    await setStorage(STORAGE_KEYS.TF_BACKEND, null);
+    await offscreenManager.closeDocument();
+}
+
 /**
  * 이미지 해시로 DB를 검사한다
+ *
+ * 검사 순서:
+ * 1. 해시 캐시
+ * 2. 나만의 차단 목록 → 로컬 차단 목록 (네트워크 없이 판정)
+ * 3. 서버 해시 DB (/api/check/hash)
+ *    - 서버 실패 시 로컬 차단 목록이 있으면 로컬 결과(미매칭)로 대체
+ *
  * @param {string} imageUrl - 이미지 URL
+ * @param {object|null} [precomputedHashes=null] - 이미 생성한 해시 (허용 목록 확인 시)
+ * @param {object} [options] - { useHashCache } (false면 캐시 조회/저장 생략)
  * @returns {Promise<object>}
  */
-async function analyzeImageWithHash(imageUrl) {
+async function analyzeImageWithHash(imageUrl, precomputedHashes = null, { useHashCache = true } = {}) {
     const hashTimerId = performanceMonitor.startTimer('hash');
     const apiTimerId  = performanceMonitor.startTimer('api');
 
+    let hashes = null;
+
     try {
         // 캐시 확인
-        const cached = await cacheManager.getHashResult(imageUrl);
+        const cached = useHashCache ? await cacheManager.getHashResult(imageUrl) : null;
         if (cached) {
             console.log('[Kas-Free] 해시 캐시 히트:', imageUrl);
             performanceMonitor.endTimer(hashTimerId);
@@ -784,38 +1437,107 @@ async function analyzeImageWithHash(imageUrl) {
         // reporterId 가져오기
         const reporterId = await getOrCreateReporterId();
 
-        // 이미지 해시 생성 (WebWorker 사용 또는 폴백)
+        // 이미지 해시 생성 (WebWorker 사용 또는 폴백, 이미 있으면 재사용)
         console.log('[Kas-Free] 이미지 해싱 시작:', imageUrl);
-        const hashes = await generateHashesAsync(imageUrl);
+        hashes = precomputedHashes || await generateHashesAsync(imageUrl);
         console.log('[Kas-Free] 해시 생성 완료:', hashes);
 
         const hashElapsed = performanceMonitor.endTimer(hashTimerId);
         await performanceMonitor.recordHashTime(hashElapsed);
 
-        // 해시로 DB 검사
-        const result = await hashChecker.check(hashes, 10, reporterId);
-        console.log('[Kas-Free] 해시 검사 완료:', result);
+        // 나만의 차단 목록 → 로컬 차단 목록 순서로 먼저 확인 (매칭되면 서버 요청 생략)
+        const personalMatch = personalBlocklist?.check(hashes, HASH_MATCH_THRESHOLD);
+        const localMatch    = personalMatch || localBlocklist?.check(hashes, HASH_MATCH_THRESHOLD);
+        if (localMatch) {
+            const localResult = buildLocalMatchResult(
+                localMatch,
+                personalMatch ? 'personal-blocklist' : 'local-blocklist'
+            );
+            console.log('[Kas-Free] 로컬 차단 목록 매칭:', localResult);
 
-        const apiElapsed = performanceMonitor.endTimer(apiTimerId);
-        await performanceMonitor.recordApiTime(apiElapsed, false);
+            performanceMonitor.endTimer(apiTimerId);
+            if (useHashCache) {
+                await cacheManager.setHashResult(imageUrl, hashes, localResult);
+            }
+            return localResult;
+        }
+
+        // 해시로 DB 검사
+        const result = await hashChecker.check(hashes, HASH_MATCH_THRESHOLD, reporterId);
+        console.log('[Kas-Free] 해시 검사 완료:', result);
+
+        const apiElapsed = performanceMonitor.endTimer(apiTimerId);
+        await performanceMonitor.recordApiTime(apiElapsed, false);
 
         // 캐시 저장
-        await cacheManager.setHashResult(imageUrl, hashes, result);
+        if (useHashCache) {
+            await cacheManager.setHashResult(imageUrl, hashes, result);
+        }
 
         return result;
     } catch (error) {
         console.error('[Kas-Free] 해시 검사 실패:', error);
 
-        const hashElapsed = performanceMonitor.endTimer(hashTimerId);
-        await performanceMonitor.recordHashTime(hashElapsed);
+        // 해시 생성 전에 실패했으면 해시 타이머도 종료
+        if (!hashes) {
+            const hashElapsed = performanceMonitor.endTimer(hashTimerId);
+            await performanceMonitor.recordHashTime(hashElapsed);
+        }
 
         const apiElapsed = performanceMonitor.endTimer(apiTimerId);
         await performanceMonitor.recordApiTime(apiElapsed, true);
 
+        // 서버 실패 + 로컬 차단 목록 보유 → 로컬에서 매칭 안 됨으로 판정 (캐시 X)
+        if (hashes && localBlocklist?.size > 0) {
+            console.log('[Kas-Free] 서버 검사 실패, 로컬 차단 목록 결과 사용');
+            return {
+                ...hashChecker.transformResult({ matched: false }),
+                source:  'local-blocklist',
+                offline: true
+            };
+        }
+
         throw error;
     }
 }
 
+/**
+ * 로컬 차단 목록 매칭 결과를 서버 해시 검사와 같은 형식으로 변환한다
+ * @param {object} match - LocalBlocklist/PersonalHashList.check() 결과
+ * @param {string} source - 'local-blocklist' | 'personal-blocklist'
+ * @returns {object}
+ */
+function buildLocalMatchResult(match, source) {
+    const result = hashChecker.transformResult({
+        matched:   true,
+        matchType: match.hashType,
+        transform: match.transform,
+        distance:  match.distance,
+        image: {
+            id:       match.entry.id,
+            category: match.entry.category,
+            severity: match.entry.severity
+        }
+    });
+
+    return { ...result, source };
+}
+
+/**
+ * 나만의 허용 목록 매칭 결과를 "안전" 해시 검사 결과로 변환한다
+ * @param {object} match - PersonalHashList.check() 결과
+ * @returns {object}
+ */
+function buildAllowlistResult(match) {
+    return {
+        ...hashChecker.transformResult({ matched: false }),
+        source:      'personal-allowlist',
+        allowlisted: true,
+        matchType:   match.transform,
+        distance:    match.distance
+    };
+}
+
 /**
  * 이미지 해시를 비동기로 생성한다 (WebWorker 사용)
  * @param {string} imageUrl - 이미지 URL
@@ -895,55 +1617,24 @@ async function generateHashesWithWorker(imageUrl) {
 
 /**
  * ========================================
- * 위험 점수 → 신호등 색상 변환 함수
+ * 위험 점수 → 신호등 색상 변환 함수 (2차 검증 여부 결정용)
  * ========================================
  *
- * riskScore (0~100)를 사용자가 설정한 민감도에 따라
- * 신호등 색상 (safe/caution/danger)으로 변환
+ * 서버/로컬 모델의 원본 riskScore (0.0~1.0)를 사용자 임계값과 비교
+ * - 이 값으로는 "이미지를 보내 정밀 검사할지"만 결정
+ * - 사용자에게 보여줄 최종 신호등은 buildFinalResult()에서
+ *   판정 엔진(verdict.js)이 민감도/판정 방식까지 적용해서 결정
  *
- * 예시 (기본 민감도):
- * - riskScore 0~29   → 'safe' (초록)
- * - riskScore 30~49  → 'caution' (주황)
- * - riskScore 50~100 → 'danger' (빨강)
+ * 예시 (기본 임계값 safeMax 0.3, cautionMax 0.6):
+ * - riskScore 0.2 → 'safe' (초록)
+ * - riskScore 0.4 → 'caution' (주황)
+ * - riskScore 0.8 → 'danger' (빨강)
  *
- * 예시 (민감도 낮음):
- * - riskScore 0~49   → 'safe' (초록)
- * - riskScore 50~69  → 'caution' (주황)
- * - riskScore 70~100 → 'danger' (빨강)
- *
- * 왜 사용자 설정을 따르나요?
- * - 사람마다 민감도가 다름
- * - 예: 학생은 민감도 높게, 성인은 민감도 낮게
- *
- * @param {number} riskScore - 위험 점수 (0~100)
+ * @param {number} riskScore - 위험 점수 (0.0~1.0)
  * @returns {string} 신호등 상태 ('safe' | 'caution' | 'danger')
  */
 function determineStatus(riskScore) {
-    // ========================================
-    // 현재 설정에서 임계값 가져오기
-    // ========================================
-    // 구조 분해 할당으로 safeMax, cautionMax 추출
-    // 예: { safeMax: 30, cautionMax: 50 }
-    const { safeMax, cautionMax } = currentSettings.thresholds;
-
-    // ========================================
-    // if-else로 범위 확인
-    // ========================================
-    // 주의: 순서가 중요! (작은 것부터 체크)
-
-    if (riskScore < safeMax) {
-        // 예: riskScore = 20, safeMax = 30 → 20 < 30 → 'safe'
-        return 'safe';
-    } else if (riskScore < cautionMax) {
-        // 예: riskScore = 40, safeMax = 30, cautionMax = 50
-        //     → 40 >= 30이므로 첫 번째 if는 false
-        //     → 40 < 50이므로 두 번째 if는 true → 'caution'
-        return 'caution';
-    } else {
-        // 나머지 (riskScore >= cautionMax)
-        // 예: riskScore = 80, cautionMax = 50 → 80 >= 50 → 'danger'
-        return 'danger';
-    }
+    return statusFromScore(riskScore, currentSettings.thresholds);
 }
 
 /**
@@ -969,10 +1660,15 @@ function determineStatus(riskScore) {
  *   timestamp: 1707900000000                 // 분석 시각 (밀리초)
  * }
  *
+ * 최종 신호등 상태:
+ * - 인자로 받은 status는 검증 단계의 임시 판정
+ * - 판정 엔진(applyVerdict)이 사용자 민감도/판정 방식을 적용해 덮어씀
+ *   → Content Script는 이 status를 그대로 표시 (같은 계산을 두 번 하지 않음)
+ *
  * @param {object|null} primary - 1차 검증 결과 (해시 검사)
  * @param {object|null} secondary - 2차 검증 결과 (이미지 전송)
- * @param {string} status - 신호등 상태 ('safe'|'caution'|'danger')
- * @returns {object} 최종 결과 객체
+ * @param {string} status - 검증 단계의 신호등 상태 ('safe'|'caution'|'danger')
+ * @returns {object} 최종 결과 객체 (+ adjustedRiskScore, originalRiskScore, trippedCategory)
  */
 function buildFinalResult(primary, secondary, status) {
     // ========================================
@@ -984,10 +1680,10 @@ function buildFinalResult(primary, secondary, status) {
     const mainResult = secondary || primary;
 
     // ========================================
-    // 최종 결과 객체 생성
+    // 최종 결과 객체 생성 (판정 엔진으로 최종 status 결정)
     // ========================================
-    return {
-        // 신호등 상태 (함수 인자로 받음)
+    return applyVerdict({
+        // 검증 단계의 신호등 상태 (applyVerdict가 최종 상태로 교체)
         status,
 
         // 위험 점수 (0~100)
@@ -1014,15 +1710,58 @@ function buildFinalResult(primary, secondary, status) {
         // 분석 시각 (Unix timestamp, 밀리초)
         // 나중에 "3분 전에 분석됨" 같은 표시에 사용
         timestamp: Date.now()
-    };
+    }, currentSettings);
 }
 
 /**
- * 게시글에서 이미지 URL을 추출한다
+ * 게시글에서 대표 이미지 URL을 추출한다 (AI 검증용)
  * @param {string} postUrl - 게시글 URL
  * @returns {Promise<string|null>}
  */
 async function fetchPostImage(postUrl) {
+    const html = await fetchPostHtml(postUrl);
+    if (!html) {
+        return null;
+    }
+
+    return extractRepresentativeImage(html);
+}
+
+/**
+ * 게시글에서 분석 대상 이미지/동영상 URL 전체를 추출한다
+ *
+ * 본문 이미지와 동영상이 하나도 잡히지 않으면 대표 이미지(og:image) 1장으로 폴백
+ * (동영상 게시글의 og:image는 썸네일일 뿐이므로 바로 분석하지 않고 posterUrl로 전달
+ *  → 동영상 분석이 모두 실패했을 때만 analyzePostImages()가 대신 분석)
+ *
+ * @param {string} postUrl - 게시글 URL
+ * @returns {Promise<{imageUrls: string[], videoUrls: string[], posterUrl: string|null}>} 본문 순서
+ */
+async function fetchPostMedia(postUrl) {
+    const html = await fetchPostHtml(postUrl);
+    if (!html) {
+        return { imageUrls: [], videoUrls: [], posterUrl: null };
+    }
+
+    const imageUrls = extractAnalyzableImages(html);
+    const videoUrls = extractVideoSources(html);
+
+    if (imageUrls.length > 0 || videoUrls.length > 0) {
+        console.log(`[Kas-Free] 본문 이미지 ${imageUrls.length}장, 동영상 ${videoUrls.length}개 발견`);
+        const posterUrl = videoUrls.length > 0 ? extractRepresentativeImage(html) : null;
+        return { imageUrls, videoUrls, posterUrl };
+    }
+
+    const representative = extractRepresentativeImage(html);
+    return { imageUrls: representative ? [representative] : [], videoUrls: [], posterUrl: null };
+}
+
+/**
+ * 게시글 HTML을 가져온다
+ * @param {string} postUrl - 게시글 URL
+ * @returns {Promise<string|null>}
+ */
+async function fetchPostHtml(postUrl) {
     try {
         const response = await fetch(postUrl, {
             credentials: 'include',
@@ -1034,35 +1773,245 @@ async function fetchPostImage(postUrl) {
             return null;
         }
 
-        const html = await response.text();
+        return await response.text();
+    } catch (error) {
+        console.error('[Kas-Free] 이미지 URL 추출 실패:', error);
+        return null;
+    }
+}
+
+/**
+ * HTML에서 대표 이미지 URL을 추출한다 (og:image → 본문 첫 이미지)
+ * @param {string} html - 게시글 HTML
+ * @returns {string|null}
+ */
+function extractRepresentativeImage(html) {
+    // OG 이미지 추출 (정규식)
+    const ogImageMatch = html.match(/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i);
+    if (ogImageMatch && ogImageMatch[1]) {
+        console.log('[Kas-Free] OG 이미지 발견:', ogImageMatch[1]);
+        return ogImageMatch[1];
+    }
+
+    // 대체: content가 먼저 오는 경우
+    const ogImageMatch2 = html.match(/<meta\s+content=["']([^"']+)["']\s+property=["']og:image["']/i);
+    if (ogImageMatch2 && ogImageMatch2[1]) {
+        console.log('[Kas-Free] OG 이미지 발견 (대체):', ogImageMatch2[1]);
+        return ogImageMatch2[1];
+    }
+
+    // 본문 첫 이미지 추출 (viewimage.php 패턴)
+    const viewImageMatch = html.match(/src=["'](https?:\/\/dcimg[0-9]\.dcinside\.(?:com|co\.kr)\/viewimage\.php[^"']+)["']/i);
+    if (viewImageMatch && viewImageMatch[1]) {
+        console.log('[Kas-Free] 본문 이미지 발견:', viewImageMatch[1]);
+        return viewImageMatch[1];
+    }
+
+    console.log('[Kas-Free] 이미지를 찾을 수 없음');
+    return null;
+}
+
+/**
+ * ========================================
+ * HTML에서 분석 대상 이미지 추출 함수
+ * ========================================
+ *
+ * DcParser.getAnalyzableImages()와 같은 규칙을 정규식으로 구현
+ * (Service Worker에는 DOMParser가 없음)
+ *
+ * 규칙:
+ * 1. 본문 영역(.writing_view_box) 안의 img[data-fileno]
+ * 2. data-fileno 이미지가 없으면 viewimage.php 이미지로 폴백
+ * 3. 디시콘(written_dccon) 제외
+ * 4. 광고 영역(#zzbang_div) 제외
+ * 5. viewimage.php 패턴 이중 체크
+ *
+ * @param {string} html - 게시글 HTML
+ * @returns {string[]} 이미지 URL 배열 (본문 순서, 중복 제거)
+ */
+function extractAnalyzableImages(html) {
+    // ========================================
+    // 1단계: 본문 영역만 잘라내기
+    // ========================================
+    const body = extractPostBody(html);
+    if (!body) {
+        return [];
+    }
+
+    // ========================================
+    // 2단계: img 태그 수집
+    // ========================================
+    const viewImagePattern = /^https?:\/\/dcimg[0-9]\.dcinside\.(?:com|co\.kr)\/viewimage\.php/i;
+    const withFileNo = [];
+    const viewImages = [];
+
+    for (const [tag] of body.matchAll(/<img\b[^>]*>/gi)) {
+        // 디시콘 제외
+        if (/class=["'][^"']*\bwritten_dccon\b/i.test(tag)) {
+            continue;
+        }
 
-        // OG 이미지 추출 (정규식)
-        const ogImageMatch = html.match(/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i);
-        if (ogImageMatch && ogImageMatch[1]) {
-            console.log('[Kas-Free] OG 이미지 발견:', ogImageMatch[1]);
-            return ogImageMatch[1];
+        const srcMatch = tag.match(/\ssrc=["']([^"']+)["']/i);
+        if (!srcMatch) {
+            continue;
         }
 
-        // 대체: content가 먼저 오는 경우
-        const ogImageMatch2 = html.match(/<meta\s+content=["']([^"']+)["']\s+property=["']og:image["']/i);
-        if (ogImageMatch2 && ogImageMatch2[1]) {
-            console.log('[Kas-Free] OG 이미지 발견 (대체):', ogImageMatch2[1]);
-            return ogImageMatch2[1];
+        // HTML 엔티티(&amp;) 복원
+        const src = srcMatch[1].replace(/&amp;/g, '&');
+
+        // viewimage.php 패턴 확인 (이중 체크)
+        if (!viewImagePattern.test(src)) {
+            continue;
         }
 
-        // 본문 첫 이미지 추출 (viewimage.php 패턴)
-        const viewImageMatch = html.match(/src=["'](https?:\/\/dcimg[0-9]\.dcinside\.(?:com|co\.kr)\/viewimage\.php[^"']+)["']/i);
-        if (viewImageMatch && viewImageMatch[1]) {
-            console.log('[Kas-Free] 본문 이미지 발견:', viewImageMatch[1]);
-            return viewImageMatch[1];
+        if (/\sdata-fileno=/i.test(tag)) {
+            withFileNo.push(src);
         }
+        viewImages.push(src);
+    }
+
+    // data-fileno 이미지 우선, 없으면 viewimage.php 이미지로 폴백
+    const images = withFileNo.length > 0 ? withFileNo : viewImages;
 
-        console.log('[Kas-Free] 이미지를 찾을 수 없음');
+    return [...new Set(images)];
+}
+
+/**
+ * 게시글 HTML에서 본문 영역만 잘라낸다
+ * 본문 시작: writing_view_box / 본문 끝: 광고 영역(zzbang_div)
+ * @param {string} html - 게시글 HTML
+ * @returns {string|null} 본문 HTML (본문이 없으면 null)
+ */
+function extractPostBody(html) {
+    const startIndex = html.search(/class=["'][^"']*\bwriting_view_box\b/i);
+    if (startIndex === -1) {
         return null;
+    }
+
+    let body = html.slice(startIndex);
+
+    const adIndex = body.search(/id=["']zzbang_div["']/i);
+    if (adIndex !== -1) {
+        body = body.slice(0, adIndex);
+    }
+
+    return body;
+}
+
+/**
+ * 게시글 HTML에서 본문 동영상 URL을 추출한다 (icon_movie 게시글)
+ *
+ * <video src="..."> 또는 <video><source src="..."></video> 형태의
+ * mp4/webm 소스를 본문 순서대로 수집 (data-src도 확인)
+ *
+ * @param {string} html - 게시글 HTML
+ * @returns {string[]} 동영상 URL 배열 (중복 제거)
+ */
+function extractVideoSources(html) {
+    const body = extractPostBody(html);
+    if (!body) {
+        return [];
+    }
+
+    const videos = [];
+
+    for (const [tag] of body.matchAll(/<(?:video|source)\b[^>]*>/gi)) {
+        // <source type="...">가 있으면 mp4/webm만
+        const typeMatch = tag.match(/\stype=["']([^"']+)["']/i);
+        if (typeMatch && !/video\/(?:mp4|webm)/i.test(typeMatch[1])) {
+            continue;
+        }
+
+        const srcMatch = tag.match(/\s(?:data-)?src=["']([^"']+)["']/i);
+        if (!srcMatch) {
+            continue;
+        }
+
+        // HTML 엔티티(&amp;) 복원
+        const src = srcMatch[1].replace(/&amp;/g, '&');
+        if (/^https?:\/\//i.test(src)) {
+            videos.push(src);
+        }
+    }
+
+    return [...new Set(videos)];
+}
+
+/**
+ * 로컬 해시 차단 목록 가져오기를 처리한다
+ *
+ * 파일 형식 오류, 델타 버전 불일치 등은 사용자에게 그대로 보여줘야 하므로
+ * 에러 메시지를 응답에 담아서 반환
+ *
+ * @param {object} message - { mode: 'seed' | 'delta', data }
+ * @returns {Promise<object>} { success, ... } 또는 { success: false, error }
+ */
+async function handleImportLocalBlocklist(message) {
+    try {
+        const result = message.mode === 'delta'
+            ? await localBlocklist.applyDelta(message.data)
+            : await localBlocklist.importSeed(message.data);
+
+        // 목록이 바뀌었으므로 이전 해시 판정 무효화
+        await cacheManager.clearHashCache();
+
+        // 게시글 판정도 무효화 (시드는 목록 전체를 바꾸므로 추가/삭제 양쪽)
+        const raised   = message.mode !== 'delta' || result.added > 0;
+        const lowered  = message.mode !== 'delta' || result.removed > 0;
+        const statuses = [...new Set([
+            ...(raised ? RAISED_VERDICT_STATUSES : []),
+            ...(lowered ? LOWERED_VERDICT_STATUSES : [])
+        ])];
+        if (statuses.length > 0) {
+            await invalidatePostVerdicts(statuses);
+        }
+
+        return { success: true, ...result };
     } catch (error) {
-        console.error('[Kas-Free] 이미지 URL 추출 실패:', error);
-        return null;
+        console.error('[Kas-Free] 로컬 차단 목록 가져오기 실패:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * 내보낸 설정 파일의 허용 목록을 가져온다
+ * @param {object[]} entries - 허용 목록 항목
+ * @returns {Promise<object>} { success, imported, skipped } 또는 { success: false, error }
+ */
+async function handleImportPersonalAllowlist(entries) {
+    try {
+        const result = await personalAllowlist.importEntries(entries);
+
+        await cacheManager.clearHashCache();
+
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('[Kas-Free] 나만의 허용 목록 가져오기 실패:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * UPDATE_SETTINGS로 덮어쓰지 않는 항목 (전용 메시지로만 변경)
+ * - galleryOverrides: SET_GALLERY_OVERRIDE (팝업, 옵션 페이지의 삭제 버튼)
+ * - mutedAuthors: SET_AUTHOR_MUTE (목록 우클릭 메뉴, 옵션 페이지의 해제 버튼)
+ * - 예외: 설정 가져오기는 replaceManaged: true로 파일의 값을 그대로 저장
+ */
+const MANAGED_SETTINGS_FIELDS = ['galleryOverrides', 'mutedAuthors'];
+
+/**
+ * 저장 요청의 설정에 현재 저장된 전용 관리 항목을 그대로 채운다
+ * - 옵션 페이지는 열 때 읽은 사본을 가지고 있으므로, 그사이 팝업/목록 페이지에서 바꾼 값을
+ *   저장/기본값 복원으로 되돌리지 않도록 요청에 들어 있는 값은 무시
+ * @param {object} settings - 옵션 페이지가 보낸 설정
+ * @returns {object}
+ */
+function keepManagedSettings(settings) {
+    const kept = { ...settings };
+    for (const field of MANAGED_SETTINGS_FIELDS) {
+        kept[field] = currentSettings?.[field] ?? structuredClone(DEFAULT_SETTINGS[field]);
     }
+    return kept;
 }
 
 /**
@@ -1070,6 +2019,10 @@ async function fetchPostImage(postUrl) {
  * @param {object} newSettings - 새 설정
  */
 async function handleUpdateSettings(newSettings) {
+    const wasLocalModelEnabled = currentSettings.localModel?.enabled;
+    const previousBackend      = currentSettings.localModel?.backend;
+    const previousServerUrl    = resolveServerUrl(currentSettings);
+
     await saveSettings(newSettings);
     currentSettings = newSettings;
 
@@ -1077,13 +2030,43 @@ async function handleUpdateSettings(newSettings) {
     cacheManager.updateSettings(newSettings);
     aiVerificationHandler.updateSettings(newSettings);
 
+    // 검증 서버가 바뀌면 모든 호출 지점에 반영하고 이전 서버의 해시 판정 캐시 삭제
+    const serverUrl = resolveServerUrl(newSettings);
+    if (serverUrl !== previousServerUrl) {
+        hashChecker.serverUrl = serverUrl;
+        nsfwServer.serverUrl  = serverUrl;
+        await cacheManager.clearHashCache();
+        console.log('[Kas-Free] 검증 서버 변경:', serverUrl);
+    }
+
+    // 로컬 모델을 끄면 Offscreen Document를 닫아 모델 메모리 해제
+    // 백엔드를 바꾼 경우에도 닫아서 다음 분석 때 새 백엔드로 다시 로드
+    // (움짤/동영상 프레임 추출이 필요하면 다시 생성됨)
+    const backendChanged = previousBackend !== newSettings.localModel?.backend;
+    if (wasLocalModelEnabled && (!newSettings.localModel?.enabled || backendChanged)) {
+        offscreenManager.closeDocument().catch(error => {
+            logError('Offscreen Document 닫기', error, newSettings.debugMode);
+        });
+    }
+
+    // 일정 규칙이 바뀌었을 수 있으므로 알람 다시 예약
+    await updateScheduleAlarm();
+
     // 모든 탭에 설정 변경 알림
+    await broadcastSettings();
+}
+
+/**
+ * 열린 디시인사이드 탭에 설정 변경을 알린다
+ * - 탭마다 해당 갤러리의 유효 설정(시간대별 일정/갤러리별 설정 반영)을 전달
+ */
+async function broadcastSettings() {
     const tabs = await chrome.tabs.query({ url: 'https://gall.dcinside.com/*' });
     for (const tab of tabs) {
         try {
             await chrome.tabs.sendMessage(tab.id, {
                 type: 'SETTINGS_UPDATED',
-                settings: newSettings
+                settings: resolveEffectiveSettings(currentSettings, getGalleryIdFromUrl(tab.url))
             });
         } catch {
             // 탭이 응답하지 않을 수 있음
@@ -1091,6 +2074,202 @@ async function handleUpdateSettings(newSettings) {
     }
 }
 
+/** 목록 변경으로 낮아질 수 있는 판정 (허용 추가, 차단 해제) */
+const LOWERED_VERDICT_STATUSES = ['caution', 'danger'];
+
+/** 목록 변경으로 높아질 수 있는 판정 (차단 추가) */
+const RAISED_VERDICT_STATUSES = ['safe', 'caution'];
+
+/**
+ * 차단/허용 목록 변경으로 달라질 수 있는 게시글 판정을 무효화한다
+ * - 같은 이미지가 다른 게시글에도 있을 수 있으므로 해당 상태의 게시글 결과 전체를 비움
+ * - 열린 탭은 자기 캐시(analyzedPosts, IndexedDB)를 비우고 다시 요청
+ * @param {string[]} statuses - LOWERED_VERDICT_STATUSES 또는 RAISED_VERDICT_STATUSES
+ */
+async function invalidatePostVerdicts(statuses) {
+    await cacheManager.clearAnalysisResults(statuses);
+    await broadcastAnalysisInvalidated(statuses);
+}
+
+/**
+ * 열린 디시인사이드 탭에 해당 상태의 분석 결과를 버리고 다시 요청하도록 알린다
+ * @param {string[]} statuses - 무효화할 신호등 상태
+ */
+async function broadcastAnalysisInvalidated(statuses) {
+    const tabs = await chrome.tabs.query({ url: 'https://gall.dcinside.com/*' });
+    for (const tab of tabs) {
+        try {
+            await chrome.tabs.sendMessage(tab.id, { type: 'ANALYSIS_INVALIDATED', statuses });
+        } catch {
+            // 탭이 응답하지 않을 수 있음
+        }
+    }
+}
+
+/**
+ * 판정 프로필 목록을 반환한다
+ * @returns {{active: string, profiles: object[]}} profiles: [{ id, name, builtin, values }]
+ */
+function handleGetProfiles() {
+    return {
+        active:   currentSettings.profiles?.active || DEFAULT_SETTINGS.profiles.active,
+        profiles: listProfiles(currentSettings)
+    };
+}
+
+/**
+ * 판정 프로필을 적용한다
+ * - 프로필 값(PROFILE_FIELDS)을 최상위 설정으로 복사하고 저장
+ * - handleUpdateSettings()가 열린 탭에 SETTINGS_UPDATED를 보내 신호등을 다시 그림
+ * @param {string} profileId - 프로필 ID ('strict', 'balanced', 'lenient' 또는 사용자 프로필 id)
+ * @returns {Promise<object>} { success, active, name } 또는 { success: false, error }
+ */
+async function handleApplyProfile(profileId) {
+    const profile = listProfiles(currentSettings).find(item => item.id === profileId);
+    if (!profile) {
+        return { success: false, error: '프로필을 찾을 수 없습니다.' };
+    }
+
+    await handleUpdateSettings({
+        ...currentSettings,
+        ...pickProfileValues(profile),
+        profiles: { ...DEFAULT_SETTINGS.profiles, ...currentSettings.profiles, active: profileId }
+    });
+
+    console.log('[Kas-Free] 판정 프로필 적용:', profile.name);
+    return { success: true, active: profileId, name: profile.name };
+}
+
+/**
+ * 게시글 URL의 갤러리에 적용할 설정을 반환한다
+ * @param {string} postUrl - 게시글 URL
+ * @returns {object} 시간대별 일정/갤러리별 설정을 적용한 유효 설정
+ */
+function getSettingsForUrl(postUrl) {
+    return resolveEffectiveSettings(currentSettings, getGalleryIdFromUrl(postUrl));
+}
+
+/**
+ * 갤러리별 설정을 저장하거나 삭제한다
+ * - 전체 설정을 다시 저장하므로 handleUpdateSettings()가 열린 탭에 바로 반영
+ * @param {string} galleryId - 갤러리 ID
+ * @param {object|null} override - { name, profileId, thresholds, autoHideDanger, autoScan } (null이면 삭제)
+ * @returns {Promise<object>} { success, galleryId, override } 또는 { success: false, error }
+ */
+async function handleSetGalleryOverride(galleryId, override) {
+    if (!galleryId || typeof galleryId !== 'string') {
+        return { success: false, error: '갤러리 ID가 없습니다.' };
+    }
+
+    const galleryOverrides = { ...currentSettings.galleryOverrides };
+
+    if (override) {
+        try {
+            galleryOverrides[galleryId] = normalizeGalleryOverride(override, currentSettings);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    } else {
+        delete galleryOverrides[galleryId];
+    }
+
+    await handleUpdateSettings({ ...currentSettings, galleryOverrides });
+
+    console.log('[Kas-Free] 갤러리별 설정', override ? '저장:' : '삭제:', galleryId);
+    return { success: true, galleryId, override: galleryOverrides[galleryId] || null };
+}
+
+/**
+ * 숨긴 작성자를 추가하거나 해제한다
+ * - 갤러리별 설정과 같이 전체 설정을 다시 저장하여 열린 탭에 바로 반영
+ * @param {string} authorKey - 'uid:아이디' 또는 'ip:아이피|닉네임'
+ * @param {object|null} author - { nick, uid, ip, galleryId } (null이면 해제)
+ * @returns {Promise<object>} { success, authorKey, author } 또는 { success: false, error }
+ */
+async function handleSetAuthorMute(authorKey, author) {
+    if (typeof authorKey !== 'string' || !/^(uid|ip):.+/.test(authorKey)) {
+        return { success: false, error: '작성자를 구분할 수 없습니다. (아이디/IP 없음)' };
+    }
+
+    const mutedAuthors = { ...currentSettings.mutedAuthors };
+
+    if (author) {
+        mutedAuthors[authorKey] = {
+            nick:      String(author.nick || '').slice(0, 50),
+            uid:       author.uid || null,
+            ip:        author.ip || null,
+            galleryId: author.galleryId || null,
+            mutedAt:   Date.now()
+        };
+    } else {
+        delete mutedAuthors[authorKey];
+    }
+
+    await handleUpdateSettings({ ...currentSettings, mutedAuthors });
+
+    console.log('[Kas-Free] 숨긴 작성자', author ? '추가:' : '해제:', authorKey);
+    return { success: true, authorKey, author: mutedAuthors[authorKey] || null };
+}
+
+/**
+ * 다음 일정 경계 시각에 알람을 예약한다 (일정이 꺼져 있으면 알람 삭제)
+ */
+async function updateScheduleAlarm() {
+    const when = getNextScheduleChange(currentSettings?.schedules);
+
+    if (when === null) {
+        await chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+        return;
+    }
+
+    // 같은 이름으로 만들면 기존 알람을 대체함
+    await chrome.alarms.create(SCHEDULE_ALARM_NAME, { when });
+    console.log('[Kas-Free] 다음 일정 확인:', new Date(when).toLocaleString());
+}
+
+/**
+ * 일정 알람 처리: 열린 탭에 바뀐 설정을 보내고 다음 알람을 예약한다
+ * - 알람이 잠든 Service Worker를 깨운 경우 initialize()가 끝나기 전일 수 있어 설정을 직접 불러옴
+ */
+async function handleScheduleAlarm() {
+    if (!currentSettings) {
+        currentSettings = await getSettings();
+    }
+
+    const active = findActiveSchedule(currentSettings.schedules);
+    console.log('[Kas-Free] 일정 확인:', active ? active.name : '적용 중인 일정 없음');
+
+    await broadcastSettings();
+    await updateScheduleAlarm();
+}
+
+/**
+ * 지금 적용 중인 시간대별 일정을 반환한다
+ * @returns {{enabled: boolean, active: object|null}} active: { id, name, action, profileId, profileName, start, end }
+ */
+function handleGetScheduleStatus() {
+    const schedules = currentSettings.schedules || DEFAULT_SETTINGS.schedules;
+    const active    = findActiveSchedule(schedules);
+
+    if (!active) {
+        return { enabled: schedules.enabled, active: null };
+    }
+
+    const profile = listProfiles(currentSettings).find(item => item.id === active.profileId);
+    return {
+        enabled: schedules.enabled,
+        active: {
+            id:          active.id,
+            name:        active.name,
+            action:      active.action,
+            profileId:   active.profileId || null,
+            profileName: profile?.name || null,
+            start:       active.start,
+            end:         active.end
+        }
+    };
+}
+
 /**
  * 확장 프로그램 활성화/비활성화를 처리한다
  * @param {boolean} enabled - 활성화 여부
@@ -1122,7 +2301,9 @@ async function handleCheckApiStatus() {
         nsfwjs: false,
         geminiFlash: false,
         claudeHaiku: false,
-        gpt4oMini: false
+        gpt4oMini: false,
+        openaiCompatible: null,  // null = 설정 안 됨
+        localModel: { enabled: false, loaded: false, variant: null, error: null }
     };
 
     // Hash Checker 상태
@@ -1135,6 +2316,25 @@ async function handleCheckApiStatus() {
         status.nsfwjs = false;
     }
 
+    // 로컬 모델 상태 (켜져 있으면 실제로 로드해 보고 실패 사유 전달)
+    if (currentSettings.localModel?.enabled) {
+        const modelConfig = getLocalModelConfig();
+        status.localModel = { enabled: true, loaded: false, variant: modelConfig.variant, error: null };
+
+        try {
+            const response = await offscreenManager.sendMessage({
+                type:  'LOAD_NSFWJS_MODEL',
+                model: modelConfig
+            }, LOCAL_MODEL_TIMEOUT);
+
+            status.localModel.loaded = response.modelLoaded;
+            status.localModel.error  = response.loadError || null;
+        } catch (error) {
+            console.error('[Kas-Free] 로컬 모델 상태 체크 실패:', error);
+            status.localModel.error = error.message;
+        }
+    }
+
     // AI API는 설정된 경우만 체크
     const enabledApi = aiVerificationHandler.getEnabledAIApi();
     if (enabledApi) {
@@ -1147,9 +2347,97 @@ async function handleCheckApiStatus() {
         }
     }
 
+    // OpenAI 호환 서버는 직접 운영하는 서버라 실제로 접속해 본다
+    const compatibleConfig = currentSettings.apis?.openaiCompatible;
+    if (isOpenAICompatibleConfigured(compatibleConfig)) {
+        status.openaiCompatible = await aiVerificationHandler.apiClient.testOpenAICompatible(compatibleConfig);
+    }
+
     return status;
 }
 
+/**
+ * 설정에서 검증 서버 주소를 구한다
+ * - 끝의 / 제거, http(s)가 아니거나 형식이 잘못되면 기본 서버 사용
+ * @param {object} settings - 설정 객체
+ * @returns {string} 예: 'https://nsfw.example.com'
+ */
+function resolveServerUrl(settings) {
+    const baseUrl = settings?.server?.baseUrl?.trim();
+
+    if (!baseUrl) {
+        return DEFAULT_SERVER_URL;
+    }
+
+    try {
+        const url = new URL(baseUrl);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new Error(`지원하지 않는 프로토콜: ${url.protocol}`);
+        }
+        return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+    } catch (error) {
+        console.warn('[Kas-Free] 잘못된 검증 서버 주소, 기본 서버 사용:', baseUrl, error.message);
+        return DEFAULT_SERVER_URL;
+    }
+}
+
+/**
+ * 검증 서버 연결을 테스트하고 상태/버전을 조회한다
+ * @param {string} baseUrl - 테스트할 서버 주소 (저장 전 입력값)
+ * @returns {Promise<object>} NsfwjsServerAnalyzer.probe() 결과 + { serverUrl }
+ */
+async function handleTestServerConnection(baseUrl) {
+    const serverUrl = resolveServerUrl({ server: { baseUrl } });
+
+    // 사용자가 사이트 접근 권한을 제한한 경우 fetch가 CORS 오류로 실패하므로 먼저 확인
+    const hasPermission = await chrome.permissions.contains({ origins: [`${new URL(serverUrl).origin}/*`] });
+    if (!hasPermission) {
+        return { serverUrl, reachable: false, error: '서버 주소에 대한 접근 권한이 없습니다.' };
+    }
+
+    const probe = await new NsfwjsServerAnalyzer(serverUrl).probe();
+    return { serverUrl, ...probe };
+}
+
+/**
+ * AI 제공자 하나의 연결을 테스트한다
+ * - API 키와 모델 ID를 함께 검증 (없는 모델이면 실패)
+ * @param {string} provider - 제공자 이름 (예: 'geminiFlash')
+ * @param {object} config - 옵션 페이지의 현재 입력값 { apiKey, model, baseUrl }
+ * @returns {Promise<{success: boolean, model: string, error: string|null}>}
+ */
+async function handleTestApiConnection(provider, config = {}) {
+    const model = provider === 'openaiCompatible'
+        ? config.model?.trim() || ''
+        : resolveProviderModel(provider, config);
+
+    if (provider === 'openaiCompatible') {
+        if (!config.baseUrl?.trim() || !model) {
+            return { success: false, model, error: '서버 주소와 모델 이름을 입력하세요.' };
+        }
+
+        const success = await aiVerificationHandler.apiClient.testOpenAICompatible(config);
+        return { success, model, error: success ? null : '서버에 연결할 수 없습니다.' };
+    }
+
+    const Analyzer = {
+        geminiFlash: GeminiFlashAnalyzer,
+        claudeHaiku: ClaudeHaikuAnalyzer,
+        gpt4oMini:   Gpt4oMiniAnalyzer
+    }[provider];
+
+    if (!Analyzer) {
+        return { success: false, model, error: `지원하지 않는 API: ${provider}` };
+    }
+
+    if (!config.apiKey?.trim()) {
+        return { success: false, model, error: 'API 키를 입력하세요.' };
+    }
+
+    const success = await new Analyzer(config.apiKey.trim(), model).testConnection();
+    return { success, model, error: success ? null : 'API 키 또는 모델 ID를 확인하세요.' };
+}
+
 /**
  * 확장 프로그램 설치/업데이트 이벤트
  */
@@ -1178,6 +2466,15 @@ self.addEventListener('activate', () => {
     initialize();
 });
 
+/** 시간대별 일정 알람 (Service Worker가 잠들어 있어도 깨워서 실행) */
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SCHEDULE_ALARM_NAME) {
+        handleScheduleAlarm().catch(error => {
+            logError('일정 알람 처리', error, currentSettings?.debugMode);
+        });
+    }
+});
+
 /** 브라우저 시작 이벤트 */
 chrome.runtime.onStartup.addListener(() => {
     console.log('[Kas-Free] 브라우저 시작');
@@ -1210,6 +2507,30 @@ function createContextMenus() {
             documentUrlPatterns: ['https://gall.dcinside.com/*']
         });
 
+        // 나만의 차단 목록에 추가 (서버 승인 없이 즉시 차단)
+        chrome.contextMenus.create({
+            id: 'kas-free-personal-block',
+            title: '🚫 나에게 항상 차단',
+            contexts: ['image'],
+            documentUrlPatterns: ['https://gall.dcinside.com/*']
+        });
+
+        // 나만의 허용 목록에 추가 (서버 판정과 관계없이 항상 표시)
+        chrome.contextMenus.create({
+            id: 'kas-free-personal-allow',
+            title: '🟢 나에게 항상 허용',
+            contexts: ['image'],
+            documentUrlPatterns: ['https://gall.dcinside.com/*']
+        });
+
+        // 작성자 숨기기 (목록 페이지의 게시글 우클릭, 작성자는 Content Script가 확인)
+        chrome.contextMenus.create({
+            id: 'kas-free-mute-author',
+            title: '🙈 이 작성자의 글 모두 숨기기',
+            contexts: ['link', 'page'],
+            documentUrlPatterns: ['https://gall.dcinside.com/*board/lists*']
+        });
+
         // 구분선
         chrome.contextMenus.create({
             id: 'kas-free-separator',
@@ -1275,12 +2596,34 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         return;
     }
 
+    // 작성자 숨기기 (우클릭한 게시글 Row는 Content Script만 알고 있음)
+    if (info.menuItemId === 'kas-free-mute-author') {
+        try {
+            await chrome.tabs.sendMessage(tab.id, { type: 'MUTE_CONTEXT_AUTHOR' });
+        } catch (error) {
+            console.error('[Kas-Free] 작성자 숨기기 요청 실패:', error);
+        }
+        return;
+    }
+
     // 화이트리스트 등록 요청
     if (info.menuItemId === 'kas-free-whitelist') {
         await handleWhitelistRequest(info.srcUrl, info.pageUrl, tab);
         return;
     }
 
+    // 나만의 차단 목록에 추가
+    if (info.menuItemId === 'kas-free-personal-block') {
+        await handlePersonalBlockRequest(info.srcUrl, info.pageUrl);
+        return;
+    }
+
+    // 나만의 허용 목록에 추가
+    if (info.menuItemId === 'kas-free-personal-allow') {
+        await handlePersonalAllowRequest(info.srcUrl, info.pageUrl, tab);
+        return;
+    }
+
     // 이미지 신고
     if (info.menuItemId.toString().startsWith('kas-free-report-')) {
         const category = info.menuItemId.toString().replace('kas-free-report-', '');
@@ -1411,7 +2754,7 @@ async function handleWhitelistRequest(imageUrl, pageUrl, tab) {
         const reporterId = await getOrCreateReporterId();
 
         // 3. API 호출
-        const apiUrl = nsfwServer.baseUrl + '/api/whitelist/request';
+        const apiUrl = nsfwServer.serverUrl + '/api/whitelist/request';
 
         console.log('[Kas-Free] 화이트리스트 API 요청:', {
             imageUrl: actualImageUrl,
@@ -1471,3 +2814,116 @@ async function handleWhitelistRequest(imageUrl, pageUrl, tab) {
         });
     }
 }
+
+/**
+ * 이미지를 나만의 차단 목록에 추가한다
+ * @param {string} imageUrl - 이미지 URL
+ * @param {string} pageUrl - 페이지 URL
+ */
+async function handlePersonalBlockRequest(imageUrl, pageUrl) {
+    try {
+        // 너굴맨 이미지는 이미 차단된 상태
+        if (!imageUrl || imageUrl.includes('placeholder.jpg')) {
+            chrome.notifications.create({
+                type: 'basic',
+                iconUrl: 'icons/icon128.png',
+                title: '🚫 나에게 항상 차단',
+                message: '이미 차단된 이미지입니다.'
+            });
+            return;
+        }
+
+        console.log('[Kas-Free] 나만의 차단 목록 추가 시작:', imageUrl);
+
+        const [hashes, thumbnail] = await Promise.all([
+            generateHashesAsync(imageUrl),
+            createThumbnailDataUrl(imageUrl)
+        ]);
+
+        const { duplicate } = await personalBlocklist.add({ imageUrl, pageUrl, hashes, thumbnail });
+
+        // 이미 "안전"으로 캐시된 결과가 남지 않도록 해시 캐시 비우기
+        await cacheManager.clearHashCache();
+
+        // 게시글 단위 결과도 무효화
+        if (!duplicate) {
+            await invalidatePostVerdicts(RAISED_VERDICT_STATUSES);
+        }
+
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: '🚫 나에게 항상 차단',
+            message: duplicate
+                ? '이미 나만의 차단 목록에 있는 이미지입니다.'
+                : '나만의 차단 목록에 추가되었습니다.\n다음 검사부터 적용됩니다.'
+        });
+    } catch (error) {
+        console.error('[Kas-Free] 나만의 차단 목록 추가 실패:', error);
+
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: '❌ 차단 목록 추가 실패',
+            message: `추가 실패: ${error.message}`
+        });
+    }
+}
+
+/**
+ * 이미지를 나만의 허용 목록에 추가한다
+ * @param {string} imageUrl - 이미지 URL (너굴맨 이미지일 수 있음)
+ * @param {string} pageUrl - 페이지 URL
+ * @param {object} tab - 탭 정보
+ */
+async function handlePersonalAllowRequest(imageUrl, pageUrl, tab) {
+    try {
+        // 너굴맨 이미지면 content script에서 원본 URL 찾기
+        if (imageUrl && imageUrl.includes('placeholder.jpg')) {
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                type: 'GET_ORIGINAL_IMAGE_URL',
+                imageUrl: imageUrl
+            });
+            imageUrl = response?.imageUrl;
+        }
+
+        if (!imageUrl || imageUrl.includes('placeholder.jpg')) {
+            throw new Error('원본 이미지를 찾을 수 없습니다');
+        }
+
+        console.log('[Kas-Free] 나만의 허용 목록 추가 시작:', imageUrl);
+
+        const [hashes, thumbnail] = await Promise.all([
+            generateHashesAsync(imageUrl),
+            createThumbnailDataUrl(imageUrl)
+        ]);
+
+        const { duplicate } = await personalAllowlist.add({ imageUrl, pageUrl, hashes, thumbnail });
+
+        // 이미 "위험"으로 캐시된 결과가 남지 않도록 해시 캐시 비우기
+        await cacheManager.clearHashCache();
+
+        // 게시글 단위 결과도 무효화
+        if (!duplicate) {
+            await invalidatePostVerdicts(LOWERED_VERDICT_STATUSES);
+        }
+
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: '🟢 나에게 항상 허용',
+            message: duplicate
+                ? '이미 나만의 허용 목록에 있는 이미지입니다.'
+                : '나만의 허용 목록에 추가되었습니다.\n다음 검사부터 적용됩니다.'
+        });
+    } catch (error) {
+        console.error('[Kas-Free] 나만의 허용 목록 추가 실패:', error);
+
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: '❌ 허용 목록 추가 실패',
+            message: `추가 실패: ${error.message}`
+        });
+    }
+}
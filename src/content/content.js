@@ -221,6 +221,51 @@
      */
     const failedPreviews = new Set();
 
+    /**
+     * 미리보기로 가져온 댓글의 경고 검사 결과 (게시글 번호 → scanComments 결과)
+     * @type {Map<string, object|null>}
+     *
+     * 왜 IndexedDB에 저장하지 않나요?
+     * - 댓글은 계속 늘어나므로 오래 저장하면 맞지 않음
+     * - 페이지에 머무는 동안만 재사용 (같은 게시글 미리보기 시 다시 요청하지 않음)
+     * - null: 가져오기 실패 또는 경고 없음 (재시도하지 않음)
+     */
+    const communitySignals = new Map();
+
+    /**
+     * 상세 페이지의 이미지 분석 결과 (댓글이 바뀔 때마다 커뮤니티 신호와 다시 합침)
+     * @type {object|null}
+     */
+    let viewPageResult = null;
+
+    /**
+     * 상세 페이지 댓글 변경 debounce 타이머
+     * @type {number|null}
+     *
+     * 댓글은 페이지 로드 후 AJAX로 들어오고, 댓글 페이지를 넘길 때도 다시 그려짐
+     */
+    let commentChangeTimer = null;
+
+    /**
+     * 현재 갤러리의 작성자 평판 (작성자 키 → IndexedDB 레코드)
+     * @type {Map<string, object>}
+     *
+     * 왜 메모리에 올려두나요?
+     * - 신호등 표시(withPostSignals)는 동기 함수라 IndexedDB를 기다릴 수 없음
+     * - 목록 페이지 진입 시 한 번 불러오고, 판정이 기록될 때마다 갱신
+     */
+    const authorReputations = new Map();
+
+    /**
+     * 마지막으로 우클릭한 게시글 Row ("이 작성자의 글 모두 숨기기" 메뉴용)
+     * @type {Element|null}
+     *
+     * 왜 필요한가요?
+     * - 컨텍스트 메뉴 클릭 정보(info)에는 링크 URL만 있고 작성자 정보가 없음
+     * - contextmenu 이벤트에서 Row를 기억해두고 메뉴 클릭 메시지가 오면 사용
+     */
+    let contextMenuRow = null;
+
     /**
      * 초기화 완료 여부
      * @type {boolean}
@@ -315,6 +360,183 @@
         // debugMode가 false면 아무것도 출력하지 않음 (프로덕션 최적화)
     }
 
+    /**
+     * 캐시된 분석 결과에 현재 설정으로 판정을 다시 적용한다
+     * - 캐시 이후 민감도/판정 방식이 바뀌었을 수 있음
+     * - Service Worker와 같은 판정 엔진(verdict.js)을 사용하므로 결과가 어긋나지 않음
+     * @param {object} result - 캐시된 분석 결과
+     * @returns {object}
+     */
+    function refreshVerdict(result) {
+        return window.KasVerdict.applyVerdict(result, currentSettings);
+    }
+
+    /**
+     * 게시글 제목(+ 미리보기로 가져온 본문)의 경고 문구를 찾는다
+     * - 본문은 postContentCache에 있을 때만 검사 (추가 요청 없음)
+     * @param {object} postInfo - 게시글 정보 (titleText, postNo)
+     * @returns {object|null} { matches: [{ category, term, source }] }
+     */
+    function getTextSignal(postInfo) {
+        const settings = currentSettings.textSignals;
+        const title    = window.KasTextSignals.scanText(postInfo.titleText, settings, 'title');
+
+        if (settings?.scanBody === false) {
+            return title;
+        }
+
+        const bodyText = postContentCache.get(postInfo.postNo)?.text;
+        const body     = window.KasTextSignals.scanText(bodyText, settings, 'body');
+        return window.KasTextSignals.mergeTextSignals(title, body);
+    }
+
+    /**
+     * 분석 결과에 댓글 경고(커뮤니티 신호)와 경고 문구 신호를 반영한다
+     * - 댓글 경고: 가중치로 점수화하여 이미지 판정보다 나쁘면 상태를 올림
+     * - 경고 문구: 안전/미검사 → 최소 주의
+     * - 캐시에는 이미지 판정만 저장하고, 두 신호는 표시할 때마다 반영
+     *   (사전/가중치를 바꾸면 다시 분석하지 않아도 바로 적용되도록)
+     * @param {object|null} result - 분석 결과 (없으면 신호만으로 임시 결과 생성)
+     * @param {object|null} postInfo - 게시글 정보
+     * @returns {object|null}
+     */
+    function withPostSignals(result, postInfo) {
+        if (!postInfo) {
+            return result;
+        }
+
+        const community = communitySignals.get(postInfo.postNo) || null;
+        const withCommunity = window.KasVerdict.applyCommunitySignal(result, community, currentSettings);
+        const withText      = window.KasTextSignals.applyTextSignal(withCommunity, getTextSignal(postInfo));
+        return applyOffenderSignal(withText, getOffenderReputation(postInfo));
+    }
+
+    /**
+     * 기준 횟수 이상 주의/위험 판정을 받은 작성자의 평판을 찾는다
+     * @param {object|null} postInfo - 게시글 정보 (author.key)
+     * @returns {object|null} 평판 레코드 (상습 작성자가 아니면 null)
+     */
+    function getOffenderReputation(postInfo) {
+        const options = currentSettings.authorReputation;
+        if (options?.enabled === false || !postInfo?.author?.key) {
+            return null;
+        }
+
+        const reputation = authorReputations.get(postInfo.author.key);
+        if (!reputation) {
+            return null;
+        }
+
+        return reputation.caution + reputation.danger >= (options?.threshold ?? 3) ? reputation : null;
+    }
+
+    /**
+     * 상습 작성자의 게시글에 평판 정보를 붙인다
+     * - 아직 분석하지 않은 게시글(결과 없음/미검사/오류)은 최소 주의로 표시
+     * - 이미지 판정이 있으면 그대로 사용 (상습 작성자라도 안전한 이미지는 안전)
+     * @param {object|null} result - 분석 결과 (경고 신호 반영 후)
+     * @param {object|null} reputation - getOffenderReputation() 결과
+     * @returns {object|null}
+     */
+    function applyOffenderSignal(result, reputation) {
+        if (!reputation) {
+            return result;
+        }
+
+        const base   = result || { status: SIGNAL_STATUS.UNCHECKED, riskScore: 0, categories: {}, preliminary: true };
+        const raise  = base.status === SIGNAL_STATUS.UNCHECKED || base.status === SIGNAL_STATUS.ERROR;
+        const status = raise ? SIGNAL_STATUS.CAUTION : base.status;
+
+        return {
+            ...base,
+            status,
+            offender: { nick: reputation.nick, caution: reputation.caution, danger: reputation.danger }
+        };
+    }
+
+    /**
+     * 현재 갤러리의 작성자 평판을 IndexedDB에서 불러온다
+     * - 표시를 꺼도 불러옴 (나중에 켜면 바로 적용되도록)
+     * @returns {Promise<void>}
+     */
+    async function loadAuthorReputations() {
+        const galleryId = window.dcParser.getGalleryId();
+        if (!galleryId || !window.kasFreeDB) {
+            return;
+        }
+
+        try {
+            const records = await window.kasFreeDB.getAuthorReputations(galleryId);
+            records.forEach(record => authorReputations.set(record.authorKey, record));
+            debugLog('작성자 평판 로드:', records.length);
+        } catch (error) {
+            console.error('[Kas-Free] 작성자 평판 로드 실패:', error);
+        }
+    }
+
+    /**
+     * 이미지 판정을 작성자 평판에 기록한다
+     * - 같은 게시글의 같은 판정은 다시 쓰지 않음 (캐시 복원 시마다 호출되므로)
+     * - 상습 작성자 여부나 횟수가 바뀌면 열린 목록의 배지/임시 상태를 다시 그림
+     * @param {object} postInfo - 게시글 정보 (author, postNo)
+     * @param {string} status - 'safe' | 'caution' | 'danger'
+     * @returns {Promise<void>}
+     */
+    async function recordAuthorVerdict(postInfo, status) {
+        const author    = postInfo?.author;
+        const galleryId = window.dcParser.getGalleryId();
+        if (!author?.key || !galleryId || !window.kasFreeDB) {
+            return;
+        }
+
+        const previous = authorReputations.get(author.key)?.posts?.[postInfo.postNo] || SIGNAL_STATUS.SAFE;
+        if (previous === status) {
+            return;
+        }
+
+        const wasOffender = getOffenderReputation(postInfo) !== null;
+
+        try {
+            const updated = await window.kasFreeDB.recordAuthorVerdict(galleryId, author, postInfo.postNo, status);
+            authorReputations.set(author.key, updated);
+        } catch (error) {
+            console.error('[Kas-Free] 작성자 평판 저장 실패:', error);
+            return;
+        }
+
+        if (wasOffender || getOffenderReputation(postInfo) !== null) {
+            rerenderSignals();
+        }
+    }
+
+    /**
+     * 게시글 Row의 "상습" 배지를 현재 평판에 맞춘다
+     * @param {Element} row - 게시글 Row 엘리먼트
+     * @param {object|null} postInfo - 게시글 정보
+     */
+    function updateOffenderBadge(row, postInfo) {
+        const container = row.querySelector('.kas-signal-container');
+        if (!container) {
+            return;
+        }
+
+        const reputation = getOffenderReputation(postInfo);
+        let   badge      = container.querySelector('.kas-offender-badge');
+
+        if (!reputation) {
+            badge?.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className   = 'kas-offender-badge';
+            badge.textContent = '상습';
+            container.appendChild(badge);
+        }
+        badge.title = `상습 작성자: 이 갤러리에서 주의 ${reputation.caution}회, 위험 ${reputation.danger}회`;
+    }
+
     /**
      * ========================================
      * 하이브리드 캐시: 분석 결과 가져오기
@@ -351,7 +573,7 @@
         // Map.has(): O(1) 시간 복잡도 (해시맵)
         if (analyzedPosts.has(postNo)) {
             // 즉시 반환 (0.1ms 미만)
-            return analyzedPosts.get(postNo);
+            return refreshVerdict(analyzedPosts.get(postNo));
         }
 
         // ========================================
@@ -387,7 +609,7 @@
                 // 다음에 같은 게시글 접근 시 메모리에서 즉시 반환 (0.1ms)
                 analyzedPosts.set(postNo, result);
 
-                return result;  // IndexedDB 히트 성공
+                return refreshVerdict(result);  // IndexedDB 히트 성공
             }
         } catch (error) {
             // ========================================
@@ -507,7 +729,8 @@
      * {
      *   text: '게시글 본문 내용...',  // 첫 150자만 저장 (프리뷰용)
      *   imageCount: 3,                // 일반 이미지 개수
-     *   dcconCount: 1                 // 디시콘 개수
+     *   dcconCount: 1,                // 디시콘 개수
+     *   esno: '...'                   // 댓글 요청 토큰 (댓글 경고 검사용)
      * }
      *
      * @param {string} postNo - 게시글 번호
@@ -912,6 +1135,7 @@
             // processViewPageImages():
             // - 분석 결과 확인 (캐시 우선)
             // - caution/danger인 경우 본문 이미지를 너굴맨으로 대체
+            // - 댓글 경고가 들어오면 다시 판정 (observeViewPageComments)
             // - 사용자 민감도 설정 적용
             debugLog('게시글 상세 페이지 처리 시작');
             await processViewPageImages();
@@ -926,8 +1150,14 @@
             // - 캐시된 결과 즉시 복원
             // - 캐시 없으면 분석 요청
             debugLog('게시글 목록 페이지 처리 시작');
+            await loadAuthorReputations();  // 상습 작성자 표시용 (신호등 삽입 전에 필요)
             await processPostList();
 
+            // 우클릭한 게시글 기억 ("이 작성자의 글 모두 숨기기" 메뉴용)
+            document.addEventListener('contextmenu', (event) => {
+                contextMenuRow = event.target.closest?.('tr.ub-content.us-post') || null;
+            }, true);
+
             // ========================================
             // DOM 변경 감지 (MutationObserver)
             // ========================================
@@ -1020,8 +1250,14 @@
             // ========================================
             // Service Worker에 설정 요청
             // ========================================
+            // effective + galleryId: 시간대별 일정과 갤러리별 설정(팝업의 "이 갤러리에 적용")을
+            // 반영한 설정을 받기 위해 전달
             chrome.runtime.sendMessage(
-                { type: 'GET_SETTINGS' },  // 메시지 타입
+                {
+                    type:      'GET_SETTINGS',  // 메시지 타입
+                    effective: true,
+                    galleryId: window.dcParser?.getGalleryId() || null
+                },
                 (response) => {
                     // ========================================
                     // 에러 확인 (메시지 전송 실패)
@@ -1077,6 +1313,15 @@
             cacheDuration:     24 * 60 * 60 * 1000,  // 24시간
             debugMode:         false,  // 디버그 모드
             replaceAllImages:  false,  // 모든 이미지 대체 (디버그용)
+            animatedFrames: {
+                enabled:     true,     // 움짤 여러 프레임 검사
+                sampleCount: 6         // 균등 간격 샘플 프레임 수
+            },
+            localModel: {
+                enabled:     false,    // 로컬 AI 모델(NSFW.js) 검사
+                variant:     'mobilenet_v2',
+                backend:     'auto'
+            },
             sensitivity: {
                 // 폭력/죽음/혐오: 높은 민감도 (0.8)
                 gore:           0.8,
@@ -1097,7 +1342,23 @@
             thresholds: {
                 safeMax:    0.3,  // 0.0 ~ 0.3: 안전 (초록)
                 cautionMax: 0.6   // 0.3 ~ 0.6: 주의 (노랑), 0.6 ~: 위험 (빨강)
-            }
+            },
+            decisionMode:       'weighted',  // 'weighted' | 'perCategory'
+            categoryThresholds: window.KasVerdict.DEFAULT_CATEGORY_THRESHOLDS,
+            textSignals: {
+                enabled:    true,      // 제목 경고 문구 검사
+                scanBody:   true,      // 미리보기로 가져온 본문도 검사
+                dictionary: {}         // 사용자 수정 사전 (비어 있으면 기본 사전)
+            },
+            communitySignal: {
+                enabled: true,         // 댓글 경고 반영
+                weight:  window.KasVerdict.DEFAULT_COMMUNITY_WEIGHT
+            },
+            authorReputation: {
+                enabled:   true,       // 상습 작성자 표시
+                threshold: 3           // 주의 + 위험 판정 횟수 기준
+            },
+            mutedAuthors: {}           // 숨긴 작성자 (작성자 키 → { nick, uid, ip, ... })
         };
     }
 
@@ -1143,7 +1404,15 @@
             ? window.dcParser.getPostRowsWithImage()   // 썸네일 있는 게시글만
             : window.dcParser.getAllPostRows();         // 모든 게시글
 
-        const rows = Array.from(rowNodeList);  // NodeList → 배열 변환
+        // ========================================
+        // 숨긴 작성자의 게시글 접기
+        // ========================================
+        // 이미지 분석과 별개 (텍스트 게시글 포함, onlyWithThumbnail과 무관)
+        // 숨긴 Row는 분석하지 않음 (보이지 않는 글에 요청 낭비 방지)
+        applyMutedAuthors();
+
+        const rows = Array.from(rowNodeList)  // NodeList → 배열 변환
+            .filter(row => !row.classList.contains('kas-muted'));
 
         debugLog('processPostList 실행:', {
             cacheOnly,                                  // 캐시 전용 모드 여부
@@ -1212,6 +1481,66 @@
         }
     }
 
+    /**
+     * 숨긴 작성자의 게시글 Row를 접는다 (해제된 작성자는 다시 표시)
+     * - 자동 숨김(kas-hidden)과 다른 클래스를 사용하여 서로 덮어쓰지 않음
+     * @returns {number} 다시 표시한 Row 수 (신호등을 새로 붙여야 함)
+     */
+    function applyMutedAuthors() {
+        const mutedAuthors = currentSettings.mutedAuthors || {};
+        let   restored     = 0;
+
+        window.dcParser.getAllPostRows().forEach(row => {
+            const key   = window.dcParser.parsePostRow(row)?.author?.key;
+            const muted = Boolean(key && mutedAuthors[key]);
+
+            if (!muted && row.classList.contains('kas-muted')) {
+                restored++;
+            }
+            row.classList.toggle('kas-muted', muted);
+        });
+
+        return restored;
+    }
+
+    /**
+     * 우클릭한 게시글의 작성자를 숨긴 작성자에 추가한다
+     * - Service Worker가 설정을 저장하면 SETTINGS_UPDATED로 모든 탭에 반영됨
+     * @returns {Promise<object>} { success } 또는 { success: false, error }
+     */
+    async function muteContextAuthor() {
+        const postInfo = contextMenuRow ? window.dcParser.parsePostRow(contextMenuRow) : null;
+        const author   = postInfo?.author;
+
+        if (!author?.key) {
+            alert('작성자를 확인할 수 없습니다.\n게시글 목록에서 게시글을 우클릭해주세요.');
+            return { success: false, error: '작성자 없음' };
+        }
+
+        const label = `${author.nick || '(닉네임 없음)'} (${author.uid || author.ip})`;
+
+        /** 유동닉은 IP 앞 두 자리(통신사 대역)와 닉네임으로만 구분되므로 다른 사용자도 숨겨질 수 있음 */
+        const anonymousWarning = author.uid
+            ? ''
+            : '\n\n⚠️ 유동닉은 닉네임과 IP 앞 두 자리로만 구분합니다.\n' +
+              `같은 대역(${author.ip})에서 같은 닉네임을 쓰는 다른 사용자의 글도 함께 숨겨집니다.`;
+
+        if (!confirm(`"${label}" 작성자의 글을 모든 갤러리 목록에서 숨기시겠습니까?${anonymousWarning}\n옵션 페이지에서 해제할 수 있습니다.`)) {
+            return { success: false, error: '취소' };
+        }
+
+        const response = await chrome.runtime.sendMessage({
+            type:      'SET_AUTHOR_MUTE',
+            authorKey: author.key,
+            author:    { nick: author.nick, uid: author.uid, ip: author.ip, galleryId: window.dcParser.getGalleryId() }
+        });
+
+        if (!response?.success) {
+            alert(`숨기기 실패: ${response?.error || '알 수 없는 오류'}`);
+        }
+        return response;
+    }
+
     /**
      * 게시글 상세 페이지의 본문 이미지를 처리한다
      * caution/danger인 경우 너굴맨 이미지로 대체
@@ -1232,6 +1561,9 @@
             return;
         }
 
+        /** 댓글은 AJAX로 들어오므로 분석 결과와 관계없이 감시 시작 */
+        observeViewPageComments();
+
         /** 분석 결과 가져오기 (캐시 우선) */
         let result = await getAnalysisFromCache(postNo);
 
@@ -1249,21 +1581,51 @@
             }
         }
 
-        /** 결과가 없거나 안전한 경우 대체하지 않음 */
+        viewPageResult = result;
+        applyViewPageVerdict();
+    }
+
+    /**
+     * 상세 페이지의 분석 결과와 댓글 경고를 합쳐 이미지 대체 여부를 결정한다
+     * - 댓글이 추가될 때마다 다시 호출됨 (observeViewPageComments)
+     * - 이미 대체한 이미지는 되돌리지 않음 (댓글이 삭제돼도 유지)
+     */
+    function applyViewPageVerdict() {
+        const comments  = window.dcParser.parseComments(document);
+        const community = window.KasTextSignals.scanComments(comments, currentSettings.textSignals?.dictionary);
+        const result    = window.KasVerdict.applyCommunitySignal(viewPageResult, community, currentSettings);
+
+        /** 결과가 없거나 안전한 경우 대체하지 않음 (status는 판정 엔진이 결정한 최종 상태) */
         if (!result || result.status === SIGNAL_STATUS.SAFE) {
             debugLog('이미지 대체 불필요:', result?.status || '결과 없음');
             return;
         }
 
-        /** 사용자 민감도 적용 */
-        const adjustedRiskScore = applyUserSensitivity(result, currentSettings.sensitivity);
-        const status = determineSignalStatus(adjustedRiskScore);
+        const { status } = result;
 
         /** caution 또는 danger인 경우에만 이미지 대체 */
         if (status === SIGNAL_STATUS.CAUTION || status === SIGNAL_STATUS.DANGER) {
             replaceViewPageImages(status);
-            debugLog('이미지 대체 완료:', status);
+            debugLog('이미지 대체 완료:', status, result.community ? `(댓글 경고 ${result.community.votes}명)` : '');
+        }
+    }
+
+    /**
+     * 상세 페이지 댓글 목록 변경을 감시한다
+     * - 댓글 영역(.view_comment)은 처음부터 있고, 목록은 AJAX로 채워짐
+     * - 300ms debounce (observeDomChanges와 같은 방식)
+     */
+    function observeViewPageComments() {
+        const commentArea = document.querySelector('.view_comment');
+        if (!commentArea || currentSettings.communitySignal?.enabled === false) {
+            return;
         }
+
+        const observer = new MutationObserver(() => {
+            clearTimeout(commentChangeTimer);
+            commentChangeTimer = setTimeout(applyViewPageVerdict, 300);
+        });
+        observer.observe(commentArea, { childList: true, subtree: true });
     }
 
     /**
@@ -1350,6 +1712,7 @@
         insertSignal(postInfo, container);
 
         const signal = container.querySelector('.kas-signal');
+        updateOffenderBadge(row, postInfo);
 
         /** 게시글 프리뷰 이벤트 추가 (중복 방지) */
         if (!row.dataset.kasPreviewEnabled) {
@@ -1371,8 +1734,15 @@
         const cachedResult = analyzedPosts.get(postInfo.postNo);
         if (cachedResult) {
             handleAnalysisResult(signal, row, cachedResult, postInfo);
+            return;
         }
+
         // 캐시가 없으면 UNCHECKED 상태로 유지 (나중에 분석)
+        // 단, 제목에 경고 문구가 있으면 바로 주의 표시
+        const textResult = withPostSignals(null, postInfo);
+        if (textResult) {
+            updateSignalStatus(signal, textResult.status, textResult);
+        }
     }
 
     /**
@@ -1393,8 +1763,8 @@
             signal = container.querySelector('.kas-signal');
             const status = signal.dataset.status;
 
-            /** 이미 분석 완료된 경우 스킵 (unchecked는 분석 필요) */
-            if (status && status !== SIGNAL_STATUS.UNCHECKED && status !== SIGNAL_STATUS.LOADING) {
+            /** 이미 분석 완료된 경우 스킵 (unchecked, 경고 문구/댓글만 반영된 상태는 분석 필요) */
+            if (status && status !== SIGNAL_STATUS.UNCHECKED && status !== SIGNAL_STATUS.LOADING && !signal.dataset.preliminary) {
                 return;
             }
         } else {
@@ -1404,6 +1774,8 @@
             signal = container.querySelector('.kas-signal');
         }
 
+        updateOffenderBadge(row, postInfo);
+
         /** 게시글 프리뷰 이벤트 추가 (중복 방지) */
         if (!row.dataset.kasPreviewEnabled) {
             row.addEventListener('mouseenter', () => {
@@ -1427,6 +1799,16 @@
             return;
         }
 
+        /**
+         * 제목 경고 문구 확인 ("후방주의", "혐짤" 등)
+         * - 이미지 분석 전에 바로 주의로 표시 (분석이 끝나면 이미지 판정과 합쳐짐)
+         * - 이미지가 없거나 자동 검사가 꺼져 있어도 표시
+         */
+        const textResult = withPostSignals(null, postInfo);
+        if (textResult) {
+            updateSignalStatus(signal, textResult.status, textResult);
+        }
+
         /** 이미지가 없으면 미검사 상태 유지 */
         if (!postInfo.hasImage) {
             return;
@@ -1437,8 +1819,10 @@
             return;
         }
 
-        /** 이미지 분석 요청 */
-        updateSignalStatus(signal, SIGNAL_STATUS.LOADING);
+        /** 이미지 분석 요청 (경고 문구로 이미 주의 표시 중이면 그대로 둠) */
+        if (!textResult) {
+            updateSignalStatus(signal, SIGNAL_STATUS.LOADING);
+        }
 
         try {
             const result = await requestImageAnalysis(postInfo);
@@ -1536,6 +1920,13 @@
         signal.dataset.status    = status;
         signal.dataset.result    = JSON.stringify(data);
 
+        /** 경고 문구/댓글 경고만 반영된 임시 상태 (이미지 분석 전) */
+        if (data.preliminary) {
+            signal.dataset.preliminary = 'true';
+        } else {
+            delete signal.dataset.preliminary;
+        }
+
         /** AI 체크 버튼 표시 여부 결정 */
         const container = signal.parentElement;
         if (container && container.classList.contains('kas-signal-container')) {
@@ -1552,6 +1943,103 @@
         }
     }
 
+    /**
+     * 지정한 상태로 캐시된 분석 결과를 버리고 목록의 신호등을 다시 요청한다
+     * - 나만의 차단/허용 목록이 바뀌면 Service Worker가 ANALYSIS_INVALIDATED로 알림
+     * - 상세 페이지는 대체한 이미지를 되돌리지 않으므로 캐시만 비움 (다음 방문 시 재분석)
+     * @param {string[]} statuses - 무효화할 신호등 상태 (예: ['caution', 'danger'])
+     * @returns {Promise<void>}
+     */
+    async function invalidateAnalyses(statuses) {
+        const invalidated = new Set();
+
+        for (const [postNo, result] of analyzedPosts) {
+            if (statuses.includes(result?.status)) {
+                analyzedPosts.delete(postNo);
+                invalidated.add(postNo);
+            }
+        }
+
+        if (window.kasFreeDB) {
+            try {
+                const deleted = await window.kasFreeDB.deleteAnalysisResults(statuses);
+                deleted.forEach(postNo => invalidated.add(postNo));
+            } catch (error) {
+                console.error('[Kas-Free] IndexedDB 분석 결과 삭제 실패:', error);
+            }
+        }
+
+        if (!isInitialized || !window.dcParser.isGalleryListPage() || invalidated.size === 0) {
+            return;
+        }
+
+        /** 무효화된 게시글만 미검사로 되돌려 processPostRow()가 다시 분석하게 함 */
+        document.querySelectorAll('.kas-signal[data-post-no]').forEach(signal => {
+            if (invalidated.has(signal.dataset.postNo)) {
+                updateSignalStatus(signal, SIGNAL_STATUS.UNCHECKED);
+            }
+        });
+
+        await processPostList();
+    }
+
+    /**
+     * 이미 표시한 신호등을 현재 설정으로 다시 판정한다
+     * - 재분석 없이 메모리 캐시의 결과에 판정 엔진만 다시 적용
+     * - 통계는 이미 집계했으므로 UPDATE_STATS를 보내지 않음
+     */
+    function rerenderSignals() {
+        document.querySelectorAll('.kas-signal[data-post-no]').forEach(signal => {
+            const row      = signal.closest('tr.ub-content.us-post');
+            const postInfo = row ? window.dcParser.parsePostRow(row) : null;
+            const cached   = analyzedPosts.get(signal.dataset.postNo);
+
+            if (row) {
+                updateOffenderBadge(row, postInfo);
+            }
+
+            if (!cached) {
+                rerenderPreliminarySignal(signal, postInfo);
+                return;
+            }
+
+            const refreshed = refreshVerdict(cached);
+            analyzedPosts.set(signal.dataset.postNo, refreshed);
+
+            const result = withPostSignals(refreshed, postInfo);
+            if (result.status === SIGNAL_STATUS.UNCHECKED || result.status === 'unchecked') {
+                return;
+            }
+
+            updateSignalStatus(signal, result.status, result);
+
+            /** 자동 숨김도 새 판정에 맞춤 */
+            if (row) {
+                row.classList.toggle('kas-hidden', result.status === SIGNAL_STATUS.DANGER && currentSettings.autoHideDanger);
+            }
+        });
+    }
+
+    /**
+     * 분석 결과가 없는 신호등에 경고 문구/댓글 경고 신호만 다시 반영한다
+     * - 사전/가중치를 바꿔 더 이상 해당하지 않으면 미검사로 되돌림
+     * - 분석 중(loading)인 신호등은 결과가 오면 갱신되므로 건드리지 않음
+     * @param {HTMLElement} signal - 신호등 엘리먼트
+     * @param {object|null} postInfo - 게시글 정보
+     */
+    function rerenderPreliminarySignal(signal, postInfo) {
+        if (signal.dataset.status === SIGNAL_STATUS.LOADING) {
+            return;
+        }
+
+        const textResult = withPostSignals(null, postInfo);
+        if (textResult) {
+            updateSignalStatus(signal, textResult.status, textResult);
+        } else if (signal.dataset.preliminary) {
+            updateSignalStatus(signal, SIGNAL_STATUS.UNCHECKED);
+        }
+    }
+
     /**
      * 이미지 분석을 요청한다
      * @param {object} postInfo - 게시글 정보
@@ -1632,7 +2120,8 @@
         return (
             (apis.gpt4oMini?.enabled && apis.gpt4oMini?.apiKey) ||
             (apis.claudeHaiku?.enabled && apis.claudeHaiku?.apiKey) ||
-            (apis.geminiFlash?.enabled && apis.geminiFlash?.apiKey)
+            (apis.geminiFlash?.enabled && apis.geminiFlash?.apiKey) ||
+            (apis.openaiCompatible?.enabled && apis.openaiCompatible?.baseUrl && apis.openaiCompatible?.model)
         );
     }
 
@@ -1644,6 +2133,14 @@
      * @param {object} postInfo - 게시글 정보
      */
     async function handleAnalysisResult(signal, row, result, postInfo) {
+        /** 이미지 판정을 작성자 평판에 기록 (경고 신호를 반영하기 전 판정만 사용) */
+        if (result && !result.preliminary && window.KasVerdict.STATUSES.includes(result.status)) {
+            recordAuthorVerdict(postInfo, result.status);
+        }
+
+        /** 제목/본문 경고 문구가 있으면 최소 주의 (이미지가 없다는 결과여도) */
+        result = withPostSignals(result, postInfo);
+
         if (!result) {
             updateSignalStatus(signal, SIGNAL_STATUS.UNCHECKED);
             return;
@@ -1655,16 +2152,11 @@
             return;
         }
 
-        /** 사용자 민감도 적용 */
-        const adjustedRiskScore = applyUserSensitivity(result, currentSettings.sensitivity);
-
-        /** 조정된 점수로 신호등 판정 (AI 검증 결과도 민감도 적용) */
-        const status = determineSignalStatus(adjustedRiskScore);
-
-        /** 조정된 점수를 result에 반영 */
-        result.adjustedRiskScore = adjustedRiskScore;
-        result.originalRiskScore = result.riskScore;
-        result.status = status;  // 민감도가 적용된 status로 갱신
+        /**
+         * 최종 신호등 상태는 Service Worker의 판정 엔진(verdict.js)이 결정
+         * (민감도/판정 방식이 이미 적용됨, AI 검증 결과도 동일)
+         */
+        const { status } = result;
 
         updateSignalStatus(signal, status, result);
 
@@ -1733,16 +2225,17 @@
             const mergedResult = {
                 ...cachedResult,  // 기존 캐시 (imageUrl 등 포함)
                 ...aiResult,      // AI 검증 결과로 덮어쓰기
-                imageUrl: cachedResult?.imageUrl || aiResult.imageUrl  // imageUrl 보존
+                imageUrl: cachedResult?.imageUrl || aiResult.imageUrl,  // imageUrl 보존
+                aiVerdicts: aiResult.aiVerdicts || null  // 이전 앙상블 판정이 남지 않도록
             };
 
-            // 민감도를 적용하여 신호등 업데이트
+            // 신호등 업데이트 (Service Worker가 판정 엔진으로 결정한 status 사용)
             await handleAnalysisResult(signal, row, mergedResult, postInfo);
 
-            // 업데이트된 결과를 캐시에 저장 (민감도가 적용된 status 포함)
+            // 업데이트된 결과를 캐시에 저장 (판정 엔진이 결정한 status 포함)
             await setAnalysisToCache(postNo, mergedResult);
 
-            // 위험 게시글 처리 (민감도가 적용된 status 사용)
+            // 위험 게시글 처리 (판정 엔진이 결정한 status 사용)
             if (mergedResult.status === SIGNAL_STATUS.DANGER) {
                 // 자동 숨김
                 if (currentSettings.autoHideDanger) {
@@ -1756,6 +2249,9 @@
                 } else if (aiResult.reportError) {
                     console.warn('[Kas-Free Content] ⚠️ 서버 신고 실패:', aiResult.reportError);
                     signal.title = `${signal.title} (⚠️ 신고 실패: ${aiResult.reportError})`;
+                } else if (aiResult.reportSkipped) {
+                    debugLog('ℹ️ 앙상블 합의 부족으로 자동 신고 보류:', aiResult.reportSkipped);
+                    signal.title = `${signal.title} (ℹ️ 자동 신고 보류: ${aiResult.reportSkipped})`;
                 }
             } else if (mergedResult.status === SIGNAL_STATUS.SAFE) {
                 debugLog('✅ AI 검증 결과: 안전');
@@ -1787,239 +2283,6 @@
         }
     }
 
-    /**
-     * ========================================
-     * 사용자 민감도를 적용하여 위험 점수 재계산
-     * ========================================
-     *
-     * 왜 민감도 조정이 필요한가요?
-     * - 같은 이미지라도 사람마다 느끼는 정도가 다름
-     * - 예: 고어를 못 보는 사람 vs 괜찮은 사람
-     * - 사용자 설정에 따라 신호등 판정 기준을 조정
-     *
-     * 동작 원리:
-     * 1. AI가 분석한 카테고리별 점수 가져오기
-     *    예: { gore: 0.5, violence: 0.3, ... }
-     * 2. 사용자 민감도 적용
-     *    예: 고어 민감도 1.0 (높음) → 점수 증가
-     *        고어 민감도 0.5 (낮음) → 점수 감소
-     * 3. 가중치 적용 (중요한 카테고리에 높은 가중치)
-     * 4. 최종 점수 계산 (가중 평균)
-     *
-     * 실생활 비유:
-     * "매운 음식 먹을 때:
-     *  - 같은 떡볶이라도
-     *    * 맵기에 민감한 사람: '너무 매워요' (점수 증가)
-     *    * 맵기에 둔감한 사람: '적당해요' (점수 감소)
-     *  - 사용자 민감도 = 개인의 맵기 내성"
-     *
-     * 수식:
-     * adjustedScore = originalScore × (userSensitivity / defaultSensitivity)
-     *
-     * 예시:
-     * - originalScore = 0.5 (AI가 분석한 고어 점수)
-     * - defaultSensitivity = 0.8 (기본 민감도)
-     * - userSensitivity = 1.0 (사용자가 고어에 민감함)
-     * - sensitivityRatio = 1.0 / 0.8 = 1.25
-     * - adjustedScore = 0.5 × 1.25 = 0.625 (점수 증가)
-     *   → 더 위험하게 판정됨 (초록 → 노랑)
-     *
-     * @param {object} result - AI 분석 결과
-     * @param {object} userSensitivity - 사용자 민감도 설정 (0.0 ~ 1.0)
-     * @returns {number} 조정된 위험 점수 (0.0 ~ 1.0)
-     */
-    function applyUserSensitivity(result, userSensitivity) {
-        // ========================================
-        // 1단계: 카테고리별 점수 가져오기
-        // ========================================
-        // categories 또는 detailedScores (AI 응답 형식 차이)
-        const categories = result.categories || result.detailedScores;
-
-        // 카테고리 데이터가 없으면 원본 점수 반환
-        if (!categories || typeof categories !== 'object') {
-            return result.riskScore || 0;
-        }
-
-        // ========================================
-        // 2단계: 기본 민감도 정의
-        // ========================================
-        // constants.js의 DEFAULT_SETTINGS와 동일
-        // 각 카테고리의 기준 민감도 (중간 값)
-        const defaultSensitivity = {
-            gore:           0.8,  // 고어: 높은 기본 민감도
-            violence:       0.8,  // 폭력: 높은 기본 민감도
-            death:          0.8,  // 죽음: 높은 기본 민감도
-            disturbing:     0.8,  // 혐오: 높은 기본 민감도
-            insects:        0.7,  // 벌레: 중간 기본 민감도
-            medical:        0.7,  // 의료: 중간 기본 민감도
-            shock:          0.7,  // 충격: 중간 기본 민감도
-            animal_cruelty: 0.8,  // 동물학대: 높은 기본 민감도
-            nsfw_porn:      0.3,  // 성인물: 낮은 기본 민감도
-            nsfw_sexy:      0.2   // 선정성: 매우 낮은 기본 민감도
-        };
-
-        // ========================================
-        // 3단계: 카테고리별 가중치 정의
-        // ========================================
-        // 위험도 판정에서 각 카테고리의 중요도
-        // 높을수록 최종 점수에 큰 영향
-        const weights = {
-            gore:           1.0,  // 고어: 최고 중요도
-            violence:       1.0,  // 폭력: 최고 중요도
-            death:          1.0,  // 죽음: 최고 중요도
-            disturbing:     0.9,  // 혐오: 높은 중요도
-            insects:        0.8,  // 벌레: 중간 중요도
-            medical:        0.9,  // 의료: 높은 중요도
-            shock:          0.8,  // 충격: 중간 중요도
-            animal_cruelty: 1.0,  // 동물학대: 최고 중요도
-            nsfw_porn:      0.5,  // 성인물: 낮은 중요도
-            nsfw_sexy:      0.3   // 선정성: 매우 낮은 중요도
-        };
-
-        // ========================================
-        // 4단계: 가중 평균 계산 (Weighted Average)
-        // ========================================
-        // 각 카테고리의 조정된 점수 × 가중치를 모두 더함
-        let weightedSum = 0;   // 가중치 적용 점수 합계
-        let totalWeight = 0;   // 전체 가중치 합계
-
-        // ========================================
-        // 5단계: 카테고리 순회 및 점수 조정
-        // ========================================
-        // Object.entries(): 객체를 [키, 값] 배열로 변환
-        // 예: { gore: 0.5, violence: 0.3 }
-        //  → [['gore', 0.5], ['violence', 0.3]]
-        for (const [category, score] of Object.entries(categories)) {
-            // 점수가 숫자가 아니면 스킵 (잘못된 데이터)
-            if (typeof score !== 'number') continue;
-
-            // ========================================
-            // 각 카테고리별 계산
-            // ========================================
-            const weight      = weights[category] || 0;                    // 가중치
-            const defaultSens = defaultSensitivity[category] || 1.0;       // 기본 민감도
-            const userSens    = userSensitivity[category] || defaultSens;  // 사용자 민감도
-
-            // ========================================
-            // 민감도 비율 계산
-            // ========================================
-            // sensitivityRatio = userSens / defaultSens
-            //
-            // 예시 1: 사용자가 고어에 더 민감함
-            // - userSens = 1.0, defaultSens = 0.8
-            // - ratio = 1.0 / 0.8 = 1.25
-            // - 점수 25% 증가
-            //
-            // 예시 2: 사용자가 고어에 덜 민감함
-            // - userSens = 0.5, defaultSens = 0.8
-            // - ratio = 0.5 / 0.8 = 0.625
-            // - 점수 37.5% 감소
-            const sensitivityRatio = userSens / defaultSens;
-
-            // ========================================
-            // 조정된 점수 계산
-            // ========================================
-            // adjustedScore = score × sensitivityRatio
-            // Math.min(1.0, ...): 최대 1.0으로 제한 (100% 초과 방지)
-            const adjustedScore = Math.min(1.0, score * sensitivityRatio);
-
-            // ========================================
-            // 가중치 적용 및 합산
-            // ========================================
-            // weightedSum += adjustedScore × weight
-            // 예: gore (0.625 × 1.0) + violence (0.2 × 1.0) + ...
-            weightedSum += adjustedScore * weight;
-            totalWeight += weight;
-        }
-
-        // ========================================
-        // 6단계: 최종 점수 반환 (가중 평균)
-        // ========================================
-        // 가중 평균 = weightedSum / totalWeight
-        //
-        // 예시:
-        // - weightedSum = 0.625 + 0.2 + 0.1 = 0.925
-        // - totalWeight = 1.0 + 1.0 + 0.9 = 2.9
-        // - 최종 점수 = 0.925 / 2.9 = 0.319 (약 32%)
-        //   → safe (< 0.3) 경계선 (사용자 민감도에 따라 caution이 될 수도)
-        return totalWeight > 0 ? weightedSum / totalWeight : 0;
-    }
-
-    /**
-     * ========================================
-     * 위험 점수에 따라 신호등 상태 결정
-     * ========================================
-     *
-     * 3단계 신호등 시스템:
-     * - 안전 (초록): riskScore < safeMax (기본 0.3)
-     * - 주의 (노랑): safeMax ≤ riskScore < cautionMax (기본 0.3 ~ 0.6)
-     * - 위험 (빨강): riskScore ≥ cautionMax (기본 0.6 이상)
-     *
-     * 임계값 설정:
-     * - safeMax: 0.3 (30%)
-     *   → 30% 미만이면 안전 (대부분 일상적인 이미지)
-     * - cautionMax: 0.6 (60%)
-     *   → 60% 미만이면 주의 (약간 불쾌할 수 있음)
-     *   → 60% 이상이면 위험 (혐오/폭력 이미지)
-     *
-     * 실생활 비유:
-     * "시험 점수로 등급 판정:
-     *  - 0~30점: 안전 (일반 이미지)
-     *  - 30~60점: 주의 (약간 불쾌)
-     *  - 60~100점: 위험 (혐오/폭력)"
-     *
-     * 예시:
-     * - riskScore = 0.15 (15%) → SAFE (초록불)
-     * - riskScore = 0.45 (45%) → CAUTION (노란불)
-     * - riskScore = 0.85 (85%) → DANGER (빨간불)
-     *
-     * 임계값 조정 가능:
-     * - 민감한 사용자: safeMax = 0.2, cautionMax = 0.4
-     *   → 더 엄격한 판정 (더 많은 이미지가 주의/위험으로)
-     * - 둔감한 사용자: safeMax = 0.4, cautionMax = 0.7
-     *   → 더 관대한 판정 (더 많은 이미지가 안전으로)
-     *
-     * @param {number} riskScore - 위험 점수 (0.0 ~ 1.0)
-     * @returns {string} 신호등 상태 ('safe', 'caution', 'danger')
-     */
-    function determineSignalStatus(riskScore) {
-        // ========================================
-        // 임계값 가져오기 (설정에서)
-        // ========================================
-        const { safeMax, cautionMax } = currentSettings.thresholds;
-
-        // ========================================
-        // 3단계 if-else 판정
-        // ========================================
-
-        if (riskScore < safeMax) {
-            // ========================================
-            // 안전 (초록불)
-            // ========================================
-            // 예: riskScore = 0.15, safeMax = 0.3
-            // → 0.15 < 0.3 → SAFE
-            return SIGNAL_STATUS.SAFE;
-
-        } else if (riskScore < cautionMax) {
-            // ========================================
-            // 주의 (노란불)
-            // ========================================
-            // 예: riskScore = 0.45, safeMax = 0.3, cautionMax = 0.6
-            // → 0.45 >= 0.3 (첫 번째 if 통과 안 됨)
-            // → 0.45 < 0.6 → CAUTION
-            return SIGNAL_STATUS.CAUTION;
-
-        } else {
-            // ========================================
-            // 위험 (빨간불)
-            // ========================================
-            // 예: riskScore = 0.85, cautionMax = 0.6
-            // → 0.85 >= 0.6 (두 번째 if 통과 안 됨)
-            // → DANGER
-            return SIGNAL_STATUS.DANGER;
-        }
-    }
-
     /**
      * 툴팁 엘리먼트를 생성한다
      */
@@ -2065,6 +2328,63 @@
 
         let content = `<div class="kas-tooltip__title">${SIGNAL_LABELS[status] || '알 수 없음'} (위험도: ${riskPercent}%)</div>`;
 
+        /** 카테고리별 기준으로 판정했으면 기준을 넘은 카테고리 표시 */
+        if (result.trippedCategory) {
+            const tripped = result.trippedCategory;
+            const levelLabel = tripped.level === SIGNAL_STATUS.DANGER ? '위험' : '주의';
+            content += `<div class="kas-tooltip__detail-line">판정 기준: ${getCategoryLabel(tripped.category)} ${Math.round(tripped.score * 100)}% (${levelLabel} 기준 ${Math.round(tripped.cutoff * 100)}%)</div>`;
+        }
+
+        /** 제목/본문 경고 문구로 주의 이상 표시한 경우 일치한 문구 표시 (사용자 사전 문구이므로 이스케이프) */
+        if (result.textSignal?.matches?.length > 0) {
+            const reasons = result.textSignal.matches.map(match =>
+                `"${escapeHtml(match.term)}" (${getCategoryLabel(match.category)}, ${match.source === 'body' ? '본문' : '제목'})`
+            );
+            content += `<div class="kas-tooltip__detail-line">경고 문구: ${reasons.join(', ')}</div>`;
+        }
+
+        /** 댓글 경고 인원과 대표 문구 표시 (사용자 사전 문구이므로 이스케이프) */
+        if (result.community?.votes > 0) {
+            const terms = result.community.matches.slice(0, 3).map(match => `"${escapeHtml(match.term)}"`);
+            content += `<div class="kas-tooltip__detail-line">댓글 경고: ${result.community.votes}명 (${terms.join(', ')}, 점수 ${Math.round(result.community.score * 100)}%)</div>`;
+        }
+
+        /** 상습 작성자 표시 */
+        if (result.offender) {
+            content += `<div class="kas-tooltip__detail-line">상습 작성자: 이 갤러리에서 주의 ${result.offender.caution}회, 위험 ${result.offender.danger}회</div>`;
+        }
+
+        /** 이미지가 여러 장이면 판정 기준 이미지 순번 표시 */
+        if (result.imageCount > 1 && Number.isInteger(result.imageIndex)) {
+            content += `<div class="kas-tooltip__image-index">${result.imageIndex + 1}번째 이미지 기준 (총 ${result.imageCount}장)</div>`;
+        }
+
+        /** 움짤이면 판정 기준 프레임 표시 */
+        if (result.frameCount > 1 && Number.isInteger(result.frameIndex)) {
+            content += `<div class="kas-tooltip__image-index">${result.frameIndex + 1}번째 프레임 기준 (총 ${result.frameCount}프레임 중 ${result.sampledFrames}개 검사)</div>`;
+        }
+
+        /** 동영상이면 판정 기준 재생 시점 표시 */
+        if (result.mediaType === 'video' && typeof result.frameTime === 'number') {
+            content += `<div class="kas-tooltip__image-index">동영상 ${result.frameTime.toFixed(1)}초 지점 기준 (${result.sampledFrames}개 시점 검사)</div>`;
+        }
+
+        /** 로컬 모델이 판정했으면 표시 (이미지가 외부로 전송되지 않음) */
+        if (result.secondary?.source === 'nsfwjs') {
+            content += `<div class="kas-tooltip__image-index">로컬 AI 모델(NSFW.js) 판정 · 이미지 전송 없음</div>`;
+        }
+
+        /** 해시 DB 매칭 시 매칭된 변환(회전/반전) 표시 */
+        if (result.primary?.matched) {
+            const matchLabel = result.primary.source === 'personal-blocklist' ? '나만의 차단 목록 일치' : '해시 DB 일치';
+            content += `<div class="kas-tooltip__image-index">${matchLabel} (${getTransformLabel(result.primary.matchType)})</div>`;
+        }
+
+        /** 나만의 허용 목록 일치 시 서버 판정 생략 안내 */
+        if (result.primary?.allowlisted) {
+            content += `<div class="kas-tooltip__image-index">나만의 허용 목록 일치 (${getTransformLabel(result.primary.matchType)})</div>`;
+        }
+
         /** detailedScores가 있으면 10개 카테고리 표시 */
         if (result.detailedScores) {
             content += '<div class="kas-tooltip__detail">';
@@ -2120,6 +2440,11 @@
             tooltipElement.appendChild(aiDiv);
         }
 
+        /** 앙상블 검증이면 API별 판정을 나란히 표시 */
+        if (Array.isArray(result.aiVerdicts) && result.aiVerdicts.length > 0) {
+            tooltipElement.appendChild(createVerdictsElement(result.aiVerdicts, result.ensemble));
+        }
+
         /** 에러 메시지는 XSS 방지를 위해 textContent로 추가 */
         if (result.error) {
             const errorDiv = document.createElement('div');
@@ -2146,6 +2471,54 @@
         tooltipElement.classList.add('kas-tooltip--visible');
     }
 
+    /**
+     * 앙상블 검증의 API별 판정 요소를 만든다 (XSS 방지를 위해 textContent 사용)
+     * @param {object[]} verdicts - [{ label, is_harmful, final_score, error }]
+     * @param {object} [ensemble] - { combine, quorum, harmfulCount, succeeded }
+     * @returns {HTMLElement}
+     */
+    function createVerdictsElement(verdicts, ensemble) {
+        const container = document.createElement('div');
+
+        const list = document.createElement('div');
+        list.className = 'kas-tooltip__verdicts';
+
+        for (const verdict of verdicts) {
+            const item = document.createElement('div');
+            item.className = 'kas-tooltip__verdict';
+
+            const name = document.createElement('span');
+            name.className   = 'kas-tooltip__verdict-name';
+            name.textContent = verdict.label || verdict.name;
+
+            const value = document.createElement('span');
+            if (verdict.error) {
+                value.className   = 'kas-tooltip__value';
+                value.textContent = '❌ 실패';
+                item.title        = verdict.error;
+            } else {
+                const percent = Math.round((verdict.final_score || 0) * 100);
+                value.className   = `kas-tooltip__value kas-tooltip__value--${verdict.is_harmful ? 'high' : 'low'}`;
+                value.textContent = `${verdict.is_harmful ? '⚠️ 유해' : '✅ 안전'} ${percent}%`;
+            }
+
+            item.append(name, value);
+            list.appendChild(item);
+        }
+
+        container.appendChild(list);
+
+        if (ensemble) {
+            const summary = document.createElement('div');
+            summary.className       = 'kas-tooltip__image-index';
+            summary.style.marginTop = '4px';
+            summary.textContent     = `앙상블(${ensemble.combine}) · 유해 ${ensemble.harmfulCount}/${ensemble.succeeded} · 자동 신고 기준 ${ensemble.quorum}`;
+            container.appendChild(summary);
+        }
+
+        return container;
+    }
+
     /**
      * 툴팁을 숨긴다
      */
@@ -2155,6 +2528,19 @@
         }
     }
 
+    /**
+     * innerHTML에 넣을 문자열을 이스케이프한다
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * 카테고리 라벨을 반환한다
      * @param {string} category - 카테고리 키
@@ -2185,6 +2571,25 @@
         return labels[category] || category;
     }
 
+    /**
+     * 해시 변환 라벨을 반환한다
+     * @param {string} transform - 변환 키 (hashChecker의 matchType)
+     * @returns {string}
+     */
+    function getTransformLabel(transform) {
+        const labels = {
+            original:        '원본',
+            rotate90:        '90° 회전',
+            rotate180:       '180° 회전',
+            rotate270:       '270° 회전',
+            mirror:          '좌우 반전',
+            mirrorRotate90:  '좌우 반전 + 90° 회전',
+            mirrorRotate180: '상하 반전',
+            mirrorRotate270: '좌우 반전 + 270° 회전'
+        };
+        return labels[transform] || '원본';
+    }
+
     /**
      * ========================================
      * DOM 변경 감지 (MutationObserver)
@@ -2495,10 +2900,32 @@
         }
 
         if (message.type === 'SETTINGS_UPDATED') {
-            currentSettings = message.settings;
+            currentSettings = message.settings;  // 이 탭의 유효 설정 (시간대별 일정/갤러리별 설정 반영됨)
+            rerenderSignals();  // 프로필 전환 등 판정 설정 변경을 열린 페이지에 바로 반영
+
+            // 숨긴 작성자 변경 반영 (해제된 작성자의 글은 캐시로 신호등 복원)
+            if (isInitialized && window.dcParser.isGalleryListPage() && applyMutedAuthors() > 0) {
+                processPostList(true);
+            }
             sendResponse({ success: true });
         }
 
+        // 나만의 차단/허용 목록 변경으로 이전 판정 무효화
+        if (message.type === 'ANALYSIS_INVALIDATED') {
+            invalidateAnalyses(message.statuses || [])
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;  // 비동기 응답
+        }
+
+        // 작성자 숨기기 (컨텍스트 메뉴)
+        if (message.type === 'MUTE_CONTEXT_AUTHOR') {
+            muteContextAuthor()
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;  // 비동기 응답
+        }
+
         // 이미지 처리 요청 (신고 기능용)
         if (message.type === 'PROCESS_IMAGE') {
             processImageForReport(message.imageUrl)
@@ -2545,30 +2972,18 @@
             return true;
         }
 
+        // 너굴맨 이미지의 원본 URL 요청 (나만의 허용 목록 추가용)
+        if (message.type === 'GET_ORIGINAL_IMAGE_URL') {
+            sendResponse({ imageUrl: findOriginalImageUrl(message.imageUrl) });
+            return true;
+        }
+
         // 화이트리스트 등록 사유 입력 요청
         if (message.type === 'GET_WHITELIST_REASON') {
-            let imageUrl = message.imageUrl;
-            console.log('[Kas-Free Content] 화이트리스트 요청 받음, imageUrl:', imageUrl);
+            console.log('[Kas-Free Content] 화이트리스트 요청 받음, imageUrl:', message.imageUrl);
 
             // placeholder 이미지인 경우 원본 URL 찾기
-            if (imageUrl && imageUrl.includes('placeholder.jpg')) {
-                console.log('[Kas-Free Content] placeholder 이미지 감지, 원본 URL 찾기 시작');
-                const replacedImages = document.querySelectorAll('.kas-replaced-image[data-kas-replaced="true"]');
-                console.log('[Kas-Free Content] 대체된 이미지 개수:', replacedImages.length);
-
-                for (const img of replacedImages) {
-                    console.log('[Kas-Free Content] 이미지 체크:', {
-                        src: img.src,
-                        original: img.dataset.kasOriginalSrc
-                    });
-
-                    if (img.src === imageUrl && img.dataset.kasOriginalSrc) {
-                        imageUrl = img.dataset.kasOriginalSrc;
-                        console.log('[Kas-Free Content] 원본 URL 찾음:', imageUrl);
-                        break;
-                    }
-                }
-            }
+            const imageUrl = findOriginalImageUrl(message.imageUrl);
 
             let reason = null;
             let attempts = 0;
@@ -2628,6 +3043,35 @@
         return true;
     }
 
+    /**
+     * 너굴맨 이미지면 대체 전 원본 URL을 찾는다
+     * @param {string} imageUrl - 이미지 URL
+     * @returns {string} 원본 URL (너굴맨이 아니거나 못 찾으면 그대로)
+     */
+    function findOriginalImageUrl(imageUrl) {
+        if (!imageUrl || !imageUrl.includes('placeholder.jpg')) {
+            return imageUrl;
+        }
+
+        console.log('[Kas-Free Content] placeholder 이미지 감지, 원본 URL 찾기 시작');
+        const replacedImages = document.querySelectorAll('.kas-replaced-image[data-kas-replaced="true"]');
+        console.log('[Kas-Free Content] 대체된 이미지 개수:', replacedImages.length);
+
+        for (const img of replacedImages) {
+            console.log('[Kas-Free Content] 이미지 체크:', {
+                src: img.src,
+                original: img.dataset.kasOriginalSrc
+            });
+
+            if (img.src === imageUrl && img.dataset.kasOriginalSrc) {
+                console.log('[Kas-Free Content] 원본 URL 찾음:', img.dataset.kasOriginalSrc);
+                return img.dataset.kasOriginalSrc;
+            }
+        }
+
+        return imageUrl;
+    }
+
     /**
      * 대체된 이미지를 원본으로 복원한다
      * @param {string} placeholderUrl - 너굴맨 이미지 URL
@@ -2766,6 +3210,21 @@
             }
         }
 
+        /** 댓글 경고 검사 (게시글마다 한 번, 본문 HTML의 토큰 필요) */
+        if (!communitySignals.has(postInfo.postNo) && currentSettings.communitySignal?.enabled !== false && content.esno) {
+            const comments = await window.dcParser.fetchComments(postInfo.postUrl, content.esno);
+            communitySignals.set(postInfo.postNo, window.KasTextSignals.scanComments(comments, currentSettings.textSignals?.dictionary));
+        }
+
+        /** 본문 경고 문구/댓글 경고 반영 (처음 가져온 경우 신호등이 올라갈 수 있음) */
+        const signal = row.querySelector('.kas-signal');
+        if (signal) {
+            const result = withPostSignals(refreshVerdict(cachedResult), postInfo);
+            if (result.status !== signal.dataset.status) {
+                updateSignalStatus(signal, result.status, result);
+            }
+        }
+
         /** 툴팁 생성 */
         const tooltip = createPreviewTooltip();
 
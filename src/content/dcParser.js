@@ -13,6 +13,7 @@ const DC_SELECTORS = {
     POST_ROW_WITH_IMAGE:  'tr.ub-content.us-post[data-type="icon_pic"], tr.ub-content.us-post[data-type="icon_recomimg"], tr.ub-content.us-post[data-type="icon_movie"]',
     TITLE_CELL:           'td.gall_tit',
     TITLE_LINK:           'td.gall_tit a[href*="board/view"]',
+    WRITER_CELL:          'td.gall_writer',
     ICON_IMG:             'em.icon_img',
     CONTENT_WRAP:         '.gallview_contents',
     WRITING_BOX:          '.writing_view_box',
@@ -23,9 +24,18 @@ const DC_SELECTORS = {
     DCCON:                'img.written_dccon',
     AD_AREA:              '#zzbang_div',
     AD_IMAGE:             '#zzbang_div img',
-    OG_IMAGE:             'meta[property="og:image"]'
+    OG_IMAGE:             'meta[property="og:image"]',
+    ESNO:                 '#e_s_n_o',
+    COMMENT_AREA:         '.view_comment',
+    COMMENT_ITEM:         '.comment_box li.ub-content',
+    COMMENT_TEXT:         'p.usertxt',
+    COMMENT_WRITER:       '.gall_writer',
+    REPLY_LIST:           'ul.reply_list'
 };
 
+/** 댓글 API (게시글 HTML에는 댓글이 없고 페이지에서 AJAX로 불러옴) */
+const DC_COMMENT_API = 'https://gall.dcinside.com/board/comment/';
+
 /** URL 패턴 */
 const DC_URL_PATTERNS = {
     GALLERY_LIST: /gall\.dcinside\.com\/(mgallery\/|mini\/)?board\/lists/,
@@ -92,6 +102,7 @@ class DcParser {
         const titleText = this.extractTitleText(titleLink);
         const hasImage  = this.hasImageAttachment(postType);
         const iconImg   = titleCell.querySelector(DC_SELECTORS.ICON_IMG);
+        const author    = this.parseWriter(row.querySelector(DC_SELECTORS.WRITER_CELL));
 
         return {
             postNo,
@@ -102,10 +113,32 @@ class DcParser {
             titleCell,
             titleLink,
             iconImg,
+            author,
             row
         };
     }
 
+    /**
+     * 작성자 엘리먼트에서 작성자 정보를 추출한다
+     * - 고정닉/반고닉: data-uid (아이디), 유동닉: data-ip (앞 두 자리)
+     * - key: 'uid:아이디' 또는 'ip:아이피|닉네임' (닉네임만 있으면 구분할 수 없으므로 null)
+     * - 유동닉의 IP 앞 두 자리는 통신사 하나(예: 118.235)를 통째로 가리키므로 닉네임과 함께 구분
+     * @param {Element|null} writer - td.gall_writer 또는 댓글의 .gall_writer
+     * @returns {{nick: string, uid: string|null, ip: string|null, key: string|null}|null}
+     */
+    parseWriter(writer) {
+        if (!writer || !writer.dataset) {
+            return null;
+        }
+
+        const nick = writer.dataset.nick || '';
+        const uid  = writer.dataset.uid || null;
+        const ip   = writer.dataset.ip || null;
+        const key  = uid ? `uid:${uid}` : (ip ? `ip:${ip}|${nick}` : null);
+
+        return { nick, uid, ip, key };
+    }
+
     /**
      * 제목 텍스트를 추출한다 (아이콘, 댓글 수 제외)
      * @param {Element} titleLink - 제목 링크 엘리먼트
@@ -139,15 +172,16 @@ class DcParser {
 
     /**
      * 게시글 상세 페이지에서 분석 대상 이미지를 추출한다
+     * @param {Document} [doc=document] - 대상 문서 (fetch로 파싱한 문서도 가능)
      * @returns {string[]} 이미지 URL 배열
      */
-    getAnalyzableImages() {
+    getAnalyzableImages(doc = document) {
         /** 방법 1: data-fileno 속성으로 필터링 (권장, DC_HTML_STRUCTURE.md 7.3 참고) */
-        let images = document.querySelectorAll(DC_SELECTORS.CONTENT_IMAGE);
+        let images = doc.querySelectorAll(DC_SELECTORS.CONTENT_IMAGE);
 
         /** 폴백: data-fileno가 없는 경우 viewimage.php 패턴 사용 */
         if (images.length === 0) {
-            images = document.querySelectorAll(DC_SELECTORS.CONTENT_IMAGE_ALT);
+            images = doc.querySelectorAll(DC_SELECTORS.CONTENT_IMAGE_ALT);
         }
 
         const imageUrls = [];
@@ -275,10 +309,14 @@ class DcParser {
             const dccons2 = doc.querySelectorAll(DC_SELECTORS.DCCON);
             const dcconCount = dccons2.length;
 
+            /** 댓글 API 요청에 필요한 토큰 (fetchComments에서 사용) */
+            const esno = doc.querySelector(DC_SELECTORS.ESNO)?.value || null;
+
             return {
                 text,
                 imageCount,
-                dcconCount
+                dcconCount,
+                esno
             };
         } catch (error) {
             // Fetch 실패는 일반적인 상황 (Rate Limiting, 네트워크 오류 등)
@@ -287,6 +325,96 @@ class DcParser {
         }
     }
 
+    /**
+     * 댓글 목록을 파싱한다 (게시글 상세 페이지)
+     * - 댓글돌이/광고처럼 작성자 정보가 없는 항목과 디시콘만 있는 댓글은 제외
+     * - 답글은 ul.reply_list#reply_list_{부모 댓글 번호} 안에 있음
+     * @param {Document|Element} root - 검색 범위
+     * @returns {object[]} [{ no, parentNo, author, text }]
+     */
+    parseComments(root = document) {
+        const comments = [];
+
+        root.querySelectorAll(DC_SELECTORS.COMMENT_ITEM).forEach(item => {
+            const writer = this.parseWriter(item.querySelector(DC_SELECTORS.COMMENT_WRITER));
+            const text   = item.querySelector(DC_SELECTORS.COMMENT_TEXT)?.textContent.trim();
+            if (!writer || !text) {
+                return;
+            }
+
+            const replyList = item.closest(DC_SELECTORS.REPLY_LIST);
+
+            comments.push({
+                no:       item.id.replace('comment_li_', '') || null,
+                parentNo: replyList ? replyList.id.replace('reply_list_', '') || null : null,
+                author:   writer.key || writer.nick,
+                text
+            });
+        });
+
+        return comments;
+    }
+
+    /**
+     * 게시글 댓글을 가져온다 (목록 페이지 미리보기용, 첫 페이지만)
+     * @param {string} postUrl - 게시글 URL
+     * @param {string} esno - 게시글 HTML의 e_s_n_o 토큰 (fetchPostContent 결과)
+     * @returns {Promise<object[]|null>} parseComments()와 같은 형식 (실패 시 null)
+     */
+    async fetchComments(postUrl, esno) {
+        try {
+            const url       = new URL(postUrl);
+            const galleryId = url.searchParams.get('id');
+            const postNo    = url.searchParams.get('no');
+            if (!galleryId || !postNo || !esno) {
+                return null;
+            }
+
+            const galleryType = url.pathname.includes('/mgallery/') ? 'M'
+                : (url.pathname.includes('/mini/') ? 'MI' : 'G');
+
+            const response = await fetch(DC_COMMENT_API, {
+                method:      'POST',
+                credentials: 'include',
+                headers: {
+                    'Content-Type':     'application/x-www-form-urlencoded; charset=UTF-8',
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                body: new URLSearchParams({
+                    id:           galleryId,
+                    no:           postNo,
+                    cmt_id:       galleryId,
+                    cmt_no:       postNo,
+                    e_s_n_o:      esno,
+                    comment_page: '1',
+                    sort:         '',
+                    _GALLTYPE_:   galleryType
+                })
+            });
+
+            if (!response.ok) {
+                return null;
+            }
+
+            const data   = await response.json();
+            const parser = new DOMParser();
+
+            /** memo는 HTML (디시콘 이미지 등) → 텍스트만 추출 */
+            return (data?.comments || [])
+                .filter(comment => comment.no && comment.memo)
+                .map(comment => ({
+                    no:       String(comment.no),
+                    parentNo: Number(comment.depth) > 0 && comment.c_no ? String(comment.c_no) : null,
+                    author:   comment.user_id ? `uid:${comment.user_id}` : (comment.ip ? `ip:${comment.ip}` : comment.name || ''),
+                    text:     parser.parseFromString(comment.memo, 'text/html').body.textContent.trim()
+                }))
+                .filter(comment => comment.text);
+        } catch (error) {
+            // fetchPostContent와 같이 실패는 조용히 무시 (댓글 신호만 빠짐)
+            return null;
+        }
+    }
+
     /**
      * 이미지가 디시인사이드 이미지인지 확인한다
      * @param {string} url - 이미지 URL
@@ -0,0 +1,164 @@
+/**
+ * ========================================
+ * TensorFlow.js 백엔드 관리자
+ * ========================================
+ *
+ * 문제점:
+ * - 같은 모델이라도 백엔드(webgl/cpu)에 따라 속도가 수십 배 차이남
+ * - 어떤 PC는 GPU 드라이버 문제로 webgl이 느리거나 오작동함
+ * - 어떤 백엔드가 실제로 쓰이는지 알 수 없음
+ *
+ * 해결책:
+ * - 처음 한 번 각 백엔드로 같은 연산을 돌려 시간 측정 (벤치마크)
+ * - 가장 빠른 백엔드를 서비스 워커가 저장 → 다음부터는 측정 없이 사용
+ * - 옵션에서 백엔드를 강제로 지정 가능 (오작동하는 백엔드 회피)
+ *
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks Offscreen Document 전용 (전역 tf 필요, offscreen.js보다 먼저 로드)
+ */
+
+/**
+ * 벤치마크 후보 (빠를 가능성이 높은 순서)
+ * - src/lib/tf.min.js에 포함된 백엔드만 (wasm은 tf-backend-wasm과 .wasm 파일이 따로 필요해 제외)
+ */
+const TF_BACKEND_CANDIDATES = ['webgl', 'cpu'];
+
+/** 벤치마크 반복 횟수 (첫 실행은 셰이더 컴파일 등으로 느려서 제외) */
+const BENCHMARK_RUNS = 3;
+
+/**
+ * TensorFlow.js 백엔드 관리자 클래스
+ */
+class TfBackendManager {
+    constructor() {
+        /** 마지막 선택 결과 { backend, source, timings, error } */
+        this.selection = null;
+    }
+
+    /**
+     * 백엔드를 선택하고 적용한다
+     *
+     * 선택 순서:
+     * 1. forced: 옵션에서 강제 지정한 백엔드 ('auto'가 아닌 경우)
+     * 2. preferred: 이전 벤치마크에서 가장 빨랐던 백엔드
+     * 3. 벤치마크: 사용 가능한 모든 백엔드 측정 후 가장 빠른 것
+     *
+     * @param {object} [options] - { forced, preferred }
+     * @returns {Promise<{backend: string, source: string, timings: object|null, error: string|null}>}
+     */
+    async select({ forced = 'auto', preferred = null } = {}) {
+        let error = null;
+
+        if (forced && forced !== 'auto' && TF_BACKEND_CANDIDATES.includes(forced)) {
+            if (await this.activate(forced)) {
+                return this.remember({ backend: forced, source: 'forced', timings: null, error: null });
+            }
+
+            error = `강제 지정한 백엔드(${forced})를 사용할 수 없어 자동 선택으로 전환했습니다.`;
+            console.warn('[TfBackendManager]', error);
+        }
+
+        if (preferred && await this.activate(preferred)) {
+            return this.remember({ backend: preferred, source: 'stored', timings: null, error });
+        }
+
+        const timings = await this.benchmark();
+        const fastest = Object.entries(timings)
+            .filter(([, time]) => typeof time === 'number')
+            .sort((a, b) => a[1] - b[1])[0];
+
+        if (!fastest || !(await this.activate(fastest[0]))) {
+            throw new Error('사용 가능한 TensorFlow.js 백엔드가 없습니다.');
+        }
+
+        return this.remember({ backend: fastest[0], source: 'benchmark', timings, error });
+    }
+
+    /**
+     * 사용 가능한 모든 백엔드의 평균 연산 시간을 측정한다
+     * @returns {Promise<object>} { webgl: 12.3, cpu: 80.1 } (null = 사용 불가)
+     */
+    async benchmark() {
+        const timings = {};
+
+        for (const name of TF_BACKEND_CANDIDATES) {
+            try {
+                timings[name] = await this.measure(name);
+            } catch (error) {
+                console.warn(`[TfBackendManager] ${name} 측정 실패:`, error.message);
+                timings[name] = null;
+            }
+        }
+
+        console.log('[TfBackendManager] 벤치마크 결과 (ms):', timings);
+        return timings;
+    }
+
+    /**
+     * 백엔드 하나로 합성곱 연산 시간을 측정한다
+     * @param {string} name - 백엔드 이름
+     * @returns {Promise<number|null>} 평균 시간 (ms, 사용 불가면 null)
+     */
+    async measure(name) {
+        if (!(await this.activate(name))) {
+            return null;
+        }
+
+        // 모델 첫 레이어와 비슷한 크기의 합성곱
+        const run = () => tf.tidy(() => {
+            const input  = tf.randomNormal([1, 112, 112, 3]);
+            const filter = tf.randomNormal([3, 3, 3, 16]);
+            return tf.conv2d(input, filter, 1, 'same').relu().mean();
+        });
+
+        // 워밍업 (셰이더 컴파일 시간 제외)
+        const warmup = run();
+        await warmup.data();
+        warmup.dispose();
+
+        const start = performance.now();
+        for (let i = 0; i < BENCHMARK_RUNS; i++) {
+            const result = run();
+            await result.data();
+            result.dispose();
+        }
+
+        return (performance.now() - start) / BENCHMARK_RUNS;
+    }
+
+    /**
+     * 백엔드를 적용한다
+     * @param {string} name - 백엔드 이름
+     * @returns {Promise<boolean>} 성공 여부 (번들에 없거나 초기화 실패 시 false)
+     */
+    async activate(name) {
+        if (typeof tf.findBackendFactory === 'function' && !tf.findBackendFactory(name)) {
+            return false;
+        }
+
+        try {
+            if (tf.getBackend() !== name && !(await tf.setBackend(name))) {
+                return false;
+            }
+
+            await tf.ready();
+            return true;
+        } catch (error) {
+            console.warn(`[TfBackendManager] ${name} 백엔드 적용 실패:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 선택 결과를 기록하고 반환한다
+     * @param {object} selection - 선택 결과
+     * @returns {object}
+     */
+    remember(selection) {
+        this.selection = selection;
+        console.log('[TfBackendManager] 백엔드 선택:', selection);
+        return selection;
+    }
+}
@@ -11,89 +11,119 @@ console.log('[Kas-Free Offscreen] NSFW.js 로드 여부:', typeof nsfwjs !== 'un
 
 /** NSFW.js 모델 및 상태 */
 let model = null;
+let modelVariant = null;    // 로드된 모델 변형 (예: 'mobilenet_v2')
+let loadingPromise = null;  // 로딩 중인 Promise (중복 로드 방지)
 let isLoading = false;
 let isLoaded = false;
 let loadError = null;
 
+/** TensorFlow.js 백엔드 관리자 (backendManager.js) */
+const backendManager = new TfBackendManager();
+
 /**
  * NSFW.js 모델 로드
+ *
+ * 모델은 확장 프로그램에 번들된 파일에서 로드 (CDN 사용 안 함)
+ * - 다른 변형이 요청되면 기존 모델을 해제하고 다시 로드
+ *
+ * @param {object} modelConfig - { variant, url, size, backend } (서비스 워커가 전달)
  */
-async function loadModel() {
-    if (isLoaded) {
-        console.log('[Kas-Free Offscreen] 모델 이미 로드됨');
+async function loadModel(modelConfig) {
+    if (!modelConfig?.url) {
+        throw new Error('모델 설정이 전달되지 않았습니다.');
+    }
+
+    if (isLoaded && modelVariant === modelConfig.variant) {
         return true;
     }
 
-    if (isLoading) {
+    if (loadingPromise) {
         console.log('[Kas-Free Offscreen] 모델 로딩 중...');
-        return new Promise((resolve) => {
-            const checkInterval = setInterval(() => {
-                if (isLoaded) {
-                    clearInterval(checkInterval);
-                    resolve(true);
-                }
-            }, 100);
-        });
+        await loadingPromise.catch(() => {});
+        return loadModel(modelConfig);
     }
 
     isLoading = true;
+    loadingPromise = loadBundledModel(modelConfig);
 
     try {
-        console.log('[Kas-Free Offscreen] NSFW.js 모델 로딩 시작...');
-
-        // TensorFlow.js 확인
-        if (typeof tf === 'undefined') {
-            throw new Error('TensorFlow.js가 로드되지 않았습니다.');
-        }
-
-        // nsfwjs 확인
-        if (typeof nsfwjs === 'undefined') {
-            throw new Error('nsfwjs 라이브러리가 로드되지 않았습니다.');
-        }
-
-        console.log('[Kas-Free Offscreen] TensorFlow.js 버전:', tf.version.tfjs);
-        console.log('[Kas-Free Offscreen] 현재 백엔드:', tf.getBackend());
-
-        // WASM 백엔드 설정 시도 (CSP 'unsafe-eval' 없이 작동)
-        try {
-            if (typeof tf.setBackend === 'function') {
-                await tf.setBackend('wasm');
-                await tf.ready();
-                console.log('[Kas-Free Offscreen] WASM 백엔드 설정 완료');
-            }
-        } catch (backendError) {
-            console.warn('[Kas-Free Offscreen] WASM 백엔드 설정 실패, 기본 백엔드 사용:', backendError);
-        }
-
-        // CDN에서 사전 훈련된 모델 로드 (로컬 model.json 오류 회피)
-        console.log('[Kas-Free Offscreen] CDN에서 기본 모델 로드 시도...');
-        model = await nsfwjs.load();
+        await loadingPromise;
 
         isLoaded = true;
-        isLoading = false;
-
-        console.log('[Kas-Free Offscreen] NSFW.js 모델 로드 완료');
         loadError = null;
+
+        console.log('[Kas-Free Offscreen] NSFW.js 모델 로드 완료:', modelConfig.variant);
         return true;
     } catch (error) {
-        isLoading = false;
         loadError = error.message;
         console.error('[Kas-Free Offscreen] 모델 로드 실패:', error);
-        console.error('[Kas-Free Offscreen] 에러 메시지:', error.message);
-        console.error('[Kas-Free Offscreen] 에러 스택:', error.stack);
         throw error;
+    } finally {
+        isLoading = false;
+        loadingPromise = null;
     }
 }
 
+/**
+ * 번들된 모델 파일을 로드한다
+ * @param {object} modelConfig - { variant, url, size, backend: { forced, preferred } }
+ */
+async function loadBundledModel(modelConfig) {
+    console.log('[Kas-Free Offscreen] NSFW.js 모델 로딩 시작:', modelConfig.url);
+
+    // TensorFlow.js 확인
+    if (typeof tf === 'undefined') {
+        throw new Error('TensorFlow.js가 로드되지 않았습니다.');
+    }
+
+    // nsfwjs 확인
+    if (typeof nsfwjs === 'undefined') {
+        throw new Error('nsfwjs 라이브러리가 로드되지 않았습니다.');
+    }
+
+    console.log('[Kas-Free Offscreen] TensorFlow.js 버전:', tf.version.tfjs);
+
+    // 백엔드 선택 (강제 지정 → 저장된 최적 백엔드 → 벤치마크)
+    // 서비스 워커에 알려 저장 (다음 실행부터 벤치마크 생략)
+    const selection = await backendManager.select(modelConfig.backend);
+    chrome.runtime.sendMessage({ type: 'TF_BACKEND_SELECTED', selection }).catch(() => {});
+
+    // 다른 변형으로 바꾸는 경우 기존 모델 메모리 해제
+    disposeModel();
+
+    // model.json이 없으면 nsfwjs가 알기 어려운 에러를 내므로 먼저 확인
+    const response = await fetch(modelConfig.url, { method: 'HEAD' }).catch(() => null);
+    if (!response?.ok) {
+        throw new Error(`모델 파일을 찾을 수 없습니다 (${modelConfig.variant})`);
+    }
+
+    model = await nsfwjs.load(modelConfig.url, { size: modelConfig.size });
+    modelVariant = modelConfig.variant;
+}
+
+/**
+ * 로드된 모델을 해제한다
+ */
+function disposeModel() {
+    if (model) {
+        model.model?.dispose?.();
+    }
+
+    model = null;
+    modelVariant = null;
+    isLoaded = false;
+}
+
 /**
  * 이미지 분석
+ * @param {string} imageUrl - 이미지 URL 또는 Data URI
+ * @param {object} modelConfig - 모델 설정 { variant, url, size }
+ * @param {object} [sensitivity] - 사용자 민감도 설정 (없으면 기본값)
  */
-async function analyzeImage(imageUrl) {
+async function analyzeImage(imageUrl, modelConfig, sensitivity) {
     console.log('[Kas-Free Offscreen] 이미지 분석 시작:', imageUrl);
 
-    if (!isLoaded) {
-        await loadModel();
-    }
+    await loadModel(modelConfig);
 
     try {
         // 이미지 로드
@@ -105,7 +135,7 @@ async function analyzeImage(imageUrl) {
         console.log('[Kas-Free Offscreen] 분석 완료:', predictions);
 
         // 결과 변환
-        const result = transformResult(predictions);
+        const result = transformResult(predictions, sensitivity);
         return result;
     } catch (error) {
         console.error('[Kas-Free Offscreen] 분석 실패:', error);
@@ -115,15 +145,38 @@ async function analyzeImage(imageUrl) {
 
 /**
  * 이미지 로드
+ *
+ * 왜 fetch 후 Blob URL로 여나요?
+ * - 디시인사이드는 CORS를 허용하지 않아 <img src>로 바로 열면 캔버스가 오염됨
+ * - 오염된 이미지는 TensorFlow.js가 픽셀을 읽지 못함 (SecurityError)
+ * - fetch(호스트 권한)로 받아 Blob URL로 열면 같은 출처로 취급됨
  */
-function loadImage(url) {
+async function loadImage(url) {
+    const response = await fetch(url, {
+        credentials:    'include',
+        referrerPolicy: 'no-referrer'
+    });
+
+    if (!response.ok) {
+        throw new Error(`이미지 fetch 실패: ${response.status}`);
+    }
+
+    const objectUrl = URL.createObjectURL(await response.blob());
+
+    try {
+        return await loadImageElement(objectUrl);
+    } finally {
+        URL.revokeObjectURL(objectUrl);
+    }
+}
+
+/**
+ * <img> 엘리먼트로 이미지 로드
+ */
+function loadImageElement(url) {
     return new Promise((resolve, reject) => {
         const img = new Image();
 
-        // CORS 우회: 디시인사이드는 CORS를 허용하지 않으므로
-        // crossOrigin을 설정하지 않음 (같은 출처로 처리)
-        // img.crossOrigin = 'anonymous';
-
         img.onload = () => {
             console.log('[Kas-Free Offscreen] 이미지 로드 성공:', img.width, 'x', img.height);
             resolve(img);
@@ -141,70 +194,353 @@ function loadImage(url) {
             }
         }, 10000);
 
-        console.log('[Kas-Free Offscreen] 이미지 로딩 시작:', url);
         img.src = url;
     });
 }
 
 /**
- * NSFW.js 결과를 변환
+ * NSFW.js 결과를 변환 (서버 결과와 같은 10개 카테고리 형식)
  */
-function transformResult(predictions) {
+function transformResult(predictions, sensitivity = {}) {
     const categories = {};
     predictions.forEach(p => {
         categories[p.className.toLowerCase()] = p.probability;
     });
 
-    // 위험도 계산 (간단한 버전)
-    const goreViolence = 0; // NSFW.js는 gore/violence 미지원
-    const disturbing = 0;
-    const porn = categories.porn || 0;
-    const hentai = categories.hentai || 0;
-    const sexy = categories.sexy || 0;
-
-    // 민감도 기본값 적용
-    const sensitivity = {
-        goreViolence: 0.8,
-        disturbing: 0.8,
-        porn: 0.3,
-        hentai: 0.3,
-        sexy: 0.2
+    // NSFW.js는 성인물만 지원 → 나머지 카테고리는 0
+    // 그림 음란물(hentai)도 음란물(nsfw_porn)로 합산
+    const detailedScores = {
+        gore:           0,
+        violence:       0,
+        death:          0,
+        disturbing:     0,
+        insects:        0,
+        medical:        0,
+        shock:          0,
+        animal_cruelty: 0,
+        nsfw_porn:      Math.max(categories.porn || 0, categories.hentai || 0),
+        nsfw_sexy:      categories.sexy || 0
     };
 
+    // 민감도 적용 (설정이 없으면 기본값)
+    const pornSensitivity = sensitivity.nsfw_porn ?? 0.3;
+    const sexySensitivity = sensitivity.nsfw_sexy ?? 0.2;
+
     const riskScore = Math.max(
-        goreViolence * sensitivity.goreViolence,
-        disturbing * sensitivity.disturbing,
-        porn * sensitivity.porn,
-        hentai * sensitivity.hentai,
-        sexy * sensitivity.sexy
+        detailedScores.nsfw_porn * pornSensitivity,
+        detailedScores.nsfw_sexy * sexySensitivity
     );
 
     return {
         riskScore,
-        categories: {
-            goreViolence,
-            disturbing,
-            porn,
-            hentai,
-            sexy,
-            drawing: categories.drawing || 0,
-            neutral: categories.neutral || 0
-        },
-        source: 'nsfwjs',
+        detailedScores,
+        categories:     detailedScores,
+        source:         'nsfwjs',
+        matched:        false,
         rawPredictions: predictions
     };
 }
 
+/** 장면 전환 비교용 축소 크기 (16x16 흑백) */
+const SIGNATURE_SIZE = 16;
+
+/**
+ * 움직이는 이미지(GIF/WebP/APNG)에서 검사할 프레임을 추출한다
+ *
+ * 추출 기준:
+ * 1. 균등 간격 샘플 (sampleCount개, 첫 프레임 포함)
+ * 2. 장면 전환 프레임 (이전 프레임과 밝기 차이가 큰 프레임, 최대 maxSceneChanges개)
+ *
+ * @param {object} options - { imageUrl, mimeType, sampleCount, maxSceneChanges, sceneChangeDiff, maxScannedFrames, frameMaxSize }
+ * @returns {Promise<{frameCount: number, frames: Array<{index: number, reason: string, dataUrl: string}>}>}
+ */
+async function extractAnimatedFrames(options) {
+    if (typeof ImageDecoder === 'undefined') {
+        throw new Error('ImageDecoder를 지원하지 않는 브라우저입니다.');
+    }
+
+    const response = await fetch(options.imageUrl, {
+        credentials:    'include',
+        referrerPolicy: 'no-referrer'
+    });
+
+    if (!response.ok) {
+        throw new Error(`이미지 fetch 실패: ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const type = options.mimeType || blob.type;
+
+    if (!(await ImageDecoder.isTypeSupported(type))) {
+        throw new Error(`지원하지 않는 이미지 형식입니다: ${type}`);
+    }
+
+    const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type });
+
+    try {
+        await decoder.completed;
+
+        const frameCount    = decoder.tracks.selectedTrack.frameCount;
+        const sampleIndices = pickEvenlySpacedIndices(frameCount, options.sampleCount);
+        const sceneIndices  = await findSceneChangeIndices(decoder, frameCount, options, sampleIndices);
+
+        const frames = [];
+        for (const index of [...sampleIndices, ...sceneIndices].sort((a, b) => a - b)) {
+            const { image } = await decoder.decode({ frameIndex: index });
+
+            frames.push({
+                index,
+                reason:  sceneIndices.includes(index) ? 'scene' : 'sample',
+                dataUrl: frameToDataUrl(image, options.frameMaxSize)
+            });
+
+            image.close();
+        }
+
+        console.log('[Kas-Free Offscreen] 프레임 추출 완료:', {
+            frameCount,
+            samples: sampleIndices,
+            scenes:  sceneIndices
+        });
+
+        return { frameCount, frames };
+    } finally {
+        decoder.close();
+    }
+}
+
+/**
+ * 동영상에서 균등 간격 시점의 프레임을 캡처한다
+ *
+ * 왜 Blob URL로 재생하나요?
+ * - 다른 출처 동영상을 <video src>로 바로 열면 캔버스가 오염(tainted)되어 캡처 불가
+ * - fetch(호스트 권한)로 받아 Blob URL로 열면 같은 출처로 취급됨
+ *
+ * @param {object} options - { videoUrl, sampleCount, maxBytes, frameMaxSize, seekTimeout }
+ * @returns {Promise<{duration: number, frames: Array<{index: number, time: number, dataUrl: string}>}>}
+ */
+async function extractVideoFrames(options) {
+    const response = await fetch(options.videoUrl, {
+        credentials:    'include',
+        referrerPolicy: 'no-referrer'
+    });
+
+    if (!response.ok) {
+        throw new Error(`동영상 fetch 실패: ${response.status}`);
+    }
+
+    const contentLength = Number(response.headers.get('content-length')) || 0;
+    if (contentLength > options.maxBytes) {
+        response.body?.cancel();
+        throw new Error(`동영상이 너무 큽니다 (${Math.round(contentLength / 1024 / 1024)}MB)`);
+    }
+
+    const blob = await response.blob();
+    if (blob.size > options.maxBytes) {
+        throw new Error(`동영상이 너무 큽니다 (${Math.round(blob.size / 1024 / 1024)}MB)`);
+    }
+
+    const objectUrl = URL.createObjectURL(blob);
+    const video     = document.createElement('video');
+    video.muted     = true;
+    video.preload   = 'auto';
+
+    try {
+        video.src = objectUrl;
+        await waitForMediaEvent(video, 'loadeddata', options.seekTimeout);
+
+        const duration = Number.isFinite(video.duration) ? video.duration : 0;
+        const count    = duration > 0 ? Math.max(1, options.sampleCount) : 1;
+        const frames   = [];
+
+        for (let i = 0; i < count; i++) {
+            // 구간 중앙 시점 (첫/마지막 검은 화면 회피)
+            const time = duration > 0 ? ((i + 0.5) * duration) / count : 0;
+
+            if (time > 0) {
+                video.currentTime = time;
+                await waitForMediaEvent(video, 'seeked', options.seekTimeout);
+            }
+
+            frames.push({
+                index:   i,
+                time,
+                dataUrl: frameToDataUrl(video, options.frameMaxSize)
+            });
+        }
+
+        console.log('[Kas-Free Offscreen] 동영상 프레임 추출 완료:', { duration, count: frames.length });
+
+        return { duration, frames };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(objectUrl);
+    }
+}
+
+/**
+ * 미디어 이벤트를 기다린다 (에러/시간 초과 시 reject)
+ * @param {HTMLMediaElement} media - 미디어 요소
+ * @param {string} eventName - 기다릴 이벤트 ('loadeddata', 'seeked' 등)
+ * @param {number} timeout - 제한 시간 (ms)
+ * @returns {Promise<void>}
+ */
+function waitForMediaEvent(media, eventName, timeout) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timerId);
+            media.removeEventListener(eventName, onEvent);
+            media.removeEventListener('error', onError);
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(new Error(`동영상 로드 실패 (${media.error?.message || media.error?.code || '알 수 없음'})`));
+        };
+        const timerId = setTimeout(() => {
+            cleanup();
+            reject(new Error(`동영상 ${eventName} 시간 초과`));
+        }, timeout);
+
+        media.addEventListener(eventName, onEvent);
+        media.addEventListener('error', onError);
+    });
+}
+
+/**
+ * 0 ~ frameCount-1 구간에서 균등 간격 인덱스를 고른다
+ * @param {number} frameCount - 전체 프레임 수
+ * @param {number} count - 고를 개수
+ * @returns {number[]} 오름차순 인덱스
+ */
+function pickEvenlySpacedIndices(frameCount, count) {
+    const total   = Math.min(frameCount, Math.max(1, count));
+    const indices = new Set();
+
+    for (let i = 0; i < total; i++) {
+        indices.add(Math.floor((i * frameCount) / total));
+    }
+
+    return [...indices];
+}
+
+/**
+ * 이전 프레임과 평균 밝기 차이가 큰 장면 전환 프레임을 찾는다
+ * (큰 움짤은 maxScannedFrames개만 건너뛰며 디코딩)
+ * @param {ImageDecoder} decoder - 디코더
+ * @param {number} frameCount - 전체 프레임 수
+ * @param {object} options - { maxSceneChanges, sceneChangeDiff, maxScannedFrames }
+ * @param {number[]} excluded - 이미 선택된 인덱스
+ * @returns {Promise<number[]>}
+ */
+async function findSceneChangeIndices(decoder, frameCount, options, excluded) {
+    if (options.maxSceneChanges <= 0 || frameCount < 2) {
+        return [];
+    }
+
+    const stride     = Math.max(1, Math.ceil(frameCount / options.maxScannedFrames));
+    const candidates = [];
+    let previous     = null;
+
+    for (let index = 0; index < frameCount; index += stride) {
+        const { image } = await decoder.decode({ frameIndex: index });
+        const signature = computeFrameSignature(image);
+        image.close();
+
+        if (previous) {
+            let diff = 0;
+            for (let i = 0; i < signature.length; i++) {
+                diff += Math.abs(signature[i] - previous[i]);
+            }
+            diff /= signature.length;
+
+            if (diff >= options.sceneChangeDiff && !excluded.includes(index)) {
+                candidates.push({ index, diff });
+            }
+        }
+
+        previous = signature;
+    }
+
+    return candidates
+        .sort((a, b) => b.diff - a.diff)
+        .slice(0, options.maxSceneChanges)
+        .map(candidate => candidate.index);
+}
+
+/**
+ * 프레임을 16x16 흑백 배열로 축소한다 (장면 전환 비교용)
+ * @param {CanvasImageSource} image - 프레임 (VideoFrame 등)
+ * @returns {Float32Array} 밝기 값 (0~255)
+ */
+function computeFrameSignature(image) {
+    const canvas  = document.createElement('canvas');
+    canvas.width  = SIGNATURE_SIZE;
+    canvas.height = SIGNATURE_SIZE;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE);
+
+    const { data } = ctx.getImageData(0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE);
+    const gray     = new Float32Array(SIGNATURE_SIZE * SIGNATURE_SIZE);
+
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+
+    return gray;
+}
+
+/**
+ * 프레임을 축소된 JPEG Data URI로 변환한다
+ * @param {VideoFrame|HTMLVideoElement} image - 프레임
+ * @param {number} maxSize - 최대 크기 (가로/세로 중 큰 쪽)
+ * @returns {string}
+ */
+function frameToDataUrl(image, maxSize) {
+    const sourceWidth  = image.displayWidth || image.videoWidth || image.width;
+    const sourceHeight = image.displayHeight || image.videoHeight || image.height;
+    const scale        = Math.min(maxSize / sourceWidth, maxSize / sourceHeight, 1.0);
+
+    const canvas  = document.createElement('canvas');
+    canvas.width  = Math.max(1, Math.round(sourceWidth * scale));
+    canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', 0.85);
+}
+
 /**
  * 메시지 핸들러
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const { type } = message;
 
+    // 서비스 워커가 보낸 offscreen 전용 메시지만 처리
+    // (다른 확장 페이지 메시지에 응답하면 서비스 워커 응답을 가로챔)
+    if (message.target !== 'offscreen') {
+        return false;
+    }
+
     console.log('[Kas-Free Offscreen] 메시지 수신:', type);
 
+    if (type === 'EXTRACT_ANIMATED_FRAMES') {
+        extractAnimatedFrames(message)
+            .then(result => sendResponse(result))
+            .catch(error => {
+                console.error('[Kas-Free Offscreen] 프레임 추출 에러:', error);
+                sendResponse({ error: error.message });
+            });
+        return true; // 비동기 응답
+    }
+
     if (type === 'ANALYZE_IMAGE_NSFWJS') {
-        analyzeImage(message.imageUrl)
+        analyzeImage(message.imageUrl, message.model, message.sensitivity)
             .then(result => {
                 console.log('[Kas-Free Offscreen] 분석 성공, 결과 전송');
                 sendResponse(result);
@@ -216,6 +552,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true; // 비동기 응답
     }
 
+    if (type === 'EXTRACT_VIDEO_FRAMES') {
+        extractVideoFrames(message)
+            .then(result => sendResponse(result))
+            .catch(error => {
+                console.error('[Kas-Free Offscreen] 동영상 프레임 추출 에러:', error);
+                sendResponse({ error: error.message });
+            });
+        return true; // 비동기 응답
+    }
+
+    if (type === 'LOAD_NSFWJS_MODEL') {
+        loadModel(message.model)
+            .then(() => sendResponse({ modelLoaded: true, variant: modelVariant }))
+            .catch(error => sendResponse({ modelLoaded: false, variant: message.model?.variant, loadError: error.message }));
+        return true; // 비동기 응답
+    }
+
     if (type === 'PING_OFFSCREEN') {
         console.log('[Kas-Free Offscreen] PING 요청');
         console.log('[Kas-Free Offscreen] - 모델 로드됨:', isLoaded);
@@ -228,6 +581,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             status: 'ready',
             modelLoaded: isLoaded,
             modelLoading: isLoading,
+            modelVariant: modelVariant,
+            backend: backendManager.selection,
             error: loadError,
             tfLoaded: typeof tf !== 'undefined',
             nsfwjsLoaded: typeof nsfwjs !== 'undefined'
@@ -239,8 +594,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false;
 });
 
-/** 초기화 실행 */
-console.log('[Kas-Free Offscreen] 초기화 시작');
-loadModel().catch(error => {
-    console.error('[Kas-Free Offscreen] 초기 로드 실패:', error);
-});
+// 모델은 첫 ANALYZE_IMAGE_NSFWJS 요청 때 로드
+// (움짤/동영상 프레임 추출만 하는 경우 모델 메모리를 쓰지 않도록)
+console.log('[Kas-Free Offscreen] 초기화 완료 (모델은 첫 분석 요청 시 로드)');
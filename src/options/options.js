@@ -67,6 +67,30 @@
         debugMode:         false,  // 디버그 모드
         replaceAllImages:  false,  // 모든 이미지 대체 (디버그용)
 
+        // ========================================
+        // 움직이는 이미지 (GIF/WebP/APNG)
+        // ========================================
+        animatedFrames: {
+            enabled:     true,  // 여러 프레임 검사
+            sampleCount: 6      // 균등 간격 샘플 프레임 수 (1~16)
+        },
+
+        // ========================================
+        // 로컬 AI 모델 (NSFW.js)
+        // ========================================
+        localModel: {
+            enabled:     false,          // 해시 미매칭 이미지를 로컬에서 추가 검사
+            variant:     'mobilenet_v2', // 번들 모델 종류 (mobilenet_v2 / inception_v3)
+            backend:     'auto'          // TensorFlow.js 백엔드 (auto / webgl / cpu)
+        },
+
+        // ========================================
+        // 검증 서버 (해시 검사, 신고, 화이트리스트 요청)
+        // ========================================
+        server: {
+            baseUrl: 'https://nsfw.nerdvana.kr'  // 직접 운영하는 서버 주소로 변경 가능
+        },
+
         // ========================================
         // 민감도 설정 (10개 카테고리)
         // ========================================
@@ -99,28 +123,197 @@
         },
 
         // ========================================
-        // AI API 설정 (3개 모델)
+        // 판정 방식
+        // ========================================
+        // weighted: 민감도 × 가중 평균 점수를 thresholds와 비교
+        // perCategory: 카테고리별 주의/위험 기준을 넘은 가장 나쁜 카테고리로 판정
+        decisionMode: 'weighted',
+        categoryThresholds: {
+            gore:           { caution: 0.3, danger: 0.6  },
+            violence:       { caution: 0.4, danger: 0.7  },
+            death:          { caution: 0.3, danger: 0.6  },
+            disturbing:     { caution: 0.3, danger: 0.6  },
+            insects:        { caution: 0.4, danger: 0.7  },
+            medical:        { caution: 0.4, danger: 0.7  },
+            shock:          { caution: 0.4, danger: 0.7  },
+            animal_cruelty: { caution: 0.3, danger: 0.6  },
+            nsfw_porn:      { caution: 0.4, danger: 0.7  },
+            nsfw_sexy:      { caution: 0.6, danger: 0.85 }
+        },
+
+        // ========================================
+        // 제목/본문 경고 문구
         // ========================================
-        // priority: 낮을수록 우선순위 높음 (1 > 2 > 3)
+        // dictionary: 사용자가 수정한 카테고리만 저장 (나머지는 기본 사전)
+        textSignals: {
+            enabled:    true,
+            scanBody:   true,
+            dictionary: {}
+        },
+
+        // ========================================
+        // 댓글 경고 (커뮤니티 신호)
+        // ========================================
+        // weight: 3명 이상 경고 시 커뮤니티 점수 (0.0 ~ 1.0)
+        communitySignal: {
+            enabled: true,
+            weight:  0.5
+        },
+
+        // ========================================
+        // 상습 작성자
+        // ========================================
+        // threshold: 같은 갤러리에서 주의 + 위험 판정 횟수 기준
+        authorReputation: {
+            enabled:   true,
+            threshold: 3
+        },
+
+        // ========================================
+        // AI API 설정 (3개 모델 + OpenAI 호환 서버)
+        // ========================================
+        // priority: 낮을수록 우선순위 높음 (1 > 2 > 3 > 4)
         apis: {
             geminiFlash: {
                 enabled:  false,  // 기본 비활성화 (API 키 없음)
                 apiKey:   '',     // Gemini API 키 (사용자 입력)
-                priority: 1       // 최우선 순위
+                priority: 1,      // 최우선 순위
+                model:    'gemini-2.5-flash'  // 모델 ID (드롭다운 또는 직접 입력)
             },
             claudeHaiku: {
                 enabled:  false,
                 apiKey:   '',
-                priority: 2       // 2순위
+                priority: 2,      // 2순위
+                model:    'claude-3-5-haiku-20241022'
             },
             gpt4oMini: {
                 enabled:  false,
                 apiKey:   '',
-                priority: 3       // 3순위
+                priority: 3,      // 3순위
+                model:    'gpt-4o-mini'
+            },
+            openaiCompatible: {
+                enabled:     false,
+                apiKey:      '',                           // 선택
+                priority:    4,                            // 4순위
+                baseUrl:     'http://localhost:11434/v1',  // 서버 주소
+                model:       '',                           // 모델 이름
+                imageFormat: 'data_url'                    // 'data_url' 또는 'url'
             }
+        },
+
+        // ========================================
+        // AI 앙상블 검증
+        // ========================================
+        aiEnsemble: {
+            enabled: false,  // 활성화된 API 모두에게 동시에 요청
+            combine: 'max',  // 결합 규칙 (max / mean / majority)
+            quorum:  2       // 자동 신고에 필요한 유해 판정 API 수
+        },
+
+        // ========================================
+        // 판정 프로필
+        // ========================================
+        // active: 마지막으로 적용한 프로필 ID
+        // custom: 사용자 프로필 [{ id, name, values }]
+        profiles: {
+            active: 'balanced',
+            custom: []
+        },
+
+        // ========================================
+        // 갤러리별 설정
+        // ========================================
+        // { [galleryId]: { name, profileId, thresholds, autoHideDanger, autoScan, updatedAt } }
+        // 팝업의 "이 갤러리에 적용"으로 추가, 여기서는 목록 확인/삭제만
+        galleryOverrides: {},
+        mutedAuthors:     {},
+
+        // ========================================
+        // 시간대별 일정
+        // ========================================
+        // rules: [{ id, name, days: [0~6], start, end, action: 'profile' | 'replaceAllImages', profileId }]
+        schedules: {
+            enabled: false,
+            rules:   []
         }
     };
 
+    /** 모델 드롭다운이 있는 AI 제공자 (OpenAI 호환 서버는 모델을 직접 입력) */
+    const MODEL_PROVIDERS = ['geminiFlash', 'claudeHaiku', 'gpt4oMini'];
+
+    /** 프로필에 저장되는 설정 항목 (constants.js의 PROFILE_FIELDS와 동일) */
+    const PROFILE_FIELDS = ['sensitivity', 'thresholds', 'decisionMode', 'categoryThresholds'];
+
+    /** 사용자 프로필 최대 개수 (chrome.storage 용량 보호) */
+    const MAX_CUSTOM_PROFILES = 20;
+
+    /**
+     * 판정 프로필 상태
+     * - builtins: Service Worker가 알려준 기본 제공 프로필 (엄격/균형/관대)
+     * - custom: 사용자 프로필 (저장 시 settings.profiles.custom)
+     * - active: 선택한 프로필 ID
+     */
+    const profileState = {
+        builtins: [],
+        custom:   [],
+        active:   'balanced'
+    };
+
+    /**
+     * 갤러리별 설정 (표시용 사본, 저장 시 보내지 않음 → SET_GALLERY_OVERRIDE로만 변경)
+     * @type {object}
+     */
+    let galleryOverrides = {};
+
+    /**
+     * 숨긴 작성자 (표시용 사본, 저장 시 보내지 않음 → SET_AUTHOR_MUTE로만 변경)
+     * @type {object}
+     */
+    let mutedAuthors = {};
+
+    /** 일정 요일 체크박스 순서 (월~일, 값은 Date.getDay() 기준) */
+    const SCHEDULE_DAYS = [
+        { value: 1, label: '월' },
+        { value: 2, label: '화' },
+        { value: 3, label: '수' },
+        { value: 4, label: '목' },
+        { value: 5, label: '금' },
+        { value: 6, label: '토' },
+        { value: 0, label: '일' }
+    ];
+
+    /** 경고 문구 사전 카테고리 (설정 키 → 화면 이름, 민감도 섹션과 같은 순서) */
+    const TEXT_SIGNAL_LABELS = {
+        gore:           '고어',
+        violence:       '폭력',
+        death:          '죽음',
+        disturbing:     '혐오',
+        insects:        '벌레/생물',
+        medical:        '의료공포',
+        shock:          '충격',
+        animal_cruelty: '동물학대',
+        nsfw_porn:      '음란물',
+        nsfw_sexy:      '선정성'
+    };
+
+    /** 일정 동작 값: 모든 이미지 대체 (그 외는 'profile:<프로필 id>') */
+    const SCHEDULE_REPLACE_ALL = 'replaceAllImages';
+
+    /** 민감도 카테고리 (UI 요소 이름 → 설정 키) */
+    const SENSITIVITY_CATEGORIES = {
+        gore:          'gore',
+        violence:      'violence',
+        death:         'death',
+        disturbing:    'disturbing',
+        insects:       'insects',
+        medical:       'medical',
+        shock:         'shock',
+        animalCruelty: 'animal_cruelty',
+        nsfwPorn:      'nsfw_porn',
+        nsfwSexy:      'nsfw_sexy'
+    };
+
     /**
      * ========================================
      * DOM 요소 캐싱 (성능 최적화)
@@ -165,6 +358,27 @@
         gpt4oMiniApiKey:       document.getElementById('gpt4oMiniApiKey'),
         gpt4oMiniPriority:     document.getElementById('gpt4oMiniPriority'),
 
+        /** OpenAI 호환 서버 */
+        openaiCompatibleEnabled:     document.getElementById('openaiCompatibleEnabled'),
+        openaiCompatibleApiKey:      document.getElementById('openaiCompatibleApiKey'),
+        openaiCompatiblePriority:    document.getElementById('openaiCompatiblePriority'),
+        openaiCompatibleBaseUrl:     document.getElementById('openaiCompatibleBaseUrl'),
+        openaiCompatibleModel:       document.getElementById('openaiCompatibleModel'),
+        openaiCompatibleImageFormat: document.getElementById('openaiCompatibleImageFormat'),
+
+        /** 모델 ID (드롭다운 + 직접 입력) */
+        geminiFlashModel:         document.getElementById('geminiFlashModel'),
+        geminiFlashModelCustom:   document.getElementById('geminiFlashModelCustom'),
+        claudeHaikuModel:         document.getElementById('claudeHaikuModel'),
+        claudeHaikuModelCustom:   document.getElementById('claudeHaikuModelCustom'),
+        gpt4oMiniModel:           document.getElementById('gpt4oMiniModel'),
+        gpt4oMiniModelCustom:     document.getElementById('gpt4oMiniModelCustom'),
+
+        /** AI 앙상블 검증 */
+        aiEnsembleEnabled:     document.getElementById('aiEnsembleEnabled'),
+        aiEnsembleCombine:     document.getElementById('aiEnsembleCombine'),
+        aiEnsembleQuorum:      document.getElementById('aiEnsembleQuorum'),
+
         // ========================================
         // 민감도 설정 (10개 카테고리 × 2개 필드 = 20개)
         // ========================================
@@ -208,11 +422,19 @@
         nsfwSexySensitivity:     document.getElementById('nsfwSexySensitivity'),
         nsfwSexyValue:           document.getElementById('nsfwSexyValue'),
 
+        /** 카테고리별 판정 기준 ([name]CautionCutoff, [name]DangerCutoff, 0-100) */
+        ...Object.fromEntries(Object.keys(SENSITIVITY_CATEGORIES).flatMap(name => [
+            [`${name}CautionCutoff`, document.getElementById(`${name}CautionCutoff`)],
+            [`${name}DangerCutoff`,  document.getElementById(`${name}DangerCutoff`)]
+        ])),
+        sensitivityList:         document.getElementById('sensitivityList'),
+
         // ========================================
         // 임계값 설정 (2개)
         // ========================================
         safeMaxThreshold:    document.getElementById('safeMaxThreshold'),      // 안전 최대값 (0.3)
         cautionMaxThreshold: document.getElementById('cautionMaxThreshold'),   // 주의 최대값 (0.6)
+        decisionMode:        document.getElementById('decisionMode'),          // 판정 방식
 
         // ========================================
         // 동작 설정 (6개 체크박스)
@@ -224,12 +446,76 @@
         debugMode:         document.getElementById('debugMode'),          // 디버그 모드
         replaceAllImages:  document.getElementById('replaceAllImages'),   // 모든 이미지 대체
 
+        /** 제목/본문 경고 문구 */
+        textSignalsEnabled:   document.getElementById('textSignalsEnabled'),    // 제목 검사
+        textSignalsScanBody:  document.getElementById('textSignalsScanBody'),   // 본문 검사
+        textSignalDictionary: document.getElementById('textSignalDictionary'),  // 카테고리별 사전
+        btnResetTextSignals:  document.getElementById('btnResetTextSignals'),   // 기본 사전 복원
+
+        communitySignalEnabled: document.getElementById('communitySignalEnabled'),  // 댓글 경고 반영
+        communitySignalWeight:  document.getElementById('communitySignalWeight'),   // 가중치 (%)
+
+        authorReputationEnabled:   document.getElementById('authorReputationEnabled'),    // 상습 작성자 표시
+        authorReputationThreshold: document.getElementById('authorReputationThreshold'),  // 판정 횟수 기준
+
+        animatedFramesEnabled: document.getElementById('animatedFramesEnabled'),  // 움짤 여러 프레임 검사
+        animatedFrameSamples:  document.getElementById('animatedFrameSamples'),   // 샘플 프레임 수
+        localModelEnabled:     document.getElementById('localModelEnabled'),      // 로컬 AI 모델 검사
+        localModelVariant:     document.getElementById('localModelVariant'),      // 로컬 AI 모델 종류
+        localModelBackend:     document.getElementById('localModelBackend'),      // 로컬 AI 모델 백엔드
+
+        /** 판정 프로필 */
+        profileSelect:    document.getElementById('profileSelect'),     // 프로필 선택
+        profileName:      document.getElementById('profileName'),       // 새 프로필 이름
+        btnSaveProfile:   document.getElementById('btnSaveProfile'),    // 현재 값으로 저장
+        btnDeleteProfile: document.getElementById('btnDeleteProfile'),  // 사용자 프로필 삭제
+
+        /** 갤러리별 설정 */
+        galleryOverrideList: document.getElementById('galleryOverrideList'),  // 갤러리별 설정 목록
+        mutedAuthorList:     document.getElementById('mutedAuthorList'),      // 숨긴 작성자 목록
+
+        /** 시간대별 일정 */
+        schedulesEnabled: document.getElementById('schedulesEnabled'),  // 일정 사용
+        scheduleList:     document.getElementById('scheduleList'),      // 일정 목록
+        btnAddSchedule:   document.getElementById('btnAddSchedule'),    // 일정 추가
+
+        /** 검증 서버 */
+        serverBaseUrl:    document.getElementById('serverBaseUrl'),     // 서버 주소
+        btnTestServer:    document.getElementById('btnTestServer'),     // 연결 테스트 버튼
+        serverTestResult: document.getElementById('serverTestResult'),  // 연결 테스트 결과
+
         // ========================================
         // 버튼 (2개)
         // ========================================
         btnSave:  document.getElementById('btnSave'),   // 저장 버튼
         btnReset: document.getElementById('btnReset'),  // 기본값 복원 버튼
 
+        btnExportSettings:  document.getElementById('btnExportSettings'),   // 설정 내보내기
+        btnImportSettings:  document.getElementById('btnImportSettings'),   // 설정 가져오기
+        settingsImportFile: document.getElementById('settingsImportFile'),  // 설정 파일 입력 (숨김)
+
+        // ========================================
+        // 로컬 해시 차단 목록
+        // ========================================
+        blocklistVersion:        document.getElementById('blocklistVersion'),        // 목록 버전
+        blocklistCount:          document.getElementById('blocklistCount'),          // 항목 수
+        blocklistUpdatedAt:      document.getElementById('blocklistUpdatedAt'),      // 마지막 갱신
+        blocklistSeedFile:       document.getElementById('blocklistSeedFile'),       // 시드 파일 입력 (숨김)
+        blocklistDeltaFile:      document.getElementById('blocklistDeltaFile'),      // 델타 파일 입력 (숨김)
+        btnImportBlocklistSeed:  document.getElementById('btnImportBlocklistSeed'),
+        btnImportBlocklistDelta: document.getElementById('btnImportBlocklistDelta'),
+        btnClearBlocklist:       document.getElementById('btnClearBlocklist'),
+
+        // ========================================
+        // 나만의 차단 목록
+        // ========================================
+        personalBlocklist: document.getElementById('personalBlocklist'),   // 항목 목록 컨테이너
+
+        // ========================================
+        // 나만의 허용 목록
+        // ========================================
+        personalAllowlist: document.getElementById('personalAllowlist'),   // 항목 목록 컨테이너
+
         // ========================================
         // 기타 UI 요소
         // ========================================
@@ -242,8 +528,12 @@
      */
     async function initialize() {
         loadVersion();
+        await loadBuiltinProfiles();
         await loadSettings();
         bindEvents();
+        await loadLocalBlocklistStats();
+        await loadPersonalBlocklist();
+        await loadPersonalAllowlist();
         await loadPerformanceMetrics();
     }
 
@@ -282,6 +572,85 @@
         elements.gpt4oMiniApiKey.value       = settings.apis.gpt4oMini.apiKey;
         elements.gpt4oMiniPriority.value     = settings.apis.gpt4oMini.priority;
 
+        MODEL_PROVIDERS.forEach(name => {
+            setModelValue(name, settings.apis[name]?.model || DEFAULT_SETTINGS.apis[name].model);
+        });
+
+        const compatible = settings.apis.openaiCompatible || DEFAULT_SETTINGS.apis.openaiCompatible;
+        elements.openaiCompatibleEnabled.checked   = compatible.enabled || false;
+        elements.openaiCompatibleApiKey.value      = compatible.apiKey || '';
+        elements.openaiCompatiblePriority.value    = compatible.priority || 4;
+        elements.openaiCompatibleBaseUrl.value     = compatible.baseUrl || '';
+        elements.openaiCompatibleModel.value       = compatible.model || '';
+        elements.openaiCompatibleImageFormat.value = compatible.imageFormat || 'data_url';
+
+        /** AI 앙상블 검증 */
+        elements.aiEnsembleEnabled.checked   = settings.aiEnsemble?.enabled ?? false;
+        elements.aiEnsembleCombine.value     = settings.aiEnsemble?.combine || 'max';
+        elements.aiEnsembleQuorum.value      = settings.aiEnsemble?.quorum || 2;
+
+        /** 민감도, 임계값, 판정 방식 (프로필에 저장되는 값) */
+        applyVerdictSettingsToUI(settings);
+
+        /** 판정 프로필 */
+        profileState.active = settings.profiles?.active || DEFAULT_SETTINGS.profiles.active;
+        profileState.custom = Array.isArray(settings.profiles?.custom) ? settings.profiles.custom : [];
+        renderProfileOptions();
+
+        /** 갤러리별 설정 */
+        galleryOverrides = settings.galleryOverrides || {};
+        renderGalleryOverrides();
+
+        /** 숨긴 작성자 */
+        mutedAuthors = settings.mutedAuthors || {};
+        renderMutedAuthors();
+
+        /** 시간대별 일정 (동작 드롭다운에 프로필 목록이 필요하므로 프로필 다음에) */
+        elements.schedulesEnabled.checked = settings.schedules?.enabled ?? false;
+        renderScheduleRules(Array.isArray(settings.schedules?.rules) ? settings.schedules.rules : []);
+
+        /** 동작 설정 */
+        elements.autoScan.checked          = settings.autoScan;
+        elements.onlyWithThumbnail.checked = settings.onlyWithThumbnail;
+        elements.autoHideDanger.checked    = settings.autoHideDanger;
+        elements.cacheEnabled.checked      = settings.cacheEnabled;
+        elements.debugMode.checked         = settings.debugMode;
+        elements.replaceAllImages.checked  = settings.replaceAllImages;
+
+        /** 제목/본문 경고 문구 */
+        elements.textSignalsEnabled.checked  = settings.textSignals?.enabled ?? true;
+        elements.textSignalsScanBody.checked = settings.textSignals?.scanBody ?? true;
+        renderTextSignalDictionary(settings.textSignals?.dictionary || {});
+
+        /** 댓글 경고 설정 (가중치는 % 단위로 표시) */
+        elements.communitySignalEnabled.checked = settings.communitySignal?.enabled ?? true;
+        elements.communitySignalWeight.value    = Math.round((settings.communitySignal?.weight ?? 0.5) * 100);
+
+        /** 상습 작성자 설정 */
+        elements.authorReputationEnabled.checked = settings.authorReputation?.enabled ?? true;
+        elements.authorReputationThreshold.value = settings.authorReputation?.threshold ?? 3;
+
+        /** 움직이는 이미지 설정 */
+        elements.animatedFramesEnabled.checked = settings.animatedFrames.enabled;
+        elements.animatedFrameSamples.value    = settings.animatedFrames.sampleCount;
+
+        /** 로컬 AI 모델 설정 */
+        elements.localModelEnabled.checked = settings.localModel?.enabled ?? false;
+        elements.localModelVariant.value   = settings.localModel?.variant || 'mobilenet_v2';
+        elements.localModelBackend.value   = settings.localModel?.backend || 'auto';
+        if (!elements.localModelBackend.value) {
+            elements.localModelBackend.value = 'auto';  // 목록에서 빠진 값 (이전 버전의 'wasm')
+        }
+
+        /** 검증 서버 설정 */
+        elements.serverBaseUrl.value = settings.server?.baseUrl || DEFAULT_SETTINGS.server.baseUrl;
+    }
+
+    /**
+     * 민감도, 임계값, 판정 방식을 UI에 적용한다 (설정 로드 + 프로필 불러오기 공용)
+     * @param {object} settings - sensitivity, thresholds, decisionMode, categoryThresholds를 가진 객체
+     */
+    function applyVerdictSettingsToUI(settings) {
         /** 민감도 설정 */
         const sensitivity = settings.sensitivity;
         setSliderValue('gore', Math.round((sensitivity.gore || 0.8) * 100));
@@ -299,13 +668,14 @@
         elements.safeMaxThreshold.value    = settings.thresholds.safeMax;
         elements.cautionMaxThreshold.value = settings.thresholds.cautionMax;
 
-        /** 동작 설정 */
-        elements.autoScan.checked          = settings.autoScan;
-        elements.onlyWithThumbnail.checked = settings.onlyWithThumbnail;
-        elements.autoHideDanger.checked    = settings.autoHideDanger;
-        elements.cacheEnabled.checked      = settings.cacheEnabled;
-        elements.debugMode.checked         = settings.debugMode;
-        elements.replaceAllImages.checked  = settings.replaceAllImages;
+        /** 판정 방식 + 카테고리별 기준 */
+        elements.decisionMode.value = settings.decisionMode || 'weighted';
+        elements.sensitivityList.dataset.mode = elements.decisionMode.value;
+        for (const [name, key] of Object.entries(SENSITIVITY_CATEGORIES)) {
+            const cutoff = settings.categoryThresholds?.[key] || DEFAULT_SETTINGS.categoryThresholds[key];
+            elements[`${name}CautionCutoff`].value = Math.round(cutoff.caution * 100);
+            elements[`${name}DangerCutoff`].value  = Math.round(cutoff.danger * 100);
+        }
     }
 
     /**
@@ -395,6 +765,57 @@
             debugMode:         elements.debugMode.checked,          // true/false
             replaceAllImages:  elements.replaceAllImages.checked,   // true/false
 
+            // ========================================
+            // 제목/본문 경고 문구
+            // ========================================
+            textSignals: {
+                enabled:    elements.textSignalsEnabled.checked,
+                scanBody:   elements.textSignalsScanBody.checked,
+                dictionary: collectTextSignalDictionary()
+            },
+
+            // ========================================
+            // 댓글 경고 (커뮤니티 신호)
+            // ========================================
+            communitySignal: {
+                enabled: elements.communitySignalEnabled.checked,
+                weight:  Math.min(Math.max(parseInt(elements.communitySignalWeight.value, 10) || 0, 0), 100) / 100
+            },
+
+            // ========================================
+            // 상습 작성자
+            // ========================================
+            authorReputation: {
+                enabled:   elements.authorReputationEnabled.checked,
+                threshold: Math.min(Math.max(parseInt(elements.authorReputationThreshold.value, 10) || 3, 1), 50)
+            },
+
+            // ========================================
+            // 움직이는 이미지 설정
+            // ========================================
+            // 프레임 수는 1~16으로 제한 (큰 움짤이 서비스 워커를 붙잡지 않도록)
+            animatedFrames: {
+                enabled:     elements.animatedFramesEnabled.checked,
+                sampleCount: Math.min(16, Math.max(1, parseInt(elements.animatedFrameSamples.value, 10) || 6))
+            },
+
+            // ========================================
+            // 로컬 AI 모델 설정
+            // ========================================
+            localModel: {
+                enabled: elements.localModelEnabled.checked,
+                variant: elements.localModelVariant.value,
+                backend: elements.localModelBackend.value
+            },
+
+            // ========================================
+            // 검증 서버 설정
+            // ========================================
+            // 비워두면 기본 서버, 끝의 / 제거
+            server: {
+                baseUrl: elements.serverBaseUrl.value.trim().replace(/\/+$/, '') || DEFAULT_SETTINGS.server.baseUrl
+            },
+
             // ========================================
             // 민감도 설정 (슬라이더 0-100 → 0.0-1.0)
             // ========================================
@@ -427,6 +848,12 @@
                 cautionMax: parseFloat(elements.cautionMaxThreshold.value)   // 0.6
             },
 
+            // ========================================
+            // 판정 방식 + 카테고리별 기준 (0-100 → 0.0-1.0)
+            // ========================================
+            decisionMode:       elements.decisionMode.value,
+            categoryThresholds: collectCategoryThresholds(),
+
             // ========================================
             // AI API 설정
             // ========================================
@@ -436,120 +863,917 @@
                 geminiFlash: {
                     enabled:  elements.geminiFlashEnabled.checked,             // true/false
                     apiKey:   elements.geminiFlashApiKey.value.trim(),         // 공백 제거
-                    priority: parseInt(elements.geminiFlashPriority.value, 10) // 1, 2, 3
+                    priority: parseInt(elements.geminiFlashPriority.value, 10), // 1, 2, 3, 4
+                    model:    getModelValue('geminiFlash')                     // 드롭다운 또는 직접 입력
                 },
                 claudeHaiku: {
                     enabled:  elements.claudeHaikuEnabled.checked,
                     apiKey:   elements.claudeHaikuApiKey.value.trim(),
-                    priority: parseInt(elements.claudeHaikuPriority.value, 10)
+                    priority: parseInt(elements.claudeHaikuPriority.value, 10),
+                    model:    getModelValue('claudeHaiku')
                 },
                 gpt4oMini: {
                     enabled:  elements.gpt4oMiniEnabled.checked,
                     apiKey:   elements.gpt4oMiniApiKey.value.trim(),
-                    priority: parseInt(elements.gpt4oMiniPriority.value, 10)
+                    priority: parseInt(elements.gpt4oMiniPriority.value, 10),
+                    model:    getModelValue('gpt4oMini')
+                },
+                openaiCompatible: {
+                    enabled:     elements.openaiCompatibleEnabled.checked,
+                    apiKey:      elements.openaiCompatibleApiKey.value.trim(),
+                    priority:    parseInt(elements.openaiCompatiblePriority.value, 10),
+                    baseUrl:     elements.openaiCompatibleBaseUrl.value.trim(),
+                    model:       elements.openaiCompatibleModel.value.trim(),
+                    imageFormat: elements.openaiCompatibleImageFormat.value
                 }
+            },
+
+            // ========================================
+            // AI 앙상블 검증 설정
+            // ========================================
+            // quorum은 1~4로 제한 (API가 4개뿐)
+            aiEnsemble: {
+                enabled: elements.aiEnsembleEnabled.checked,
+                combine: elements.aiEnsembleCombine.value,
+                quorum:  Math.min(4, Math.max(1, parseInt(elements.aiEnsembleQuorum.value, 10) || 2))
+            },
+
+            // ========================================
+            // 판정 프로필
+            // ========================================
+            profiles: {
+                active: profileState.active,
+                custom: profileState.custom
+            },
+
+            // ========================================
+            // 시간대별 일정
+            // ========================================
+            schedules: {
+                enabled: elements.schedulesEnabled.checked,
+                rules:   collectScheduleRules()
             }
         };
     }
 
     /**
-     * 이벤트를 바인딩한다
+     * UI에서 카테고리별 판정 기준을 수집한다
+     * - 0-100 입력 → 0.0-1.0, 빈 값은 기본값
+     * - 위험 기준이 주의 기준보다 낮으면 주의 기준으로 올림
+     * @returns {object} { gore: { caution, danger }, ... }
      */
-    function bindEvents() {
-        /** 민감도 슬라이더 실시간 업데이트 */
-        const sliders = [
-            'gore',
-            'violence',
-            'death',
-            'disturbing',
-            'insects',
-            'medical',
-            'shock',
-            'animalCruelty',
-            'nsfwPorn',
-            'nsfwSexy'
-        ];
+    function collectCategoryThresholds() {
+        const thresholds = {};
 
-        sliders.forEach(name => {
-            const slider  = elements[`${name}Sensitivity`];
-            const display = elements[`${name}Value`];
+        for (const [name, key] of Object.entries(SENSITIVITY_CATEGORIES)) {
+            const defaults = DEFAULT_SETTINGS.categoryThresholds[key];
+            const caution  = readPercent(elements[`${name}CautionCutoff`], defaults.caution);
+            const danger   = readPercent(elements[`${name}DangerCutoff`], defaults.danger);
 
-            if (slider && display) {
-                slider.addEventListener('input', () => {
-                    display.textContent = `${slider.value}%`;
-                });
-            }
-        });
+            thresholds[key] = { caution, danger: Math.max(caution, danger) };
+        }
 
-        /** 저장 버튼 */
-        elements.btnSave.addEventListener('click', async () => {
-            const settings = collectSettingsFromUI();
-            await sendMessage({
-                type:     'UPDATE_SETTINGS',
-                settings: settings
-            });
-            showToast('설정이 저장되었습니다.');
-        });
+        return thresholds;
+    }
 
-        /** 기본값 복원 버튼 */
-        elements.btnReset.addEventListener('click', () => {
-            if (confirm('모든 설정을 기본값으로 복원하시겠습니까?')) {
-                applySettingsToUI(DEFAULT_SETTINGS);
-                showToast('기본값으로 복원되었습니다.');
-            }
+    /**
+     * 0-100 숫자 입력을 0.0-1.0으로 읽는다
+     * @param {HTMLInputElement} input - 숫자 입력
+     * @param {number} fallback - 값이 없을 때 사용할 값 (0.0-1.0)
+     * @returns {number}
+     */
+    function readPercent(input, fallback) {
+        const percent = parseFloat(input.value);
+        return Number.isFinite(percent) ? Math.min(100, Math.max(0, percent)) / 100 : fallback;
+    }
+
+    /**
+     * UI의 설정을 저장한다 (저장 버튼 + 프로필 저장/삭제 공용)
+     * - 클릭 핸들러에서 바로 호출해야 서버 권한 요청이 동작함 (사용자 제스처 필요)
+     * @returns {Promise<boolean>} 저장 성공 여부
+     */
+    async function saveSettingsFromUI() {
+        const settings = collectSettingsFromUI();
+
+        // 직접 운영하는 서버는 접근 권한 확인 (거부하면 저장하지 않음)
+        const serverError = await requestServerPermission(settings.server.baseUrl);
+        if (serverError) {
+            showToast(serverError);
+            return false;
+        }
+
+        // 잘못된 정규식은 검사에서 조용히 빠지므로 저장 전에 알려줌
+        const invalidPattern = findInvalidTextPattern(settings.textSignals.dictionary);
+        if (invalidPattern) {
+            showToast(`경고 문구 정규식이 올바르지 않습니다: ${invalidPattern}`);
+            return false;
+        }
+
+        await sendMessage({
+            type:     'UPDATE_SETTINGS',
+            settings: settings
         });
+        return true;
+    }
 
-        /** 성능 메트릭 새로고침 */
-        const btnRefreshMetrics = document.getElementById('btnRefreshMetrics');
-        if (btnRefreshMetrics) {
-            btnRefreshMetrics.addEventListener('click', async () => {
-                btnRefreshMetrics.textContent = '⏳ 로딩...';
-                btnRefreshMetrics.disabled = true;
+    /**
+     * 기본 제공 프로필 목록을 불러온다 (constants.js의 BUILTIN_PROFILES)
+     */
+    async function loadBuiltinProfiles() {
+        const response = await sendMessage({ type: 'GET_PROFILES' });
+        profileState.builtins = (response?.profiles || []).filter(profile => profile.builtin);
+    }
 
-                await loadPerformanceMetrics();
+    /**
+     * 프로필 드롭다운을 다시 그린다
+     */
+    function renderProfileOptions() {
+        elements.profileSelect.replaceChildren();
+
+        for (const profile of [...profileState.builtins, ...profileState.custom]) {
+            const option       = document.createElement('option');
+            option.value       = profile.id;
+            option.textContent = profileState.builtins.includes(profile) ? `${profile.name} (기본)` : profile.name;
+            elements.profileSelect.appendChild(option);
+        }
 
-                btnRefreshMetrics.textContent = '🔄 새로고침';
-                btnRefreshMetrics.disabled = false;
-            });
+        elements.profileSelect.value = profileState.active;
+        elements.btnDeleteProfile.disabled = !profileState.custom.some(profile => profile.id === profileState.active);
+    }
+
+    /**
+     * 선택한 프로필의 값을 화면에 불러온다
+     */
+    function loadProfileToUI() {
+        const id      = elements.profileSelect.value;
+        const profile = [...profileState.builtins, ...profileState.custom].find(item => item.id === id);
+        if (!profile) {
+            return;
         }
+
+        profileState.active = id;
+        applyVerdictSettingsToUI(mergeSettings(DEFAULT_SETTINGS, profile.values || {}));
+        elements.btnDeleteProfile.disabled = !profileState.custom.includes(profile);
+        showToast(`"${profile.name}" 프로필을 불러왔습니다. 저장하면 적용됩니다.`);
     }
 
     /**
-     * 토스트 알림을 표시한다
-     * @param {string} message - 메시지
+     * 현재 화면의 민감도/임계값/판정 방식을 사용자 프로필로 저장한다
+     * - 같은 이름의 사용자 프로필이 있으면 덮어씀
      */
-    function showToast(message) {
-        const toast   = elements.toast;
-        const msgSpan = toast.querySelector('.toast__message');
+    async function saveCurrentAsProfile() {
+        const name = elements.profileName.value.trim();
+        if (!name) {
+            showToast('프로필 이름을 입력하세요.');
+            return;
+        }
 
-        msgSpan.textContent = message;
-        toast.classList.add('toast--visible');
+        const current  = collectSettingsFromUI();
+        const values   = Object.fromEntries(PROFILE_FIELDS.map(field => [field, current[field]]));
+        const existing = profileState.custom.find(profile => profile.name === name);
 
-        setTimeout(() => {
-            toast.classList.remove('toast--visible');
-        }, 3000);
+        if (existing) {
+            if (!confirm(`"${name}" 프로필을 현재 값으로 덮어쓰시겠습니까?`)) {
+                return;
+            }
+            existing.values     = values;
+            profileState.active = existing.id;
+        } else {
+            if (profileState.custom.length >= MAX_CUSTOM_PROFILES) {
+                showToast(`사용자 프로필은 최대 ${MAX_CUSTOM_PROFILES}개까지 저장할 수 있습니다.`);
+                return;
+            }
+            const profile = { id: `custom-${Date.now()}`, name, values };
+            profileState.custom = [...profileState.custom, profile];
+            profileState.active = profile.id;
+        }
+
+        if (await saveSettingsFromUI()) {
+            elements.profileName.value = '';
+            renderProfileOptions();
+            renderScheduleRules(collectScheduleRules());
+            showToast(`"${name}" 프로필을 저장했습니다.`);
+        }
     }
 
     /**
-     * ========================================
-     * 설정 객체를 재귀적으로 병합 (Deep Merge)
-     * ========================================
-     *
-     * Deep Merge란?
-     * - 중첩된 객체까지 모두 병합
-     * - Shallow Merge (얕은 병합)와 차이:
-     *
-     * Shallow Merge (Object.assign 또는 Spread):
-     * ```javascript
-     * const defaults  = { a: 1, b: { x: 10, y: 20 } };
-     * const overrides = { b: { x: 99 } };
-     * const result    = { ...defaults, ...overrides };
-     * // result = { a: 1, b: { x: 99 } }  ← y: 20 사라짐 (b 전체 교체)
-     * ```
-     *
-     * Deep Merge (이 함수):
-     * ```javascript
-     * const result = mergeSettings(defaults, overrides);
+     * 선택한 사용자 프로필을 삭제한다 (기본 제공 프로필은 삭제 불가)
+     * - 현재 화면의 값은 그대로 두고, 선택은 '균형'으로 돌아감
+     */
+    async function deleteSelectedProfile() {
+        const profile = profileState.custom.find(item => item.id === elements.profileSelect.value);
+        if (!profile || !confirm(`"${profile.name}" 프로필을 삭제하시겠습니까?`)) {
+            return;
+        }
+
+        profileState.custom = profileState.custom.filter(item => item !== profile);
+        profileState.active = DEFAULT_SETTINGS.profiles.active;
+
+        if (await saveSettingsFromUI()) {
+            renderProfileOptions();
+            renderScheduleRules(collectScheduleRules());
+            showToast(`"${profile.name}" 프로필을 삭제했습니다.`);
+        }
+    }
+
+    /**
+     * 갤러리별 설정 목록을 그린다 (최근 수정 순)
+     */
+    function renderGalleryOverrides() {
+        const container = elements.galleryOverrideList;
+        const entries   = Object.entries(galleryOverrides)
+            .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0));
+
+        container.replaceChildren();
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className   = 'gallery-overrides__empty';
+            empty.textContent = '갤러리별 설정이 없습니다. 갤러리에서 팝업을 열어 추가하세요.';
+            container.appendChild(empty);
+            return;
+        }
+
+        for (const [galleryId, override] of entries) {
+            const item = document.createElement('div');
+            item.className = 'gallery-overrides__item';
+
+            const info = document.createElement('div');
+            info.className = 'gallery-overrides__info';
+
+            const name = document.createElement('div');
+            name.className   = 'gallery-overrides__name';
+            name.textContent = override.name && override.name !== galleryId
+                ? `${override.name} (${galleryId})`
+                : galleryId;
+
+            const summary = document.createElement('div');
+            summary.className   = 'gallery-overrides__summary';
+            summary.textContent = describeGalleryOverride(override);
+
+            info.append(name, summary);
+
+            const btnRemove = document.createElement('button');
+            btnRemove.className   = 'btn btn--small';
+            btnRemove.textContent = '🗑️ 삭제';
+            btnRemove.addEventListener('click', () => removeGalleryOverride(galleryId, override));
+
+            item.append(info, btnRemove);
+            container.appendChild(item);
+        }
+    }
+
+    /**
+     * 갤러리별 설정을 한 줄 요약으로 만든다
+     * @param {object} override - 갤러리별 설정
+     * @returns {string} 예: "프로필: 엄격 · 임계값 20% / 40% · 자동 숨김: 켜기"
+     */
+    function describeGalleryOverride(override) {
+        const parts = [];
+
+        if (override.profileId) {
+            const profile = [...profileState.builtins, ...profileState.custom].find(item => item.id === override.profileId);
+            parts.push(`프로필: ${profile ? profile.name : '삭제된 프로필'}`);
+        }
+        if (override.thresholds) {
+            parts.push(`임계값 ${Math.round(override.thresholds.safeMax * 100)}% / ${Math.round(override.thresholds.cautionMax * 100)}%`);
+        }
+        if (typeof override.autoHideDanger === 'boolean') {
+            parts.push(`자동 숨김: ${override.autoHideDanger ? '켜기' : '끄기'}`);
+        }
+        if (typeof override.autoScan === 'boolean') {
+            parts.push(`자동 검사: ${override.autoScan ? '켜기' : '끄기'}`);
+        }
+
+        return parts.length > 0 ? parts.join(' · ') : '전역 설정과 같음';
+    }
+
+    /**
+     * 갤러리별 설정을 삭제한다
+     * - 화면의 다른 변경 사항은 저장하지 않도록 Service Worker에 직접 요청
+     * @param {string} galleryId - 갤러리 ID
+     * @param {object} override - 갤러리별 설정 (확인 메시지용)
+     */
+    async function removeGalleryOverride(galleryId, override) {
+        if (!confirm(`"${override.name || galleryId}" 갤러리별 설정을 삭제하시겠습니까?`)) {
+            return;
+        }
+
+        const result = await sendMessage({ type: 'SET_GALLERY_OVERRIDE', galleryId, override: null });
+        if (!result?.success) {
+            showToast(`삭제 실패: ${result?.error || '알 수 없는 오류'}`);
+            return;
+        }
+
+        galleryOverrides = Object.fromEntries(Object.entries(galleryOverrides).filter(([id]) => id !== galleryId));
+        renderGalleryOverrides();
+        showToast('갤러리별 설정을 삭제했습니다.');
+    }
+
+    /**
+     * 숨긴 작성자 목록을 그린다 (최근 추가 순)
+     */
+    function renderMutedAuthors() {
+        const container = elements.mutedAuthorList;
+        const entries   = Object.entries(mutedAuthors)
+            .sort(([, a], [, b]) => (b.mutedAt || 0) - (a.mutedAt || 0));
+
+        container.replaceChildren();
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className   = 'muted-authors__empty';
+            empty.textContent = '숨긴 작성자가 없습니다. 갤러리 목록에서 게시글을 우클릭하여 추가하세요.';
+            container.appendChild(empty);
+            return;
+        }
+
+        for (const [authorKey, author] of entries) {
+            const item = document.createElement('div');
+            item.className = 'muted-authors__item';
+
+            const info = document.createElement('div');
+            info.className = 'muted-authors__info';
+
+            const name = document.createElement('div');
+            name.className   = 'muted-authors__name';
+            name.textContent = `${author.nick || '(닉네임 없음)'} (${author.uid ? `아이디 ${author.uid}` : `IP ${author.ip}`})`;
+
+            const summary = document.createElement('div');
+            summary.className   = 'muted-authors__summary';
+            summary.textContent = [
+                author.galleryId ? `${author.galleryId} 갤러리에서 추가` : null,
+                author.mutedAt ? new Date(author.mutedAt).toLocaleDateString() : null
+            ].filter(Boolean).join(' · ');
+
+            info.append(name, summary);
+
+            const btnUnmute = document.createElement('button');
+            btnUnmute.className   = 'btn btn--small';
+            btnUnmute.textContent = '🙉 해제';
+            btnUnmute.addEventListener('click', () => unmuteAuthor(authorKey, author));
+
+            item.append(info, btnUnmute);
+            container.appendChild(item);
+        }
+    }
+
+    /**
+     * 숨긴 작성자를 해제한다
+     * - 화면의 다른 변경 사항은 저장하지 않도록 Service Worker에 직접 요청
+     * @param {string} authorKey - 작성자 키
+     * @param {object} author - 숨긴 작성자 (확인 메시지용)
+     */
+    async function unmuteAuthor(authorKey, author) {
+        if (!confirm(`"${author.nick || authorKey}" 작성자의 글을 다시 표시하시겠습니까?`)) {
+            return;
+        }
+
+        const result = await sendMessage({ type: 'SET_AUTHOR_MUTE', authorKey, author: null });
+        if (!result?.success) {
+            showToast(`해제 실패: ${result?.error || '알 수 없는 오류'}`);
+            return;
+        }
+
+        mutedAuthors = Object.fromEntries(Object.entries(mutedAuthors).filter(([key]) => key !== authorKey));
+        renderMutedAuthors();
+        showToast('숨긴 작성자를 해제했습니다.');
+    }
+
+    /**
+     * 경고 문구 사전 입력 칸을 그린다 (수정하지 않은 카테고리는 기본 사전 표시)
+     * @param {object} custom - settings.textSignals.dictionary
+     */
+    function renderTextSignalDictionary(custom) {
+        const dictionary = window.KasTextSignals.resolveDictionary(custom);
+        elements.textSignalDictionary.replaceChildren();
+
+        for (const [category, label] of Object.entries(TEXT_SIGNAL_LABELS)) {
+            const item = document.createElement('label');
+            item.className = 'text-signals__item';
+
+            const title = document.createElement('span');
+            title.className   = 'text-signals__label';
+            title.textContent = label;
+
+            const input = document.createElement('textarea');
+            input.className        = 'text-signals__input';
+            input.dataset.category = category;
+            input.spellcheck       = false;
+            input.value            = (dictionary[category] || []).join('\n');
+
+            item.append(title, input);
+            elements.textSignalDictionary.appendChild(item);
+        }
+    }
+
+    /**
+     * 경고 문구 사전을 읽는다 (기본 사전과 같은 카테고리는 저장하지 않음)
+     * - 기본 사전이 업데이트되면 수정하지 않은 카테고리는 자동으로 새 사전을 따름
+     * @returns {object} { 카테고리: [패턴] }
+     */
+    function collectTextSignalDictionary() {
+        const defaults   = window.KasTextSignals.DEFAULT_DICTIONARY;
+        const dictionary = {};
+
+        elements.textSignalDictionary.querySelectorAll('.text-signals__input').forEach(input => {
+            const category = input.dataset.category;
+            const patterns = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+            if (patterns.join('\n') !== (defaults[category] || []).join('\n')) {
+                dictionary[category] = patterns;
+            }
+        });
+
+        return dictionary;
+    }
+
+    /**
+     * 사전에서 잘못된 정규식을 찾는다
+     * @param {object} dictionary - { 카테고리: [패턴] }
+     * @returns {string|null} 첫 번째로 잘못된 패턴 (없으면 null)
+     */
+    function findInvalidTextPattern(dictionary) {
+        for (const patterns of Object.values(dictionary)) {
+            for (const pattern of patterns) {
+                const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+                if (!match) {
+                    continue;
+                }
+                try {
+                    new RegExp(match[1], match[2]);
+                } catch {
+                    return pattern;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 일정 목록을 다시 그린다
+     * @param {object[]} rules - 일정 규칙
+     */
+    function renderScheduleRules(rules) {
+        elements.scheduleList.replaceChildren();
+
+        if (rules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className   = 'schedules__empty';
+            empty.textContent = '일정이 없습니다.';
+            elements.scheduleList.appendChild(empty);
+            return;
+        }
+
+        for (const rule of rules) {
+            elements.scheduleList.appendChild(createScheduleRow(rule));
+        }
+    }
+
+    /**
+     * 일정 한 줄(이름, 요일, 시간대, 동작, 삭제 버튼)을 만든다
+     * @param {object} rule - 일정 규칙
+     * @returns {HTMLElement}
+     */
+    function createScheduleRow(rule) {
+        const item = document.createElement('div');
+        item.className  = 'schedules__item';
+        item.dataset.id = rule.id;
+
+        const name = document.createElement('input');
+        name.type        = 'text';
+        name.className   = 'schedules__name';
+        name.maxLength   = 30;
+        name.placeholder = '일정 이름';
+        name.value       = rule.name || '';
+
+        const days = document.createElement('div');
+        days.className = 'schedules__days';
+        for (const day of SCHEDULE_DAYS) {
+            const label     = document.createElement('label');
+            label.className = 'schedules__day';
+
+            const checkbox   = document.createElement('input');
+            checkbox.type    = 'checkbox';
+            checkbox.value   = String(day.value);
+            checkbox.checked = (rule.days || []).includes(day.value);
+
+            label.append(checkbox, day.label);
+            days.appendChild(label);
+        }
+
+        const start = document.createElement('input');
+        start.type      = 'time';
+        start.className = 'schedules__start';
+        start.value     = rule.start || '09:00';
+
+        const end = document.createElement('input');
+        end.type        = 'time';
+        end.className   = 'schedules__end';
+        end.value       = rule.end || '18:00';
+
+        const time = document.createElement('div');
+        time.className = 'schedules__time';
+        time.append(start, '~', end);
+
+        const action = document.createElement('select');
+        action.className = 'schedules__action';
+        for (const profile of [...profileState.builtins, ...profileState.custom]) {
+            action.add(new Option(`${profile.name} 프로필`, `profile:${profile.id}`));
+        }
+        action.add(new Option('모든 이미지 대체', SCHEDULE_REPLACE_ALL));
+        action.value = rule.action === SCHEDULE_REPLACE_ALL ? SCHEDULE_REPLACE_ALL : `profile:${rule.profileId}`;
+        if (!action.value) {
+            // 삭제된 프로필을 가리키는 일정은 기본(균형) 프로필로 표시
+            action.value = `profile:${DEFAULT_SETTINGS.profiles.active}`;
+        }
+
+        const btnRemove = document.createElement('button');
+        btnRemove.type        = 'button';
+        btnRemove.className   = 'btn btn--small';
+        btnRemove.textContent = '🗑️ 삭제';
+        btnRemove.addEventListener('click', () => {
+            item.remove();
+            if (!elements.scheduleList.querySelector('.schedules__item')) {
+                renderScheduleRules([]);
+            }
+        });
+
+        item.append(name, days, time, action, btnRemove);
+        return item;
+    }
+
+    /**
+     * 화면의 일정 목록을 설정 형식으로 읽는다
+     * @returns {object[]} [{ id, name, days, start, end, action, profileId }]
+     */
+    function collectScheduleRules() {
+        return Array.from(elements.scheduleList.querySelectorAll('.schedules__item')).map(item => {
+            const action = item.querySelector('.schedules__action').value;
+            const isReplaceAll = action === SCHEDULE_REPLACE_ALL;
+
+            return {
+                id:        item.dataset.id,
+                name:      item.querySelector('.schedules__name').value.trim() || '이름 없는 일정',
+                days:      Array.from(item.querySelectorAll('.schedules__day input:checked')).map(input => Number(input.value)),
+                start:     item.querySelector('.schedules__start').value,
+                end:       item.querySelector('.schedules__end').value,
+                action:    isReplaceAll ? SCHEDULE_REPLACE_ALL : 'profile',
+                profileId: isReplaceAll ? null : action.slice('profile:'.length)
+            };
+        });
+    }
+
+    /**
+     * 새 일정을 목록 끝에 추가한다 (기본값: 평일 09:00~18:00 엄격 프로필)
+     */
+    function addScheduleRule() {
+        renderScheduleRules([
+            ...collectScheduleRules(),
+            {
+                id:        `schedule-${Date.now()}`,
+                name:      '',
+                days:      [1, 2, 3, 4, 5],
+                start:     '09:00',
+                end:       '18:00',
+                action:    'profile',
+                profileId: 'strict'
+            }
+        ]);
+        elements.scheduleList.lastElementChild.querySelector('.schedules__name').focus();
+    }
+
+    /**
+     * 이벤트를 바인딩한다
+     */
+    function bindEvents() {
+        /** 민감도 슬라이더 실시간 업데이트 */
+        const sliders = [
+            'gore',
+            'violence',
+            'death',
+            'disturbing',
+            'insects',
+            'medical',
+            'shock',
+            'animalCruelty',
+            'nsfwPorn',
+            'nsfwSexy'
+        ];
+
+        sliders.forEach(name => {
+            const slider  = elements[`${name}Sensitivity`];
+            const display = elements[`${name}Value`];
+
+            if (slider && display) {
+                slider.addEventListener('input', () => {
+                    display.textContent = `${slider.value}%`;
+                });
+            }
+        });
+
+        /** 판정 방식에 따라 쓰지 않는 입력(슬라이더/카테고리 기준) 흐리게 */
+        elements.decisionMode.addEventListener('change', () => {
+            elements.sensitivityList.dataset.mode = elements.decisionMode.value;
+        });
+
+        /** 모델 드롭다운: '직접 입력' 선택 시 텍스트 입력 표시 */
+        MODEL_PROVIDERS.forEach(name => {
+            const select = elements[`${name}Model`];
+            const custom = elements[`${name}ModelCustom`];
+
+            select.addEventListener('change', () => {
+                custom.hidden = select.value !== 'custom';
+                if (!custom.hidden) {
+                    custom.focus();
+                }
+            });
+        });
+
+        /** API 연결 테스트 (저장하지 않은 입력값으로 검사) */
+        document.querySelectorAll('[data-test-provider]').forEach(button => {
+            button.addEventListener('click', () => testApiConnection(button));
+        });
+
+        /** 검증 서버 연결 테스트 */
+        elements.btnTestServer.addEventListener('click', testServerConnection);
+
+        /** 저장 버튼 */
+        elements.btnSave.addEventListener('click', async () => {
+            if (await saveSettingsFromUI()) {
+                showToast('설정이 저장되었습니다.');
+            }
+        });
+
+        /** 판정 프로필: 선택하면 값을 화면에 불러옴 (저장해야 적용) */
+        elements.profileSelect.addEventListener('change', loadProfileToUI);
+        elements.btnSaveProfile.addEventListener('click', saveCurrentAsProfile);
+        elements.btnDeleteProfile.addEventListener('click', deleteSelectedProfile);
+
+        /** 시간대별 일정 추가 (저장해야 적용) */
+        elements.btnAddSchedule.addEventListener('click', addScheduleRule);
+
+        /** 경고 문구 사전 기본값 복원 (저장해야 적용) */
+        elements.btnResetTextSignals.addEventListener('click', () => {
+            renderTextSignalDictionary({});
+            showToast('기본 사전을 불러왔습니다. 저장하면 적용됩니다.');
+        });
+
+        /** 기본값 복원 버튼 */
+        elements.btnReset.addEventListener('click', () => {
+            if (confirm('모든 설정을 기본값으로 복원하시겠습니까?')) {
+                // 사용자 프로필은 지우지 않고 프로필 선택만 기본(균형)으로 되돌림
+                // 갤러리별 설정/숨긴 작성자는 목록 표시용 (저장 시 보내지 않으므로 바뀌지 않음)
+                applySettingsToUI({
+                    ...DEFAULT_SETTINGS,
+                    profiles:         { ...DEFAULT_SETTINGS.profiles, custom: profileState.custom },
+                    galleryOverrides: galleryOverrides,
+                    mutedAuthors:     mutedAuthors
+                });
+                showToast('기본값으로 복원되었습니다.');
+            }
+        });
+
+        /** 팝업/목록 페이지에서 바꾼 갤러리별 설정과 숨긴 작성자를 목록에 반영 ('kas_settings': STORAGE_KEYS.SETTINGS) */
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const next = changes.kas_settings?.newValue;
+            if (areaName !== 'local' || !next) {
+                return;
+            }
+
+            galleryOverrides = next.galleryOverrides || {};
+            renderGalleryOverrides();
+
+            mutedAuthors = next.mutedAuthors || {};
+            renderMutedAuthors();
+        });
+
+        /** 설정 내보내기/가져오기 */
+        elements.btnExportSettings.addEventListener('click', exportSettings);
+
+        elements.btnImportSettings.addEventListener('click', () => {
+            elements.settingsImportFile.click();
+        });
+
+        elements.settingsImportFile.addEventListener('change', () => {
+            importSettings(elements.settingsImportFile);
+        });
+
+        /** 로컬 해시 차단 목록: 버튼 → 숨겨진 파일 입력 열기 */
+        elements.btnImportBlocklistSeed.addEventListener('click', () => {
+            elements.blocklistSeedFile.click();
+        });
+
+        elements.btnImportBlocklistDelta.addEventListener('click', () => {
+            elements.blocklistDeltaFile.click();
+        });
+
+        elements.blocklistSeedFile.addEventListener('change', () => {
+            importLocalBlocklist(elements.blocklistSeedFile, 'seed');
+        });
+
+        elements.blocklistDeltaFile.addEventListener('change', () => {
+            importLocalBlocklist(elements.blocklistDeltaFile, 'delta');
+        });
+
+        elements.btnClearBlocklist.addEventListener('click', async () => {
+            if (confirm('로컬 해시 차단 목록을 모두 삭제하시겠습니까?')) {
+                await sendMessage({ type: 'CLEAR_LOCAL_BLOCKLIST' });
+                await loadLocalBlocklistStats();
+                showToast('로컬 차단 목록을 비웠습니다.');
+            }
+        });
+
+        /** 성능 메트릭 새로고침 */
+        const btnRefreshMetrics = document.getElementById('btnRefreshMetrics');
+        if (btnRefreshMetrics) {
+            btnRefreshMetrics.addEventListener('click', async () => {
+                btnRefreshMetrics.textContent = '⏳ 로딩...';
+                btnRefreshMetrics.disabled = true;
+
+                await loadPerformanceMetrics();
+
+                btnRefreshMetrics.textContent = '🔄 새로고침';
+                btnRefreshMetrics.disabled = false;
+            });
+        }
+
+        /** 로컬 모델 백엔드 다시 측정 */
+        const btnResetTfBackend = document.getElementById('btnResetTfBackend');
+        if (btnResetTfBackend) {
+            btnResetTfBackend.addEventListener('click', async () => {
+                await sendMessage({ type: 'RESET_TF_BACKEND' });
+                await loadPerformanceMetrics();
+                showToast('다음 로컬 모델 분석 때 백엔드를 다시 측정합니다.');
+            });
+        }
+    }
+
+    /**
+     * 모델 ID를 드롭다운에 적용한다 (목록에 없으면 '직접 입력')
+     * @param {string} name - 제공자 이름 (예: 'geminiFlash')
+     * @param {string} model - 모델 ID
+     */
+    function setModelValue(name, model) {
+        const select   = elements[`${name}Model`];
+        const custom   = elements[`${name}ModelCustom`];
+        const isListed = Array.from(select.options).some(option => option.value === model);
+
+        select.value  = isListed ? model : 'custom';
+        custom.value  = isListed ? '' : model;
+        custom.hidden = isListed;
+    }
+
+    /**
+     * 드롭다운/직접 입력에서 모델 ID를 읽는다
+     * @param {string} name - 제공자 이름
+     * @returns {string} 직접 입력이 비어 있으면 기본 모델
+     */
+    function getModelValue(name) {
+        const select = elements[`${name}Model`];
+
+        if (select.value !== 'custom') {
+            return select.value;
+        }
+
+        return elements[`${name}ModelCustom`].value.trim() || DEFAULT_SETTINGS.apis[name].model;
+    }
+
+    /**
+     * API 연결을 테스트하고 결과를 버튼 옆에 표시한다
+     * @param {HTMLButtonElement} button - data-test-provider 속성을 가진 버튼
+     */
+    async function testApiConnection(button) {
+        const provider = button.dataset.testProvider;
+        const resultEl = document.getElementById(`${provider}TestResult`);
+        const config   = collectSettingsFromUI().apis[provider];
+
+        button.disabled = true;
+        resultEl.textContent = '⏳ 확인 중...';
+        delete resultEl.dataset.status;
+
+        const result = await sendMessage({
+            type:     'TEST_API_CONNECTION',
+            provider: provider,
+            config:   config
+        });
+
+        button.disabled = false;
+
+        if (result?.success) {
+            resultEl.dataset.status = 'success';
+            resultEl.textContent    = `✅ 연결됨 (${result.model})`;
+        } else {
+            resultEl.dataset.status = 'error';
+            resultEl.textContent    = `❌ ${result?.error || '연결 실패'}`;
+        }
+    }
+
+    /**
+     * 검증 서버 주소의 접근 권한을 요청한다
+     * - 사용자 제스처(클릭) 안에서 호출해야 권한 창이 뜸
+     * - 이미 권한이 있으면 창 없이 바로 허용
+     * @param {string} baseUrl - 서버 주소
+     * @returns {Promise<string|null>} 오류 메시지 (문제 없으면 null)
+     */
+    async function requestServerPermission(baseUrl) {
+        let url;
+
+        try {
+            url = new URL(baseUrl);
+        } catch {
+            return '검증 서버 주소 형식이 올바르지 않습니다.';
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return '검증 서버 주소는 http:// 또는 https://로 시작해야 합니다.';
+        }
+
+        const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+        return granted ? null : '검증 서버 접근 권한이 거부되었습니다.';
+    }
+
+    /**
+     * 검증 서버 연결을 테스트하고 상태/버전을 표시한다
+     */
+    async function testServerConnection() {
+        const button   = elements.btnTestServer;
+        const resultEl = elements.serverTestResult;
+        const baseUrl  = collectSettingsFromUI().server.baseUrl;
+
+        const permissionError = await requestServerPermission(baseUrl);
+        if (permissionError) {
+            resultEl.dataset.status = 'error';
+            resultEl.textContent    = `❌ ${permissionError}`;
+            return;
+        }
+
+        button.disabled = true;
+        resultEl.textContent = '⏳ 확인 중...';
+        delete resultEl.dataset.status;
+
+        const probe = await sendMessage({
+            type:    'TEST_SERVER_CONNECTION',
+            baseUrl: baseUrl
+        });
+
+        button.disabled = false;
+
+        if (!probe?.reachable) {
+            resultEl.dataset.status = 'error';
+            resultEl.textContent    = `❌ ${probe?.error || '연결 실패'}`;
+            return;
+        }
+
+        // 연결은 됐지만 DB/모델이 준비되지 않은 서버는 경고로 표시
+        const isHealthy = probe.status === 'ok' && probe.dbConnected;
+        const details   = [
+            `버전 ${probe.version || '알 수 없음'}`,
+            `${probe.latencyMs}ms`,
+            `DB ${probe.dbConnected ? '연결됨' : '연결 안 됨'}`,
+            `NSFW 모델 ${probe.nsfwModel ? '사용 가능' : '없음'}`
+        ];
+
+        resultEl.dataset.status = isHealthy ? 'success' : 'error';
+        resultEl.textContent    = `${isHealthy ? '✅' : '⚠️'} ${details.join(' · ')}`;
+    }
+
+    /**
+     * 토스트 알림을 표시한다
+     * @param {string} message - 메시지
+     */
+    function showToast(message) {
+        const toast   = elements.toast;
+        const msgSpan = toast.querySelector('.toast__message');
+
+        msgSpan.textContent = message;
+        toast.classList.add('toast--visible');
+
+        setTimeout(() => {
+            toast.classList.remove('toast--visible');
+        }, 3000);
+    }
+
+    /**
+     * ========================================
+     * 설정 객체를 재귀적으로 병합 (Deep Merge)
+     * ========================================
+     *
+     * Deep Merge란?
+     * - 중첩된 객체까지 모두 병합
+     * - Shallow Merge (얕은 병합)와 차이:
+     *
+     * Shallow Merge (Object.assign 또는 Spread):
+     * ```javascript
+     * const defaults  = { a: 1, b: { x: 10, y: 20 } };
+     * const overrides = { b: { x: 99 } };
+     * const result    = { ...defaults, ...overrides };
+     * // result = { a: 1, b: { x: 99 } }  ← y: 20 사라짐 (b 전체 교체)
+     * ```
+     *
+     * Deep Merge (이 함수):
+     * ```javascript
+     * const result = mergeSettings(defaults, overrides);
      * // result = { a: 1, b: { x: 99, y: 20 } }  ← y: 20 유지 (재귀 병합)
      * ```
      *
@@ -635,6 +1859,284 @@
         return result;
     }
 
+    /**
+     * 로컬 해시 차단 목록 상태를 로드한다
+     */
+    async function loadLocalBlocklistStats() {
+        const stats = await sendMessage({ type: 'GET_LOCAL_BLOCKLIST_STATS' });
+
+        elements.blocklistVersion.textContent   = stats?.version ? `v${stats.version}` : '-';
+        elements.blocklistCount.textContent     = (stats?.count || 0).toLocaleString();
+        elements.blocklistUpdatedAt.textContent = stats?.updatedAt
+            ? new Date(stats.updatedAt).toLocaleString()
+            : '-';
+    }
+
+    /**
+     * 선택한 JSON 파일로 로컬 해시 차단 목록을 갱신한다
+     * @param {HTMLInputElement} input - 파일 입력
+     * @param {string} mode - 'seed' (전체 교체) | 'delta' (변경분 적용)
+     */
+    async function importLocalBlocklist(input, mode) {
+        const file = input.files[0];
+        input.value = '';  // 같은 파일을 다시 선택해도 change 이벤트가 발생하도록
+
+        if (!file) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('JSON 파일을 읽을 수 없습니다.');
+            return;
+        }
+
+        const result = await sendMessage({
+            type: 'IMPORT_LOCAL_BLOCKLIST',
+            mode: mode,
+            data: data
+        });
+
+        if (!result || result.error) {
+            showToast(result?.error || '차단 목록 가져오기에 실패했습니다.');
+            return;
+        }
+
+        await loadLocalBlocklistStats();
+
+        if (mode === 'delta') {
+            showToast(`델타 적용 완료: +${result.added} / -${result.removed} (v${result.version})`);
+        } else {
+            showToast(`시드 가져오기 완료: ${result.imported}개 (v${result.version})`);
+        }
+    }
+
+    /**
+     * 나만의 차단 목록을 로드한다
+     */
+    async function loadPersonalBlocklist() {
+        const response = await sendMessage({ type: 'GET_PERSONAL_BLOCKLIST' });
+
+        renderHashList(elements.personalBlocklist, response?.entries || [], {
+            emptyText: '아직 추가한 이미지가 없습니다.',
+            onRemove:  async (entry) => {
+                if (!confirm('이 이미지를 나만의 차단 목록에서 삭제하시겠습니까?')) {
+                    return;
+                }
+
+                await sendMessage({ type: 'REMOVE_PERSONAL_BLOCKLIST_ENTRY', id: entry.id });
+                await loadPersonalBlocklist();
+                showToast('차단 목록에서 삭제되었습니다.');
+            }
+        });
+    }
+
+    /**
+     * 나만의 허용 목록을 로드한다
+     */
+    async function loadPersonalAllowlist() {
+        const response = await sendMessage({ type: 'GET_PERSONAL_ALLOWLIST' });
+
+        renderHashList(elements.personalAllowlist, response?.entries || [], {
+            emptyText: '아직 추가한 이미지가 없습니다.',
+            onRemove:  async (entry) => {
+                if (!confirm('이 이미지를 나만의 허용 목록에서 삭제하시겠습니까?')) {
+                    return;
+                }
+
+                await sendMessage({ type: 'REMOVE_PERSONAL_ALLOWLIST_ENTRY', id: entry.id });
+                await loadPersonalAllowlist();
+                showToast('허용 목록에서 삭제되었습니다.');
+            }
+        });
+    }
+
+    /**
+     * 저장된 설정과 나만의 허용 목록을 JSON 파일로 내보낸다
+     * - API 키는 비워서 내보냄 (설정 파일을 공유해도 유료 API 키가 새지 않도록)
+     */
+    async function exportSettings() {
+        const settings  = await sendMessage({ type: 'GET_SETTINGS' });
+        const allowlist = await sendMessage({ type: 'GET_PERSONAL_ALLOWLIST' });
+
+        const data = {
+            app:               'kas-free',
+            version:           chrome.runtime.getManifest().version,
+            exportedAt:        new Date().toISOString(),
+            settings:          stripApiKeys(mergeSettings(DEFAULT_SETTINGS, settings || {})),
+            personalAllowlist: allowlist?.entries || []
+        };
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url  = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href     = url;
+        link.download = `kas-free-settings-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+        showToast('설정을 내보냈습니다.');
+    }
+
+    /**
+     * 설정의 모든 AI API 키를 비운 사본을 만든다
+     * @param {object} settings - 설정
+     * @returns {object}
+     */
+    function stripApiKeys(settings) {
+        const apis = Object.fromEntries(
+            Object.entries(settings.apis || {}).map(([id, api]) => [id, { ...api, apiKey: '' }])
+        );
+        return { ...settings, apis };
+    }
+
+    /**
+     * 가져온 설정에서 비어 있는 API 키를 현재 저장된 키로 채운다
+     * - 내보낸 파일에는 API 키가 없으므로 가져오기로 키가 지워지지 않도록
+     * @param {object} settings - 가져온 설정
+     * @param {object|null} current - 현재 저장된 설정
+     * @returns {object}
+     */
+    function keepExistingApiKeys(settings, current) {
+        const apis = { ...settings.apis };
+        for (const [id, api] of Object.entries(apis)) {
+            const existingKey = current?.apis?.[id]?.apiKey;
+            if (!api?.apiKey && existingKey) {
+                apis[id] = { ...api, apiKey: existingKey };
+            }
+        }
+        return { ...settings, apis };
+    }
+
+    /**
+     * 내보낸 JSON 파일로 설정과 나만의 허용 목록을 복원한다
+     * @param {HTMLInputElement} input - 파일 입력
+     */
+    async function importSettings(input) {
+        const file = input.files[0];
+        input.value = '';  // 같은 파일을 다시 선택해도 change 이벤트가 발생하도록
+
+        if (!file) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('JSON 파일을 읽을 수 없습니다.');
+            return;
+        }
+
+        if (!data || typeof data.settings !== 'object' || data.settings === null) {
+            showToast('설정 파일 형식이 올바르지 않습니다.');
+            return;
+        }
+
+        if (!confirm('현재 설정을 파일의 설정으로 덮어쓰시겠습니까?')) {
+            return;
+        }
+
+        const current  = await sendMessage({ type: 'GET_SETTINGS' });
+        const settings = keepExistingApiKeys(mergeSettings(DEFAULT_SETTINGS, data.settings), current);
+
+        // 파일에 없는 갤러리별 설정/숨긴 작성자는 현재 값 유지 (이전 버전에서 내보낸 파일)
+        for (const field of ['galleryOverrides', 'mutedAuthors']) {
+            if (!(field in data.settings)) {
+                settings[field] = current?.[field] ?? settings[field];
+            }
+        }
+
+        applySettingsToUI(settings);
+
+        // replaceManaged: 저장 버튼과 달리 갤러리별 설정/숨긴 작성자도 파일의 값으로 교체
+        await sendMessage({ type: 'UPDATE_SETTINGS', settings: settings, replaceManaged: true });
+
+        let message = '설정을 가져왔습니다.';
+
+        if (Array.isArray(data.personalAllowlist)) {
+            const result = await sendMessage({
+                type:    'IMPORT_PERSONAL_ALLOWLIST',
+                entries: data.personalAllowlist
+            });
+
+            if (!result || result.error) {
+                message = `설정은 가져왔지만 허용 목록 가져오기에 실패했습니다. (${result?.error || '알 수 없는 오류'})`;
+            } else {
+                message = `설정을 가져왔습니다. (허용 목록 ${result.imported}개 추가)`;
+            }
+
+            await loadPersonalAllowlist();
+        }
+
+        showToast(message);
+    }
+
+    /**
+     * 해시 목록 항목(미리보기, 추가 일시, 게시글 링크, 삭제 버튼)을 그린다
+     * @param {HTMLElement} container - 목록 컨테이너
+     * @param {object[]} entries - { id, imageUrl, pageUrl, thumbnail, addedAt }
+     * @param {object} options - { emptyText, onRemove(entry) }
+     */
+    function renderHashList(container, entries, options) {
+        container.replaceChildren();
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className   = 'hash-list__empty';
+            empty.textContent = options.emptyText;
+            container.appendChild(empty);
+            return;
+        }
+
+        for (const entry of entries) {
+            const item = document.createElement('div');
+            item.className = 'hash-list__item';
+
+            // 미리보기 (기본 흐림, 마우스 오버 시 표시)
+            const preview = document.createElement('div');
+            preview.className = 'hash-list__preview';
+            if (entry.thumbnail) {
+                const img = document.createElement('img');
+                img.src = entry.thumbnail;
+                img.alt = '';
+                preview.appendChild(img);
+            } else {
+                preview.textContent = '🖼️';
+            }
+
+            // 추가 일시 + 게시글 링크
+            const info = document.createElement('div');
+            info.className = 'hash-list__info';
+
+            const date = document.createElement('div');
+            date.className   = 'hash-list__date';
+            date.textContent = new Date(entry.addedAt).toLocaleString();
+            info.appendChild(date);
+
+            if (entry.pageUrl) {
+                const link = document.createElement('a');
+                link.className   = 'hash-list__link';
+                link.href        = entry.pageUrl;
+                link.target      = '_blank';
+                link.rel         = 'noopener noreferrer';
+                link.textContent = entry.pageUrl;
+                info.appendChild(link);
+            }
+
+            const btnRemove = document.createElement('button');
+            btnRemove.className   = 'btn btn--small';
+            btnRemove.textContent = '🗑️ 삭제';
+            btnRemove.addEventListener('click', () => options.onRemove(entry));
+
+            item.append(preview, info, btnRemove);
+            container.appendChild(item);
+        }
+    }
+
     /**
      * 성능 메트릭을 로드한다
      */
@@ -652,6 +2154,7 @@
             displayAnalysisMetrics(metrics);
             displayTimeoutStats(timeoutStats);
             displayResourceMetrics(metrics);
+            displayTfBackendMetrics(metrics?.tfBackend);
             displayHealthStatus(healthStatus);
             displayMemoryStats(memoryStats);
             displayResourceStats(resourceStats);
@@ -708,6 +2211,32 @@
         }
     }
 
+    /**
+     * 로컬 모델 TensorFlow.js 백엔드 표시
+     * @param {object|null} info - { backend, source, error, fastest, timings, benchmarkedAt }
+     */
+    function displayTfBackendMetrics(info) {
+        const sourceLabels = {
+            forced:    '옵션에서 강제 지정',
+            stored:    '저장된 측정 결과 사용',
+            benchmark: '방금 측정하여 선택'
+        };
+
+        document.getElementById('metricTfBackend').textContent = info?.backend || '-';
+        document.getElementById('metricTfBackendSource').textContent = info?.error
+            || sourceLabels[info?.source]
+            || '아직 모델을 로드하지 않음';
+
+        document.getElementById('metricTfFastest').textContent = info?.fastest || '-';
+        document.getElementById('metricTfBenchmarkedAt').textContent = info?.benchmarkedAt
+            ? `${new Date(info.benchmarkedAt).toLocaleString('ko-KR')} 측정`
+            : '측정 기록 없음';
+
+        const timings = Object.entries(info?.timings || {})
+            .map(([name, time]) => `${name} ${typeof time === 'number' ? `${time.toFixed(1)}ms` : '사용 불가'}`);
+        document.getElementById('metricTfTimings').textContent = timings.length > 0 ? timings.join(' · ') : '-';
+    }
+
     /**
      * 적응형 타임아웃 통계 표시
      */
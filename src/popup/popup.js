@@ -10,25 +10,51 @@
 
     /** DOM 요소 */
     const elements = {
-        toggleEnabled:  document.getElementById('toggleEnabled'),
-        statsScanned:   document.getElementById('statsScanned'),
-        statsSafe:      document.getElementById('statsSafe'),
-        statsCaution:   document.getElementById('statsCaution'),
-        statsDanger:    document.getElementById('statsDanger'),
-        apiNsfwjs:      document.getElementById('apiNsfwjs'),
-        apiGeminiFlash: document.getElementById('apiGeminiFlash'),
-        apiClaudeHaiku: document.getElementById('apiClaudeHaiku'),
-        apiGpt4oMini:   document.getElementById('apiGpt4oMini'),
-        btnSettings:    document.getElementById('btnSettings'),
-        popupVersion:   document.getElementById('popupVersion')
+        toggleEnabled:      document.getElementById('toggleEnabled'),
+        statsScanned:       document.getElementById('statsScanned'),
+        statsSafe:          document.getElementById('statsSafe'),
+        statsCaution:       document.getElementById('statsCaution'),
+        statsDanger:        document.getElementById('statsDanger'),
+        apiNsfwjs:          document.getElementById('apiNsfwjs'),
+        apiLocalModel:      document.getElementById('apiLocalModel'),
+        apiLocalModelName:  document.getElementById('apiLocalModelName'),
+        apiLocalModelError: document.getElementById('apiLocalModelError'),
+        apiGeminiFlash:     document.getElementById('apiGeminiFlash'),
+        apiClaudeHaiku:     document.getElementById('apiClaudeHaiku'),
+        apiGpt4oMini:       document.getElementById('apiGpt4oMini'),
+        apiCompatible:      document.getElementById('apiCompatible'),
+        profileSelect:      document.getElementById('profileSelect'),
+        profileStatus:      document.getElementById('profileStatus'),
+        profileSchedule:    document.getElementById('profileSchedule'),
+        gallerySection:     document.getElementById('gallerySection'),
+        galleryId:          document.getElementById('galleryId'),
+        galleryProfile:     document.getElementById('galleryProfile'),
+        gallerySafeMax:     document.getElementById('gallerySafeMax'),
+        galleryCautionMax:  document.getElementById('galleryCautionMax'),
+        galleryAutoHide:    document.getElementById('galleryAutoHide'),
+        galleryAutoScan:    document.getElementById('galleryAutoScan'),
+        btnGalleryApply:    document.getElementById('btnGalleryApply'),
+        btnGalleryClear:    document.getElementById('btnGalleryClear'),
+        galleryStatus:      document.getElementById('galleryStatus'),
+        btnSettings:        document.getElementById('btnSettings'),
+        popupVersion:       document.getElementById('popupVersion')
     };
 
+    /** 전역 설정 (GET_SETTINGS 응답) */
+    let currentSettings = null;
+
+    /** 현재 탭의 갤러리 { id, name } (갤러리 페이지가 아니면 null) */
+    let currentGallery = null;
+
     /**
      * 초기화
      */
     async function initialize() {
         loadVersion();
         await loadSettings();
+        await loadProfiles();
+        await loadScheduleStatus();
+        await loadGallery();
         await loadStats();
         await checkApiStatus();
         bindEvents();
@@ -51,10 +77,197 @@
         const settings = await sendMessage({ type: 'GET_SETTINGS' });
 
         if (settings) {
+            currentSettings = settings;
             elements.toggleEnabled.checked = settings.enabled !== false;
         }
     }
 
+    /**
+     * 판정 프로필 목록을 로드한다
+     */
+    async function loadProfiles() {
+        const response = await sendMessage({ type: 'GET_PROFILES' });
+        if (!response) {
+            return;
+        }
+
+        elements.profileSelect.replaceChildren();
+        elements.galleryProfile.replaceChildren(elements.galleryProfile.options[0]);
+        for (const profile of response.profiles) {
+            const option       = document.createElement('option');
+            option.value       = profile.id;
+            option.textContent = profile.builtin ? `${profile.name} (기본)` : profile.name;
+            elements.profileSelect.appendChild(option);
+            elements.galleryProfile.appendChild(option.cloneNode(true));
+        }
+        elements.profileSelect.value = response.active;
+    }
+
+    /**
+     * 지금 적용 중인 시간대별 일정을 표시한다
+     * - 일정이 적용 중이면 위 드롭다운의 프로필 대신 일정의 동작이 적용됨
+     */
+    async function loadScheduleStatus() {
+        const status = await sendMessage({ type: 'GET_SCHEDULE_STATUS' });
+        const active = status?.active;
+
+        elements.profileSchedule.hidden = !active;
+        if (!active) {
+            return;
+        }
+
+        const action = active.action === 'replaceAllImages'
+            ? '모든 이미지 대체'
+            : `${active.profileName || '삭제된 프로필'} 프로필`;
+        const until  = active.start === active.end ? '종일' : `${active.end}까지`;
+        elements.profileSchedule.textContent = `⏰ "${active.name}" 일정 적용 중 · ${action} (${until})`;
+    }
+
+    /**
+     * 현재 탭이 디시인사이드 갤러리면 갤러리별 설정을 표시한다
+     */
+    async function loadGallery() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        currentGallery = parseGallery(tab);
+
+        if (!currentGallery || !currentSettings) {
+            return;
+        }
+
+        elements.gallerySection.hidden = false;
+        elements.galleryId.textContent = currentGallery.id;
+        renderGalleryOverride(currentSettings.galleryOverrides?.[currentGallery.id] || null);
+    }
+
+    /**
+     * 탭 URL에서 갤러리 ID와 이름을 추출한다 (DcParser.getGalleryId와 같은 규칙)
+     * @param {chrome.tabs.Tab} tab - 현재 탭
+     * @returns {{id: string, name: string}|null}
+     */
+    function parseGallery(tab) {
+        try {
+            const url = new URL(tab?.url);
+            const id  = url.searchParams.get('id');
+            if (url.hostname !== 'gall.dcinside.com' || !id) {
+                return null;
+            }
+            // 탭 제목 예: "프로그래밍 갤러리 - 커뮤니티 포털 디시인사이드"
+            const name = (tab.title || '').split(' - ')[0].trim() || id;
+            return { id, name };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 갤러리별 설정을 입력 칸에 표시한다
+     * @param {object|null} override - 저장된 갤러리별 설정
+     */
+    function renderGalleryOverride(override) {
+        elements.galleryProfile.value    = override?.profileId || '';
+        elements.gallerySafeMax.value    = override?.thresholds ? Math.round(override.thresholds.safeMax * 100) : '';
+        elements.galleryCautionMax.value = override?.thresholds ? Math.round(override.thresholds.cautionMax * 100) : '';
+        elements.galleryAutoHide.value   = toToggleValue(override?.autoHideDanger);
+        elements.galleryAutoScan.value   = toToggleValue(override?.autoScan);
+        elements.btnGalleryClear.hidden  = !override;
+    }
+
+    /**
+     * 입력 칸에서 갤러리별 설정을 읽는다
+     * @returns {object} { name, profileId, thresholds, autoHideDanger, autoScan }
+     */
+    function collectGalleryOverride() {
+        const safeMax    = elements.gallerySafeMax.value;
+        const cautionMax = elements.galleryCautionMax.value;
+
+        // 임계값은 둘 다 입력했을 때만 덮어씀 (하나만 비우면 전역 임계값 사용)
+        const thresholds = safeMax !== '' && cautionMax !== ''
+            ? { safeMax: Number(safeMax) / 100, cautionMax: Number(cautionMax) / 100 }
+            : null;
+
+        return {
+            name:           currentGallery.name,
+            profileId:      elements.galleryProfile.value || null,
+            thresholds,
+            autoHideDanger: fromToggleValue(elements.galleryAutoHide.value),
+            autoScan:       fromToggleValue(elements.galleryAutoScan.value)
+        };
+    }
+
+    /**
+     * 갤러리별 설정을 저장하거나 해제한다 (열린 탭의 신호등도 바로 갱신됨)
+     * @param {object|null} override - 저장할 값 (null이면 해제)
+     */
+    async function saveGalleryOverride(override) {
+        elements.btnGalleryApply.disabled = true;
+
+        const result = await sendMessage({
+            type:      'SET_GALLERY_OVERRIDE',
+            galleryId: currentGallery.id,
+            override
+        });
+
+        elements.btnGalleryApply.disabled = false;
+        elements.galleryStatus.hidden     = false;
+
+        if (result?.success) {
+            elements.galleryStatus.style.color = '';
+            elements.galleryStatus.textContent = override ? '✓ 적용됨' : '✓ 해제됨';
+            renderGalleryOverride(result.override);
+        } else {
+            elements.galleryStatus.style.color = '#ef4444';
+            elements.galleryStatus.textContent = result?.error || '저장 실패';
+        }
+    }
+
+    /**
+     * on/off 덮어쓰기 값을 select 값으로 변환한다
+     * @param {boolean|null|undefined} value
+     * @returns {string} 'on' | 'off' | '' (전역 설정 따름)
+     */
+    function toToggleValue(value) {
+        if (typeof value !== 'boolean') {
+            return '';
+        }
+        return value ? 'on' : 'off';
+    }
+
+    /**
+     * select 값을 on/off 덮어쓰기 값으로 변환한다
+     * @param {string} value - 'on' | 'off' | ''
+     * @returns {boolean|null}
+     */
+    function fromToggleValue(value) {
+        if (value === '') {
+            return null;
+        }
+        return value === 'on';
+    }
+
+    /**
+     * 선택한 판정 프로필을 적용한다 (열린 탭의 신호등도 바로 갱신됨)
+     */
+    async function applyProfile() {
+        elements.profileSelect.disabled = true;
+
+        const result = await sendMessage({
+            type:      'APPLY_PROFILE',
+            profileId: elements.profileSelect.value
+        });
+
+        elements.profileSelect.disabled = false;
+        elements.profileStatus.hidden   = false;
+
+        if (result?.success) {
+            elements.profileStatus.style.color = '';
+            elements.profileStatus.textContent = '✓ 적용됨';
+        } else {
+            elements.profileStatus.style.color = '#ef4444';
+            elements.profileStatus.textContent = result?.error || '적용 실패';
+            await loadProfiles();
+        }
+    }
+
     /**
      * 통계를 로드한다
      */
@@ -80,6 +293,37 @@
             updateApiIndicator(elements.apiGeminiFlash, status.geminiFlash, true);
             updateApiIndicator(elements.apiClaudeHaiku, status.claudeHaiku, true);
             updateApiIndicator(elements.apiGpt4oMini, status.gpt4oMini, true);
+            // 설정 안 됨(null)은 미설정, 접속 실패(false)는 오류로 표시
+            updateApiIndicator(elements.apiCompatible, status.openaiCompatible, status.openaiCompatible == null);
+            updateLocalModelStatus(status.localModel);
+        }
+    }
+
+    /**
+     * 로컬 AI 모델 상태를 표시한다 (로드 실패 시 사유 표시)
+     * @param {object} localModel - { enabled, loaded, variant, error }
+     */
+    function updateLocalModelStatus(localModel) {
+        const labels = {
+            mobilenet_v2: 'MobileNet v2',
+            inception_v3: 'InceptionV3'
+        };
+
+        if (!localModel?.enabled) {
+            elements.apiLocalModel.dataset.status = 'unconfigured';
+            elements.apiLocalModelError.hidden   = true;
+            return;
+        }
+
+        elements.apiLocalModelName.textContent = `로컬 AI 모델 (${labels[localModel.variant] || localModel.variant})`;
+
+        if (localModel.loaded) {
+            elements.apiLocalModel.dataset.status = 'connected';
+            elements.apiLocalModelError.hidden   = true;
+        } else {
+            elements.apiLocalModel.dataset.status   = 'error';
+            elements.apiLocalModelError.textContent = `모델을 불러올 수 없습니다: ${localModel.error || '알 수 없는 오류'}`;
+            elements.apiLocalModelError.hidden      = false;
         }
     }
 
@@ -112,6 +356,17 @@
             });
         });
 
+        /** 판정 프로필 전환 */
+        elements.profileSelect.addEventListener('change', applyProfile);
+
+        /** 갤러리별 설정 */
+        elements.btnGalleryApply.addEventListener('click', () => {
+            saveGalleryOverride(collectGalleryOverride());
+        });
+        elements.btnGalleryClear.addEventListener('click', () => {
+            saveGalleryOverride(null);
+        });
+
         /** 설정 버튼 */
         elements.btnSettings.addEventListener('click', () => {
             chrome.runtime.openOptionsPage();
@@ -0,0 +1,358 @@
+/**
+ * AI 응답 검증/복구 유틸리티
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks AI_ANALYSIS_PROMPT 스키마 기준으로 모델 응답을 검사하고, 고칠 수 있는 값은 보정
+ */
+
+/** 응답에 있어야 하는 카테고리 (AI_ANALYSIS_PROMPT의 scores) */
+export const AI_SCORE_CATEGORIES = [
+    'gore', 'violence', 'death', 'disturbing', 'insects',
+    'medical', 'shock', 'animal_cruelty', 'nsfw_porn', 'nsfw_sexy'
+];
+
+/** 프롬프트의 Action 결정 기준에 쓰이는 고위험 카테고리 */
+const HIGH_RISK_CATEGORIES = ['gore', 'death', 'disturbing', 'nsfw_porn'];
+
+/** 허용하는 suggestedAction 값 (blur는 warn으로 취급) */
+const ACTIONS = ['block', 'warn', 'pass'];
+
+/** 카테고리 이름 별칭 (camelCase로 답하는 모델 대응) */
+const CATEGORY_ALIASES = {
+    animalCruelty: 'animal_cruelty',
+    nsfwPorn:      'nsfw_porn',
+    nsfwSexy:      'nsfw_sexy'
+};
+
+/**
+ * 제공자의 구조화 출력 기능에 넘길 JSON 스키마
+ * - OpenAI strict 모드 규칙: 모든 필드 required, additionalProperties: false
+ * - 범위(0~1)는 스키마로 강제할 수 없는 모델이 많아 검증 단계에서 보정
+ */
+export const AI_RESPONSE_JSON_SCHEMA = {
+    type: 'object',
+    properties: {
+        scores: {
+            type: 'object',
+            properties: Object.fromEntries(AI_SCORE_CATEGORIES.map(category => [category, { type: 'number' }])),
+            required: AI_SCORE_CATEGORIES,
+            additionalProperties: false
+        },
+        is_harmful:         { type: 'boolean' },
+        suggested_severity: { type: 'integer' },
+        suggestedAction:    { type: 'string', enum: ACTIONS },
+        final_score:        { type: 'number' },
+        description:        { type: 'string' },
+        reasoning:          { type: 'string' }
+    },
+    required: ['scores', 'is_harmful', 'suggested_severity', 'suggestedAction', 'final_score', 'description', 'reasoning'],
+    additionalProperties: false
+};
+
+/**
+ * AI 응답 형식 오류 (재요청 후에도 스키마를 지키지 않은 경우)
+ */
+export class AiResponseValidationError extends Error {
+    /**
+     * @param {string[]} errors - 검증 실패 사유
+     * @param {string} raw - 원본 응답 (앞부분만 보관)
+     * @param {string|null} provider - 응답한 제공자 (예: 'gpt4oMini:gpt-4o-mini')
+     */
+    constructor(errors, raw = '', provider = null) {
+        super(`AI 응답 형식 오류${provider ? ` (${provider})` : ''}: ${errors.join(', ')}`);
+        this.name     = 'AiResponseValidationError';
+        this.errors   = errors;
+        this.raw      = String(raw).substring(0, 500);
+        this.provider = provider;
+    }
+}
+
+/**
+ * 모델 응답 텍스트에서 JSON 객체를 꺼낸다
+ * - ```json 코드 블록, 앞뒤 설명 문장이 붙은 응답 처리
+ * - 문자열 안의 중괄호는 무시하고 짝이 맞는 첫 번째 객체를 사용
+ * @param {string} text - 모델 응답 텍스트
+ * @returns {object|null} 파싱된 객체 (찾지 못하면 null)
+ */
+export function extractJsonObject(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const source = fenced ? fenced[1] : text;
+
+    for (let start = source.indexOf('{'); start !== -1; start = source.indexOf('{', start + 1)) {
+        const end = findClosingBrace(source, start);
+        if (end === -1) {
+            return null;
+        }
+
+        try {
+            const parsed = JSON.parse(source.slice(start, end + 1));
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch {
+            // 다음 { 부터 다시 시도
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 여는 중괄호와 짝이 맞는 닫는 중괄호 위치
+ * @param {string} text - 텍스트
+ * @param {number} start - 여는 중괄호 위치
+ * @returns {number} 닫는 중괄호 위치 (없으면 -1)
+ */
+function findClosingBrace(text, start) {
+    let depth    = 0;
+    let inString = false;
+    let escaped  = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * AI 응답을 검증하고 보정한다
+ *
+ * 보정 (repairs, 결과는 사용):
+ * - 0~100 스케일 점수('80%' 문자열, 또는 1 초과 점수가 있고 모두 100 이하인 응답) → 0~1
+ * - 그 밖에 범위 밖 점수 → 카테고리별로 0~1로 자름
+ * - 빠진 카테고리 → 0, 빠진 final_score → 카테고리 최고 점수
+ * - is_harmful/suggestedAction/suggested_severity 누락·오타 → 점수로 다시 계산
+ * - scores 객체 없이 카테고리가 최상위에 있는 응답 (평평한 스키마)
+ *
+ * 실패 (errors, 재요청 필요):
+ * - JSON을 찾을 수 없음
+ * - 점수가 하나도 없거나 절반 이상 누락/숫자가 아님
+ *
+ * @param {string|object} raw - 모델 응답 (텍스트 또는 이미 파싱된 객체)
+ * @returns {{valid: boolean, value: object|null, errors: string[], repairs: string[]}}
+ */
+export function validateAiResponse(raw) {
+    const data = typeof raw === 'string' ? extractJsonObject(raw) : raw;
+
+    if (!data || typeof data !== 'object') {
+        return { valid: false, value: null, errors: ['응답에서 JSON 객체를 찾을 수 없음'], repairs: [] };
+    }
+
+    const repairs = [];
+    const errors  = [];
+
+    const rawScores = data.scores && typeof data.scores === 'object' ? data.scores : data;
+    if (rawScores === data) {
+        repairs.push('scores 객체 없음 (최상위 카테고리 사용)');
+    }
+
+    const scores  = {};
+    const missing = [];
+    const numeric = [];  // '%' 문자열이 아닌 점수의 카테고리 (스케일 판단 대상)
+    for (const [key, value] of Object.entries(rawScores)) {
+        const category = CATEGORY_ALIASES[key] || key;
+        if (AI_SCORE_CATEGORIES.includes(category)) {
+            const score = toScore(value);
+            if (score !== null) {
+                scores[category] = score;
+                if (!isPercentString(value)) {
+                    numeric.push(category);
+                }
+            }
+        }
+    }
+
+    // 1을 넘는 점수가 하나라도 있고 모두 100 이하면 0~100 스케일로 판단
+    // ({gore: 85, insects: 0.5}처럼 작은 값이 섞여도 같은 스케일로 변환, '%' 문자열은 toScore()에서 이미 변환)
+    const scaleSamples   = numeric.map(category => scores[category]);
+    const isPercentScale = scaleSamples.some(score => score > 1) && scaleSamples.every(score => score <= 100);
+    if (isPercentScale) {
+        for (const category of numeric) {
+            scores[category] /= 100;
+        }
+        repairs.push('0~100 스케일 점수를 0~1로 변환');
+    }
+
+    const outOfRange = Object.keys(scores).filter(category => scores[category] < 0 || scores[category] > 1);
+    if (outOfRange.length > 0) {
+        repairs.push(`범위 밖 점수를 0~1로 자름: ${outOfRange.join(', ')}`);
+    }
+    for (const category of Object.keys(scores)) {
+        scores[category] = clampScore(scores[category]);
+    }
+
+    for (const category of AI_SCORE_CATEGORIES) {
+        if (!(category in scores)) {
+            missing.push(category);
+            scores[category] = 0;
+        }
+    }
+
+    if (missing.length >= AI_SCORE_CATEGORIES.length / 2) {
+        errors.push(`카테고리 점수 누락: ${missing.join(', ')}`);
+    } else if (missing.length > 0) {
+        repairs.push(`누락된 카테고리 0으로 채움: ${missing.join(', ')}`);
+    }
+
+    const maxScore   = Math.max(...Object.values(scores));
+    const highRisk   = Math.max(...HIGH_RISK_CATEGORIES.map(category => scores[category]));
+    let   finalScore = toScore(data.final_score);
+    if (finalScore === null) {
+        finalScore = maxScore;
+        repairs.push('final_score를 최고 카테고리 점수로 계산');
+    } else {
+        finalScore = clampScore(finalScore > 1.5 ? finalScore / 100 : finalScore);
+    }
+
+    let isHarmful = toBoolean(data.is_harmful);
+    if (isHarmful === null) {
+        isHarmful = finalScore >= 0.7 || highRisk >= 0.7;
+        repairs.push('is_harmful을 점수로 계산');
+    }
+
+    let action = String(data.suggestedAction ?? data.suggested_action ?? '').trim().toLowerCase();
+    if (action === 'blur') {
+        action = 'warn';
+    }
+    if (!ACTIONS.includes(action)) {
+        action = deriveAction(finalScore, highRisk);
+        repairs.push('suggestedAction을 점수로 계산');
+    }
+
+    let severity = Math.round(Number(data.suggested_severity));
+    if (!Number.isFinite(severity)) {
+        severity = Math.max(1, Math.ceil(finalScore * 5));
+        repairs.push('suggested_severity를 점수로 계산');
+    }
+    severity = Math.min(5, Math.max(1, severity));
+
+    const detected = Array.isArray(data.detected_categories)
+        ? data.detected_categories.filter(category => AI_SCORE_CATEGORIES.includes(category))
+        : AI_SCORE_CATEGORIES.filter(category => scores[category] >= 0.5);
+
+    return {
+        valid:  errors.length === 0,
+        value: {
+            scores,
+            is_harmful:          isHarmful,
+            suggested_severity:  severity,
+            suggestedAction:     action,
+            final_score:         finalScore,
+            detected_categories: detected,
+            description:         typeof data.description === 'string' ? data.description : '',
+            reasoning:           typeof data.reasoning === 'string' ? data.reasoning : ''
+        },
+        errors,
+        repairs
+    };
+}
+
+/**
+ * 검증 실패 시 모델에게 보낼 수정 요청 메시지
+ * @param {string[]} errors - validateAiResponse()의 errors
+ * @returns {string}
+ */
+export function buildCorrectionMessage(errors) {
+    return `Your previous response did not match the required JSON schema (${errors.join('; ')}). ` +
+        'Return ONLY one JSON object with "scores" containing all of ' +
+        `${AI_SCORE_CATEGORIES.join(', ')} as numbers between 0.0 and 1.0, ` +
+        'plus "is_harmful", "suggested_severity", "suggestedAction", "final_score", "description" and "reasoning". ' +
+        'No markdown, no explanation.';
+}
+
+/**
+ * 점수 값을 숫자로 읽는다 (숫자/숫자 문자열/'80%')
+ * @param {*} value - 원본 값
+ * @returns {number|null} 점수 ('80%'는 0.8, 숫자가 아니면 null, 범위 보정 전)
+ */
+function toScore(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+        return null;
+    }
+
+    if (isPercentString(value)) {
+        const percent = parseFloat(value);
+        return Number.isFinite(percent) ? percent / 100 : null;
+    }
+
+    const score = typeof value === 'string' ? parseFloat(value) : Number(value);
+    return Number.isFinite(score) ? score : null;
+}
+
+/**
+ * '80%' 형태의 퍼센트 문자열인지
+ * @param {*} value - 원본 값
+ * @returns {boolean}
+ */
+function isPercentString(value) {
+    return typeof value === 'string' && value.trim().endsWith('%');
+}
+
+/**
+ * 점수를 0~1 범위로 자른다
+ * @param {number} score - 점수
+ * @returns {number}
+ */
+function clampScore(score) {
+    return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * 불리언 값 정규화 ('true'/'false' 문자열 허용)
+ * @param {*} value - 원본 값
+ * @returns {boolean|null}
+ */
+function toBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+
+    return null;
+}
+
+/**
+ * 프롬프트의 Action 결정 기준으로 조치를 계산한다
+ * @param {number} finalScore - 전체 유해도
+ * @param {number} highRisk - 고위험 카테고리 최고 점수
+ * @returns {string}
+ */
+function deriveAction(finalScore, highRisk) {
+    if (finalScore >= 0.7 || highRisk >= 0.7) {
+        return 'block';
+    }
+
+    if (finalScore >= 0.4 || highRisk >= 0.4) {
+        return 'warn';
+    }
+
+    return 'pass';
+}
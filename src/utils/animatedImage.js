@@ -0,0 +1,178 @@
+/**
+ * 움직이는 이미지 판별 유틸리티
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks 파일 앞부분만 읽어 GIF/WebP/APNG 애니메이션 여부를 판별 (전체 다운로드 없이)
+ */
+
+/** 판별에 읽을 최대 바이트 수 (애니메이션 표식은 대부분 파일 앞부분에 있음) */
+const SNIFF_BYTES = 4096;
+
+/** 판별 결과 메모리 캐시 (같은 이미지를 다시 받지 않도록) */
+const detectionCache = new Map();
+const DETECTION_CACHE_SIZE = 500;
+
+/**
+ * 이미지 URL이 움직이는 이미지인지 확인한다
+ * @param {string} imageUrl - 이미지 URL
+ * @returns {Promise<{animated: boolean, mimeType: string|null}>}
+ */
+export async function detectAnimatedImage(imageUrl) {
+    if (detectionCache.has(imageUrl)) {
+        return detectionCache.get(imageUrl);
+    }
+
+    const response = await fetch(imageUrl, {
+        credentials:    'include',
+        referrerPolicy: 'no-referrer'
+    });
+
+    if (!response.ok || !response.body) {
+        throw new Error(`이미지 fetch 실패: ${response.status}`);
+    }
+
+    const bytes  = await readHeadBytes(response.body, SNIFF_BYTES);
+    const result = sniffAnimation(bytes);
+
+    // 가장 오래된 항목부터 제거 (Map은 삽입 순서 유지)
+    if (detectionCache.size >= DETECTION_CACHE_SIZE) {
+        detectionCache.delete(detectionCache.keys().next().value);
+    }
+    detectionCache.set(imageUrl, result);
+
+    return result;
+}
+
+/**
+ * 바이트 배열로 애니메이션 여부와 형식을 판별한다
+ * @param {Uint8Array} bytes - 파일 앞부분
+ * @returns {{animated: boolean, mimeType: string|null}}
+ */
+export function sniffAnimation(bytes) {
+    /** GIF: NETSCAPE2.0 (반복 재생) 확장 블록 */
+    if (matchAscii(bytes, 0, 'GIF8')) {
+        return {
+            animated: indexOfAscii(bytes, 'NETSCAPE2.0') !== -1 || indexOfAscii(bytes, 'ANIMEXTS1.0') !== -1,
+            mimeType: 'image/gif'
+        };
+    }
+
+    /** WebP: VP8X 청크의 애니메이션 플래그 (0x02) */
+    if (matchAscii(bytes, 0, 'RIFF') && matchAscii(bytes, 8, 'WEBP')) {
+        return {
+            animated: matchAscii(bytes, 12, 'VP8X') && (bytes[20] & 0x02) !== 0,
+            mimeType: 'image/webp'
+        };
+    }
+
+    /** PNG: IDAT 전에 acTL 청크가 있으면 APNG */
+    if (bytes[0] === 0x89 && matchAscii(bytes, 1, 'PNG')) {
+        return { animated: hasPngAnimationChunk(bytes), mimeType: 'image/png' };
+    }
+
+    return { animated: false, mimeType: null };
+}
+
+/**
+ * PNG 청크를 순회하며 acTL(애니메이션 제어) 청크를 찾는다
+ * @param {Uint8Array} bytes - 파일 앞부분
+ * @returns {boolean}
+ */
+function hasPngAnimationChunk(bytes) {
+    let offset = 8;  // PNG 시그니처 다음
+
+    while (offset + 8 <= bytes.length) {
+        const length = readUint32(bytes, offset);
+
+        if (matchAscii(bytes, offset + 4, 'acTL')) {
+            // num_frames가 2 이상이어야 실제 애니메이션
+            return offset + 12 <= bytes.length && readUint32(bytes, offset + 8) > 1;
+        }
+
+        if (matchAscii(bytes, offset + 4, 'IDAT')) {
+            return false;
+        }
+
+        offset += 12 + length;  // 길이(4) + 타입(4) + 데이터 + CRC(4)
+    }
+
+    return false;
+}
+
+/**
+ * 스트림에서 앞부분만 읽고 나머지 다운로드를 취소한다
+ * @param {ReadableStream} stream - 응답 본문
+ * @param {number} maxBytes - 읽을 최대 바이트 수
+ * @returns {Promise<Uint8Array>}
+ */
+async function readHeadBytes(stream, maxBytes) {
+    const reader = stream.getReader();
+    const head   = new Uint8Array(maxBytes);
+    let length   = 0;
+
+    try {
+        while (length < maxBytes) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            const size = Math.min(value.length, maxBytes - length);
+            head.set(value.subarray(0, size), length);
+            length += size;
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+
+    return head.subarray(0, length);
+}
+
+/**
+ * 빅 엔디언 32비트 정수를 읽는다
+ * @param {Uint8Array} bytes - 바이트 배열
+ * @param {number} offset - 시작 위치
+ * @returns {number}
+ */
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) |
+            (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+/**
+ * 지정 위치의 바이트가 ASCII 문자열과 같은지 확인한다
+ * @param {Uint8Array} bytes - 바이트 배열
+ * @param {number} offset - 시작 위치
+ * @param {string} text - 비교할 문자열
+ * @returns {boolean}
+ */
+function matchAscii(bytes, offset, text) {
+    if (offset + text.length > bytes.length) {
+        return false;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * 바이트 배열에서 ASCII 문자열의 위치를 찾는다
+ * @param {Uint8Array} bytes - 바이트 배열
+ * @param {string} text - 찾을 문자열
+ * @returns {number} 위치 (없으면 -1)
+ */
+function indexOfAscii(bytes, text) {
+    for (let i = 0; i + text.length <= bytes.length; i++) {
+        if (matchAscii(bytes, i, text)) {
+            return i;
+        }
+    }
+
+    return -1;
+}
@@ -0,0 +1,268 @@
+/**
+ * BK-트리 (Burkhard-Keller Tree)
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks 해밍 거리 기반 유사 해시 검색 (반경 r 이내 해시를 전체 탐색 없이 찾음)
+ */
+
+/** 해시 색인 기본 대상 (aHash는 충돌이 잦아 로컬 판정에서 제외) */
+const DEFAULT_INDEXED_HASH_TYPES = ['phash', 'dhash'];
+
+/** 4비트(nibble)별 1의 개수 */
+const NIBBLE_BIT_COUNT = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * 두 hex 해시의 해밍 거리를 계산한다
+ * @param {string} a - hex 해시
+ * @param {string} b - hex 해시
+ * @returns {number} 서로 다른 비트 수
+ */
+export function hammingDistance(a, b) {
+    const length = Math.max(a.length, b.length);
+    let distance = 0;
+
+    for (let i = 0; i < length; i++) {
+        const x = parseInt(a[i] || '0', 16) ^ parseInt(b[i] || '0', 16);
+        distance += NIBBLE_BIT_COUNT[x];
+    }
+
+    return distance;
+}
+
+/**
+ * BK-트리 클래스
+ *
+ * 각 노드의 자식은 "부모와의 거리"로 구분되어 저장된다.
+ * 삼각 부등식 덕분에 검색 시 |d - r| ~ d + r 범위의 자식만 내려가면 된다.
+ */
+export class BKTree {
+    /**
+     * @param {function} [distanceFn=hammingDistance] - 거리 함수
+     */
+    constructor(distanceFn = hammingDistance) {
+        this.distanceFn = distanceFn;
+        this.root       = null;
+        this.size       = 0;
+    }
+
+    /**
+     * 해시를 추가한다
+     * @param {string} hash - hex 해시
+     * @param {any} value - 해시에 연결할 값 (같은 해시는 값 목록으로 묶음)
+     */
+    add(hash, value) {
+        this.size++;
+
+        if (!this.root) {
+            this.root = this.createNode(hash, value);
+            return;
+        }
+
+        let node = this.root;
+
+        while (true) {
+            const distance = this.distanceFn(hash, node.hash);
+
+            /** 같은 해시는 노드를 새로 만들지 않음 */
+            if (distance === 0) {
+                node.values.push(value);
+                return;
+            }
+
+            const child = node.children.get(distance);
+            if (!child) {
+                node.children.set(distance, this.createNode(hash, value));
+                return;
+            }
+
+            node = child;
+        }
+    }
+
+    /**
+     * 반경 이내의 해시를 검색한다
+     * @param {string} hash - 검색할 hex 해시
+     * @param {number} radius - 최대 거리 (포함)
+     * @returns {Array<{hash: string, value: any, distance: number}>} 거리 오름차순
+     */
+    search(hash, radius) {
+        const results = [];
+
+        if (!this.root) {
+            return results;
+        }
+
+        const stack = [this.root];
+
+        while (stack.length > 0) {
+            const node     = stack.pop();
+            const distance = this.distanceFn(hash, node.hash);
+
+            if (distance <= radius) {
+                for (const value of node.values) {
+                    results.push({ hash: node.hash, value, distance });
+                }
+            }
+
+            /** 삼각 부등식으로 탐색 범위 제한 */
+            const min = distance - radius;
+            const max = distance + radius;
+
+            for (const [childDistance, child] of node.children) {
+                if (childDistance >= min && childDistance <= max) {
+                    stack.push(child);
+                }
+            }
+        }
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * 트리를 비운다
+     */
+    clear() {
+        this.root = null;
+        this.size = 0;
+    }
+
+    /**
+     * 노드를 생성한다
+     * @param {string} hash - hex 해시
+     * @param {any} value - 값
+     * @returns {object}
+     */
+    createNode(hash, value) {
+        return {
+            hash,
+            values:   [value],
+            children: new Map()
+        };
+    }
+}
+
+/**
+ * 해시 종류별 BK-트리 묶음
+ *
+ * 항목({ phash, dhash, ... })을 해시 종류마다 색인하고,
+ * 원본 + 회전/반전 변환 해시(variants) 중 가장 가까운 항목을 찾는다
+ */
+export class HashIndex {
+    /**
+     * @param {string[]} [hashTypes] - 색인할 해시 종류
+     */
+    constructor(hashTypes = DEFAULT_INDEXED_HASH_TYPES) {
+        this.hashTypes = hashTypes;
+        this.trees     = Object.fromEntries(hashTypes.map(type => [type, new BKTree()]));
+        this.size      = 0;
+    }
+
+    /**
+     * 항목 전체로 색인을 다시 만든다
+     * @param {object[]} entries - 해시 필드를 가진 항목 배열
+     */
+    rebuild(entries) {
+        this.hashTypes.forEach(type => this.trees[type].clear());
+
+        for (const entry of entries) {
+            for (const type of this.hashTypes) {
+                if (entry[type]) {
+                    this.trees[type].add(entry[type], entry);
+                }
+            }
+        }
+
+        this.size = entries.length;
+    }
+
+    /**
+     * 가장 가까운 항목을 찾는다
+     * @param {object} hashes - { phash, dhash, ahash, variants }
+     * @param {number} threshold - 최대 해밍 거리
+     * @returns {{entry: object, distance: number, hashType: string, transform: string}|null}
+     */
+    findClosest(hashes, threshold) {
+        if (this.size === 0 || !hashes) {
+            return null;
+        }
+
+        const candidates = [
+            { transform: 'original', ...hashes },
+            ...(hashes.variants || [])
+        ];
+
+        let best = null;
+
+        for (const candidate of candidates) {
+            for (const hashType of this.hashTypes) {
+                const hash = candidate[hashType];
+                if (!hash) {
+                    continue;
+                }
+
+                const [closest] = this.trees[hashType].search(hash, threshold);
+                if (closest && (!best || closest.distance < best.distance)) {
+                    best = {
+                        entry:     closest.value,
+                        distance:  closest.distance,
+                        hashType,
+                        transform: candidate.transform
+                    };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * 색인한 모든 해시 종류가 같은 항목·같은 변환에서 함께 가까운 항목을 찾는다
+     * - findClosest()는 해시 하나만 가까워도 일치로 보므로, 오판 비용이 큰 허용 목록에 사용
+     * - distance는 해시 종류 중 가장 먼 거리
+     * @param {object} hashes - { phash, dhash, ahash, variants }
+     * @param {number} threshold - 해시 종류마다 허용하는 최대 해밍 거리
+     * @returns {{entry: object, distance: number, hashType: string, transform: string}|null}
+     */
+    findAgreeing(hashes, threshold) {
+        if (this.size === 0 || !hashes) {
+            return null;
+        }
+
+        const [firstType, ...otherTypes] = this.hashTypes;
+        const candidates = [
+            { transform: 'original', ...hashes },
+            ...(hashes.variants || [])
+        ];
+
+        let best = null;
+
+        for (const candidate of candidates) {
+            if (!this.hashTypes.every(type => candidate[type])) {
+                continue;
+            }
+
+            for (const { value: entry, distance } of this.trees[firstType].search(candidate[firstType], threshold)) {
+                let worst = distance;
+
+                for (const type of otherTypes) {
+                    worst = entry[type] ? Math.max(worst, hammingDistance(candidate[type], entry[type])) : Infinity;
+                    if (worst > threshold) {
+                        break;
+                    }
+                }
+
+                if (worst <= threshold && (!best || worst < best.distance)) {
+                    best = {
+                        entry,
+                        distance:  worst,
+                        hashType:  this.hashTypes.join('+'),
+                        transform: candidate.transform
+                    };
+                }
+            }
+        }
+
+        return best;
+    }
+}
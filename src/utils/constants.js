@@ -300,6 +300,53 @@ export const DEFAULT_SETTINGS = {
      */
     debugMode:            false,
 
+    // ========================================
+    // 움직이는 이미지 (GIF/WebP/APNG) 설정
+    // ========================================
+    /**
+     * 여러 프레임 검사
+     * - enabled: 움짤이면 첫 프레임만이 아니라 여러 프레임을 검사
+     * - sampleCount: 균등 간격으로 뽑을 프레임 수 (ANIMATED_FRAME_LIMITS 범위로 제한)
+     *
+     * 왜 필요한가요?
+     * - 첫 프레임은 평범하다가 중간에 깜짝 놀래키는 움짤이 있음
+     * - 첫 프레임만 보면 그대로 통과됨
+     */
+    animatedFrames: {
+        enabled:          true,
+        sampleCount:      6
+    },
+
+    // ========================================
+    // 로컬 AI 모델 (NSFW.js) 설정
+    // ========================================
+    /**
+     * 해시 검사와 서버 이미지 전송 사이의 로컬 검사 단계
+     * - enabled: 해시 DB에 없는 이미지를 브라우저 안에서 NSFW.js로 검사
+     * - variant: 사용할 모델 (NSFWJS_MODEL_VARIANTS 키)
+     * - backend: TensorFlow.js 백엔드 ('auto'면 벤치마크로 가장 빠른 것 선택)
+     *
+     * 왜 기본값이 꺼짐인가요?
+     * - 모델(TensorFlow.js)이 메모리를 많이 사용함 (수십 MB)
+     * - 이미지 바이트는 외부로 전송되지 않음 (성인물만 판별 가능)
+     */
+    localModel: {
+        enabled:          false,
+        variant:          'mobilenet_v2',
+        backend:          'auto'        // 'auto' | 'webgl' | 'cpu'
+    },
+
+    // ========================================
+    // 검증 서버 설정
+    // ========================================
+    /**
+     * 해시 검사, 신고, 화이트리스트 요청을 보낼 서버
+     * - baseUrl: 서버 주소 (끝의 / 제외, 직접 운영하는 서버로 변경 가능)
+     */
+    server: {
+        baseUrl:          'https://nsfw.nerdvana.kr'
+    },
+
     // ========================================
     // 민감도 설정 (카테고리별)
     // ========================================
@@ -351,6 +398,78 @@ export const DEFAULT_SETTINGS = {
                                  // cautionMax 이상: 빨강
     },
 
+    // ========================================
+    // 판정 방식
+    // ========================================
+    /**
+     * 신호등 판정 방식
+     * - 'weighted': 민감도 × 가중 평균 점수를 thresholds와 비교 (기본)
+     * - 'perCategory': 카테고리별 기준(categoryThresholds)을 넘은 가장 나쁜 카테고리로 판정
+     *   (민감도 슬라이더와 thresholds는 사용하지 않음)
+     */
+    decisionMode: 'weighted',
+
+    /**
+     * 카테고리별 판정 기준 (perCategory 모드 전용)
+     * - caution 이상: 주황, danger 이상: 빨강
+     * - 한 카테고리만 기준을 넘어도 그 카테고리 기준으로 판정
+     */
+    categoryThresholds: {
+        gore:             { caution: 0.3,  danger: 0.6  },
+        violence:         { caution: 0.4,  danger: 0.7  },
+        death:            { caution: 0.3,  danger: 0.6  },
+        disturbing:       { caution: 0.3,  danger: 0.6  },
+        insects:          { caution: 0.4,  danger: 0.7  },
+        medical:          { caution: 0.4,  danger: 0.7  },
+        shock:            { caution: 0.4,  danger: 0.7  },
+        animal_cruelty:   { caution: 0.3,  danger: 0.6  },
+        nsfw_porn:        { caution: 0.4,  danger: 0.7  },
+        nsfw_sexy:        { caution: 0.6,  danger: 0.85 }
+    },
+
+    // ========================================
+    // 제목/본문 경고 문구
+    // ========================================
+    /**
+     * 작성자가 남긴 경고 문구("후방주의", "혐짤", "ㅎㅂ")로 이미지 분석 전에 주의 표시
+     * - enabled: 제목 검사
+     * - scanBody: 미리보기로 가져온 본문도 검사 (추가 요청 없음)
+     * - dictionary: 사용자가 수정한 카테고리만 저장 { 카테고리: [키워드 또는 '/정규식/'] }
+     *   (없는 카테고리는 src/utils/textSignals.js의 기본 사전 사용)
+     */
+    textSignals: {
+        enabled:      true,
+        scanBody:     true,
+        dictionary:   {}
+    },
+
+    // ========================================
+    // 댓글 경고 (커뮤니티 신호)
+    // ========================================
+    /**
+     * 댓글의 경고("혐짤임", "후방")를 경고한 사람 수로 점수화하여 판정에 반영
+     * - 상세 페이지: 페이지의 댓글 목록 / 목록 페이지: 미리보기 시 댓글 첫 페이지를 가져옴
+     * - weight: 커뮤니티 점수 가중치 (0.0 ~ 1.0, 3명 이상 경고 시 점수 = weight)
+     *   (계산은 src/utils/verdict.js의 applyCommunitySignal)
+     */
+    communitySignal: {
+        enabled:      true,
+        weight:       0.5
+    },
+
+    // ========================================
+    // 상습 작성자
+    // ========================================
+    /**
+     * 갤러리별로 작성자(고정닉 아이디/유동 IP)의 주의/위험 판정 횟수를 기록 (Content Script의 IndexedDB)
+     * - threshold: 주의 + 위험 횟수가 이 값 이상이면 "상습" 배지 표시,
+     *   아직 분석하지 않은 게시글은 주의로 표시 (분석이 끝나면 이미지 판정 사용)
+     */
+    authorReputation: {
+        enabled:      true,
+        threshold:    3
+    },
+
     // ========================================
     // 외부 AI API 설정
     // ========================================
@@ -365,26 +484,177 @@ export const DEFAULT_SETTINGS = {
      * 기본값: 모두 비활성화
      * - 사용자가 직접 API 키를 입력해야 활성화됨
      * - priority: 우선순위 (낮을수록 먼저 시도)
+     * - model: 모델 ID (AI_PROVIDER_MODELS 목록 또는 직접 입력)
      */
     apis: {
         geminiFlash: {
             enabled:      false,    // 활성화 여부
             apiKey:       '',       // API 키 (사용자 입력)
-            priority:     1         // 1순위 (가장 먼저 시도)
+            priority:     1,        // 1순위 (가장 먼저 시도)
+            model:        'gemini-2.5-flash'
         },
         claudeHaiku: {
             enabled:      false,
             apiKey:       '',
-            priority:     2         // 2순위
+            priority:     2,        // 2순위
+            model:        'claude-3-5-haiku-20241022'
         },
         gpt4oMini: {
             enabled:      false,
             apiKey:       '',
-            priority:     3         // 3순위 (마지막)
+            priority:     3,        // 3순위
+            model:        'gpt-4o-mini'
+        },
+        // OpenAI 호환 서버 (vLLM, Ollama, LM Studio 등 직접 운영하는 서버)
+        openaiCompatible: {
+            enabled:      false,
+            apiKey:       '',       // 선택 (인증이 없는 서버는 비워둠)
+            priority:     4,        // 4순위 (마지막)
+            baseUrl:      'http://localhost:11434/v1',  // 서버 주소 (/chat/completions 앞부분)
+            model:        '',       // 모델 이름 (예: 'qwen2.5vl:7b')
+            imageFormat:  'data_url'  // 'data_url': Base64로 전송, 'url': 이미지 주소 그대로 전송
+        }
+    },
+
+    // ========================================
+    // AI 앙상블 검증 설정
+    // ========================================
+    /**
+     * 활성화된 AI API 모두에게 동시에 물어보고 결과를 결합
+     * - enabled: 앙상블 사용 (API가 2개 이상 활성화된 경우에만 동작)
+     * - combine: 결합 규칙 (AI_ENSEMBLE_RULES)
+     * - quorum: 자동 신고에 필요한 "유해" 판정 API 수
+     */
+    aiEnsemble: {
+        enabled:      false,
+        combine:      'max',
+        quorum:       2
+    },
+
+    // ========================================
+    // 판정 프로필
+    // ========================================
+    /**
+     * 민감도/임계값/판정 방식 묶음을 이름으로 저장하고 빠르게 전환
+     * - active: 마지막으로 적용한 프로필 ID (BUILTIN_PROFILES 키 또는 사용자 프로필 id)
+     * - custom: 사용자 프로필 [{ id, name, values: { sensitivity, thresholds, decisionMode, categoryThresholds } }]
+     * - 적용하면 values가 위의 최상위 설정으로 복사됨 (판정 엔진은 최상위 설정만 사용)
+     */
+    profiles: {
+        active:       'balanced',
+        custom:       []
+    },
+
+    // ========================================
+    // 갤러리별 설정
+    // ========================================
+    /**
+     * 갤러리 ID별로 전역 설정을 덮어쓰는 값
+     * - 형식: { [galleryId]: { name, profileId, thresholds, autoHideDanger, autoScan, updatedAt } }
+     * - null인 항목은 전역 설정을 그대로 따름
+     * - profileId가 있으면 해당 프로필 값(PROFILE_FIELDS)을 먼저 적용하고 thresholds로 다시 덮어씀
+     */
+    galleryOverrides: {},
+
+    // ========================================
+    // 숨긴 작성자
+    // ========================================
+    /**
+     * 모든 갤러리 목록에서 글을 접어 숨길 작성자 (이미지 분석과 별개, 텍스트 게시글 포함)
+     * - 형식: { [작성자 키]: { nick, uid, ip, galleryId, mutedAt } }
+     * - 작성자 키: 'uid:아이디' (고정닉/반고닉) 또는 'ip:아이피|닉네임' (유동닉, IP는 앞 두 자리뿐이라 닉네임과 함께 구분)
+     * - 목록의 게시글 우클릭 → "이 작성자의 글 모두 숨기기"로 추가, 옵션 페이지에서 해제
+     */
+    mutedAuthors: {},
+
+    // ========================================
+    // 시간대별 일정
+    // ========================================
+    /**
+     * 요일/시간대에 따라 프로필 또는 "모든 이미지 대체"를 자동 적용
+     * - rules: [{ id, name, days: [0~6], start: 'HH:MM', end: 'HH:MM', action: 'profile' | 'replaceAllImages', profileId }]
+     * - 겹치면 목록에서 앞선 규칙 하나만 적용, 갤러리별 설정이 일정보다 우선
+     * - Service Worker가 chrome.alarms로 경계 시각마다 다시 계산해 열린 탭에 반영
+     */
+    schedules: {
+        enabled:      false,
+        rules:        []
+    }
+};
+
+/** 프로필에 저장되는 설정 항목 */
+export const PROFILE_FIELDS = ['sensitivity', 'thresholds', 'decisionMode', 'categoryThresholds'];
+
+/**
+ * 기본 제공 판정 프로필
+ * - strict: 아이와 함께 보거나 회사에서 볼 때 (작은 점수도 주의/위험)
+ * - balanced: 기본 설정과 동일
+ * - lenient: 확실한 경우만 표시 (성인물/선정성은 거의 허용)
+ */
+export const BUILTIN_PROFILES = {
+    strict: {
+        name: '엄격',
+        values: {
+            sensitivity: {
+                gore: 1.0, violence: 1.0, death: 1.0, disturbing: 1.0, insects: 0.9,
+                medical: 0.9, shock: 0.9, animal_cruelty: 1.0, nsfw_porn: 0.8, nsfw_sexy: 0.6
+            },
+            thresholds:   { safeMax: 0.2, cautionMax: 0.4 },
+            decisionMode: 'perCategory',
+            categoryThresholds: {
+                gore:           { caution: 0.2, danger: 0.4 },
+                violence:       { caution: 0.3, danger: 0.5 },
+                death:          { caution: 0.2, danger: 0.4 },
+                disturbing:     { caution: 0.2, danger: 0.4 },
+                insects:        { caution: 0.3, danger: 0.5 },
+                medical:        { caution: 0.3, danger: 0.5 },
+                shock:          { caution: 0.3, danger: 0.5 },
+                animal_cruelty: { caution: 0.2, danger: 0.4 },
+                nsfw_porn:      { caution: 0.2, danger: 0.4 },
+                nsfw_sexy:      { caution: 0.3, danger: 0.6 }
+            }
+        }
+    },
+    balanced: {
+        name: '균형',
+        values: {
+            sensitivity:        DEFAULT_SETTINGS.sensitivity,
+            thresholds:         DEFAULT_SETTINGS.thresholds,
+            decisionMode:       DEFAULT_SETTINGS.decisionMode,
+            categoryThresholds: DEFAULT_SETTINGS.categoryThresholds
+        }
+    },
+    lenient: {
+        name: '관대',
+        values: {
+            sensitivity: {
+                gore: 0.6, violence: 0.5, death: 0.6, disturbing: 0.6, insects: 0.5,
+                medical: 0.5, shock: 0.5, animal_cruelty: 0.6, nsfw_porn: 0.1, nsfw_sexy: 0.1
+            },
+            thresholds:   { safeMax: 0.4, cautionMax: 0.7 },
+            decisionMode: 'weighted',
+            categoryThresholds: {
+                gore:           { caution: 0.5,  danger: 0.8  },
+                violence:       { caution: 0.6,  danger: 0.85 },
+                death:          { caution: 0.5,  danger: 0.8  },
+                disturbing:     { caution: 0.5,  danger: 0.8  },
+                insects:        { caution: 0.6,  danger: 0.85 },
+                medical:        { caution: 0.6,  danger: 0.85 },
+                shock:          { caution: 0.6,  danger: 0.85 },
+                animal_cruelty: { caution: 0.5,  danger: 0.8  },
+                nsfw_porn:      { caution: 0.7,  danger: 0.9  },
+                nsfw_sexy:      { caution: 0.85, danger: 0.95 }
+            }
         }
     }
 };
 
+/** 시간대별 일정 알람 이름 (chrome.alarms) */
+export const SCHEDULE_ALARM_NAME = 'kas-free-schedule';
+
+/** 기본 검증 서버 주소 (settings.server.baseUrl이 비어 있을 때 사용) */
+export const DEFAULT_SERVER_URL = 'https://nsfw.nerdvana.kr';
+
 /** API 엔드포인트 */
 export const API_ENDPOINTS = {
     GOOGLE_VISION:        'https://vision.googleapis.com/v1/images:annotate',
@@ -392,9 +662,91 @@ export const API_ENDPOINTS = {
     OPENAI:               'https://api.openai.com/v1/chat/completions'
 };
 
+/**
+ * AI 제공자별 모델 목록
+ * - default: 설정에 모델 ID가 없을 때 사용
+ * - options: 옵션 페이지 드롭다운에 표시할 추천 모델 (이미지 입력 지원)
+ * - 목록에 없는 모델은 옵션 페이지에서 직접 입력
+ */
+export const AI_PROVIDER_MODELS = {
+    geminiFlash: {
+        default:          'gemini-2.5-flash',
+        options:          ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.0-flash']
+    },
+    claudeHaiku: {
+        default:          'claude-3-5-haiku-20241022',
+        options:          ['claude-haiku-4-5', 'claude-3-5-haiku-20241022', 'claude-3-haiku-20240307']
+    },
+    gpt4oMini: {
+        default:          'gpt-4o-mini',
+        options:          ['gpt-4o-mini', 'gpt-4.1-mini', 'gpt-4.1-nano', 'gpt-4o']
+    }
+};
+
+/** AI 앙상블 결합 규칙 */
+export const AI_ENSEMBLE_RULES = {
+    MAX:                  'max',       // 카테고리별 최고 점수, 하나라도 유해하면 유해
+    MEAN:                 'mean',      // 카테고리별 평균 점수, 평균 점수로 유해 판정
+    MAJORITY:             'majority'   // 카테고리별 평균 점수, 과반수 투표로 유해 판정
+};
+
+/** 앙상블 mean 규칙에서 유해로 볼 평균 final_score */
+export const AI_ENSEMBLE_HARMFUL_SCORE = 0.5;
+
 /** API 타임아웃 (ms) */
 export const API_TIMEOUT = 10000;
 
+/**
+ * 번들 NSFW.js 모델 변형
+ * - path: 확장 프로그램 안의 모델 폴더 (model.json + 가중치 shard 파일)
+ * - size: 모델 입력 크기 (px)
+ * - 모델 파일은 배포 ZIP에만 포함 (models/는 Git에서 제외)
+ */
+export const NSFWJS_MODEL_VARIANTS = {
+    mobilenet_v2: {
+        label:            'MobileNet v2 (빠름, 약 3MB)',
+        path:             'models/nsfwjs/mobilenet_v2/',
+        size:             224
+    },
+    inception_v3: {
+        label:            'InceptionV3 (정확, 약 85MB)',
+        path:             'models/nsfwjs/inception_v3/',
+        size:             299
+    }
+};
+
+/** 로컬 모델(NSFW.js) 분석 타임아웃 (ms, 첫 요청은 모델 로딩 포함) */
+export const LOCAL_MODEL_TIMEOUT = 30000;
+
+/** 해시 매칭 최대 해밍 거리 (서버/로컬 차단 목록 공통) */
+export const HASH_MATCH_THRESHOLD = 10;
+
+/** 움직이는 이미지 프레임 샘플링 제한 */
+export const ANIMATED_FRAME_LIMITS = {
+    MIN_SAMPLES:          1,    // 최소 균등 샘플 수
+    MAX_SAMPLES:          16,   // 최대 균등 샘플 수
+    MAX_SCENE_CHANGES:    4,    // 균등 샘플 외 추가할 장면 전환 프레임 수
+    SCENE_CHANGE_DIFF:    40,   // 장면 전환으로 볼 평균 밝기 차이 (0~255)
+    MAX_SCANNED_FRAMES:   120,  // 장면 전환 탐색 시 디코딩할 최대 프레임 수
+    FRAME_MAX_SIZE:       512,  // 추출 프레임 최대 크기 (px)
+    TIMEOUT:              15000 // 프레임 추출 제한 시간 (ms)
+};
+
+/** 동영상 프레임 샘플링 제한 (icon_movie 게시글) */
+export const VIDEO_FRAME_LIMITS = {
+    SAMPLES:              6,                  // 균등 간격으로 캡처할 시점 수
+    MAX_BYTES:            50 * 1024 * 1024,   // 이보다 큰 동영상은 분석하지 않음
+    FRAME_MAX_SIZE:       512,                // 캡처 프레임 최대 크기 (px)
+    SEEK_TIMEOUT:         5000,               // 시점 이동 제한 시간 (ms)
+    TIMEOUT:              60000               // 프레임 추출 전체 제한 시간 (ms)
+};
+
+/** 게시글 다중 이미지 분석 제한 */
+export const POST_IMAGE_LIMITS = {
+    MAX_IMAGES:           20,   // 게시글당 최대 분석 이미지 수
+    CONCURRENCY:          3     // 동시 분석 수
+};
+
 /** 클라이언트 AI 분석 시스템 프롬프트 (/api/report/v2 전용) */
 export const AI_ANALYSIS_PROMPT = `You are an image content analyzer. Analyze the provided image and return a JSON object with the following structure:
 
@@ -486,7 +838,14 @@ export const MESSAGE_TYPES = {
     UPDATE_SETTINGS:      'UPDATE_SETTINGS',
     GET_STATS:            'GET_STATS',
     UPDATE_STATS:         'UPDATE_STATS',
-    TOGGLE_EXTENSION:     'TOGGLE_EXTENSION'
+    TOGGLE_EXTENSION:     'TOGGLE_EXTENSION',
+    TEST_API_CONNECTION:  'TEST_API_CONNECTION',
+    TEST_SERVER_CONNECTION: 'TEST_SERVER_CONNECTION',
+    GET_PROFILES:         'GET_PROFILES',
+    APPLY_PROFILE:        'APPLY_PROFILE',
+    SET_GALLERY_OVERRIDE: 'SET_GALLERY_OVERRIDE',
+    SET_AUTHOR_MUTE:      'SET_AUTHOR_MUTE',
+    GET_SCHEDULE_STATUS:  'GET_SCHEDULE_STATUS'
 };
 
 /** 스토리지 키 */
@@ -495,7 +854,8 @@ export const STORAGE_KEYS = {
     STATS:                'kas_stats',
     CACHE:                'kas_cache',
     HASH_CACHE:           'kas_hash_cache',
-    PERFORMANCE_METRICS:  'performance_metrics'
+    PERFORMANCE_METRICS:  'performance_metrics',
+    TF_BACKEND:           'kas_tf_backend'
 };
 
 /** 통계 초기값 */
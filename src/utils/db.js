@@ -6,14 +6,18 @@
  */
 
 const DB_NAME    = 'KasFreeDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
 /** 스토어 이름 */
 const STORES = {
-    ANALYSIS_RESULTS: 'analysisResults',
-    POST_CONTENTS:    'postContents'
+    ANALYSIS_RESULTS:  'analysisResults',
+    POST_CONTENTS:     'postContents',
+    AUTHOR_REPUTATION: 'authorReputation'
 };
 
+/** 작성자별로 기억하는 최근 게시글 판정 수 (오래된 것부터 삭제) */
+const AUTHOR_REPUTATION_MAX_POSTS = 50;
+
 /**
  * IndexedDB 관리 클래스
  */
@@ -41,10 +45,27 @@ class KasFreeDB {
 
             request.onsuccess = () => {
                 this.db = request.result;
+
+                /** 다른 탭(새 버전)이 업그레이드하려 하면 연결을 닫아 막지 않음 (다음 호출 때 다시 열림) */
+                this.db.onversionchange = () => {
+                    console.log('[KasFreeDB] 새 버전 요청, 연결 닫기');
+                    this.db.close();
+                    this.db = null;
+                };
+
                 console.log('[KasFreeDB] 데이터베이스 초기화 완료');
                 resolve(this.db);
             };
 
+            /**
+             * 이전 버전 연결이 열린 탭(업데이트 전 content script)이 있으면 업그레이드가 멈춤
+             * → 호출부가 캐시 없이 진행하도록 거부 (나중에 열리면 onsuccess에서 this.db 설정)
+             */
+            request.onblocked = () => {
+                console.warn('[KasFreeDB] 다른 탭이 이전 버전 연결을 사용 중, 업그레이드 대기');
+                reject(new Error('다른 탭이 이전 버전 데이터베이스를 사용 중입니다.'));
+            };
+
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
 
@@ -73,6 +94,19 @@ class KasFreeDB {
 
                     console.log('[KasFreeDB] postContents 스토어 생성');
                 }
+
+                /** authorReputation 스토어 생성 (v2) */
+                if (!db.objectStoreNames.contains(STORES.AUTHOR_REPUTATION)) {
+                    const reputationStore = db.createObjectStore(STORES.AUTHOR_REPUTATION, {
+                        keyPath: 'id'
+                    });
+
+                    /** 인덱스 생성 */
+                    reputationStore.createIndex('galleryId', 'galleryId', { unique: false });
+                    reputationStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+
+                    console.log('[KasFreeDB] authorReputation 스토어 생성');
+                }
             };
         });
     }
@@ -134,6 +168,40 @@ class KasFreeDB {
         });
     }
 
+    /**
+     * 지정한 신호등 상태의 분석 결과를 삭제한다 (차단/허용 목록 변경 시 재분석용)
+     * @param {string[]} statuses - 삭제할 상태 (예: ['caution', 'danger'])
+     * @returns {Promise<string[]>} 삭제된 게시글 번호
+     */
+    async deleteAnalysisResults(statuses) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.ANALYSIS_RESULTS], 'readwrite');
+            const store       = transaction.objectStore(STORES.ANALYSIS_RESULTS);
+            const request     = store.openCursor();
+            const deleted     = [];
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (statuses.includes(cursor.value.status)) {
+                        cursor.delete();
+                        deleted.push(cursor.value.postNo);
+                    }
+                    cursor.continue();
+                } else {
+                    resolve(deleted);
+                }
+            };
+
+            request.onerror = () => {
+                console.error('[KasFreeDB] 분석 결과 삭제 실패:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
     /**
      * 게시글 본문을 가져온다
      * @param {string} postNo - 게시글 번호
@@ -191,6 +259,85 @@ class KasFreeDB {
         });
     }
 
+    /**
+     * 갤러리의 작성자 평판 목록을 가져온다
+     * @param {string} galleryId - 갤러리 ID
+     * @returns {Promise<object[]>} [{ id, galleryId, authorKey, nick, posts, caution, danger, updatedAt }]
+     */
+    async getAuthorReputations(galleryId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.AUTHOR_REPUTATION], 'readonly');
+            const store       = transaction.objectStore(STORES.AUTHOR_REPUTATION);
+            const index       = store.index('galleryId');
+            const request     = index.getAll(galleryId);
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                console.error('[KasFreeDB] 작성자 평판 조회 실패:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * 게시글 판정을 작성자 평판에 기록한다
+     * - 게시글 번호별로 마지막 판정만 저장 (같은 게시글을 다시 판정해도 중복 집계 안 함)
+     * - 안전 판정이면 기록에서 제외 (AI 재검증으로 안전이 된 경우 포함)
+     * @param {string} galleryId - 갤러리 ID
+     * @param {object} author - { key, nick } (DcParser.parseWriter 결과)
+     * @param {string} postNo - 게시글 번호
+     * @param {string} status - 'safe' | 'caution' | 'danger'
+     * @returns {Promise<object>} 갱신된 평판 레코드
+     */
+    async recordAuthorVerdict(galleryId, author, postNo, status) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.AUTHOR_REPUTATION], 'readwrite');
+            const store       = transaction.objectStore(STORES.AUTHOR_REPUTATION);
+            const id          = `${galleryId}|${author.key}`;
+            const request     = store.get(id);
+
+            request.onsuccess = () => {
+                const record = request.result || { id, galleryId, authorKey: author.key, posts: {} };
+                const posts  = { ...record.posts };
+
+                if (status === 'caution' || status === 'danger') {
+                    posts[postNo] = status;
+                } else {
+                    delete posts[postNo];
+                }
+
+                /** 최근 게시글만 유지 (숫자 키는 오름차순 = 오래된 게시글부터) */
+                const postNos = Object.keys(posts);
+                postNos.slice(0, Math.max(postNos.length - AUTHOR_REPUTATION_MAX_POSTS, 0)).forEach(no => delete posts[no]);
+
+                const statuses = Object.values(posts);
+                const updated  = {
+                    ...record,
+                    nick:      author.nick || record.nick || '',
+                    posts,
+                    caution:   statuses.filter(value => value === 'caution').length,
+                    danger:    statuses.filter(value => value === 'danger').length,
+                    updatedAt: Date.now()
+                };
+
+                store.put(updated);
+                transaction.oncomplete = () => resolve(updated);
+            };
+
+            transaction.onerror = () => {
+                console.error('[KasFreeDB] 작성자 평판 저장 실패:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
     /**
      * 오래된 레코드를 삭제한다 (TTL)
      * @param {number} days - 보관 일수 (기본: 30일)
@@ -371,6 +518,7 @@ class KasFreeDB {
 
         await this.clearStore(STORES.ANALYSIS_RESULTS);
         await this.clearStore(STORES.POST_CONTENTS);
+        await this.clearStore(STORES.AUTHOR_REPUTATION);
 
         console.log('[KasFreeDB] 모든 데이터 초기화 완료');
     }
@@ -241,6 +241,48 @@ async function extractGifFrame(gifBlob) {
     }
 }
 
+/**
+ * 이미지 URL에서 작은 미리보기용 썸네일 Data URI를 만든다 (Service Worker 호환)
+ * @param {string} imageUrl - 이미지 URL
+ * @param {number} maxSize - 최대 크기 (가로/세로 중 큰 쪽)
+ * @returns {Promise<string|null>} JPEG Data URI (실패 시 null)
+ * @remarks 개인 목록 관리 화면 미리보기용 (원본 URL은 Referer 제한으로 표시 불가할 수 있음)
+ */
+export async function createThumbnailDataUrl(imageUrl, maxSize = 120) {
+    try {
+        const response = await fetch(imageUrl, {
+            credentials:    'include',
+            referrerPolicy: 'no-referrer'
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const bitmap = await createImageBitmap(await response.blob());
+
+        // 비율 유지하며 축소
+        const scale  = Math.min(maxSize / bitmap.width, maxSize / bitmap.height, 1.0);
+        const width  = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx    = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        const jpegBlob = await canvas.convertToBlob({
+            type:    'image/jpeg',
+            quality: 0.7
+        });
+
+        return await blobToBase64(jpegBlob);
+    } catch (error) {
+        console.error('[ImageEncoder] 썸네일 생성 실패:', error);
+        return null;
+    }
+}
+
 /**
  * Base64 데이터 URI에서 순수 Base64 문자열을 추출한다
  * @param {string} dataUri - data:image/...;base64,... 형식
@@ -2,9 +2,51 @@
  * 이미지 해싱 유틸리티
  * @author 최진호
  * @date 2026-01-31
- * @remarks dHash (Difference Hash) 알고리즘 구현 - Service Worker 호환
+ * @remarks dHash / aHash / pHash (DCT) 알고리즘 구현 - Service Worker 호환
+ *          compute* 함수는 src/workers/hashWorker.js와 동일하게 유지해야 함
  */
 
+/** pHash 리사이즈 크기 (32x32) */
+const PHASH_SIZE = 32;
+
+/** pHash에 사용하는 저주파 영역 크기 (8x8 = 64비트) */
+const PHASH_LOW_FREQ_SIZE = 8;
+
+/** DCT 코사인 테이블 (최초 계산 후 재사용) */
+let dctCosTable = null;
+
+/**
+ * 해시 변환 목록 (회전 4종 x 좌우 반전 2종 = 8종)
+ * rotate: 시계 방향 회전 각도, mirror: 좌우 반전 여부 (반전 후 회전)
+ */
+const HASH_TRANSFORMS = [
+    { name: 'original',        rotate: 0,   mirror: false },
+    { name: 'rotate90',        rotate: 90,  mirror: false },
+    { name: 'rotate180',       rotate: 180, mirror: false },
+    { name: 'rotate270',       rotate: 270, mirror: false },
+    { name: 'mirror',          rotate: 0,   mirror: true  },
+    { name: 'mirrorRotate90',  rotate: 90,  mirror: true  },
+    { name: 'mirrorRotate180', rotate: 180, mirror: true  },  // = 상하 반전
+    { name: 'mirrorRotate270', rotate: 270, mirror: true  }
+];
+
+/**
+ * 이미지 URL을 ImageBitmap으로 가져온다
+ * @param {string} imageUrl - 이미지 URL
+ * @returns {Promise<ImageBitmap>}
+ */
+async function fetchImageBitmap(imageUrl) {
+    // fetch로 이미지를 Blob으로 가져오기
+    const response = await fetch(imageUrl);
+    if (!response.ok) {
+        throw new Error(`이미지 fetch 실패: ${response.status}`);
+    }
+    const blob = await response.blob();
+
+    // Blob을 ImageBitmap으로 변환
+    return createImageBitmap(blob);
+}
+
 /**
  * 이미지 URL에서 dHash를 생성한다
  * @param {string} imageUrl - 이미지 URL
@@ -12,15 +54,7 @@
  */
 export async function generateDHash(imageUrl) {
     try {
-        // fetch로 이미지를 Blob으로 가져오기
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-            throw new Error(`이미지 fetch 실패: ${response.status}`);
-        }
-        const blob = await response.blob();
-
-        // Blob을 ImageBitmap으로 변환
-        const imageBitmap = await createImageBitmap(blob);
+        const imageBitmap = await fetchImageBitmap(imageUrl);
 
         // dHash 계산
         const hash = computeDHash(imageBitmap);
@@ -38,9 +72,10 @@ export async function generateDHash(imageUrl) {
 /**
  * dHash를 계산한다
  * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {object|null} [transform=null] - HASH_TRANSFORMS 항목 (null이면 원본)
  * @returns {string} 16자 hex 해시
  */
-function computeDHash(imageBitmap) {
+function computeDHash(imageBitmap, transform = null) {
     const width = 9;
     const height = 8;
 
@@ -49,7 +84,7 @@ function computeDHash(imageBitmap) {
     const ctx = canvas.getContext('2d');
 
     // 이미지를 9x8로 리사이즈
-    ctx.drawImage(imageBitmap, 0, 0, width, height);
+    drawTransformed(ctx, imageBitmap, width, height, transform);
 
     // 픽셀 데이터 가져오기
     const imageData = ctx.getImageData(0, 0, width, height);
@@ -90,14 +125,135 @@ function computeDHash(imageBitmap) {
 }
 
 /**
- * pHash를 생성한다 (간이 버전)
+ * pHash를 생성한다 (Perceptual Hash, DCT 기반)
  * @param {string} imageUrl - 이미지 URL
  * @returns {Promise<string>} 16자 hex 해시
  */
 export async function generatePHash(imageUrl) {
-    // pHash는 DCT가 필요하므로 복잡함
-    // 현재는 dHash와 동일하게 처리
-    return generateDHash(imageUrl);
+    try {
+        const imageBitmap = await fetchImageBitmap(imageUrl);
+
+        // pHash 계산
+        const hash = computePHash(imageBitmap);
+
+        // ImageBitmap 해제
+        imageBitmap.close();
+
+        return hash;
+    } catch (error) {
+        console.error('[Kas-Free] pHash 생성 실패:', error);
+        throw error;
+    }
+}
+
+/**
+ * pHash를 계산한다
+ *
+ * 1. 32x32 그레이스케일로 축소
+ * 2. 2차원 DCT-II (행 → 열 순서로 분리 계산)
+ * 3. 좌상단 저주파 8x8 계수만 사용 (DC 포함)
+ * 4. 64개 계수의 중앙값보다 크면 1, 아니면 0
+ *
+ * 재압축/감마 보정은 고주파와 밝기 분포만 바꾸므로
+ * 저주파 계수의 대소 관계(=해시)는 거의 유지된다
+ *
+ * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {object|null} [transform=null] - HASH_TRANSFORMS 항목 (null이면 원본)
+ * @returns {string} 16자 hex 해시
+ */
+function computePHash(imageBitmap, transform = null) {
+    const size = PHASH_SIZE;
+    const low  = PHASH_LOW_FREQ_SIZE;
+
+    // OffscreenCanvas 생성
+    const canvas = new OffscreenCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+
+    // 이미지를 32x32로 리사이즈
+    drawTransformed(ctx, imageBitmap, size, size, transform);
+
+    // 픽셀 데이터 가져오기
+    const imageData = ctx.getImageData(0, 0, size, size);
+    const pixels = imageData.data;
+
+    // 그레이스케일 변환
+    const gray = new Float64Array(size * size);
+    for (let i = 0, j = 0; i < pixels.length; i += 4, j++) {
+        const r = pixels[i];
+        const g = pixels[i + 1];
+        const b = pixels[i + 2];
+        gray[j] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+
+    // cos((2x + 1) * u * π / 2N) 테이블
+    const cosTable = getDctCosTable();
+
+    // 행 방향 DCT (저주파 8개 열만)
+    const rowDct = new Float64Array(size * low);
+    for (let y = 0; y < size; y++) {
+        for (let u = 0; u < low; u++) {
+            let sum = 0;
+            for (let x = 0; x < size; x++) {
+                sum += gray[y * size + x] * cosTable[u * size + x];
+            }
+            rowDct[y * low + u] = sum;
+        }
+    }
+
+    // 열 방향 DCT (저주파 8개 행만) → 8x8 계수
+    const coefficients = new Float64Array(low * low);
+    for (let v = 0; v < low; v++) {
+        for (let u = 0; u < low; u++) {
+            let sum = 0;
+            for (let y = 0; y < size; y++) {
+                sum += rowDct[y * low + u] * cosTable[v * size + y];
+            }
+            coefficients[v * low + u] = sum;
+        }
+    }
+
+    // 중앙값 계산 (64개 → 가운데 두 값의 평균)
+    const sorted = Array.from(coefficients).sort((a, b) => a - b);
+    const mid = sorted.length / 2;
+    const median = (sorted[mid - 1] + sorted[mid]) / 2;
+
+    // 중앙값보다 큰지 비교
+    const hash = [];
+    for (const value of coefficients) {
+        hash.push(value > median ? 1 : 0);
+    }
+
+    // 비트를 16진수로 변환
+    let hexHash = '';
+    for (let i = 0; i < hash.length; i += 4) {
+        const nibble = hash.slice(i, i + 4).join('');
+        const hex = parseInt(nibble, 2).toString(16);
+        hexHash += hex;
+    }
+
+    // 16자로 패딩
+    return hexHash.padEnd(16, '0');
+}
+
+/**
+ * DCT 코사인 테이블을 반환한다 (저주파 8개 x 32픽셀)
+ * @returns {Float64Array}
+ */
+function getDctCosTable() {
+    if (dctCosTable) {
+        return dctCosTable;
+    }
+
+    const size = PHASH_SIZE;
+    dctCosTable = new Float64Array(PHASH_LOW_FREQ_SIZE * size);
+
+    for (let u = 0; u < PHASH_LOW_FREQ_SIZE; u++) {
+        for (let x = 0; x < size; x++) {
+            dctCosTable[u * size + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
+        }
+    }
+
+    return dctCosTable;
 }
 
 /**
@@ -107,15 +263,7 @@ export async function generatePHash(imageUrl) {
  */
 export async function generateAHash(imageUrl) {
     try {
-        // fetch로 이미지를 Blob으로 가져오기
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-            throw new Error(`이미지 fetch 실패: ${response.status}`);
-        }
-        const blob = await response.blob();
-
-        // Blob을 ImageBitmap으로 변환
-        const imageBitmap = await createImageBitmap(blob);
+        const imageBitmap = await fetchImageBitmap(imageUrl);
 
         // aHash 계산
         const hash = computeAHash(imageBitmap);
@@ -133,9 +281,10 @@ export async function generateAHash(imageUrl) {
 /**
  * aHash를 계산한다
  * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {object|null} [transform=null] - HASH_TRANSFORMS 항목 (null이면 원본)
  * @returns {string} 16자 hex 해시
  */
-function computeAHash(imageBitmap) {
+function computeAHash(imageBitmap, transform = null) {
     const size = 8;
 
     // OffscreenCanvas 생성
@@ -143,7 +292,7 @@ function computeAHash(imageBitmap) {
     const ctx = canvas.getContext('2d');
 
     // 이미지를 8x8로 리사이즈
-    ctx.drawImage(imageBitmap, 0, 0, size, size);
+    drawTransformed(ctx, imageBitmap, size, size, transform);
 
     // 픽셀 데이터 가져오기
     const imageData = ctx.getImageData(0, 0, size, size);
@@ -181,23 +330,74 @@ function computeAHash(imageBitmap) {
 }
 
 /**
- * 모든 해시를 생성한다
+ * 변환(회전/반전)을 적용하여 이미지를 캔버스에 그린다
+ * @param {OffscreenCanvasRenderingContext2D} ctx - 캔버스 컨텍스트
+ * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {number} width - 캔버스 너비
+ * @param {number} height - 캔버스 높이
+ * @param {object|null} transform - HASH_TRANSFORMS 항목 (null이면 원본)
+ */
+function drawTransformed(ctx, imageBitmap, width, height, transform) {
+    if (!transform || (transform.rotate === 0 && !transform.mirror)) {
+        ctx.drawImage(imageBitmap, 0, 0, width, height);
+        return;
+    }
+
+    // 90/270도 회전이면 원본을 가로세로 뒤바꾼 크기로 그려야 캔버스를 채움
+    const quarterTurn = transform.rotate % 180 !== 0;
+    const drawWidth   = quarterTurn ? height : width;
+    const drawHeight  = quarterTurn ? width : height;
+
+    ctx.save();
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate((transform.rotate * Math.PI) / 180);
+    if (transform.mirror) {
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(imageBitmap, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+}
+
+/**
+ * 원본 + 7가지 변환(회전/반전)의 해시를 모두 계산한다
+ * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @returns {object} { phash, dhash, ahash, variants: [{ transform, phash, dhash, ahash }] }
+ */
+function computeAllHashes(imageBitmap) {
+    const variants = HASH_TRANSFORMS.map(transform => ({
+        transform: transform.name,
+        phash:     computePHash(imageBitmap, transform),
+        dhash:     computeDHash(imageBitmap, transform),
+        ahash:     computeAHash(imageBitmap, transform)
+    }));
+
+    // 첫 번째 항목은 원본
+    const [original, ...transformed] = variants;
+
+    return {
+        phash:    original.phash,
+        dhash:    original.dhash,
+        ahash:    original.ahash,
+        variants: transformed
+    };
+}
+
+/**
+ * 모든 해시를 생성한다 (회전/반전 변환 포함)
  * @param {string} imageUrl - 이미지 URL
- * @returns {Promise<object>} { phash, dhash, ahash }
+ * @returns {Promise<object>} { phash, dhash, ahash, variants }
  */
 export async function generateAllHashes(imageUrl) {
     try {
-        // 병렬로 생성
-        const [dhash, ahash] = await Promise.all([
-            generateDHash(imageUrl),
-            generateAHash(imageUrl)
-        ]);
-
-        return {
-            phash: dhash, // pHash는 dHash와 동일
-            dhash: dhash,
-            ahash: ahash
-        };
+        // 이미지는 한 번만 가져와서 모든 해시에 공유
+        const imageBitmap = await fetchImageBitmap(imageUrl);
+
+        const hashes = computeAllHashes(imageBitmap);
+
+        // ImageBitmap 해제
+        imageBitmap.close();
+
+        return hashes;
     } catch (error) {
         console.error('[Kas-Free] 해시 생성 실패:', error);
         throw error;
@@ -0,0 +1,125 @@
+/**
+ * 시간대별 일정 유틸리티
+ * @author 최진호
+ * @date 2026-10-19
+ * @remarks Service Worker 전용 (ES Module)
+ *          규칙 형식: { id, name, days: [0~6], start: 'HH:MM', end: 'HH:MM', action, profileId }
+ *          days는 Date.getDay() 기준 (0: 일요일 ~ 6: 토요일)
+ */
+
+/** 하루의 분 수 */
+const MINUTES_PER_DAY = 24 * 60;
+
+/** 일정 동작 */
+export const SCHEDULE_ACTIONS = {
+    PROFILE:            'profile',           // 판정 프로필 적용
+    REPLACE_ALL_IMAGES: 'replaceAllImages'   // 모든 게시글 이미지 대체
+};
+
+/**
+ * 'HH:MM' 문자열을 자정부터의 분으로 변환한다
+ * @param {string} time - 예: '09:30'
+ * @returns {number|null} 0~1439 (형식이 틀리면 null)
+ */
+export function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) {
+        return null;
+    }
+
+    const hours   = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * 규칙이 주어진 시각에 적용되는지 확인한다
+ * - start < end: 같은 날 start ~ end (end 미포함)
+ * - start > end: 자정을 넘기는 구간 (예: 22:00 ~ 02:00, 시작 요일 기준)
+ * - start = end: 해당 요일 하루 종일
+ * @param {object} rule - 일정 규칙
+ * @param {Date} date - 확인할 시각
+ * @returns {boolean}
+ */
+export function isScheduleActive(rule, date) {
+    const start = parseTime(rule.start);
+    const end   = parseTime(rule.end);
+    const days  = Array.isArray(rule.days) ? rule.days : [];
+    if (start === null || end === null || days.length === 0) {
+        return false;
+    }
+
+    const day     = date.getDay();
+    const prevDay = (day + 6) % 7;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    if (start === end) {
+        return days.includes(day);
+    }
+    if (start < end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+    return (days.includes(day) && minutes >= start) || (days.includes(prevDay) && minutes < end);
+}
+
+/**
+ * 지금 적용할 일정 규칙을 찾는다 (여러 개가 겹치면 목록에서 앞선 규칙)
+ * @param {object} schedules - settings.schedules { enabled, rules }
+ * @param {Date} [date] - 확인할 시각 (기본: 현재)
+ * @returns {object|null} 적용할 규칙
+ */
+export function findActiveSchedule(schedules, date = new Date()) {
+    if (!schedules?.enabled || !Array.isArray(schedules.rules)) {
+        return null;
+    }
+    return schedules.rules.find(rule => isScheduleActive(rule, date)) || null;
+}
+
+/**
+ * 다음에 일정 적용 여부가 바뀔 수 있는 시각을 구한다 (chrome.alarms 예약용)
+ * - 모든 규칙의 시작/종료 시각 중 지금 이후 가장 가까운 시각
+ * - 하루 종일 규칙(start = end)은 요일이 바뀌는 자정에 켜지고 꺼지므로 자정(0)도 후보
+ * - 요일과 관계없이 후보로 넣으므로 실제로는 바뀌지 않는 시각일 수도 있음 (다시 계산하면 됨)
+ * @param {object} schedules - settings.schedules
+ * @param {Date} [date] - 기준 시각 (기본: 현재)
+ * @returns {number|null} 밀리초 타임스탬프 (규칙이 없으면 null)
+ */
+export function getNextScheduleChange(schedules, date = new Date()) {
+    if (!schedules?.enabled || !Array.isArray(schedules.rules)) {
+        return null;
+    }
+
+    const boundaries = new Set();
+    for (const rule of schedules.rules) {
+        const start = parseTime(rule.start);
+        const end   = parseTime(rule.end);
+
+        for (const time of [start, end]) {
+            if (time !== null) {
+                boundaries.add(time);
+            }
+        }
+        if (start !== null && start === end) {
+            boundaries.add(0);
+        }
+    }
+    if (boundaries.size === 0) {
+        return null;
+    }
+
+    const nowMinutes = date.getHours() * 60 + date.getMinutes();
+    let   waitMinutes = MINUTES_PER_DAY;
+    for (const time of boundaries) {
+        const diff = (time - nowMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        waitMinutes = Math.min(waitMinutes, diff === 0 ? MINUTES_PER_DAY : diff);
+    }
+
+    // 분 단위 경계에 맞춤 (초/밀리초 버림)
+    const next = new Date(date);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + waitMinutes);
+    return next.getTime();
+}
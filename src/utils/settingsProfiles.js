@@ -0,0 +1,181 @@
+/**
+ * 판정 프로필 / 시간대별 일정 / 갤러리별 설정 유틸리티
+ * @author 최진호
+ * @date 2026-10-19
+ * @remarks Service Worker 전용 (ES Module)
+ *          Content Script는 GET_SETTINGS에 galleryId를 보내 계산된 설정(일정/갤러리별 설정 반영)을 받음
+ */
+
+import { BUILTIN_PROFILES, PROFILE_FIELDS } from './constants.js';
+import { findActiveSchedule, SCHEDULE_ACTIONS } from './schedules.js';
+
+/** 갤러리별 설정에서 덮어쓸 수 있는 on/off 항목 */
+const GALLERY_TOGGLE_FIELDS = ['autoHideDanger', 'autoScan'];
+
+/**
+ * 기본 제공 프로필과 사용자 프로필을 하나의 목록으로 만든다
+ * @param {object} settings - 설정
+ * @returns {object[]} [{ id, name, builtin, values }]
+ */
+export function listProfiles(settings) {
+    const builtins = Object.entries(BUILTIN_PROFILES).map(([id, profile]) => ({
+        id,
+        name:    profile.name,
+        builtin: true,
+        values:  profile.values
+    }));
+    const custom = (settings.profiles?.custom || []).map(profile => ({ ...profile, builtin: false }));
+
+    return [...builtins, ...custom];
+}
+
+/**
+ * 프로필 값 중 PROFILE_FIELDS만 복사한다
+ * @param {object} profile - listProfiles() 항목
+ * @returns {object} { sensitivity, thresholds, decisionMode, categoryThresholds } 중 있는 항목
+ */
+export function pickProfileValues(profile) {
+    const values = {};
+    for (const field of PROFILE_FIELDS) {
+        if (profile.values?.[field] !== undefined) {
+            values[field] = structuredClone(profile.values[field]);
+        }
+    }
+    return values;
+}
+
+/**
+ * 디시인사이드 URL에서 갤러리 ID를 추출한다 (DcParser.getGalleryId와 같은 규칙)
+ * @param {string} url - 페이지 URL
+ * @returns {string|null} 갤러리 ID (갤러리 페이지가 아니면 null)
+ */
+export function getGalleryIdFromUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.hostname !== 'gall.dcinside.com') {
+            return null;
+        }
+        return parsed.searchParams.get('id') || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 팝업에서 받은 갤러리별 설정을 저장 가능한 형태로 정리한다
+ * @param {object} override - { name, profileId, thresholds, autoHideDanger, autoScan }
+ * @param {object} settings - 현재 설정 (프로필 존재 여부 확인용)
+ * @returns {object} 정리된 값 (+ updatedAt)
+ * @throws {Error} 잘못된 프로필 또는 임계값
+ */
+export function normalizeGalleryOverride(override, settings) {
+    const profileId = override.profileId || null;
+    if (profileId && !listProfiles(settings).some(profile => profile.id === profileId)) {
+        throw new Error('프로필을 찾을 수 없습니다.');
+    }
+
+    let thresholds = null;
+    if (override.thresholds) {
+        const { safeMax, cautionMax } = override.thresholds;
+        const valid = [safeMax, cautionMax].every(value => Number.isFinite(value) && value >= 0 && value <= 1);
+        if (!valid || safeMax >= cautionMax) {
+            throw new Error('임계값이 올바르지 않습니다. (안전 기준 < 주의 기준)');
+        }
+        thresholds = { safeMax, cautionMax };
+    }
+
+    const normalized = {
+        name:      String(override.name || '').trim().slice(0, 50),
+        profileId,
+        thresholds,
+        updatedAt: Date.now()
+    };
+    for (const field of GALLERY_TOGGLE_FIELDS) {
+        normalized[field] = typeof override[field] === 'boolean' ? override[field] : null;
+    }
+
+    return normalized;
+}
+
+/**
+ * 갤러리별 설정을 적용한 유효 설정을 계산한다
+ * - 순서: 전역 설정 → 프로필 값 → 임계값 → 자동 숨김/자동 검사
+ * - 삭제된 프로필을 가리키면 프로필만 무시하고 나머지는 적용
+ * @param {object} settings - 전역 설정
+ * @param {string|null} galleryId - 갤러리 ID
+ * @returns {object} 유효 설정 (덮어쓴 경우 galleryOverride: { galleryId, ... } 포함)
+ */
+export function resolveGallerySettings(settings, galleryId) {
+    const override = galleryId ? settings.galleryOverrides?.[galleryId] : null;
+    if (!override) {
+        return settings;
+    }
+
+    const effective = { ...settings };
+
+    if (override.profileId) {
+        const profile = listProfiles(settings).find(item => item.id === override.profileId);
+        if (profile) {
+            Object.assign(effective, pickProfileValues(profile));
+        }
+    }
+
+    if (override.thresholds) {
+        effective.thresholds = { ...effective.thresholds, ...override.thresholds };
+    }
+
+    for (const field of GALLERY_TOGGLE_FIELDS) {
+        if (typeof override[field] === 'boolean') {
+            effective[field] = override[field];
+        }
+    }
+
+    effective.galleryOverride = { galleryId, ...override };
+    return effective;
+}
+
+/**
+ * 시간대별 일정 규칙을 적용한 설정을 계산한다
+ * - profile: 프로필 값(PROFILE_FIELDS)을 덮어씀 (삭제된 프로필이면 무시)
+ * - replaceAllImages: 모든 게시글 이미지 대체 켜기
+ * @param {object} settings - 전역 설정
+ * @param {object|null} rule - findActiveSchedule() 결과
+ * @returns {object} 일정 적용 설정 (적용한 경우 activeSchedule: { id, name, action, profileId } 포함)
+ */
+export function applySchedule(settings, rule) {
+    if (!rule) {
+        return settings;
+    }
+
+    const effective = { ...settings };
+
+    if (rule.action === SCHEDULE_ACTIONS.REPLACE_ALL_IMAGES) {
+        effective.replaceAllImages = true;
+    } else if (rule.action === SCHEDULE_ACTIONS.PROFILE) {
+        const profile = listProfiles(settings).find(item => item.id === rule.profileId);
+        if (profile) {
+            Object.assign(effective, pickProfileValues(profile));
+        }
+    }
+
+    effective.activeSchedule = {
+        id:        rule.id,
+        name:      rule.name,
+        action:    rule.action,
+        profileId: rule.profileId || null
+    };
+    return effective;
+}
+
+/**
+ * 탭에 적용할 최종 설정을 계산한다
+ * - 순서: 전역 설정 → 시간대별 일정 → 갤러리별 설정 (더 구체적인 설정이 우선)
+ * @param {object} settings - 전역 설정
+ * @param {string|null} galleryId - 갤러리 ID
+ * @param {Date} [date] - 일정 기준 시각 (기본: 현재)
+ * @returns {object} 유효 설정
+ */
+export function resolveEffectiveSettings(settings, galleryId, date = new Date()) {
+    const scheduled = applySchedule(settings, findActiveSchedule(settings.schedules, date));
+    return resolveGallerySettings(scheduled, galleryId);
+}
@@ -198,6 +198,24 @@ export async function clearCache() {
     return setStorage(STORAGE_KEYS.CACHE, {});
 }
 
+/**
+ * 조건에 맞는 캐시 결과만 삭제한다
+ * @param {function(object): boolean} shouldRemove - 분석 결과를 받아 삭제 여부 반환
+ * @returns {Promise<number>} 삭제된 항목 수
+ */
+export async function removeCachedResults(shouldRemove) {
+    const cache = await getCache();
+    const keys  = Object.keys(cache).filter(key => shouldRemove(cache[key].result));
+
+    if (keys.length === 0) {
+        return 0;
+    }
+
+    keys.forEach(key => delete cache[key]);
+    await setStorage(STORAGE_KEYS.CACHE, cache);
+    return keys.length;
+}
+
 /**
  * 오늘 날짜 문자열을 반환한다
  * @returns {string} YYYY-MM-DD 형식
@@ -314,9 +332,13 @@ export async function setHashCache(imageUrl, hashes, result) {
             console.log('[Kas-Free] 해시 캐시 정리: 1000개 삭제');
         }
 
-        // 새 캐시 저장
+        // 새 캐시 저장 (회전/반전 변환 해시는 용량이 커서 제외)
         cache[imageUrl] = {
-            hashes,
+            hashes: {
+                phash: hashes.phash,
+                dhash: hashes.dhash,
+                ahash: hashes.ahash
+            },
             result,
             timestamp: Date.now()
         };
@@ -330,6 +352,14 @@ export async function setHashCache(imageUrl, hashes, result) {
     }
 }
 
+/**
+ * 해시 캐시를 초기화한다
+ * @returns {Promise<boolean>}
+ */
+export async function clearHashCache() {
+    return setStorage(STORAGE_KEYS.HASH_CACHE, {});
+}
+
 /**
  * 만료된 해시 캐시를 정리한다
  * @returns {Promise<number>} 삭제된 항목 수
@@ -0,0 +1,269 @@
+/**
+ * 제목/본문/댓글 경고 문구 검사 (Content Script / 옵션 페이지 공용)
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks 작성자가 제목에 남긴 경고("후방주의", "혐짤", "ㅎㅂ")를 이미지 분석 전에 신호로 사용
+ *          댓글 경고("혐짤임", "후방")는 경고한 사람 수를 세어 커뮤니티 신호로 사용 (verdict.js의 applyCommunitySignal)
+ *
+ * 사전 형식:
+ * - { 카테고리: [패턴, ...] } (카테고리는 verdict.js와 같은 10개)
+ * - 일반 문자열: 공백/대소문자 무시하고 포함 여부 검사 (예: '후방주의' → "후방 주의"도 일치)
+ * - '/.../플래그' 형식: 정규식 (예: '/ㅎ\\s*ㅂ/')
+ *
+ * 왜 일반 스크립트인가요?
+ * - Content Script와 옵션 페이지(기본 사전 표시)에서 함께 사용 (verdict.js와 같은 방식)
+ */
+
+/** 기본 경고 문구 사전 (사용자가 옵션 페이지에서 카테고리별로 수정 가능) */
+const TEXT_SIGNAL_DEFAULT_DICTIONARY = {
+    gore:           ['혐짤', '혐주의', '혐오주의', '고어', '/ㅎ\\s*ㅈ\\s*ㅈ\\s*ㅇ/', '유혈'],
+    violence:       ['폭행영상', '구타영상', '잔인주의'],
+    death:          ['시체', '사체', '사망영상', '자살영상'],
+    disturbing:     ['불쾌주의', '징그러움주의', '비위주의', '/비위\\s*약한/'],
+    insects:        ['벌레주의', '벌레사진', '벌레짤', '환공포', '바퀴벌레'],
+    medical:        ['수술사진', '수술영상', '상처사진', '피부병'],
+    shock:          ['깜놀주의', '놀람주의', '점프스케어', '심약자'],
+    animal_cruelty: ['동물학대', '고양이학대', '강아지학대'],
+    nsfw_porn:      ['야짤', '19금', '/ㅇ\\s*ㄷ/'],
+    nsfw_sexy:      ['후방주의', '약후', '/ㅎ\\s*ㅂ/', '/ㅇ\\s*ㅎ/']
+};
+
+/**
+ * 댓글에서만 쓰는 짧은 경고 문구 (사전에 더해서 검사)
+ * - 댓글은 제목보다 짧게 씀 ("후방", "혐이네") → 제목 사전에 넣으면 오탐이 많은 문구
+ */
+const COMMUNITY_EXTRA_DICTIONARY = {
+    gore:       ['눈갱', '/혐\\s*(이네|임|이다|짤)/'],
+    disturbing: ['뒤로가기', '/비위\\s*(상함|조심)/'],
+    nsfw_sexy:  ['후방', '/ㅗ\\s*ㅜ\\s*ㅑ/']
+};
+
+/**
+ * 경고 댓글에 단 동의 답글 ("ㄹㅇ", "ㅇㅈ") → 경고한 사람으로 함께 셈
+ * - 디시 댓글에는 추천 수가 없으므로 동의 답글을 추천 대신 사용
+ */
+const COMMUNITY_AGREE_PATTERN = /^(ㄹㅇ|ㅇㅈ|인정|ㄹㅇㅋ+|ㅇㅇ|22+|\^+|맞음|ㅁㅈ)[!.~ㅋㅠㅜ]*$/;
+
+/** 경고 문구가 있으면 올리는 최소 신호등 상태 */
+const TEXT_SIGNAL_MIN_STATUS = 'caution';
+
+/** 최소 상태보다 낮아서 올려야 하는 상태 (caution/danger는 그대로) */
+const TEXT_SIGNAL_RAISE_STATUSES = ['safe', 'unchecked', 'loading', 'error'];
+
+/** 컴파일한 사전 캐시 (같은 설정 객체면 다시 컴파일하지 않음) */
+const textSignalCompiled = new WeakMap();
+
+/** 컴파일한 댓글 전용 문구 (처음 사용할 때 한 번만 컴파일) */
+let communityExtraCompiled = null;
+
+/**
+ * 공백을 없애고 소문자로 바꾼다 (키워드 비교용)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSignalText(text) {
+    return String(text || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 기본 사전에 사용자 사전을 덮어쓴다 (사용자가 수정한 카테고리만 교체)
+ * @param {object} [custom] - settings.textSignals.dictionary
+ * @returns {object} { 카테고리: [패턴] }
+ */
+function resolveDictionary(custom) {
+    const dictionary = { ...TEXT_SIGNAL_DEFAULT_DICTIONARY };
+    for (const [category, patterns] of Object.entries(custom || {})) {
+        if (Array.isArray(patterns)) {
+            dictionary[category] = patterns;
+        }
+    }
+    return dictionary;
+}
+
+/**
+ * 패턴 하나를 검사 함수로 바꾼다
+ * @param {string} pattern - 키워드 또는 '/정규식/플래그'
+ * @returns {function(string, string): boolean|null} (원문, 정규화 문자열) → 일치 여부 (잘못된 패턴이면 null)
+ */
+function compilePattern(pattern) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) {
+        try {
+            const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+            return (text) => regex.test(text);
+        } catch {
+            return null;
+        }
+    }
+
+    const keyword = normalizeSignalText(pattern);
+    if (!keyword) {
+        return null;
+    }
+    return (text, normalized) => normalized.includes(keyword);
+}
+
+/**
+ * 사전 객체를 검사 목록으로 바꾼다 (잘못된 패턴은 건너뜀)
+ * @param {object} dictionary - { 카테고리: [패턴] }
+ * @returns {object[]} [{ category, term, test }]
+ */
+function compileEntries(dictionary) {
+    const compiled = [];
+    for (const [category, patterns] of Object.entries(dictionary)) {
+        for (const term of patterns) {
+            const test = typeof term === 'string' ? compilePattern(term.trim()) : null;
+            if (test) {
+                compiled.push({ category, term: term.trim(), test });
+            }
+        }
+    }
+    return compiled;
+}
+
+/**
+ * 사전을 검사 목록으로 컴파일한다
+ * @param {object} [custom] - settings.textSignals.dictionary
+ * @returns {object[]} [{ category, term, test }]
+ */
+function compileDictionary(custom) {
+    const cacheKey = custom || TEXT_SIGNAL_DEFAULT_DICTIONARY;
+    if (textSignalCompiled.has(cacheKey)) {
+        return textSignalCompiled.get(cacheKey);
+    }
+
+    const compiled = compileEntries(resolveDictionary(custom));
+    textSignalCompiled.set(cacheKey, compiled);
+    return compiled;
+}
+
+/**
+ * 텍스트에서 경고 문구를 찾는다
+ * @param {string} text - 제목 또는 본문
+ * @param {object} [settings] - settings.textSignals { enabled, dictionary }
+ * @param {string} [source] - 'title' | 'body' (툴팁 표시용)
+ * @returns {{matches: object[]}|null} matches: [{ category, term, source }] (없으면 null)
+ */
+function scanText(text, settings, source = 'title') {
+    if (settings?.enabled === false || !text) {
+        return null;
+    }
+
+    const normalized = normalizeSignalText(text);
+    const matches    = [];
+    const seen       = new Set();
+
+    for (const entry of compileDictionary(settings?.dictionary)) {
+        // 카테고리마다 첫 번째로 일치한 문구만 기록
+        if (seen.has(entry.category) || !entry.test(text, normalized)) {
+            continue;
+        }
+        seen.add(entry.category);
+        matches.push({ category: entry.category, term: entry.term, source });
+    }
+
+    return matches.length > 0 ? { matches } : null;
+}
+
+/**
+ * 댓글 목록에서 경고한 사람 수를 센다
+ * - 사전(사용자 수정 포함) + 댓글 전용 문구 중 하나라도 일치하면 경고 댓글
+ * - 같은 작성자는 한 번만 셈 (한 사람이 도배해도 1명)
+ * - 경고 댓글에 단 동의 답글 작성자도 경고한 사람으로 셈
+ * @param {object[]} comments - dcParser.parseComments() / fetchComments() 결과
+ * @param {object} [dictionary] - settings.textSignals.dictionary
+ * @returns {{votes: number, warnings: number, matches: object[]}|null} matches: [{ category, term }] (경고가 없으면 null)
+ */
+function scanComments(comments, dictionary) {
+    if (!Array.isArray(comments) || comments.length === 0) {
+        return null;
+    }
+
+    if (!communityExtraCompiled) {
+        communityExtraCompiled = compileEntries(COMMUNITY_EXTRA_DICTIONARY);
+    }
+    const entries = [...compileDictionary(dictionary), ...communityExtraCompiled];
+
+    const voters     = new Set();
+    const warningNos = new Set();
+    const matches    = [];
+    const seenTerms  = new Set();
+    let   warnings   = 0;
+
+    comments.forEach((comment, index) => {
+        const normalized = normalizeSignalText(comment.text);
+        const entry      = entries.find(item => item.test(comment.text, normalized));
+        if (!entry) {
+            return;
+        }
+
+        warnings++;
+        voters.add(comment.author || `#${comment.no || index}`);
+        if (comment.no) {
+            warningNos.add(comment.no);
+        }
+        if (!seenTerms.has(entry.term)) {
+            seenTerms.add(entry.term);
+            matches.push({ category: entry.category, term: entry.term });
+        }
+    });
+
+    comments.forEach((comment, index) => {
+        if (comment.parentNo && warningNos.has(comment.parentNo) && COMMUNITY_AGREE_PATTERN.test(normalizeSignalText(comment.text))) {
+            voters.add(comment.author || `#${comment.no || index}`);
+        }
+    });
+
+    return warnings > 0 ? { votes: voters.size, warnings, matches } : null;
+}
+
+/**
+ * 두 검사 결과를 합친다 (제목 + 본문)
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {object|null}
+ */
+function mergeTextSignals(a, b) {
+    if (!a || !b) {
+        return a || b || null;
+    }
+
+    const categories = new Set(a.matches.map(match => match.category));
+    return {
+        matches: [...a.matches, ...b.matches.filter(match => !categories.has(match.category))]
+    };
+}
+
+/**
+ * 분석 결과에 경고 문구 신호를 반영한다
+ * - 이미지 판정이 안전/미검사/오류여도 최소 주의로 올림 (위험은 이미지 판정만으로 결정)
+ * - 결과가 아직 없으면(이미지 분석 전) 주의 상태의 임시 결과를 만듦
+ * @param {object|null} result - 분석 결과 (판정 엔진 적용 후)
+ * @param {object|null} textSignal - scanText() / mergeTextSignals() 결과
+ * @returns {object|null} textSignal이 붙은 새 결과 (textSignal이 없으면 원본)
+ */
+function applyTextSignal(result, textSignal) {
+    if (!textSignal) {
+        return result;
+    }
+
+    const base   = result || { status: 'unchecked', riskScore: 0, categories: {}, preliminary: true };
+    const status = TEXT_SIGNAL_RAISE_STATUSES.includes(base.status) ? TEXT_SIGNAL_MIN_STATUS : base.status;
+
+    return { ...base, status, textSignal };
+}
+
+const KasTextSignals = {
+    DEFAULT_DICTIONARY: TEXT_SIGNAL_DEFAULT_DICTIONARY,
+    resolveDictionary,
+    scanText,
+    scanComments,
+    mergeTextSignals,
+    applyTextSignal
+};
+
+/** Content Script / 옵션 페이지에서 전역 접근 가능하도록 */
+if (typeof window !== 'undefined') {
+    window.KasTextSignals = KasTextSignals;
+}
@@ -0,0 +1,303 @@
+/**
+ * 신호등 판정 엔진 (Service Worker / Content Script 공용)
+ * @author 최진호
+ * @date 2026-10-19
+ * @version 1.0.0
+ * @remarks 민감도·가중치·임계값·판정 방식을 한 곳에서 관리
+ *
+ * 왜 일반 스크립트인가요?
+ * - Content Script는 ES 모듈을 불러올 수 없음 (manifest의 js 목록으로 로드)
+ * - db.js와 같은 방식으로 전역(KasVerdict)에 등록
+ * - Service Worker는 import '../utils/verdict.js' 후 self.KasVerdict 사용
+ */
+
+/** 카테고리별 기본 민감도 (constants.js의 DEFAULT_SETTINGS.sensitivity와 동일) */
+const VERDICT_DEFAULT_SENSITIVITY = {
+    gore:           0.8,
+    violence:       0.8,
+    death:          0.8,
+    disturbing:     0.8,
+    insects:        0.7,
+    medical:        0.7,
+    shock:          0.7,
+    animal_cruelty: 0.8,
+    nsfw_porn:      0.3,
+    nsfw_sexy:      0.2
+};
+
+/** 가중 평균에서 카테고리별 중요도 (높을수록 최종 점수에 큰 영향) */
+const VERDICT_CATEGORY_WEIGHTS = {
+    gore:           1.0,
+    violence:       1.0,
+    death:          1.0,
+    disturbing:     0.9,
+    insects:        0.8,
+    medical:        0.9,
+    shock:          0.8,
+    animal_cruelty: 1.0,
+    nsfw_porn:      0.5,
+    nsfw_sexy:      0.3
+};
+
+/** 신호등 임계값 기본값 (constants.js의 DEFAULT_SETTINGS.thresholds와 동일) */
+const VERDICT_DEFAULT_THRESHOLDS = {
+    safeMax:    0.3,
+    cautionMax: 0.6
+};
+
+/** 카테고리별 판정 기준 기본값 (constants.js의 DEFAULT_SETTINGS.categoryThresholds와 동일) */
+const VERDICT_DEFAULT_CATEGORY_THRESHOLDS = {
+    gore:           { caution: 0.3, danger: 0.6  },
+    violence:       { caution: 0.4, danger: 0.7  },
+    death:          { caution: 0.3, danger: 0.6  },
+    disturbing:     { caution: 0.3, danger: 0.6  },
+    insects:        { caution: 0.4, danger: 0.7  },
+    medical:        { caution: 0.4, danger: 0.7  },
+    shock:          { caution: 0.4, danger: 0.7  },
+    animal_cruelty: { caution: 0.3, danger: 0.6  },
+    nsfw_porn:      { caution: 0.4, danger: 0.7  },
+    nsfw_sexy:      { caution: 0.6, danger: 0.85 }
+};
+
+/** 판정 대상 상태 (error/unchecked/loading은 판정하지 않음) */
+const VERDICT_STATUSES = ['safe', 'caution', 'danger'];
+
+/** 커뮤니티(댓글) 신호 기본 가중치 (constants.js의 DEFAULT_SETTINGS.communitySignal.weight와 동일) */
+const VERDICT_DEFAULT_COMMUNITY_WEIGHT = 0.5;
+
+/** 커뮤니티 점수가 최대(1.0)가 되는 경고 인원 */
+const VERDICT_COMMUNITY_FULL_VOTES = 3;
+
+/**
+ * 사용자 민감도를 적용한 위험 점수 (가중 평균과 최고 카테고리 점수 중 큰 값)
+ * - 카테고리 점수 × (사용자 민감도 ÷ 기본 민감도), 최대 1.0
+ * - 예: 고어 0.5, 민감도 1.0 (기본 0.8) → 0.5 × 1.25 = 0.625
+ * - 평균만 쓰면 한 카테고리만 높은 이미지(해시 매칭, 음란물 1.0 등)가 나머지 0점에 묻혀 안전이 됨
+ * @param {object} result - 분석 결과 (categories 또는 detailedScores)
+ * @param {object} [sensitivity] - 사용자 민감도 (0.0 ~ 1.0)
+ * @returns {number} 조정된 위험 점수 (카테고리가 없으면 원본 riskScore)
+ */
+function applySensitivity(result, sensitivity) {
+    const categories = result.categories || result.detailedScores;
+
+    if (!categories || typeof categories !== 'object') {
+        return result.riskScore || 0;
+    }
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    let maxScore    = 0;
+
+    for (const [category, score] of Object.entries(categories)) {
+        if (typeof score !== 'number') continue;
+
+        const weight      = VERDICT_CATEGORY_WEIGHTS[category] || 0;
+        const defaultSens = VERDICT_DEFAULT_SENSITIVITY[category] || 1.0;
+        const userSens    = sensitivity?.[category] || defaultSens;
+        const adjusted    = Math.min(1.0, score * (userSens / defaultSens));
+
+        weightedSum += adjusted * weight;
+        totalWeight += weight;
+        maxScore     = Math.max(maxScore, adjusted);
+    }
+
+    return totalWeight > 0 ? Math.max(weightedSum / totalWeight, maxScore) : 0;
+}
+
+/**
+ * 위험 점수를 신호등 상태로 변환
+ * - score < safeMax: safe, score < cautionMax: caution, 그 외: danger
+ * @param {number} score - 위험 점수 (0.0 ~ 1.0)
+ * @param {object} [thresholds] - { safeMax, cautionMax }
+ * @returns {string} 'safe' | 'caution' | 'danger'
+ */
+function statusFromScore(score, thresholds) {
+    const safeMax    = thresholds?.safeMax ?? VERDICT_DEFAULT_THRESHOLDS.safeMax;
+    const cautionMax = thresholds?.cautionMax ?? VERDICT_DEFAULT_THRESHOLDS.cautionMax;
+
+    if (score < safeMax) {
+        return 'safe';
+    }
+
+    return score < cautionMax ? 'caution' : 'danger';
+}
+
+/**
+ * 카테고리별 기준으로 가장 나쁜 카테고리를 찾는다
+ * - 위험 > 주의 > 안전 순으로 나쁨
+ * - 같은 단계면 기준을 가장 많이 넘은 카테고리 (점수 ÷ 기준)
+ * @param {object} result - 분석 결과
+ * @param {object} [categoryThresholds] - { gore: { caution, danger }, ... }
+ * @returns {{status: string, score: number, trippedCategory: object|null}|null} 카테고리 점수가 없으면 null
+ */
+function evaluateCategoryThresholds(result, categoryThresholds) {
+    const categories = result.categories || result.detailedScores;
+    if (!categories || typeof categories !== 'object') {
+        return null;
+    }
+
+    let worst    = null;
+    let maxScore = 0;
+    let counted  = 0;
+
+    for (const [category, score] of Object.entries(categories)) {
+        const cutoff = categoryThresholds?.[category] || VERDICT_DEFAULT_CATEGORY_THRESHOLDS[category];
+        if (!cutoff || typeof score !== 'number') continue;
+
+        maxScore = Math.max(maxScore, score);
+        counted++;
+
+        const status = score >= cutoff.danger ? 'danger' : (score >= cutoff.caution ? 'caution' : 'safe');
+        if (status === 'safe') continue;
+
+        const limit  = status === 'danger' ? cutoff.danger : cutoff.caution;
+        const margin = limit > 0 ? score / limit : Infinity;
+        const rank   = VERDICT_STATUSES.indexOf(status);
+
+        if (!worst || rank > worst.rank || (rank === worst.rank && margin > worst.margin)) {
+            worst = { category, score, cutoff: limit, level: status, rank, margin };
+        }
+    }
+
+    if (counted === 0) {
+        return null;
+    }
+
+    if (!worst) {
+        return { status: 'safe', score: maxScore, trippedCategory: null };
+    }
+
+    const { category, score, cutoff, level } = worst;
+    return { status: level, score, trippedCategory: { category, score, cutoff, level } };
+}
+
+/**
+ * 해시 매칭(서버 해시 DB, 로컬/나만의 차단 목록)으로 나온 결과인지
+ * - 매칭 결과는 severity를 카테고리 하나에만 넣으므로 민감도/판정 방식으로 다시 계산하지 않음
+ * - 이미지 전송 검사(secondary)로 다시 판정한 결과는 제외
+ * @param {object} result - 분석 결과 (buildFinalResult() 결과 또는 해시 검사 결과)
+ * @returns {boolean}
+ */
+function isHashMatchResult(result) {
+    if (result.secondary) {
+        return false;
+    }
+
+    return (result.primary || result).matched === true;
+}
+
+/**
+ * 설정된 판정 방식으로 신호등 상태를 결정한다
+ * - 나만의 차단 목록 매칭: 사용자가 직접 차단한 이미지이므로 항상 위험 (2차 검증 결과와 무관)
+ * - 해시 매칭 결과: 원본 riskScore(severity ÷ 5)를 thresholds와 비교
+ * - weighted (기본): 민감도로 조정한 점수(가중 평균과 최고 카테고리 중 큰 값)를 thresholds와 비교
+ * - perCategory: 카테고리별 주의/위험 기준을 넘은 가장 나쁜 카테고리로 판정
+ *   (카테고리 점수가 없는 결과는 weighted로 판정)
+ * @param {object} result - 분석 결과
+ * @param {object} settings - 사용자 설정 (sensitivity, thresholds, decisionMode, categoryThresholds)
+ * @returns {{status: string, score: number, trippedCategory: object|null}}
+ */
+function evaluateVerdict(result, settings) {
+    if ((result.primary || result).source === 'personal-blocklist') {
+        return { status: 'danger', score: result.riskScore || 0, trippedCategory: null };
+    }
+
+    if (isHashMatchResult(result)) {
+        const score = result.riskScore || 0;
+        return { status: statusFromScore(score, settings?.thresholds), score, trippedCategory: null };
+    }
+
+    if (settings?.decisionMode === 'perCategory') {
+        const evaluation = evaluateCategoryThresholds(result, settings.categoryThresholds);
+        if (evaluation) {
+            return evaluation;
+        }
+    }
+
+    const score = applySensitivity(result, settings?.sensitivity);
+    return { status: statusFromScore(score, settings?.thresholds), score, trippedCategory: null };
+}
+
+/**
+ * 분석 결과에 최종 판정을 반영한 새 객체를 만든다
+ * - status: 최종 신호등 상태
+ * - adjustedRiskScore: 판정에 쓴 점수, originalRiskScore: 원본 riskScore
+ * - trippedCategory: perCategory 모드에서 판정을 결정한 카테고리 (없으면 null)
+ * - error/unchecked 결과는 그대로 반환
+ * @param {object} result - 분석 결과
+ * @param {object} settings - 사용자 설정
+ * @returns {object}
+ */
+function applyVerdict(result, settings) {
+    if (!result || !VERDICT_STATUSES.includes(result.status)) {
+        return result;
+    }
+
+    const { status, score, trippedCategory } = evaluateVerdict(result, settings);
+
+    return {
+        ...result,
+        status,
+        adjustedRiskScore: score,
+        originalRiskScore: result.originalRiskScore ?? result.riskScore,
+        trippedCategory
+    };
+}
+
+/**
+ * 분석 결과에 커뮤니티(댓글 경고) 신호를 반영한다
+ * - 커뮤니티 점수 = min(경고 인원 ÷ 3, 1) × 가중치 → thresholds로 신호등 상태 계산
+ * - 이미지 판정보다 나쁠 때만 상태를 올림 (댓글로 판정을 낮추지는 않음)
+ * - 예: 가중치 0.5, 2명 → 0.33 → 주의 / 가중치 1.0, 2명 → 0.67 → 위험
+ * - 결과가 아직 없으면(이미지 분석 전/자동 검사 꺼짐) 임시 결과를 만듦 (안전 수준이면 만들지 않음)
+ * @param {object|null} result - 분석 결과 (판정 엔진 적용 후)
+ * @param {object|null} community - KasTextSignals.scanComments() 결과 { votes, warnings, matches }
+ * @param {object} settings - 사용자 설정 (communitySignal, thresholds)
+ * @returns {object|null} community: { ...community, score, level }이 붙은 새 결과 (반영할 신호가 없으면 원본)
+ */
+function applyCommunitySignal(result, community, settings) {
+    const options = settings?.communitySignal;
+    if (!community || community.votes === 0 || options?.enabled === false) {
+        return result;
+    }
+
+    const weight = Math.min(Math.max(options?.weight ?? VERDICT_DEFAULT_COMMUNITY_WEIGHT, 0), 1);
+    const score  = Math.min(community.votes / VERDICT_COMMUNITY_FULL_VOTES, 1) * weight;
+    const level  = statusFromScore(score, settings?.thresholds);
+
+    if (!result && level === 'safe') {
+        return result;
+    }
+
+    const base   = result || { status: 'unchecked', riskScore: 0, categories: {}, preliminary: true };
+    const raise  = level !== 'safe' && VERDICT_STATUSES.indexOf(base.status) < VERDICT_STATUSES.indexOf(level);
+    const status = raise ? level : base.status;
+
+    return { ...base, status, community: { ...community, score, level } };
+}
+
+const KasVerdict = {
+    DEFAULT_SENSITIVITY:         VERDICT_DEFAULT_SENSITIVITY,
+    CATEGORY_WEIGHTS:            VERDICT_CATEGORY_WEIGHTS,
+    DEFAULT_THRESHOLDS:          VERDICT_DEFAULT_THRESHOLDS,
+    DEFAULT_CATEGORY_THRESHOLDS: VERDICT_DEFAULT_CATEGORY_THRESHOLDS,
+    DEFAULT_COMMUNITY_WEIGHT:    VERDICT_DEFAULT_COMMUNITY_WEIGHT,
+    STATUSES:                    VERDICT_STATUSES,
+    applySensitivity,
+    statusFromScore,
+    isHashMatchResult,
+    evaluateCategoryThresholds,
+    evaluateVerdict,
+    applyVerdict,
+    applyCommunitySignal
+};
+
+/** Content Script 환경에서 전역 접근 가능하도록 */
+if (typeof window !== 'undefined') {
+    window.KasVerdict = KasVerdict;
+}
+
+/** Service Worker 환경에서 전역 접근 가능하도록 */
+if (typeof self !== 'undefined' && typeof WorkerGlobalScope !== 'undefined') {
+    self.KasVerdict = KasVerdict;
+}
@@ -4,14 +4,40 @@
  * @date 2026-02-14
  * @version 1.0.0
  * @remarks Service Worker에서 해시 생성을 별도 스레드로 분리하여 메인 스레드 차단 방지
+ *          compute* 함수는 src/utils/imageHash.js와 동일하게 유지해야 함
  */
 
+/** pHash 리사이즈 크기 (32x32) */
+const PHASH_SIZE = 32;
+
+/** pHash에 사용하는 저주파 영역 크기 (8x8 = 64비트) */
+const PHASH_LOW_FREQ_SIZE = 8;
+
+/** DCT 코사인 테이블 (최초 계산 후 재사용) */
+let dctCosTable = null;
+
+/**
+ * 해시 변환 목록 (회전 4종 x 좌우 반전 2종 = 8종)
+ * rotate: 시계 방향 회전 각도, mirror: 좌우 반전 여부 (반전 후 회전)
+ */
+const HASH_TRANSFORMS = [
+    { name: 'original',        rotate: 0,   mirror: false },
+    { name: 'rotate90',        rotate: 90,  mirror: false },
+    { name: 'rotate180',       rotate: 180, mirror: false },
+    { name: 'rotate270',       rotate: 270, mirror: false },
+    { name: 'mirror',          rotate: 0,   mirror: true  },
+    { name: 'mirrorRotate90',  rotate: 90,  mirror: true  },
+    { name: 'mirrorRotate180', rotate: 180, mirror: true  },  // = 상하 반전
+    { name: 'mirrorRotate270', rotate: 270, mirror: true  }
+];
+
 /**
  * dHash를 계산한다
  * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {object|null} [transform=null] - HASH_TRANSFORMS 항목 (null이면 원본)
  * @returns {string} 16자 hex 해시
  */
-function computeDHash(imageBitmap) {
+function computeDHash(imageBitmap, transform = null) {
     const width = 9;
     const height = 8;
 
@@ -20,7 +46,7 @@ function computeDHash(imageBitmap) {
     const ctx = canvas.getContext('2d');
 
     // 이미지를 9x8로 리사이즈
-    ctx.drawImage(imageBitmap, 0, 0, width, height);
+    drawTransformed(ctx, imageBitmap, width, height, transform);
 
     // 픽셀 데이터 가져오기
     const imageData = ctx.getImageData(0, 0, width, height);
@@ -63,9 +89,10 @@ function computeDHash(imageBitmap) {
 /**
  * aHash를 계산한다
  * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {object|null} [transform=null] - HASH_TRANSFORMS 항목 (null이면 원본)
  * @returns {string} 16자 hex 해시
  */
-function computeAHash(imageBitmap) {
+function computeAHash(imageBitmap, transform = null) {
     const size = 8;
 
     // OffscreenCanvas 생성
@@ -73,7 +100,7 @@ function computeAHash(imageBitmap) {
     const ctx = canvas.getContext('2d');
 
     // 이미지를 8x8로 리사이즈
-    ctx.drawImage(imageBitmap, 0, 0, size, size);
+    drawTransformed(ctx, imageBitmap, size, size, transform);
 
     // 픽셀 데이터 가져오기
     const imageData = ctx.getImageData(0, 0, size, size);
@@ -110,6 +137,169 @@ function computeAHash(imageBitmap) {
     return hexHash.padEnd(16, '0');
 }
 
+/**
+ * pHash를 계산한다
+ *
+ * 1. 32x32 그레이스케일로 축소
+ * 2. 2차원 DCT-II (행 → 열 순서로 분리 계산)
+ * 3. 좌상단 저주파 8x8 계수만 사용 (DC 포함)
+ * 4. 64개 계수의 중앙값보다 크면 1, 아니면 0
+ *
+ * 재압축/감마 보정은 고주파와 밝기 분포만 바꾸므로
+ * 저주파 계수의 대소 관계(=해시)는 거의 유지된다
+ *
+ * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {object|null} [transform=null] - HASH_TRANSFORMS 항목 (null이면 원본)
+ * @returns {string} 16자 hex 해시
+ */
+function computePHash(imageBitmap, transform = null) {
+    const size = PHASH_SIZE;
+    const low  = PHASH_LOW_FREQ_SIZE;
+
+    // OffscreenCanvas 생성
+    const canvas = new OffscreenCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+
+    // 이미지를 32x32로 리사이즈
+    drawTransformed(ctx, imageBitmap, size, size, transform);
+
+    // 픽셀 데이터 가져오기
+    const imageData = ctx.getImageData(0, 0, size, size);
+    const pixels = imageData.data;
+
+    // 그레이스케일 변환
+    const gray = new Float64Array(size * size);
+    for (let i = 0, j = 0; i < pixels.length; i += 4, j++) {
+        const r = pixels[i];
+        const g = pixels[i + 1];
+        const b = pixels[i + 2];
+        gray[j] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+
+    // cos((2x + 1) * u * π / 2N) 테이블
+    const cosTable = getDctCosTable();
+
+    // 행 방향 DCT (저주파 8개 열만)
+    const rowDct = new Float64Array(size * low);
+    for (let y = 0; y < size; y++) {
+        for (let u = 0; u < low; u++) {
+            let sum = 0;
+            for (let x = 0; x < size; x++) {
+                sum += gray[y * size + x] * cosTable[u * size + x];
+            }
+            rowDct[y * low + u] = sum;
+        }
+    }
+
+    // 열 방향 DCT (저주파 8개 행만) → 8x8 계수
+    const coefficients = new Float64Array(low * low);
+    for (let v = 0; v < low; v++) {
+        for (let u = 0; u < low; u++) {
+            let sum = 0;
+            for (let y = 0; y < size; y++) {
+                sum += rowDct[y * low + u] * cosTable[v * size + y];
+            }
+            coefficients[v * low + u] = sum;
+        }
+    }
+
+    // 중앙값 계산 (64개 → 가운데 두 값의 평균)
+    const sorted = Array.from(coefficients).sort((a, b) => a - b);
+    const mid = sorted.length / 2;
+    const median = (sorted[mid - 1] + sorted[mid]) / 2;
+
+    // 중앙값보다 큰지 비교
+    const hash = [];
+    for (const value of coefficients) {
+        hash.push(value > median ? 1 : 0);
+    }
+
+    // 비트를 16진수로 변환
+    let hexHash = '';
+    for (let i = 0; i < hash.length; i += 4) {
+        const nibble = hash.slice(i, i + 4).join('');
+        const hex = parseInt(nibble, 2).toString(16);
+        hexHash += hex;
+    }
+
+    // 16자로 패딩
+    return hexHash.padEnd(16, '0');
+}
+
+/**
+ * DCT 코사인 테이블을 반환한다 (저주파 8개 x 32픽셀)
+ * @returns {Float64Array}
+ */
+function getDctCosTable() {
+    if (dctCosTable) {
+        return dctCosTable;
+    }
+
+    const size = PHASH_SIZE;
+    dctCosTable = new Float64Array(PHASH_LOW_FREQ_SIZE * size);
+
+    for (let u = 0; u < PHASH_LOW_FREQ_SIZE; u++) {
+        for (let x = 0; x < size; x++) {
+            dctCosTable[u * size + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
+        }
+    }
+
+    return dctCosTable;
+}
+
+/**
+ * 변환(회전/반전)을 적용하여 이미지를 캔버스에 그린다
+ * @param {OffscreenCanvasRenderingContext2D} ctx - 캔버스 컨텍스트
+ * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @param {number} width - 캔버스 너비
+ * @param {number} height - 캔버스 높이
+ * @param {object|null} transform - HASH_TRANSFORMS 항목 (null이면 원본)
+ */
+function drawTransformed(ctx, imageBitmap, width, height, transform) {
+    if (!transform || (transform.rotate === 0 && !transform.mirror)) {
+        ctx.drawImage(imageBitmap, 0, 0, width, height);
+        return;
+    }
+
+    // 90/270도 회전이면 원본을 가로세로 뒤바꾼 크기로 그려야 캔버스를 채움
+    const quarterTurn = transform.rotate % 180 !== 0;
+    const drawWidth   = quarterTurn ? height : width;
+    const drawHeight  = quarterTurn ? width : height;
+
+    ctx.save();
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate((transform.rotate * Math.PI) / 180);
+    if (transform.mirror) {
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(imageBitmap, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+}
+
+/**
+ * 원본 + 7가지 변환(회전/반전)의 해시를 모두 계산한다
+ * @param {ImageBitmap} imageBitmap - 이미지 비트맵
+ * @returns {object} { phash, dhash, ahash, variants: [{ transform, phash, dhash, ahash }] }
+ */
+function computeAllHashes(imageBitmap) {
+    const variants = HASH_TRANSFORMS.map(transform => ({
+        transform: transform.name,
+        phash:     computePHash(imageBitmap, transform),
+        dhash:     computeDHash(imageBitmap, transform),
+        ahash:     computeAHash(imageBitmap, transform)
+    }));
+
+    // 첫 번째 항목은 원본
+    const [original, ...transformed] = variants;
+
+    return {
+        phash:    original.phash,
+        dhash:    original.dhash,
+        ahash:    original.ahash,
+        variants: transformed
+    };
+}
+
 /**
  * Worker 메시지 핸들러
  */
@@ -130,11 +320,8 @@ self.addEventListener('message', async (event) => {
         // Blob을 ImageBitmap으로 변환
         const imageBitmap = await createImageBitmap(blob);
 
-        // 병렬로 해시 생성 (Promise.all)
-        const [dhash, ahash] = await Promise.all([
-            Promise.resolve(computeDHash(imageBitmap)),
-            Promise.resolve(computeAHash(imageBitmap))
-        ]);
+        // 해시 생성 (imageHash.js의 generateAllHashes와 동일한 결과)
+        const hashes = computeAllHashes(imageBitmap);
 
         // ImageBitmap 해제
         imageBitmap.close();
@@ -144,17 +331,15 @@ self.addEventListener('message', async (event) => {
         // 성공 응답
         self.postMessage({
             success: true,
-            hashes: {
-                phash: dhash, // pHash는 dHash와 동일
-                dhash: dhash,
-                ahash: ahash
-            },
+            hashes: hashes,
             elapsed: elapsed
         });
 
         console.log('[HashWorker] 해시 생성 완료:', {
-            dhash: dhash,
-            ahash: ahash,
+            phash: hashes.phash,
+            dhash: hashes.dhash,
+            ahash: hashes.ahash,
+            variants: hashes.variants.length,
             elapsed: `${elapsed.toFixed(2)}ms`
         });
     } catch (error) {